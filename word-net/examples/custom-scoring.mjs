@@ -0,0 +1,32 @@
+/**
+ * Example: Custom Scoring Module
+ *
+ * A scoring module adds features that a scoring configuration can weight,
+ * and may replace the weighted sum with its own score function. Each
+ * feature receives a prime record from discover-semantic-primes.mjs
+ * (word, label, definition, sccSize, referenceCount, pageRank, betweenness,
+ * ...) and the scoring context ({ primes, frequencies }).
+ *
+ * Usage:
+ *   node scripts/discover-semantic-primes.mjs \
+ *     --scoring-module=examples/custom-scoring.mjs \
+ *     --scoring-config=examples/custom-scoring.lino
+ *
+ * Exporting `score(prime, context)` replaces the weighted sum; the context
+ * then also holds `features` (all feature functions) and `weightedScore`
+ * (the sum from the configuration).
+ */
+
+/**
+ * Extra features, usable by name in a scoring configuration.
+ */
+export const features = {
+  // Short definitions suggest a word that is hard to define further
+  short_definition: (prime) => {
+    const words = (prime.definition || '').split(/\s+/).filter(Boolean).length;
+    return words > 0 ? 1 / words : 0;
+  },
+
+  // Number of senses (lemmas) that share the prime's synset in sense mode
+  synonym_count: (prime) => (prime.lemmas ? prime.lemmas.length : 1),
+};
@@ -7,10 +7,12 @@
  * to understand the structure of WordNet definitions.
  */
 
-import { createReadStream, existsSync } from 'fs';
-import { createInterface } from 'readline';
+import { existsSync } from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { loadWordNet, getSynsetLemmas } from '../scripts/wordnet-parser.mjs';
+import { Lemmatizer } from '../scripts/lemmatizer.mjs';
+import { DEFAULT_STOP_WORDS, extractContentWords } from '../scripts/tokenizer.mjs';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -18,123 +20,27 @@ const __dirname = path.dirname(__filename);
 const DATA_DIR = path.join(__dirname, '..', 'data');
 const WORDNET_FILE = path.join(DATA_DIR, 'english-wordnet-2024.xml');
 
-const STOP_WORDS = new Set([
-  'a', 'an', 'the', 'is', 'are', 'was', 'were', 'be', 'been', 'being',
-  'have', 'has', 'had', 'do', 'does', 'did', 'will', 'would', 'could', 'should',
-  'may', 'might', 'must', 'shall', 'can', 'need', 'dare', 'ought', 'used',
-  'to', 'of', 'in', 'for', 'on', 'with', 'at', 'by', 'from', 'up', 'about',
-  'into', 'over', 'after', 'and', 'but', 'or', 'if', 'as', 'that', 'which',
-  'what', 'when', 'where', 'who', 'whom', 'this', 'these', 'those', 'such',
-  'it', 'its', 'itself', 'they', 'their', 'them', 'we', 'our', 'us',
-  'he', 'his', 'him', 'she', 'her', 'hers', 'you', 'your', 'yours',
-  'i', 'me', 'my', 'mine', 'myself',
-  'not', 'no', 'nor', 'so', 'than', 'too', 'very', 'just', 'only',
-  'also', 'even', 'still', 'already', 'always', 'never', 'ever', 'often',
-  'any', 'all', 'each', 'every', 'both', 'few', 'more', 'most', 'other',
-  'some', 'one', 'two', 'first', 'new', 'now', 'way', 'well', 'then',
-  'usually', 'especially', 'particularly', 'generally', 'typically',
-  'sometimes', 'followed', 'something', 'someone', 'anything', 'anyone',
-]);
-
-function decodeXmlEntities(str) {
-  return str
-    .replace(/&apos;/g, "'")
-    .replace(/&quot;/g, '"')
-    .replace(/&lt;/g, '<')
-    .replace(/&gt;/g, '>')
-    .replace(/&amp;/g, '&');
-}
+const STOP_WORDS = new Set(DEFAULT_STOP_WORDS);
+
+// Shared with discover-semantic-primes.mjs; created once WordNet is parsed
+let lemmatizer = null;
 
-function extractContentWords(definition) {
-  const words = definition.toLowerCase()
-    .replace(/[^a-zA-Z\s]/g, ' ')
-    .split(/\s+/)
-    .filter(w => w.length > 2)
-    .filter(w => !STOP_WORDS.has(w));
-  return [...new Set(words)];
+function definitionContentWords(definition) {
+  return extractContentWords(definition, { stopWords: STOP_WORDS, lemmatizer });
 }
 
 async function parseWordNet(filePath) {
-  console.log('Parsing WordNet XML...');
-
   const lemmaToDefinitions = new Map();
-  const synsetToLemmas = new Map();
   const synsetDefinitions = new Map();
   const definitionWordCounts = new Map();
 
-  const fileStream = createReadStream(filePath);
-  const rl = createInterface({ input: fileStream, crlfDelay: Infinity });
-
-  let currentEntry = null;
-  let currentSynset = null;
-  let inDefinition = false;
-  let definitionText = '';
-  let lineCount = 0;
-
-  for await (const line of rl) {
-    lineCount++;
-
-    const entryMatch = line.match(/<LexicalEntry\s+id="([^"]+)"/);
-    if (entryMatch) currentEntry = { lemmas: [], synsets: [] };
-
-    const lemmaMatch = line.match(/<Lemma\s+([^>]+)/);
-    if (lemmaMatch && currentEntry) {
-      const formMatch = lemmaMatch[1].match(/writtenForm="([^"]+)"/);
-      if (formMatch) currentEntry.lemmas.push(decodeXmlEntities(formMatch[1]).toLowerCase());
-    }
-
-    const senseMatch = line.match(/<Sense\s+([^>]+)/);
-    if (senseMatch && currentEntry) {
-      const synsetMatch = senseMatch[1].match(/synset="([^"]+)"/);
-      if (synsetMatch) currentEntry.synsets.push(synsetMatch[1]);
-    }
-
-    if (line.includes('</LexicalEntry>') && currentEntry) {
-      for (const synsetId of currentEntry.synsets) {
-        if (!synsetToLemmas.has(synsetId)) synsetToLemmas.set(synsetId, new Set());
-        for (const lemma of currentEntry.lemmas) synsetToLemmas.get(synsetId).add(lemma);
-      }
-      currentEntry = null;
-    }
-
-    const synsetStartMatch = line.match(/<Synset\s+([^>]+)>/);
-    if (synsetStartMatch) {
-      const idMatch = synsetStartMatch[1].match(/id="([^"]+)"/);
-      const posMatch = synsetStartMatch[1].match(/partOfSpeech="([^"]+)"/);
-      if (idMatch) currentSynset = { id: idMatch[1], partOfSpeech: posMatch?.[1] || '', definitions: [] };
-    }
-
-    if (line.includes('<Definition')) {
-      inDefinition = true;
-      definitionText = '';
-      const defMatch = line.match(/<Definition[^>]*>([^<]*)<\/Definition>/);
-      if (defMatch) {
-        definitionText = decodeXmlEntities(defMatch[1]);
-        inDefinition = false;
-        if (currentSynset) currentSynset.definitions.push(definitionText);
-      } else {
-        const startMatch = line.match(/<Definition[^>]*>([^<]*)/);
-        if (startMatch) definitionText = decodeXmlEntities(startMatch[1]);
-      }
-    } else if (inDefinition) {
-      const endMatch = line.match(/([^<]*)<\/Definition>/);
-      if (endMatch) {
-        definitionText += decodeXmlEntities(endMatch[1]);
-        inDefinition = false;
-        if (currentSynset) currentSynset.definitions.push(definitionText);
-      } else {
-        definitionText += decodeXmlEntities(line);
-      }
-    }
+  const lexicon = await loadWordNet(filePath);
+  lemmatizer = new Lemmatizer(lexicon);
+  const synsetToLemmas = getSynsetLemmas(lexicon);
 
-    if (line.includes('</Synset>') && currentSynset) {
-      if (currentSynset.definitions.length > 0) {
-        synsetDefinitions.set(currentSynset.id, {
-          definitions: currentSynset.definitions,
-          partOfSpeech: currentSynset.partOfSpeech,
-        });
-      }
-      currentSynset = null;
+  for (const synset of lexicon.synsets.values()) {
+    if (synset.definitions.length > 0) {
+      synsetDefinitions.set(synset.id, { definitions: synset.definitions, partOfSpeech: synset.partOfSpeech });
     }
   }
 
@@ -142,7 +48,7 @@ async function parseWordNet(filePath) {
   for (const [synsetId, data] of synsetDefinitions) {
     const lemmas = synsetToLemmas.get(synsetId) || new Set();
     for (const definition of data.definitions) {
-      const contentWords = extractContentWords(definition);
+      const contentWords = definitionContentWords(definition);
       for (const lemma of lemmas) {
         if (!lemmaToDefinitions.has(lemma)) lemmaToDefinitions.set(lemma, []);
         lemmaToDefinitions.get(lemma).push({ definition, partOfSpeech: data.partOfSpeech, synsetId });
@@ -171,7 +77,7 @@ async function main() {
     console.log(`Found ${entityDefs.length} definition(s) for "entity":`);
     for (const def of entityDefs) {
       console.log(`  Definition: ${def.definition}`);
-      console.log(`  Content words: ${extractContentWords(def.definition).join(', ')}`);
+      console.log(`  Content words: ${definitionContentWords(def.definition).join(', ')}`);
     }
   } else {
     console.log('"entity" not found in lemma definitions');
@@ -200,7 +106,7 @@ async function main() {
       console.log(`\n[Depth ${depth}] "${word}":`);
       for (const def of defs.slice(0, 1)) {
         console.log(`  Definition: "${def.definition}"`);
-        const contentWords = extractContentWords(def.definition);
+        const contentWords = definitionContentWords(def.definition);
         console.log(`  Content words: ${contentWords.join(', ')}`);
         for (const w of contentWords) {
           if (!visited.has(w)) queue.push(w);
@@ -0,0 +1,164 @@
+/**
+ * Centrality Module
+ *
+ * Graph centrality metrics over a CompactGraph, used to score discovered
+ * primes by the structure of the definition graph. Edges point from a word
+ * to the words used in its definition, so a word that many definitions
+ * depend on, directly or through other words, is central. A word used in
+ * its own definition does not make itself central: self-loops are ignored.
+ *
+ *   - Weighted in-degree: sum of the weights of the edges into a word (how
+ *     often, and through which edge sources, a word is used to define others)
+ *   - PageRank: stationary probability of a random walk that follows
+ *     definition edges in proportion to their weights
+ *   - Betweenness: how many shortest definition chains pass through a word,
+ *     estimated from a sample of source words (Brandes, 2001)
+ *
+ * Reference: Brandes, U. (2001). A faster algorithm for betweenness
+ *   centrality. Journal of Mathematical Sociology 25(2).
+ */
+
+/**
+ * Sum of the weights of the edges into every node from other nodes.
+ * @param {CompactGraph} graph
+ * @returns {Float64Array}
+ */
+export function weightedInDegree(graph) {
+  const { offsets, targets, weights } = graph;
+  const scores = new Float64Array(graph.size);
+  for (let v = 0; v < graph.size; v++) {
+    for (let e = offsets[v]; e < offsets[v + 1]; e++) {
+      if (targets[e] !== v) scores[targets[e]] += weights[e];
+    }
+  }
+  return scores;
+}
+
+/**
+ * PageRank by power iteration; rank flows from a word to the words used in
+ * its definition, split in proportion to the edge weights. Dangling nodes
+ * spread their rank uniformly.
+ * @param {CompactGraph} graph
+ * @param {Object} [options]
+ * @param {number} [options.damping] - Damping factor (default 0.85)
+ * @param {number} [options.iterations] - Maximum iterations (default 50)
+ * @param {number} [options.tolerance] - Stop when the L1 change is below this (default 1e-9)
+ * @returns {Float64Array} Rank per node, summing to 1
+ */
+export function pageRank(graph, { damping = 0.85, iterations = 50, tolerance = 1e-9 } = {}) {
+  const { offsets, targets, weights } = graph;
+  const n = graph.size;
+  let rank = new Float64Array(n).fill(1 / n);
+  let next = new Float64Array(n);
+
+  const outWeight = new Float64Array(n);
+  for (let v = 0; v < n; v++) {
+    for (let e = offsets[v]; e < offsets[v + 1]; e++) {
+      if (targets[e] !== v) outWeight[v] += weights[e];
+    }
+  }
+
+  for (let iteration = 0; iteration < iterations; iteration++) {
+    let dangling = 0;
+    next.fill(0);
+    for (let v = 0; v < n; v++) {
+      if (outWeight[v] === 0) {
+        dangling += rank[v];
+        continue;
+      }
+      const share = rank[v] / outWeight[v];
+      for (let e = offsets[v]; e < offsets[v + 1]; e++) {
+        if (targets[e] !== v) next[targets[e]] += share * weights[e];
+      }
+    }
+
+    const base = (1 - damping) / n + damping * dangling / n;
+    let change = 0;
+    for (let v = 0; v < n; v++) {
+      next[v] = base + damping * next[v];
+      change += Math.abs(next[v] - rank[v]);
+    }
+    [rank, next] = [next, rank];
+    if (change < tolerance) break;
+  }
+
+  return rank;
+}
+
+/**
+ * Betweenness centrality over unweighted shortest paths (Brandes). With
+ * fewer samples than nodes, the sums over a deterministic random sample of
+ * source nodes are scaled up to estimate the exact values.
+ * @param {CompactGraph} graph
+ * @param {Object} [options]
+ * @param {number} [options.samples] - Source nodes to sample (default 100;
+ *   Infinity for exact betweenness)
+ * @param {number} [options.seed] - Seed of the source sample (default 1)
+ * @returns {Float64Array} Betweenness per node
+ */
+export function approximateBetweenness(graph, { samples = 100, seed = 1 } = {}) {
+  const { offsets, targets } = graph;
+  const n = graph.size;
+  const scores = new Float64Array(n);
+  if (n === 0) return scores;
+
+  // Partial Fisher-Yates shuffle with a Park-Miller generator
+  const sources = Uint32Array.from(graph.nodes.keys());
+  const k = Math.min(samples, n);
+  let state = (seed % 2147483646) + 1;
+  for (let i = 0; i < k && k < n; i++) {
+    state = (state * 48271) % 2147483647;
+    const j = i + (state % (n - i));
+    [sources[i], sources[j]] = [sources[j], sources[i]];
+  }
+
+  const distance = new Int32Array(n);
+  const paths = new Float64Array(n);
+  const dependency = new Float64Array(n);
+  const order = new Uint32Array(n);
+
+  for (let i = 0; i < k; i++) {
+    const s = sources[i];
+    distance.fill(-1);
+    paths.fill(0);
+    dependency.fill(0);
+
+    // Breadth-first search; order doubles as the queue
+    distance[s] = 0;
+    paths[s] = 1;
+    order[0] = s;
+    let head = 0;
+    let tail = 1;
+    while (head < tail) {
+      const v = order[head++];
+      for (let e = offsets[v]; e < offsets[v + 1]; e++) {
+        const w = targets[e];
+        if (distance[w] === -1) {
+          distance[w] = distance[v] + 1;
+          order[tail++] = w;
+        }
+        if (distance[w] === distance[v] + 1) {
+          paths[w] += paths[v];
+        }
+      }
+    }
+
+    // Accumulate dependencies from the farthest nodes back to the source
+    for (let j = tail - 1; j > 0; j--) {
+      const v = order[j];
+      for (let e = offsets[v]; e < offsets[v + 1]; e++) {
+        const w = targets[e];
+        if (distance[w] === distance[v] + 1) {
+          dependency[v] += paths[v] / paths[w] * (1 + dependency[w]);
+        }
+      }
+      scores[v] += dependency[v];
+    }
+  }
+
+  if (k < n) {
+    const scale = n / k;
+    for (let v = 0; v < n; v++) scores[v] *= scale;
+  }
+  return scores;
+}
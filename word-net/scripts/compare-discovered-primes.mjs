@@ -0,0 +1,349 @@
+#!/usr/bin/env node
+
+/**
+ * Compare Discovered Primes Across Languages
+ *
+ * Aligns the primes that discover-semantic-primes.mjs found in the wordnets
+ * of two or more languages by ILI id (see prime-comparison.mjs) and reports
+ * the concepts that are primitive in every language, in some and in only
+ * one, the Jaccard overlap of every pair of languages, and breakdowns by
+ * part of speech and by NSM category (for concepts that are the curated
+ * sense of an NSM prime). If circularity in definitions marks universal
+ * concepts, the primes of unrelated languages should overlap far more than
+ * their wordnets do.
+ *
+ * Only sense-mode outputs carry ILI ids, so discover the primes of each
+ * wordnet with --mode=sense first:
+ *
+ *   node discover-semantic-primes.mjs --mode=sense
+ *   node discover-semantic-primes.mjs --mode=sense --wordnet=plwordnet.xml --token-chars=letters
+ *   node compare-discovered-primes.mjs
+ *
+ * Results are output in Links Notation (.lino) format.
+ *
+ * Usage: node compare-discovered-primes.mjs [options]
+ *
+ * Options:
+ *   --discovered=<file>  Sense-mode discovered primes of one language; repeat
+ *                        for each language (default: every
+ *                        data/discovered-sense-primes*.lino)
+ *   --min-score=<n>      Compare only primes with a prime_score of at least n
+ *                        (default: all primes)
+ *   --inventory=<name>   NSM prime inventory for the category breakdown
+ *                        (default current; see semantic-primes.mjs)
+ *
+ * Requirements: Run discover-semantic-primes.mjs --mode=sense on two or more
+ * wordnets first.
+ */
+
+import { existsSync, readdirSync, readFileSync, writeFileSync } from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import {
+  buildNsmCategoryIndex,
+  categoryBreakdown,
+  compareDiscoveredPrimes,
+  readDiscoveredPrimes,
+} from './prime-comparison.mjs';
+import { DEFAULT_INVENTORY, PRIME_INVENTORIES } from './semantic-primes.mjs';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Configuration
+const DATA_DIR = path.join(__dirname, '..', 'data');
+const OUTPUT_FILE = path.join(DATA_DIR, 'discovered-primes-ili.lino');
+const REPORT_SIZE = 10;
+
+/**
+ * Parse command line arguments.
+ * Returns the discovered primes files, the minimum prime score and the
+ * prime inventory.
+ */
+function parseConfig() {
+  const args = process.argv.slice(2);
+
+  let files = args
+    .filter(arg => arg.startsWith('--discovered='))
+    .map(arg => path.resolve(process.cwd(), arg.replace('--discovered=', '')));
+  for (const file of files) {
+    if (!existsSync(file)) {
+      console.error(`Error: Discovered primes file not found: ${file}`);
+      process.exit(1);
+    }
+  }
+  if (files.length === 0 && existsSync(DATA_DIR)) {
+    files = readdirSync(DATA_DIR)
+      .filter(name => /^discovered-sense-primes(-[a-z]+)?\.lino$/.test(name))
+      .sort()
+      .map(name => path.join(DATA_DIR, name));
+  }
+  if (files.length < 2) {
+    console.error(`Error: Need discovered primes of at least two languages, found ${files.length}`);
+    console.error('Run "node discover-semantic-primes.mjs --mode=sense --wordnet=<file>" for each wordnet first.');
+    process.exit(1);
+  }
+
+  let minScore = null;
+  const minScoreArg = args.find(arg => arg.startsWith('--min-score='));
+  if (minScoreArg) {
+    const value = minScoreArg.replace('--min-score=', '');
+    minScore = Number(value);
+    if (value === '' || !Number.isFinite(minScore)) {
+      console.error(`Error: Invalid minimum score "${value}" (expected a number)`);
+      process.exit(1);
+    }
+  }
+
+  const inventoryArg = args.find(arg => arg.startsWith('--inventory='));
+  const inventory = inventoryArg ? inventoryArg.replace('--inventory=', '') : DEFAULT_INVENTORY;
+  if (!PRIME_INVENTORIES[inventory]) {
+    console.error(`Error: Unknown inventory "${inventory}" (available: ${Object.keys(PRIME_INVENTORIES).join(', ')})`);
+    process.exit(1);
+  }
+
+  return { files, minScore, inventory };
+}
+
+const CONFIG = parseConfig();
+
+/**
+ * Read the discovered primes of every file, one language each.
+ * @returns {Array<{language: string, file: string, total: number, primes: Array}>}
+ *   Per file: its language, the number of primes in it and the primes
+ *   compared (above the minimum score, with an ILI id)
+ */
+function loadLanguages() {
+  const sources = [];
+  for (const file of CONFIG.files) {
+    const { language, primes } = readDiscoveredPrimes(readFileSync(file, 'utf-8'));
+    const name = path.relative(process.cwd(), file);
+    if (!language) {
+      throw new Error(`${name} has no "// Language:" header; run discover-semantic-primes.mjs again`);
+    }
+    const other = sources.find(source => source.language === language);
+    if (other) {
+      throw new Error(`${name} and ${other.name} are both in language "${language}"`);
+    }
+    if (primes.length > 0 && !primes.some(prime => prime.ili)) {
+      throw new Error(`${name} has no ILI ids; discover its primes with --mode=sense`);
+    }
+    const compared = primes.filter(prime => prime.ili && (CONFIG.minScore === null || prime.score >= CONFIG.minScore));
+    sources.push({ language, file, name, total: primes.length, primes: compared });
+    console.log(`  ${language}: ${compared.length} of ${primes.length} primes compared (${name})`);
+  }
+  return sources;
+}
+
+/**
+ * Mean prime score of a concept over the languages it is primitive in.
+ */
+function meanScore(ili, concept, primesByIli) {
+  const scores = concept.languages.map(language => primesByIli[language].get(ili).score ?? 0);
+  return scores.reduce((sum, score) => sum + score, 0) / scores.length;
+}
+
+/**
+ * First lemma of the prime of each language a concept is primitive in.
+ */
+function describeConcept(ili, concept, primesByIli) {
+  return concept.languages.map((language) => {
+    const prime = primesByIli[language].get(ili);
+    return `${prime.lemmas[0] ?? prime.id} (${language})`;
+  }).join(', ');
+}
+
+function formatJaccard(value) {
+  return value === null ? '-' : value.toFixed(3);
+}
+
+/**
+ * Print a category breakdown as a table.
+ */
+function printBreakdown(title, rows, languages) {
+  console.log(`\n${title}:`);
+  const header = ['category'.padEnd(24), 'concepts', 'universal', 'partial',
+    ...languages.map(language => `only ${language}`), 'jaccard'];
+  console.log(`  ${header.join('  ')}`);
+  for (const row of rows) {
+    const cells = [
+      row.category.padEnd(24),
+      String(row.concepts).padStart(8),
+      String(row.universal).padStart(9),
+      String(row.partial).padStart(7),
+      ...languages.map(language => String(row.unique[language]).padStart(5 + language.length)),
+      formatJaccard(row.jaccard).padStart(7),
+    ];
+    console.log(`  ${cells.join('  ')}`);
+  }
+}
+
+/**
+ * Links of a category breakdown, named by prefix and category (pos_n).
+ */
+function breakdownToLinksNotation(lines, prefix, rows, languages) {
+  for (const row of rows) {
+    const id = `${prefix}_${row.category.replace(/[^a-z0-9]/gi, '_')}`;
+    lines.push(`(${id} concepts ${row.concepts})`);
+    lines.push(`(${id} universal ${row.universal})`);
+    lines.push(`(${id} partial ${row.partial})`);
+    for (const language of languages) {
+      lines.push(`(${id} unique_${language} ${row.unique[language]})`);
+    }
+    lines.push(`(${id} jaccard ${row.jaccard.toFixed(3)})`);
+    lines.push('');
+  }
+}
+
+/**
+ * Convert the comparison to Links Notation format: overlaps and breakdowns
+ * first, then every concept by how many languages it is primitive in.
+ * @param {Object} comparison - Result of compareDiscoveredPrimes
+ * @param {Array<Object>} sources - Per language: {language, name, total, primes}
+ * @param {Object} breakdowns - {pos, nsm}: rows of categoryBreakdown
+ * @param {Map<string, Object>} nsmIndex - ILI id -> {prime, category}
+ * @param {Object<string, Map>} primesByIli - Language -> ILI id -> prime
+ * @returns {string} Links Notation string
+ */
+function toLinksNotation(comparison, sources, breakdowns, nsmIndex, primesByIli) {
+  const { languages, concepts, universal, partial, unique, pairs } = comparison;
+  const lines = [];
+
+  lines.push('// Discovered semantic primes compared across languages by ILI');
+  lines.push('//');
+  lines.push('// A concept is universal if it is primitive in every language, partial if');
+  lines.push('// in more than one and unique if in one only. The Jaccard index of two');
+  lines.push('// languages is the share of their prime concepts that both have; that of a');
+  lines.push('// category is the share of its concepts that are universal. A concept a');
+  lines.push('// wordnet does not lexicalize counts as not primitive in it.');
+  lines.push('//');
+  lines.push(`// Generated: ${new Date().toISOString()}`);
+  for (const source of sources) {
+    lines.push(`// ${source.language}: ${source.name} (${source.primes.length} of ${source.total} primes compared)`);
+  }
+  lines.push(`// Minimum prime score: ${CONFIG.minScore ?? 'none'}`);
+  lines.push(`// Prime inventory: ${CONFIG.inventory}`);
+  const uniqueCount = Object.values(unique).reduce((sum, ilis) => sum + ilis.length, 0);
+  lines.push(`// Concepts: ${concepts.size} (universal ${universal.length}, partial ${partial.length}, unique ${uniqueCount})`);
+  lines.push(`// Jaccard index of all languages: ${formatJaccard(concepts.size > 0 ? universal.length / concepts.size : null)}`);
+
+  lines.push('');
+  lines.push('// === OVERLAP ===');
+  lines.push('');
+  for (const pair of pairs) {
+    const id = pair.languages.join('_');
+    lines.push(`(${id} shared ${pair.shared})`);
+    lines.push(`(${id} union ${pair.union})`);
+    lines.push(`(${id} jaccard ${formatJaccard(pair.jaccard)})`);
+    lines.push('');
+  }
+
+  lines.push('// === BY PART OF SPEECH ===');
+  lines.push('');
+  breakdownToLinksNotation(lines, 'pos', breakdowns.pos, languages);
+
+  lines.push('// === BY NSM CATEGORY (concepts that are curated senses of NSM primes) ===');
+  lines.push('');
+  breakdownToLinksNotation(lines, 'nsm', breakdowns.nsm, languages);
+
+  const addConcepts = (title, ilis) => {
+    lines.push(`// === ${title} ===`);
+    lines.push(`// Count: ${ilis.length}`);
+    lines.push('');
+    const sorted = [...ilis].sort((a, b) =>
+      meanScore(b, concepts.get(b), primesByIli) - meanScore(a, concepts.get(a), primesByIli));
+    for (const ili of sorted) {
+      const concept = concepts.get(ili);
+      for (const language of concept.languages) {
+        const prime = primesByIli[language].get(ili);
+        lines.push(`(${ili} primitive_in (${language} ${prime.id}))`);
+        if (prime.lemmas.length > 0) {
+          lines.push(`(${ili} lemma (${language} ${prime.lemmas[0]}))`);
+        }
+      }
+      if (concept.pos) {
+        lines.push(`(${ili} pos ${concept.pos})`);
+      }
+      if (nsmIndex.has(ili)) {
+        lines.push(`(${ili} nsm_prime "${nsmIndex.get(ili).prime}")`);
+      }
+      lines.push('');
+    }
+  };
+
+  addConcepts('UNIVERSAL', universal);
+  if (languages.length > 2) addConcepts('PARTIAL', partial);
+  for (const language of languages) {
+    addConcepts(`UNIQUE TO ${language.toUpperCase()}`, unique[language]);
+  }
+
+  return lines.join('\n');
+}
+
+async function main() {
+  console.log('=== Cross-Lingual Comparison of Discovered Primes ===\n');
+
+  console.log('Reading discovered primes...');
+  const sources = loadLanguages();
+  const primesByIli = Object.fromEntries(sources.map(source =>
+    [source.language, new Map(source.primes.map(prime => [prime.ili, prime]))]));
+
+  const comparison = compareDiscoveredPrimes(Object.fromEntries(sources.map(source => [source.language, source.primes])));
+  const { languages, concepts, universal, partial, unique, pairs } = comparison;
+
+  const nsmIndex = buildNsmCategoryIndex({ inventory: CONFIG.inventory });
+  const breakdowns = {
+    pos: categoryBreakdown(comparison, (ili, concept) => concept.pos ?? 'unknown'),
+    nsm: categoryBreakdown(comparison, ili => nsmIndex.get(ili)?.category ?? null),
+  };
+
+  console.log(`\nConcepts: ${concepts.size}`);
+  console.log(`  Primitive in every language: ${universal.length}`);
+  if (languages.length > 2) {
+    console.log(`  Primitive in some languages: ${partial.length}`);
+  }
+  for (const language of languages) {
+    console.log(`  Primitive in ${language} only: ${unique[language].length}`);
+  }
+
+  console.log(`  Jaccard index of all languages: ${formatJaccard(concepts.size > 0 ? universal.length / concepts.size : null)}`);
+
+  console.log('\nJaccard overlap:');
+  for (const pair of pairs) {
+    console.log(`  ${pair.languages.join('-')}: ${formatJaccard(pair.jaccard)} (${pair.shared} shared of ${pair.union})`);
+  }
+
+  printBreakdown('By part of speech', breakdowns.pos, languages);
+  printBreakdown('By NSM category', breakdowns.nsm, languages);
+
+  const nsmUniversal = universal.filter(ili => nsmIndex.has(ili)).map(ili => nsmIndex.get(ili).prime);
+  console.log(`\nNSM primes whose curated sense is primitive in every language: ${nsmUniversal.length}`);
+  if (nsmUniversal.length > 0) {
+    console.log(`  ${nsmUniversal.join(', ')}`);
+  }
+
+  for (const language of languages) {
+    if (unique[language].length === 0) continue;
+    const sample = unique[language].slice(0, REPORT_SIZE).map(ili => describeConcept(ili, concepts.get(ili), primesByIli));
+    console.log(`\nPrimitive in ${language} only (first ${sample.length}): ${sample.join(', ')}`);
+  }
+
+  console.log(`\nTop ${REPORT_SIZE} universal concepts (by mean prime score):`);
+  const ranked = [...universal].sort((a, b) =>
+    meanScore(b, concepts.get(b), primesByIli) - meanScore(a, concepts.get(a), primesByIli));
+  for (const ili of ranked.slice(0, REPORT_SIZE)) {
+    console.log(`  ${ili}: ${describeConcept(ili, concepts.get(ili), primesByIli)} (score ${meanScore(ili, concepts.get(ili), primesByIli).toFixed(1)})`);
+  }
+
+  // Generate output
+  console.log('\nGenerating output...');
+  writeFileSync(OUTPUT_FILE, toLinksNotation(comparison, sources, breakdowns, nsmIndex, primesByIli));
+  console.log(`Links Notation output saved to: ${OUTPUT_FILE}`);
+
+  console.log('\nComparison complete!');
+}
+
+main().catch((error) => {
+  console.error('Error:', error.message);
+  process.exit(1);
+});
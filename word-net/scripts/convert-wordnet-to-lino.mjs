@@ -11,16 +11,24 @@
  * - Synsets with their definitions
  * - Lexical entries (lemmas) linked to synsets
  * - Part of speech information
+ * - Synset relations as typed links, e.g. (oewn_x hypernym oewn_y)
+ * - Sense relations as typed links, e.g. (sense_a antonym sense_b)
  *
- * Usage: node convert-wordnet-to-lino.mjs
+ * Usage: node convert-wordnet-to-lino.mjs [options]
+ *
+ * Options:
+ *   --wordnet=<file>  Convert another WN-LMF wordnet instead of Open English
+ *                     WordNet; the output file name then ends in the language
+ *                     of the wordnet (wordnet-source-pl.lino)
  *
  * Requirements: Run download.mjs first to get the WordNet data.
  */
 
-import { createReadStream, existsSync, writeFileSync } from 'fs';
-import { createInterface } from 'readline';
+import { existsSync, writeFileSync } from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { resolvePrimeLanguage } from './semantic-primes.mjs';
+import { loadWordNet } from './wordnet-parser.mjs';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -31,17 +39,27 @@ const WORDNET_FILE = path.join(DATA_DIR, 'english-wordnet-2024.xml');
 const OUTPUT_FILE = path.join(DATA_DIR, 'wordnet-source.lino');
 
 /**
- * Decode XML entities.
+ * Parse command line arguments for the wordnet to convert.
+ * Returns the WN-LMF file (Open English WordNet by default) and whether it
+ * was given on the command line.
  */
-function decodeXmlEntities(str) {
-  return str
-    .replace(/&apos;/g, "'")
-    .replace(/&quot;/g, '"')
-    .replace(/&lt;/g, '<')
-    .replace(/&gt;/g, '>')
-    .replace(/&amp;/g, '&');
+function parseWordNetConfig() {
+  const wordnetArg = process.argv.slice(2).find(arg => arg.startsWith('--wordnet='));
+  if (!wordnetArg) {
+    return { file: WORDNET_FILE, custom: false };
+  }
+  const file = path.resolve(process.cwd(), wordnetArg.replace('--wordnet=', ''));
+  if (!existsSync(file)) {
+    console.error(`Error: WordNet file not found: ${file}`);
+    process.exit(1);
+  }
+  console.log(`WordNet: ${file}`);
+  return { file, custom: true };
 }
 
+// Parse wordnet configuration
+const WORDNET_CONFIG = parseWordNetConfig();
+
 /**
  * Escape special characters for Links Notation strings.
  */
@@ -54,136 +72,58 @@ function escapeForLino(str) {
 }
 
 /**
- * Parse WordNet XML and convert to Links Notation.
+ * Normalize a WordNet identifier (synset, sense or relation type) to a Links Notation id.
  */
-async function convertToLino(filePath, outputPath) {
-  console.log('Parsing WordNet XML...');
-
-  const fileStream = createReadStream(filePath);
-  const rl = createInterface({
-    input: fileStream,
-    crlfDelay: Infinity,
-  });
-
-  // Collect data
-  const synsets = [];  // {id, partOfSpeech, definitions, examples}
-  const entries = [];  // {lemma, partOfSpeech, synsets}
-
-  let currentEntry = null;
-  let currentSynset = null;
-  let inDefinition = false;
-  let definitionText = '';
-  let lineCount = 0;
-
-  for await (const line of rl) {
-    lineCount++;
-
-    // Parse LexicalEntry
-    const entryMatch = line.match(/<LexicalEntry\s+id="([^"]+)"/);
-    if (entryMatch) {
-      currentEntry = { id: entryMatch[1], lemmas: [], synsets: [] };
-    }
+function toLinoId(id) {
+  return id.replace(/[^a-z0-9]/gi, '_');
+}
 
-    // Parse Lemma
-    const lemmaMatch = line.match(/<Lemma\s+([^>]+)/);
-    if (lemmaMatch && currentEntry) {
-      const attrs = lemmaMatch[1];
-      const formMatch = attrs.match(/writtenForm="([^"]+)"/);
-      const posMatch = attrs.match(/partOfSpeech="([^"]+)"/);
-      if (formMatch) {
-        currentEntry.lemmas.push({
-          form: decodeXmlEntities(formMatch[1]),
-          pos: posMatch ? posMatch[1] : '',
-        });
-      }
-    }
+/**
+ * Parse WordNet XML and convert to Links Notation.
+ */
+async function convertToLino(filePath, custom) {
+  const lexicon = await loadWordNet(filePath);
+
+  // A wordnet given on the command line is named after its lexicons and its
+  // output is suffixed with its language, as in discover-semantic-primes.mjs
+  let name = 'Open English WordNet 2024';
+  let outputPath = OUTPUT_FILE;
+  if (custom) {
+    const tag = lexicon.lexicons[0]?.language || 'und';
+    const language = resolvePrimeLanguage(tag) ?? tag.toLowerCase().split(/[-_]/)[0];
+    name = lexicon.lexicons.map(l => [l.label || l.id, l.version].filter(Boolean).join(' ')).join(', ') || 'WordNet';
+    outputPath = OUTPUT_FILE.replace(/\.lino$/, `-${language}.lino`);
+    console.log(`  Language: ${language}`);
+  }
 
-    // Parse Sense (link to synset)
-    const senseMatch = line.match(/<Sense\s+([^>]+)/);
-    if (senseMatch && currentEntry) {
-      const attrs = senseMatch[1];
-      const synsetMatch = attrs.match(/synset="([^"]+)"/);
-      if (synsetMatch) {
-        currentEntry.synsets.push(synsetMatch[1]);
-      }
-    }
+  const synsets = [...lexicon.synsets.values()];
+  const entries = lexicon.entries.filter(entry => entry.lemmas.length > 0);
 
-    // End of LexicalEntry
-    if (line.includes('</LexicalEntry>') && currentEntry) {
-      if (currentEntry.lemmas.length > 0) {
-        entries.push(currentEntry);
-      }
-      currentEntry = null;
-    }
+  // Senses that take part in a sense relation, either as source or target
+  const senses = new Map();  // senseId -> {lemma, synset, relations}
+  const relatedSenseIds = new Set();
+  let synsetRelationCount = 0;
+  let senseRelationCount = 0;
 
-    // Parse Synset
-    const synsetMatch = line.match(/<Synset\s+([^>]+)>/);
-    if (synsetMatch) {
-      const attrs = synsetMatch[1];
-      const idMatch = attrs.match(/id="([^"]+)"/);
-      const posMatch = attrs.match(/partOfSpeech="([^"]+)"/);
-      const iliMatch = attrs.match(/ili="([^"]*)"/);
-      if (idMatch) {
-        currentSynset = {
-          id: idMatch[1],
-          partOfSpeech: posMatch ? posMatch[1] : '',
-          ili: iliMatch ? iliMatch[1] : '',
-          definitions: [],
-          examples: [],
-        };
-      }
-    }
+  for (const synset of synsets) {
+    synsetRelationCount += synset.relations.length;
+  }
 
-    // Parse Definition
-    if (line.includes('<Definition')) {
-      inDefinition = true;
-      definitionText = '';
-      const defMatch = line.match(/<Definition[^>]*>([^<]*)<\/Definition>/);
-      if (defMatch) {
-        definitionText = decodeXmlEntities(defMatch[1]);
-        inDefinition = false;
-        if (currentSynset) {
-          currentSynset.definitions.push(definitionText);
-        }
-      } else {
-        const startMatch = line.match(/<Definition[^>]*>([^<]*)/);
-        if (startMatch) {
-          definitionText = decodeXmlEntities(startMatch[1]);
-        }
-      }
-    } else if (inDefinition) {
-      const endMatch = line.match(/([^<]*)<\/Definition>/);
-      if (endMatch) {
-        definitionText += decodeXmlEntities(endMatch[1]);
-        inDefinition = false;
-        if (currentSynset) {
-          currentSynset.definitions.push(definitionText);
+  for (const entry of entries) {
+    for (const sense of entry.senses) {
+      senses.set(sense.id, { lemma: entry.lemmas[0].writtenForm, synset: sense.synset, relations: sense.relations });
+      if (sense.relations.length > 0) {
+        relatedSenseIds.add(sense.id);
+        senseRelationCount += sense.relations.length;
+        for (const relation of sense.relations) {
+          relatedSenseIds.add(relation.target);
         }
-      } else {
-        definitionText += decodeXmlEntities(line);
       }
     }
-
-    // Parse Example
-    const exampleMatch = line.match(/<Example>([^<]*)<\/Example>/);
-    if (exampleMatch && currentSynset) {
-      currentSynset.examples.push(decodeXmlEntities(exampleMatch[1]));
-    }
-
-    // End of Synset
-    if (line.includes('</Synset>') && currentSynset) {
-      synsets.push(currentSynset);
-      currentSynset = null;
-    }
-
-    if (lineCount % 200000 === 0) {
-      console.log(`  Parsed ${lineCount} lines...`);
-    }
   }
 
-  console.log(`  Total lines: ${lineCount}`);
-  console.log(`  Synsets: ${synsets.length}`);
-  console.log(`  Lexical entries: ${entries.length}`);
+  console.log(`  Synset relations: ${synsetRelationCount}`);
+  console.log(`  Sense relations: ${senseRelationCount}`);
 
   // Generate Links Notation output
   console.log('\nGenerating Links Notation output...');
@@ -191,12 +131,16 @@ async function convertToLino(filePath, outputPath) {
   const lines = [];
 
   // Header
-  lines.push('// Open English WordNet 2024 - Source Data');
+  lines.push(`// ${name} - Source Data`);
   lines.push('// Converted from XML to Links Notation format');
-  lines.push('// Source: https://en-word.net/ (CC BY 4.0)');
+  if (!custom) {
+    lines.push('// Source: https://en-word.net/ (CC BY 4.0)');
+  }
   lines.push(`// Generated: ${new Date().toISOString()}`);
   lines.push(`// Total synsets: ${synsets.length}`);
   lines.push(`// Total lexical entries: ${entries.length}`);
+  lines.push(`// Total synset relations: ${synsetRelationCount}`);
+  lines.push(`// Total sense relations: ${senseRelationCount}`);
   lines.push('');
 
   // Synsets section
@@ -204,7 +148,7 @@ async function convertToLino(filePath, outputPath) {
   lines.push('');
 
   for (const synset of synsets) {
-    const synsetId = synset.id.replace(/[^a-z0-9]/gi, '_');
+    const synsetId = toLinoId(synset.id);
 
     lines.push(`(${synsetId} isa synset)`);
     lines.push(`(${synsetId} pos ${synset.partOfSpeech})`);
@@ -221,6 +165,10 @@ async function convertToLino(filePath, outputPath) {
       lines.push(`(${synsetId} example "${escapeForLino(ex)}")`);
     }
 
+    for (const relation of synset.relations) {
+      lines.push(`(${synsetId} ${toLinoId(relation.relType)} ${toLinoId(relation.target)})`);
+    }
+
     lines.push('');
   }
 
@@ -230,24 +178,42 @@ async function convertToLino(filePath, outputPath) {
 
   for (const entry of entries) {
     for (const lemma of entry.lemmas) {
-      const lemmaId = lemma.form.toLowerCase().replace(/[^a-z0-9]/gi, '_');
+      const lemmaId = toLinoId(lemma.writtenForm.toLowerCase());
 
       // Link lemma to synsets
-      for (const synsetId of entry.synsets) {
-        const synsetIdNorm = synsetId.replace(/[^a-z0-9]/gi, '_');
-        lines.push(`(${lemmaId} sense ${synsetIdNorm})`);
+      for (const sense of entry.senses) {
+        lines.push(`(${lemmaId} sense ${toLinoId(sense.synset)})`);
       }
 
       // Add written form and POS if not already implied
-      if (lemma.form !== lemmaId) {
-        lines.push(`(${lemmaId} written_form "${escapeForLino(lemma.form)}")`);
+      if (lemma.writtenForm !== lemmaId) {
+        lines.push(`(${lemmaId} written_form "${escapeForLino(lemma.writtenForm)}")`);
       }
-      if (lemma.pos) {
-        lines.push(`(${lemmaId} pos ${lemma.pos})`);
+      if (lemma.partOfSpeech) {
+        lines.push(`(${lemmaId} pos ${lemma.partOfSpeech})`);
       }
     }
   }
 
+  // Sense relations section
+  lines.push('');
+  lines.push('// === SENSE RELATIONS ===');
+  lines.push('');
+
+  for (const senseId of relatedSenseIds) {
+    const sense = senses.get(senseId);
+    if (!sense) continue;
+
+    const senseIdNorm = toLinoId(senseId);
+    lines.push(`(${senseIdNorm} isa sense)`);
+    lines.push(`(${senseIdNorm} lemma ${toLinoId(sense.lemma.toLowerCase())})`);
+    lines.push(`(${senseIdNorm} synset ${toLinoId(sense.synset)})`);
+
+    for (const relation of sense.relations) {
+      lines.push(`(${senseIdNorm} ${toLinoId(relation.relType)} ${toLinoId(relation.target)})`);
+    }
+  }
+
   // Write output
   const output = lines.join('\n');
   writeFileSync(outputPath, output);
@@ -261,13 +227,13 @@ async function convertToLino(filePath, outputPath) {
 async function main() {
   console.log('=== WordNet to Links Notation Converter ===\n');
 
-  if (!existsSync(WORDNET_FILE)) {
-    console.error(`Error: WordNet data file not found: ${WORDNET_FILE}`);
+  if (!existsSync(WORDNET_CONFIG.file)) {
+    console.error(`Error: WordNet data file not found: ${WORDNET_CONFIG.file}`);
     console.error('Please run "node scripts/download.mjs" first to download the data.');
     process.exit(1);
   }
 
-  await convertToLino(WORDNET_FILE, OUTPUT_FILE);
+  await convertToLino(WORDNET_CONFIG.file, WORDNET_CONFIG.custom);
   console.log('\nConversion complete!');
 }
 
@@ -0,0 +1,250 @@
+/**
+ * Cycles Module
+ *
+ * Explicit definitional cycles in a CompactGraph, as evidence for the
+ * primes found by the SCC search: membership in a strongly connected
+ * component says that a word lies on a cycle, these functions say which.
+ *
+ *   - Shortest cycle through a node: bidirectional breadth-first search,
+ *     forward along definition edges and backward along the reverse graph,
+ *     until the two searches meet, restricted to the node's strongly
+ *     connected component (every cycle through a node stays inside it).
+ *     Expanding the smaller side keeps the search small for rarely used
+ *     words, which a one-sided search would explore the whole component for.
+ *   - All elementary cycles up to a length: Johnson's algorithm with the
+ *     length bound of Gupta and Suzumura ("Finding All Bounded-Length Simple
+ *     Cycles in a Directed Graph", 2021), run per strongly connected
+ *     component. Instead of Johnson's blocked flag every node carries a lock,
+ *     the shortest path length from the start at which entering it can no
+ *     longer close a cycle within the bound; locks are raised again (the
+ *     unblocking step) once a node is known to reach the start.
+ */
+
+import { findStronglyConnectedComponents } from './graph.mjs';
+
+/**
+ * Finds the shortest cycle through a node. Search buffers are allocated
+ * once and reused, so the finder can be called for every node of a large
+ * graph.
+ */
+export class ShortestCycleFinder {
+  /**
+   * @param {CompactGraph} graph
+   * @param {Int32Array} [componentOf] - Component per node from
+   *   findStronglyConnectedComponents; limits the search to the component
+   */
+  constructor(graph, componentOf = null) {
+    this.graph = graph;
+    this.reversed = graph.reverse();
+    this.componentOf = componentOf;
+    // Forward and backward search state: distance from / to the start node,
+    // the neighbour towards the start, and the queue of visited nodes
+    this.forward = ShortestCycleFinder.searchState(graph.size);
+    this.backward = ShortestCycleFinder.searchState(graph.size);
+  }
+
+  static searchState(size) {
+    return {
+      distance: new Int32Array(size).fill(-1),
+      parent: new Int32Array(size).fill(-1),
+      queue: new Uint32Array(size),
+      head: 0,
+      tail: 0,
+    };
+  }
+
+  /**
+   * Shortest cycle through a node.
+   * @param {number} start - Node id
+   * @returns {Array<number>|null} Node ids from start back to start
+   *   ([start, start] for a self-loop), or null if the node is on no cycle
+   */
+  find(start) {
+    const { graph, reversed, componentOf, forward, backward } = this;
+    if (graph.hasSelfLoop(start)) return [start, start];
+
+    const component = componentOf ? componentOf[start] : -1;
+    for (const side of [forward, backward]) {
+      side.distance[start] = 0;
+      side.queue[0] = start;
+      side.head = 0;
+      side.tail = 1;
+    }
+
+    // Expand whole levels, the smaller side first (both sides once at the
+    // start); the first level in which the searches meet holds the shortest
+    // cycle
+    let meet = -1;
+    let best = Infinity;
+    for (let step = 0; meet === -1; step++) {
+      const forwardSize = forward.tail - forward.head;
+      const backwardSize = backward.tail - backward.head;
+      if (forwardSize === 0 || backwardSize === 0) break;
+
+      const expandForward = step === 0 || (step > 1 && forwardSize <= backwardSize);
+      const [side, other, edges] = expandForward ? [forward, backward, graph] : [backward, forward, reversed];
+      const levelEnd = side.tail;
+      for (; side.head < levelEnd; side.head++) {
+        const v = side.queue[side.head];
+        for (const w of edges.neighbors(v)) {
+          if (side.distance[w] !== -1 || (componentOf && componentOf[w] !== component)) continue;
+          side.distance[w] = side.distance[v] + 1;
+          side.parent[w] = v;
+          side.queue[side.tail++] = w;
+          if (other.distance[w] !== -1 && side.distance[w] + other.distance[w] < best) {
+            best = side.distance[w] + other.distance[w];
+            meet = w;
+          }
+        }
+      }
+    }
+
+    let cycle = null;
+    if (meet !== -1) {
+      cycle = [];
+      for (let v = meet; v !== start; v = forward.parent[v]) cycle.push(v);
+      cycle.push(start);
+      cycle.reverse();
+      for (let v = backward.parent[meet]; v !== start; v = backward.parent[v]) cycle.push(v);
+      cycle.push(start);
+    }
+
+    // Reset only the nodes this search touched
+    for (const side of [forward, backward]) {
+      for (let i = 0; i < side.tail; i++) side.distance[side.queue[i]] = -1;
+    }
+    return cycle;
+  }
+}
+
+/**
+ * Enumerate the elementary cycles of a graph up to a length.
+ *
+ * Each cycle is reported once, starting at its smallest node id. The search
+ * for the cycles through a start node only enters larger node ids of the
+ * same strongly connected component.
+ *
+ * @param {CompactGraph} graph
+ * @param {Object} [options]
+ * @param {number} [options.maxLength=4] - Longest cycle (number of edges)
+ * @param {number} [options.minLength=2] - Shortest cycle reported (1 includes self-loops)
+ * @param {number} [options.limit=100000] - Stop after this many cycles
+ * @param {Object} [options.components] - Result of findStronglyConnectedComponents
+ * @returns {{cycles: Array<Array<number>>, truncated: boolean, lengthCounts: Array<number>,
+ *            participation: Array<Uint32Array|null>|null}}
+ *   Cycles as node ids without repeating the start, whether the limit was
+ *   reached, the number of cycles found per length, and per length the
+ *   number of cycles each node lies on (null below minLength). A truncated
+ *   search has only met the cycles through the smallest node ids, so its
+ *   participation is null rather than counts biased towards them
+ * @throws {Error} If a length bound is not a positive integer or minLength > maxLength
+ */
+export function enumerateCycles(graph, { maxLength = 4, minLength = 2, limit = 100000, components = null } = {}) {
+  if (!Number.isInteger(maxLength) || maxLength < 1 || !Number.isInteger(minLength) || minLength < 1) {
+    throw new Error(`Cycle length bounds must be positive integers, got ${minLength}-${maxLength}`);
+  }
+  if (minLength > maxLength) {
+    throw new Error(`Minimum cycle length ${minLength} exceeds maximum ${maxLength}`);
+  }
+
+  const { count, componentOf, componentOffsets, componentNodes } = components || findStronglyConnectedComponents(graph);
+  const n = graph.size;
+  const cycles = [];
+  const lengthCounts = new Array(maxLength + 1).fill(0);
+  const participation = lengthCounts.map((_, length) => (length >= minLength ? new Uint32Array(n) : null));
+
+  // lock[v]: paths of this length or longer from the start may not enter v
+  const unlocked = maxLength + 1;
+  const lock = new Int32Array(n).fill(unlocked);
+  // blocked[v]: searched predecessors of v, relaxed together with v
+  const blocked = new Map();
+  // Locks of nodes on the path may be raised by the search below them, so
+  // the path is marked separately
+  const onPath = new Uint8Array(n);
+  const touched = [];
+  const path = [];
+  let start = -1;
+  let component = -1;
+  let truncated = false;
+
+  function record() {
+    const length = path.length;
+    if (length < minLength) return;
+    if (cycles.length >= limit) {
+      truncated = true;
+      return;
+    }
+    cycles.push(path.slice());
+    lengthCounts[length]++;
+    for (const v of path) participation[length][v]++;
+  }
+
+  // Raise the lock of u to the given level, and those of the nodes blocked
+  // behind it one edge further each. The nodes behind u are visited even if
+  // its lock was already that high, since some may have been blocked behind
+  // it after its lock was raised while it was on the path
+  function relaxLocks(u, level) {
+    lock[u] = Math.max(lock[u], level);
+    const stack = [];
+    for (const w of blocked.get(u) || []) stack.push(w, lock[u] - 1);
+    while (stack.length > 0) {
+      const l = stack.pop();
+      const v = stack.pop();
+      if (lock[v] >= l) continue;
+      lock[v] = l;
+      for (const w of blocked.get(v) || []) stack.push(w, l - 1);
+    }
+  }
+
+  // Search the cycles through the start that continue from v, reached by a
+  // path of length flen; returns the shortest distance from v back to the
+  // start found (Infinity if none)
+  function search(v, flen) {
+    if (lock[v] === unlocked) touched.push(v);
+    lock[v] = flen;
+    onPath[v] = 1;
+    path.push(v);
+    let distance = Infinity;
+    for (const w of graph.neighbors(v)) {
+      if (truncated) break;
+      if (w === start) {
+        record();
+        distance = 1;
+      } else if (w > start && componentOf[w] === component && !onPath[w] && flen + 1 < maxLength && flen + 1 < lock[w]) {
+        distance = Math.min(distance, search(w, flen + 1) + 1);
+      }
+    }
+    // A lock raised while v was on the path also counts: a successor
+    // reaches the start after all
+    if (distance !== Infinity || lock[v] > flen) {
+      relaxLocks(v, Math.max(lock[v], maxLength - distance + 1));
+    }
+    // Successors may reach the start by a shorter route once the current
+    // path is gone, so v is relaxed with them even after finding cycles
+    for (const w of graph.neighbors(v)) {
+      if (w <= start || componentOf[w] !== component) continue;
+      if (!blocked.has(w)) blocked.set(w, new Set());
+      blocked.get(w).add(v);
+    }
+    path.pop();
+    onPath[v] = 0;
+    return distance;
+  }
+
+  for (let c = 0; c < count && !truncated; c++) {
+    const members = componentNodes.subarray(componentOffsets[c], componentOffsets[c + 1]);
+    if (members.length === 1 && !(minLength === 1 && graph.hasSelfLoop(members[0]))) continue;
+    const ordered = Array.from(members).sort((a, b) => a - b);
+    component = c;
+    for (const s of ordered) {
+      start = s;
+      search(s, 0);
+      for (const v of touched) lock[v] = unlocked;
+      touched.length = 0;
+      blocked.clear();
+      if (truncated) break;
+    }
+  }
+
+  return { cycles, truncated, lengthCounts, participation: truncated ? null : participation };
+}
@@ -0,0 +1,525 @@
+/**
+ * Dictionary Structure Module
+ *
+ * Layers of a definition graph from the dictionary-structure literature
+ * (Vincent-Lamarre et al., 2016). Edges point from a word to the words used
+ * in its definition.
+ *
+ *   - Kernel: what remains after iteratively removing every word that is not
+ *     used to define any other remaining word. Every word outside the kernel
+ *     can be defined from kernel words alone.
+ *   - Core: the largest strongly connected component inside the kernel.
+ *   - MinSets: minimum feedback vertex sets, the smallest word sets whose
+ *     removal leaves no definitional cycle. Once the words of a MinSet are
+ *     known, every other word can be defined from them. Finding a minimum
+ *     set is NP-hard, so approximate sets are computed with the classic
+ *     reduction rules (Levy & Low, 1988) and a greedy choice, followed by a
+ *     pass that drops words that are no longer needed.
+ *   - Definitional depth: how many definition steps separate a word from the
+ *     primitive layer, measured on the condensation DAG (one node per SCC).
+ *   - Prime levels: a layered hierarchy built in rounds. The primes are
+ *     frozen as level 0; each round then freezes the words that can be
+ *     defined from frozen words only, as the next level.
+ *   - Peeling: the cyclic components are taken apart by repeatedly removing
+ *     their most central words; the round in which a word drops out of
+ *     circularity ranks how deeply it is embedded in circular definition.
+ *
+ * References:
+ *   Vincent-Lamarre, P. et al. (2016). The Latent Structure of Dictionaries.
+ *     Topics in Cognitive Science 8(3).
+ *   Levy, H. & Low, D. W. (1988). A contraction algorithm for finding small
+ *     cycle cutsets. Journal of Algorithms 9(4).
+ */
+
+import { findStronglyConnectedComponents, buildCondensation } from './graph.mjs';
+import { pageRank } from './centrality.mjs';
+
+/**
+ * Greedy choices for the approximate feedback vertex set. Each scores a node
+ * from its in- and out-degree in the reduced graph; the highest score is
+ * taken into the set when no reduction rule applies.
+ */
+export const FVS_STRATEGIES = {
+  'degree-product': (inDegree, outDegree) => inDegree * outDegree,
+  'degree-sum': (inDegree, outDegree) => inDegree + outDegree,
+  'in-degree': (inDegree, outDegree) => inDegree * 1e6 + outDegree,
+  'out-degree': (inDegree, outDegree) => outDegree * 1e6 + inDegree,
+};
+
+/**
+ * Compute the kernel of a definition graph by repeatedly removing words
+ * that are not used in the definition of any other remaining word.
+ * Self-loops do not count: a word used only in its own definition is
+ * removed like any other unused word.
+ * @param {CompactGraph} graph
+ * @returns {Uint8Array} 1 for kernel nodes
+ */
+export function computeKernel(graph) {
+  const n = graph.size;
+  const { offsets, targets } = graph;
+  const usedBy = new Uint32Array(n);
+
+  for (let v = 0; v < n; v++) {
+    for (let e = offsets[v]; e < offsets[v + 1]; e++) {
+      if (targets[e] !== v) usedBy[targets[e]]++;
+    }
+  }
+
+  const kernel = new Uint8Array(n).fill(1);
+  const queue = [];
+  for (let v = 0; v < n; v++) {
+    if (usedBy[v] === 0) queue.push(v);
+  }
+
+  while (queue.length > 0) {
+    const v = queue.pop();
+    kernel[v] = 0;
+    for (let e = offsets[v]; e < offsets[v + 1]; e++) {
+      const w = targets[e];
+      if (w !== v && --usedBy[w] === 0) {
+        queue.push(w);
+      }
+    }
+  }
+
+  return kernel;
+}
+
+/**
+ * Compute the core: the largest strongly connected component of the kernel.
+ * @param {CompactGraph} graph
+ * @param {Uint8Array} kernel - Kernel mask from computeKernel
+ * @returns {Uint8Array} 1 for core nodes
+ */
+export function computeCore(graph, kernel) {
+  const { count, componentOffsets, componentNodes } = findStronglyConnectedComponents(graph.subgraph(kernel));
+
+  let largest = -1;
+  let largestSize = 0;
+  for (let c = 0; c < count; c++) {
+    const size = componentOffsets[c + 1] - componentOffsets[c];
+    if (size > largestSize && kernel[componentNodes[componentOffsets[c]]]) {
+      largest = c;
+      largestSize = size;
+    }
+  }
+
+  const core = new Uint8Array(graph.size);
+  if (largest !== -1 && (largestSize > 1 || graph.hasSelfLoop(componentNodes[componentOffsets[largest]]))) {
+    for (let i = componentOffsets[largest]; i < componentOffsets[largest + 1]; i++) {
+      core[componentNodes[i]] = 1;
+    }
+  }
+  return core;
+}
+
+/**
+ * Compute the definitional depth of every strongly connected component.
+ *
+ * A prime component is an SCC that contains a cycle: more than one word, or
+ * a word used in its own definition. Paths are followed down the
+ * condensation DAG until they reach the first prime component, so prime
+ * words have depth 0 and are grounded in their own component. Every other
+ * component gets the longest and shortest number of steps to a prime
+ * component, and the prime components reached that way. Components that
+ * reach no prime component are ungrounded (depth -1, groundedIn null).
+ *
+ * @param {CompactGraph} graph
+ * @param {Object} components - Result of findStronglyConnectedComponents
+ * @returns {{condensation: CompactGraph, isPrime: Uint8Array, longest: Int32Array,
+ *            shortest: Int32Array, groundedIn: Array<Array<number>|null>}}
+ *          Indexed by component; groundedIn lists prime component numbers
+ */
+export function computeDefinitionalDepth(graph, components) {
+  const { count, componentOffsets, componentNodes } = components;
+  const condensation = buildCondensation(graph, components);
+
+  const isPrime = new Uint8Array(count);
+  for (let c = 0; c < count; c++) {
+    const size = componentOffsets[c + 1] - componentOffsets[c];
+    if (size > 1 || graph.hasSelfLoop(componentNodes[componentOffsets[c]])) {
+      isPrime[c] = 1;
+    }
+  }
+
+  const longest = new Int32Array(count).fill(-1);
+  const shortest = new Int32Array(count).fill(-1);
+  const groundedIn = new Array(count).fill(null);
+  const interned = new Map();  // shared grounding sets, keyed by their members
+
+  // Tarjan numbers components so that dependencies come first
+  for (let c = 0; c < count; c++) {
+    if (isPrime[c]) {
+      longest[c] = 0;
+      shortest[c] = 0;
+      groundedIn[c] = [c];
+      continue;
+    }
+
+    let grounding = null;
+    let merged = null;
+    for (const d of condensation.neighbors(c)) {
+      if (longest[d] === -1) continue;
+      longest[c] = Math.max(longest[c], longest[d] + 1);
+      shortest[c] = shortest[c] === -1 ? shortest[d] + 1 : Math.min(shortest[c], shortest[d] + 1);
+      if (grounding === null) {
+        grounding = groundedIn[d];
+      } else if (grounding !== groundedIn[d]) {
+        merged = merged || new Set(grounding);
+        for (const prime of groundedIn[d]) merged.add(prime);
+      }
+    }
+
+    if (merged) {
+      const members = [...merged].sort((a, b) => a - b);
+      const key = members.join(',');
+      if (!interned.has(key)) interned.set(key, members);
+      grounding = interned.get(key);
+    }
+    groundedIn[c] = grounding;
+  }
+
+  return { condensation, isPrime, longest, shortest, groundedIn };
+}
+
+/**
+ * Layer a graph into prime levels. The base words (primes) are level 0 and
+ * are frozen as given vocabulary. In round N, every word whose definition
+ * uses frozen words only becomes level N and is frozen in turn, so a word's
+ * level is one more than the highest level among the words defining it.
+ * Words with no definition words, words left in a cycle outside the base,
+ * and words that depend on them cannot be defined from the base and keep
+ * level -1.
+ *
+ * @param {CompactGraph} graph
+ * @param {Uint8Array} base - 1 for level-0 words
+ * @returns {{level: Int32Array, levels: number}} Level per node and number
+ *   of levels (including level 0)
+ */
+export function computePrimeLevels(graph, base) {
+  const n = graph.size;
+  const level = new Int32Array(n).fill(-1);
+  const unresolved = new Uint32Array(n);  // definition words not frozen yet
+  const users = graph.reverse();
+
+  let frontier = [];
+  for (let v = 0; v < n; v++) {
+    if (base[v]) {
+      level[v] = 0;
+      frontier.push(v);
+    } else {
+      unresolved[v] = graph.outDegree(v);
+    }
+  }
+
+  let levels = frontier.length > 0 ? 1 : 0;
+  while (frontier.length > 0) {
+    const next = [];
+    for (const v of frontier) {
+      for (const u of users.neighbors(v)) {
+        if (level[u] !== -1) continue;
+        if (--unresolved[u] === 0) {
+          level[u] = levels;
+          next.push(u);
+        }
+      }
+    }
+    if (next.length > 0) levels++;
+    frontier = next;
+  }
+
+  return { level, levels };
+}
+
+/**
+ * Check whether a graph has no cycles once some nodes are removed.
+ * @param {CompactGraph} graph
+ * @param {Uint8Array} removed - 1 for removed nodes
+ * @returns {boolean}
+ */
+export function isAcyclicWithout(graph, removed) {
+  const keep = removed.map(r => (r ? 0 : 1));
+  const remaining = graph.subgraph(keep);
+  const { count } = findStronglyConnectedComponents(remaining);
+  if (count !== graph.size) return false;
+  for (let v = 0; v < graph.size; v++) {
+    if (keep[v] && remaining.hasSelfLoop(v)) return false;
+  }
+  return true;
+}
+
+/**
+ * Approximate a minimum feedback vertex set (MinSet) of a graph.
+ *
+ * Only edges inside strongly connected components can lie on cycles, so the
+ * search works on those. It repeatedly applies the reduction rules:
+ *   - a node with a self-loop must be in the set
+ *   - a node without predecessors or successors lies on no cycle
+ *   - a node with a single predecessor (or successor) can be bypassed by
+ *     linking that predecessor to its successors (or its predecessors to
+ *     that successor)
+ * and, when none applies, takes the node preferred by the strategy. Finally
+ * nodes whose removal turned out to be unnecessary are dropped again.
+ *
+ * @param {CompactGraph} graph
+ * @param {Object} [options]
+ * @param {string} [options.strategy] - Key of FVS_STRATEGIES (default 'degree-product')
+ * @returns {Array<number>} Node ids of the feedback vertex set
+ */
+export function approximateFeedbackVertexSet(graph, { strategy = 'degree-product' } = {}) {
+  const score = FVS_STRATEGIES[strategy];
+  if (!score) {
+    throw new Error(`Unknown feedback vertex set strategy "${strategy}". Available: ${Object.keys(FVS_STRATEGIES).join(', ')}`);
+  }
+
+  const n = graph.size;
+  const { componentOf } = findStronglyConnectedComponents(graph);
+
+  // Mutable copy of the edges inside components
+  const successors = new Array(n);
+  const predecessors = new Array(n);
+  const active = new Uint8Array(n);
+
+  for (let v = 0; v < n; v++) {
+    for (const w of graph.neighbors(v)) {
+      if (componentOf[v] !== componentOf[w]) continue;
+      if (!successors[v]) successors[v] = new Set();
+      if (!predecessors[w]) predecessors[w] = new Set();
+      successors[v].add(w);
+      predecessors[w].add(v);
+      active[v] = 1;
+      active[w] = 1;
+    }
+  }
+
+  // Nodes that may still be picked; every node is checked for reductions first
+  let candidates = [];
+  for (let v = 0; v < n; v++) {
+    if (active[v]) candidates.push(v);
+  }
+  const queue = [...candidates];
+  const selected = [];
+
+  function addEdge(from, to) {
+    successors[from].add(to);
+    predecessors[to].add(from);
+  }
+
+  function remove(v) {
+    active[v] = 0;
+    for (const w of successors[v]) {
+      if (w !== v) {
+        predecessors[w].delete(v);
+        queue.push(w);
+      }
+    }
+    for (const u of predecessors[v]) {
+      if (u !== v) {
+        successors[u].delete(v);
+        queue.push(u);
+      }
+    }
+    successors[v] = null;
+    predecessors[v] = null;
+  }
+
+  function reduce() {
+    while (queue.length > 0) {
+      const v = queue.pop();
+      if (!active[v]) continue;
+      const out = successors[v];
+      const inc = predecessors[v];
+
+      if (out.has(v)) {
+        selected.push(v);
+        remove(v);
+      } else if (out.size === 0 || inc.size === 0) {
+        remove(v);
+      } else if (inc.size === 1) {
+        const [u] = inc;
+        for (const w of out) addEdge(u, w);
+        remove(v);
+      } else if (out.size === 1) {
+        const [w] = out;
+        for (const u of inc) addEdge(u, w);
+        remove(v);
+      }
+    }
+  }
+
+  reduce();
+  for (;;) {
+    candidates = candidates.filter(v => active[v]);
+    let best = -1;
+    let bestScore = -Infinity;
+    for (const v of candidates) {
+      const s = score(predecessors[v].size, successors[v].size);
+      if (s > bestScore) {
+        best = v;
+        bestScore = s;
+      }
+    }
+    if (best === -1) break;
+    selected.push(best);
+    remove(best);
+    reduce();
+  }
+
+  return pruneFeedbackVertexSet(graph, componentOf, selected);
+}
+
+/**
+ * Drop nodes from a feedback vertex set that lie on no cycle of the graph
+ * without the rest of the set. Later picks are checked first, since greedy
+ * choices made early tend to be the most useful.
+ */
+function pruneFeedbackVertexSet(graph, componentOf, selected) {
+  const inSet = new Uint8Array(graph.size);
+  for (const v of selected) inSet[v] = 1;
+
+  const visited = new Uint32Array(graph.size);
+  let stamp = 0;
+
+  function onCycle(s) {
+    stamp++;
+    const stack = [s];
+    while (stack.length > 0) {
+      const v = stack.pop();
+      for (const w of graph.neighbors(v)) {
+        if (componentOf[w] !== componentOf[s]) continue;
+        if (w === s) return true;
+        if (inSet[w] || visited[w] === stamp) continue;
+        visited[w] = stamp;
+        stack.push(w);
+      }
+    }
+    return false;
+  }
+
+  for (let i = selected.length - 1; i >= 0; i--) {
+    const v = selected[i];
+    inSet[v] = 0;
+    if (onCycle(v)) {
+      inSet[v] = 1;
+    }
+  }
+
+  return selected.filter(v => inSet[v]);
+}
+
+/**
+ * Centrality scores used to pick the words removed in each peeling round.
+ * Each takes a component subgraph and returns one score per local node;
+ * edges point from a word to the words used in its definition, so in-degree
+ * counts how often a word is used inside the component.
+ */
+export const PEEL_STRATEGIES = {
+  'in-degree': (graph) => {
+    const scores = new Float64Array(graph.size);
+    for (const w of graph.targets) scores[w]++;
+    return scores;
+  },
+  'out-degree': (graph) => Float64Array.from(graph.nodes, (_, v) => graph.outDegree(v)),
+  'degree-product': (graph) => {
+    const scores = PEEL_STRATEGIES['in-degree'](graph);
+    for (let v = 0; v < graph.size; v++) scores[v] *= graph.outDegree(v);
+    return scores;
+  },
+  'pagerank': (graph) => pageRank(graph),
+};
+
+/**
+ * Take the cyclic components of a graph apart. In every round, each
+ * component that still contains a cycle loses its highest-scoring words
+ * (batch per component), and its SCCs are recomputed. A word drops out of
+ * circularity in the round in which it is removed or in which it is left
+ * in no cycle. Words that drop out late are the most deeply embedded in
+ * circular definition.
+ *
+ * @param {CompactGraph} graph
+ * @param {Object} [options]
+ * @param {string} [options.strategy] - Key of PEEL_STRATEGIES (default 'in-degree')
+ * @param {number} [options.batch] - Words removed per component and round: a
+ *   fraction of the component size if below 1, a whole count otherwise (default 0.01)
+ * @returns {{rounds: number, dropoutRound: Int32Array, removed: Uint8Array, order: Array<number>}}
+ *   dropoutRound is -1 for words that are never in a cycle; order lists the
+ *   cyclic words from most to least deeply embedded
+ */
+export function peelCycles(graph, { strategy = 'in-degree', batch = 0.01 } = {}) {
+  const score = PEEL_STRATEGIES[strategy];
+  if (!score) {
+    throw new Error(`Unknown peeling strategy "${strategy}". Available: ${Object.keys(PEEL_STRATEGIES).join(', ')}`);
+  }
+  if (!(batch > 0) || (batch >= 1 && !Number.isInteger(batch))) {
+    throw new Error(`Invalid peeling batch: ${batch} (expected a fraction in (0, 1) or a whole count >= 1)`);
+  }
+
+  const n = graph.size;
+  const dropoutRound = new Int32Array(n).fill(-1);
+  const removed = new Uint8Array(n);
+  const removalScore = new Float64Array(n);
+
+  // Cyclic components of a node list (in global ids)
+  function cyclicComponents(nodeIds) {
+    const local = graph.induced(nodeIds);
+    const { count, componentOffsets, componentNodes } = findStronglyConnectedComponents(local);
+    const cyclic = [];
+    const acyclic = [];
+    for (let c = 0; c < count; c++) {
+      const members = componentNodes.subarray(componentOffsets[c], componentOffsets[c + 1]);
+      const global = Array.from(members, v => nodeIds[v]);
+      if (members.length > 1 || local.hasSelfLoop(members[0])) {
+        cyclic.push(global);
+      } else {
+        acyclic.push(global[0]);
+      }
+    }
+    return { cyclic, acyclic };
+  }
+
+  let components = cyclicComponents([...graph.nodes.keys()]).cyclic;
+  let rounds = 0;
+
+  while (components.length > 0) {
+    rounds++;
+    const next = [];
+
+    for (const component of components) {
+      const local = graph.induced(component);
+      const scores = score(local);
+      const size = batch < 1 ? Math.max(1, Math.floor(component.length * batch)) : Math.min(batch, component.length);
+      const ranked = [...component.keys()].sort((a, b) => scores[b] - scores[a] || component[a] - component[b]);
+
+      const removedNow = new Set();
+      for (const i of ranked.slice(0, size)) {
+        const v = component[i];
+        removed[v] = 1;
+        removalScore[v] = scores[i];
+        dropoutRound[v] = rounds;
+        removedNow.add(v);
+      }
+
+      const remaining = component.filter(v => !removedNow.has(v));
+      if (remaining.length === 0) continue;
+      const { cyclic, acyclic } = cyclicComponents(remaining);
+      for (const v of acyclic) {
+        dropoutRound[v] = rounds;
+      }
+      next.push(...cyclic);
+    }
+
+    components = next;
+  }
+
+  // Latest dropouts first; in a round, removed (central) words before the
+  // words they freed, then by the score they were removed with
+  const order = [...graph.nodes.keys()]
+    .filter(v => dropoutRound[v] !== -1)
+    .sort((a, b) =>
+      dropoutRound[b] - dropoutRound[a] ||
+      removed[b] - removed[a] ||
+      removalScore[b] - removalScore[a] ||
+      graph.name(a).localeCompare(graph.name(b)));
+
+  return { rounds, dropoutRound, removed, order };
+}
@@ -21,14 +21,128 @@
  *   --stop-words=<file>  Use stop words from file (one word per line)
  *   --use-default-stop-words  Use built-in stop words list
  *   (no flag)            No stop words (default) - analyze all words
+ *   --edges=<sources>    Edge sources for the dependency graph, comma separated,
+ *                        each optionally weighted as source:weight
+ *                        (definition, hypernym, derivation, similar).
+ *                        Default: definition
+ *   --min-edge-weight=<n>  Drop edges whose combined weight is below n (default 0)
+ *   --mode=<lemma|sense> Graph granularity. "lemma" (default) joins all senses
+ *                        of a word into one node; "sense" uses one node per
+ *                        synset and writes discovered-sense-primes.lino
+ *   --sense-resolution=<lesk|first|all>  How definition tokens are resolved
+ *                        to synsets in sense mode: Lesk-style disambiguation
+ *                        (default), the first (most frequent) sense of each
+ *                        part of speech, or all senses
+ *   --wsd-threshold=<n>  Minimum Lesk confidence (0-1); below it a token is
+ *                        linked to all its senses (default 0.3)
+ *   --no-lemmatize       Do not map inflected definition tokens to their
+ *                        WordNet lemmas ("words" stays "words")
+ *   --no-mwe             Do not match multi-word lemmas ("in front of",
+ *                        "there is") in definitions as single nodes
+ *   --token-min-length=<n>  Shortest token kept (default 1, keeps "i", "be", "if")
+ *   --token-chars=<ascii|letters|alphanumeric>  Characters that form words
+ *                        (default ascii)
+ *   --token-hyphens=<split|keep|join>  Hyphen handling (default split)
+ *   --token-apostrophes=<strip-possessive|split|keep>  Apostrophe handling
+ *                        (default strip-possessive)
+ *   --no-case-folding    Keep the case of tokens that are no WordNet lemma
+ *                        (default: lowercase all tokens); needs the lemmatizer
+ *   --layers             Also write the kernel, core and MinSet layers
+ *                        (discovered-kernel.lino, discovered-core.lino,
+ *                        discovered-minset.lino)
+ *   --minset-strategy=<name>  Greedy choice for the approximate MinSet
+ *                        (degree-product, degree-sum, in-degree,
+ *                        out-degree). Default: degree-product
+ *   --peel               Peel the cyclic components apart; primes then
+ *                        report a primitiveness rank instead of scc_size
+ *                        and scc_sample
+ *   --peel-strategy=<name>  Centrality used to pick the words removed in each
+ *                        peeling round (in-degree, out-degree,
+ *                        degree-product, pagerank). Default: in-degree
+ *   --peel-batch=<n>     Words removed per component and round: a fraction
+ *                        of the component if below 1, a whole count
+ *                        otherwise (default 0.01)
+ *   --prime-levels       Also write the layered prime hierarchy
+ *                        (discovered-levels.lino): primes are level 0, and
+ *                        each further level holds the words definable from
+ *                        the levels below it
+ *   --prime-levels-base=<cycles|minset>  Level-0 words: all words in cycles
+ *                        (default) or the approximate MinSet of
+ *                        --minset-strategy
+ *   --cycles             Also write all elementary definition cycles up to a
+ *                        length (discovered-cycles.lino), with the words on
+ *                        the most short cycles; primes then report
+ *                        short_cycles
+ *   --cycle-max-length=<n>  Longest enumerated cycle (default 4)
+ *   --cycle-limit=<n>    Stop the enumeration after n cycles (default 100000); words
+ *                        are then not ranked by the cycles they lie on
+ *   --explain=<words>    Explain why each word (comma separated) is or is not
+ *                        a prime under the other options: its definitions,
+ *                        the content words kept and the tokens dropped, its
+ *                        SCC, shortest cycle and score breakdown. Written to
+ *                        data/explain-<word>.lino instead of the usual outputs;
+ *                        peeling, cycle enumeration and the graph metrics the
+ *                        score does not use are skipped
+ *   --scoring=<model>    Built-in scoring configuration for prime_score:
+ *                        "heuristic" (default; cycle, self-loop, reference
+ *                        count and word length bonuses) or a graph metric
+ *                        ("pagerank", "in-degree" for weighted in-degree,
+ *                        "betweenness"), scored as the percentile of the
+ *                        metric among primes
+ *   --scoring-config=<file>  Scoring configuration in Links Notation
+ *                        (features, weights and confidence bands; see
+ *                        scoring.mjs and examples/scoring-config.lino)
+ *   --scoring-module=<file>  ES module with custom scoring features and/or a
+ *                        score function (see examples/custom-scoring.mjs)
+ *   --betweenness-samples=<n>  Source words sampled for approximate
+ *                        betweenness (default 100; "all" for exact)
+ *   --wordnet=<file>     Discover primes in another WN-LMF wordnet instead of
+ *                        Open English WordNet; every output file name then
+ *                        ends in the language of the wordnet
+ *                        (discovered-primes-pl.lino). Use --token-chars=letters
+ *                        for scripts other than Latin
  *
  * Requirements: Run download.mjs first to get the WordNet data.
  */
 
-import { createReadStream, existsSync, writeFileSync, readFileSync } from 'fs';
-import { createInterface } from 'readline';
+import { existsSync, writeFileSync, readFileSync } from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { loadWordNet, getSynsetLemmas } from './wordnet-parser.mjs';
+import { addSourceEdges, collectRelationEdges, parseEdgeSources } from './edge-sources.mjs';
+import { LeskDisambiguator, DEFAULT_WSD_OPTIONS } from './word-sense-disambiguation.mjs';
+import { Lemmatizer } from './lemmatizer.mjs';
+import { MweRecognizer } from './mwe-recognizer.mjs';
+import { GraphBuilder, findStronglyConnectedComponents } from './graph.mjs';
+import { weightedInDegree, pageRank, approximateBetweenness } from './centrality.mjs';
+import { ShortestCycleFinder, enumerateCycles } from './cycles.mjs';
+import { resolvePrimeLanguage } from './semantic-primes.mjs';
+import {
+  BUILTIN_SCORING_CONFIGS,
+  SCORING_FEATURES,
+  readScoringConfig,
+  readScoringConfigFile,
+  loadScoringModule,
+  describeScoringConfig,
+  scorePrimes,
+} from './scoring.mjs';
+import {
+  computeKernel,
+  computeCore,
+  computeDefinitionalDepth,
+  computePrimeLevels,
+  approximateFeedbackVertexSet,
+  peelCycles,
+  FVS_STRATEGIES,
+  PEEL_STRATEGIES,
+} from './dictionary-structure.mjs';
+import {
+  DEFAULT_STOP_WORDS,
+  extractContentWords,
+  explainTokens,
+  normalizeTokenizerConfig,
+  describeTokenizerConfig,
+} from './tokenizer.mjs';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -37,6 +151,17 @@ const __dirname = path.dirname(__filename);
 const DATA_DIR = path.join(__dirname, '..', 'data');
 const WORDNET_FILE = path.join(DATA_DIR, 'english-wordnet-2024.xml');
 const OUTPUT_FILE = path.join(DATA_DIR, 'discovered-primes.lino');
+const SENSE_OUTPUT_FILE = path.join(DATA_DIR, 'discovered-sense-primes.lino');
+const DEPTH_OUTPUT_FILE = path.join(DATA_DIR, 'discovered-depth.lino');
+const SENSE_DEPTH_OUTPUT_FILE = path.join(DATA_DIR, 'discovered-sense-depth.lino');
+const LEVELS_OUTPUT_FILE = path.join(DATA_DIR, 'discovered-levels.lino');
+const SENSE_LEVELS_OUTPUT_FILE = path.join(DATA_DIR, 'discovered-sense-levels.lino');
+const CYCLES_OUTPUT_FILE = path.join(DATA_DIR, 'discovered-cycles.lino');
+const SENSE_CYCLES_OUTPUT_FILE = path.join(DATA_DIR, 'discovered-sense-cycles.lino');
+
+// Dictionary structure layers, written next to the primes file
+// (discovered-kernel.lino or, in sense mode, discovered-sense-kernel.lino)
+const LAYER_NAMES = ['kernel', 'core', 'minset'];
 
 // Verbose logging flag (set via environment variable)
 const VERBOSE = process.env.VERBOSE === 'true';
@@ -52,32 +177,45 @@ function log(...args) {
 }
 
 /**
- * Default English stop words that can optionally be excluded from analysis.
- * These are function words that typically don't carry semantic content.
- * By default, NO stop words are used - all words are analyzed.
- * Use --use-default-stop-words to enable these, or --stop-words=<file> for custom list.
+ * Parse command line arguments for the wordnet to analyze.
+ * Returns the WN-LMF file (Open English WordNet by default) and whether it
+ * was given on the command line.
  */
-const DEFAULT_STOP_WORDS = [
-  'a', 'an', 'the', 'is', 'are', 'was', 'were', 'be', 'been', 'being',
-  'have', 'has', 'had', 'do', 'does', 'did', 'will', 'would', 'could', 'should',
-  'may', 'might', 'must', 'shall', 'can', 'need', 'dare', 'ought', 'used',
-  'to', 'of', 'in', 'for', 'on', 'with', 'at', 'by', 'from', 'up', 'about',
-  'into', 'over', 'after', 'and', 'but', 'or', 'if', 'as', 'that', 'which',
-  'what', 'when', 'where', 'who', 'whom', 'this', 'these', 'those', 'such',
-  'it', 'its', 'itself', 'they', 'their', 'them', 'we', 'our', 'us',
-  'he', 'his', 'him', 'she', 'her', 'hers', 'you', 'your', 'yours',
-  'i', 'me', 'my', 'mine', 'myself',
-  'not', 'no', 'nor', 'so', 'than', 'too', 'very', 'just', 'only',
-  'also', 'even', 'still', 'already', 'always', 'never', 'ever', 'often',
-  'any', 'all', 'each', 'every', 'both', 'few', 'more', 'most', 'other',
-  'some', 'one', 'two', 'first', 'new', 'now', 'way', 'well', 'then',
-  'usually', 'especially', 'particularly', 'generally', 'typically',
-  'sometimes', 'followed', 'something', 'someone', 'anything', 'anyone',
-];
+function parseWordNetConfig() {
+  const wordnetArg = process.argv.slice(2).find(arg => arg.startsWith('--wordnet='));
+  if (!wordnetArg) {
+    return { file: WORDNET_FILE, custom: false };
+  }
+  const file = path.resolve(process.cwd(), wordnetArg.replace('--wordnet=', ''));
+  if (!existsSync(file)) {
+    console.error(`Error: WordNet file not found: ${file}`);
+    process.exit(1);
+  }
+  console.log(`WordNet: ${file}`);
+  return { file, custom: true };
+}
+
+// Parse wordnet configuration
+const WORDNET_CONFIG = parseWordNetConfig();
+
+/**
+ * Name and language of the analyzed wordnet, for output headers and file
+ * names. Set from its Lexicon once it is parsed.
+ */
+let WORDNET_SOURCE = { name: 'Open English WordNet 2024', language: 'en' };
+
+/**
+ * Output file for the analyzed wordnet: the file itself for Open English
+ * WordNet, otherwise with the language appended (discovered-primes-pl.lino).
+ */
+function outputPath(file) {
+  return WORDNET_CONFIG.custom ? file.replace(/\.lino$/, `-${WORDNET_SOURCE.language}.lino`) : file;
+}
 
 /**
  * Parse command line arguments for stop words configuration.
- * Returns a Set of stop words to use (empty by default).
+ * Returns a Set of stop words to use (empty by default) and a description
+ * of where they came from.
  */
 function parseStopWordsConfig() {
   const args = process.argv.slice(2);
@@ -85,7 +223,7 @@ function parseStopWordsConfig() {
   // Check for --use-default-stop-words flag
   if (args.includes('--use-default-stop-words')) {
     console.log('Using default stop words list');
-    return new Set(DEFAULT_STOP_WORDS);
+    return { stopWords: new Set(DEFAULT_STOP_WORDS), source: `default (${DEFAULT_STOP_WORDS.length} words)` };
   }
 
   // Check for --stop-words=<file> argument
@@ -106,174 +244,364 @@ function parseStopWordsConfig() {
       .filter(line => line.length > 0 && !line.startsWith('#'));
 
     console.log(`Using ${words.length} stop words from: ${absolutePath}`);
-    return new Set(words);
+    return { stopWords: new Set(words), source: `${filePath} (${words.length} words)` };
   }
 
   // Default: no stop words - analyze all words
   console.log('No stop words configured - analyzing all words (including a, of, the, etc.)');
-  return new Set();
+  return { stopWords: new Set(), source: 'none' };
 }
 
 // Parse stop words configuration
-const STOP_WORDS = parseStopWordsConfig();
+const { stopWords: STOP_WORDS, source: STOP_WORDS_SOURCE } = parseStopWordsConfig();
 
 /**
- * Decode XML entities.
+ * Parse command line arguments for the tokenizer configuration.
+ * Returns a complete tokenizer configuration (see tokenizer.mjs).
  */
-function decodeXmlEntities(str) {
-  return str
-    .replace(/&apos;/g, "'")
-    .replace(/&quot;/g, '"')
-    .replace(/&lt;/g, '<')
-    .replace(/&gt;/g, '>')
-    .replace(/&amp;/g, '&');
+function parseTokenizerConfig() {
+  const args = process.argv.slice(2);
+  const getArg = (name) => args.find(arg => arg.startsWith(`--${name}=`))?.replace(`--${name}=`, '');
+
+  const config = {};
+  if (getArg('token-min-length') !== undefined) {
+    config.minLength = Number(getArg('token-min-length'));
+  }
+  if (getArg('token-chars') !== undefined) {
+    config.characters = getArg('token-chars');
+  }
+  if (getArg('token-hyphens') !== undefined) {
+    config.hyphens = getArg('token-hyphens');
+  }
+  if (getArg('token-apostrophes') !== undefined) {
+    config.apostrophes = getArg('token-apostrophes');
+  }
+  if (args.includes('--no-case-folding')) {
+    config.caseFolding = false;
+  }
+
+  try {
+    const tokenizer = normalizeTokenizerConfig(config);
+    console.log(`Tokenizer: ${describeTokenizerConfig(tokenizer)}`);
+    return tokenizer;
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+// Parse tokenizer configuration
+const TOKENIZER_CONFIG = parseTokenizerConfig();
+
+// Map definition tokens to WordNet lemmas unless disabled
+const LEMMATIZE = !process.argv.slice(2).includes('--no-lemmatize');
+if (!LEMMATIZE) {
+  console.log('Lemmatization disabled - definition tokens are used as written');
+}
+// Graph nodes are lowercase lemmas: tokens that keep their case only reach
+// them through the lemmatizer
+if (!LEMMATIZE && !TOKENIZER_CONFIG.caseFolding) {
+  console.error('Error: --no-case-folding needs the lemmatizer to match tokens to lemmas (drop --no-lemmatize)');
+  process.exit(1);
+}
+
+// Recognize multi-word lemmas ("in front of") in definitions unless disabled
+const MATCH_MWES = !process.argv.slice(2).includes('--no-mwe');
+if (!MATCH_MWES) {
+  console.log('Multi-word expression matching disabled - definitions are split into single words');
 }
 
 /**
- * Extract content words from a definition.
- * Returns unique words that are not stop words.
+ * Parse command line arguments for graph edge sources (see edge-sources.mjs).
+ * Returns an array of {source, weight} (definition words only by default)
+ * and the minimum merged edge weight.
  */
-function extractContentWords(definition) {
-  const words = definition.toLowerCase()
-    .replace(/[^a-zA-Z\s]/g, ' ')
-    .split(/\s+/)
-    .filter(w => w.length > 2)
-    .filter(w => !STOP_WORDS.has(w));
-  return [...new Set(words)];
+function parseEdgeSourcesConfig() {
+  const args = process.argv.slice(2);
+
+  const edgesArg = args.find(arg => arg.startsWith('--edges='));
+  let edgeSources;
+  try {
+    edgeSources = parseEdgeSources(edgesArg ? edgesArg.replace('--edges=', '') : 'definition');
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+  }
+
+  let minEdgeWeight = 0;
+  const minWeightArg = args.find(arg => arg.startsWith('--min-edge-weight='));
+  if (minWeightArg) {
+    const value = minWeightArg.replace('--min-edge-weight=', '');
+    minEdgeWeight = Number(value);
+    if (value === '' || !Number.isFinite(minEdgeWeight) || minEdgeWeight < 0) {
+      console.error(`Error: Invalid minimum edge weight "${value}" (expected a non-negative number)`);
+      process.exit(1);
+    }
+  }
+
+  console.log(`Edge sources: ${edgeSources.map(e => `${e.source}=${e.weight}`).join(', ')}`);
+  if (minEdgeWeight > 0) {
+    console.log(`Minimum edge weight: ${minEdgeWeight}`);
+  }
+
+  return { edgeSources, minEdgeWeight };
 }
 
+// Parse edge sources configuration
+const EDGE_CONFIG = parseEdgeSourcesConfig();
+
 /**
- * Parse WordNet XML in a single pass - memory efficient approach.
- * Returns lemma to definitions mapping and word counts.
+ * Strategies for resolving a definition token to candidate synsets.
  */
-async function parseWordNet(filePath) {
-  console.log('Parsing WordNet XML...');
+const SENSE_RESOLUTIONS = ['lesk', 'first', 'all'];
 
-  const lemmaToDefinitions = new Map();  // lemma -> [{definition, partOfSpeech, synsetId}]
-  const definitionWordCounts = new Map(); // word -> count in definitions
-  const selfReferences = new Set();       // lemmas that appear in own definitions
+/**
+ * Parse command line arguments for graph granularity (lemma or sense nodes).
+ */
+function parseModeConfig() {
+  const args = process.argv.slice(2);
 
-  const fileStream = createReadStream(filePath);
-  const rl = createInterface({
-    input: fileStream,
-    crlfDelay: Infinity,
-  });
+  const modeArg = args.find(arg => arg.startsWith('--mode='));
+  const mode = modeArg ? modeArg.replace('--mode=', '') : 'lemma';
+  if (mode !== 'lemma' && mode !== 'sense') {
+    console.error(`Error: Unknown mode "${mode}". Available: lemma, sense`);
+    process.exit(1);
+  }
 
-  let currentEntry = null;
-  let currentSynset = null;
-  let inDefinition = false;
-  let definitionText = '';
+  const resolutionArg = args.find(arg => arg.startsWith('--sense-resolution='));
+  const resolution = resolutionArg ? resolutionArg.replace('--sense-resolution=', '') : 'lesk';
+  if (!SENSE_RESOLUTIONS.includes(resolution)) {
+    console.error(`Error: Unknown sense resolution "${resolution}". Available: ${SENSE_RESOLUTIONS.join(', ')}`);
+    process.exit(1);
+  }
 
-  // Temporary storage for synset -> lemmas mapping
-  const synsetToLemmas = new Map();
-  const synsetDefinitions = new Map();
+  const thresholdArg = args.find(arg => arg.startsWith('--wsd-threshold='));
+  const wsdThreshold = thresholdArg
+    ? parseFloat(thresholdArg.replace('--wsd-threshold=', ''))
+    : DEFAULT_WSD_OPTIONS.minConfidence;
+  if (!Number.isFinite(wsdThreshold) || wsdThreshold < 0 || wsdThreshold > 1) {
+    console.error(`Error: Invalid WSD threshold: ${thresholdArg.replace('--wsd-threshold=', '')} (expected 0-1)`);
+    process.exit(1);
+  }
 
-  let lineCount = 0;
+  if (mode === 'sense') {
+    console.log(`Sense-level graph (token resolution: ${resolution}${resolution === 'lesk' ? `, threshold ${wsdThreshold}` : ''})`);
+  }
 
-  for await (const line of rl) {
-    lineCount++;
+  return { mode, resolution, wsdThreshold };
+}
 
-    // Parse LexicalEntry
-    const entryMatch = line.match(/<LexicalEntry\s+id="([^"]+)"/);
-    if (entryMatch) {
-      currentEntry = { lemmas: [], synsets: [] };
-    }
+// Parse graph granularity configuration
+const MODE_CONFIG = parseModeConfig();
 
-    // Parse Lemma
-    const lemmaMatch = line.match(/<Lemma\s+([^>]+)/);
-    if (lemmaMatch && currentEntry) {
-      const attrs = lemmaMatch[1];
-      const formMatch = attrs.match(/writtenForm="([^"]+)"/);
-      if (formMatch) {
-        currentEntry.lemmas.push(decodeXmlEntities(formMatch[1]).toLowerCase());
-      }
-    }
+/**
+ * Parse command line arguments for the dictionary structure layers.
+ * Returns whether layers are computed and the MinSet strategy to use.
+ */
+function parseLayerConfig() {
+  const args = process.argv.slice(2);
+  const enabled = args.includes('--layers');
 
-    // Parse Sense
-    const senseMatch = line.match(/<Sense\s+([^>]+)/);
-    if (senseMatch && currentEntry) {
-      const attrs = senseMatch[1];
-      const synsetMatch = attrs.match(/synset="([^"]+)"/);
-      if (synsetMatch) {
-        currentEntry.synsets.push(synsetMatch[1]);
-      }
-    }
+  const strategyArg = args.find(arg => arg.startsWith('--minset-strategy='));
+  const strategy = strategyArg ? strategyArg.replace('--minset-strategy=', '') : 'degree-product';
+  if (!FVS_STRATEGIES[strategy]) {
+    console.error(`Error: Unknown MinSet strategy "${strategy}". Available: ${Object.keys(FVS_STRATEGIES).join(', ')}`);
+    process.exit(1);
+  }
 
-    // End of LexicalEntry
-    if (line.includes('</LexicalEntry>') && currentEntry) {
-      for (const synsetId of currentEntry.synsets) {
-        if (!synsetToLemmas.has(synsetId)) {
-          synsetToLemmas.set(synsetId, new Set());
-        }
-        for (const lemma of currentEntry.lemmas) {
-          synsetToLemmas.get(synsetId).add(lemma);
-        }
-      }
-      currentEntry = null;
-    }
-
-    // Parse Synset
-    const synsetMatch = line.match(/<Synset\s+([^>]+)>/);
-    if (synsetMatch) {
-      const attrs = synsetMatch[1];
-      const idMatch = attrs.match(/id="([^"]+)"/);
-      const posMatch = attrs.match(/partOfSpeech="([^"]+)"/);
-      if (idMatch) {
-        currentSynset = {
-          id: idMatch[1],
-          partOfSpeech: posMatch ? posMatch[1] : '',
-          definitions: [],
-        };
-      }
-    }
+  return { enabled, strategy };
+}
 
-    // Parse Definition
-    if (line.includes('<Definition')) {
-      inDefinition = true;
-      definitionText = '';
-      const defMatch = line.match(/<Definition[^>]*>([^<]*)<\/Definition>/);
-      if (defMatch) {
-        definitionText = decodeXmlEntities(defMatch[1]);
-        inDefinition = false;
-        if (currentSynset) {
-          currentSynset.definitions.push(definitionText);
-        }
-      } else {
-        const startMatch = line.match(/<Definition[^>]*>([^<]*)/);
-        if (startMatch) {
-          definitionText = decodeXmlEntities(startMatch[1]);
-        }
-      }
-    } else if (inDefinition) {
-      const endMatch = line.match(/([^<]*)<\/Definition>/);
-      if (endMatch) {
-        definitionText += decodeXmlEntities(endMatch[1]);
-        inDefinition = false;
-        if (currentSynset) {
-          currentSynset.definitions.push(definitionText);
-        }
-      } else {
-        definitionText += decodeXmlEntities(line);
-      }
+// Parse dictionary structure layer configuration
+const LAYER_CONFIG = parseLayerConfig();
+
+/**
+ * Parse command line arguments for peeling the cyclic components.
+ * Returns whether peeling runs, the centrality strategy and the batch size.
+ */
+function parsePeelConfig() {
+  const args = process.argv.slice(2);
+  const enabled = args.includes('--peel');
+
+  const strategyArg = args.find(arg => arg.startsWith('--peel-strategy='));
+  const strategy = strategyArg ? strategyArg.replace('--peel-strategy=', '') : 'in-degree';
+  if (!PEEL_STRATEGIES[strategy]) {
+    console.error(`Error: Unknown peeling strategy "${strategy}". Available: ${Object.keys(PEEL_STRATEGIES).join(', ')}`);
+    process.exit(1);
+  }
+
+  const batchArg = args.find(arg => arg.startsWith('--peel-batch='));
+  const batch = batchArg ? Number(batchArg.replace('--peel-batch=', '')) : 0.01;
+  if (!(batch > 0) || (batch >= 1 && !Number.isInteger(batch))) {
+    console.error(`Error: Invalid peeling batch "${batchArg}" (expected a fraction below 1 or a whole count)`);
+    process.exit(1);
+  }
+
+  return { enabled, strategy, batch };
+}
+
+// Parse peeling configuration
+const PEEL_CONFIG = parsePeelConfig();
+
+/**
+ * Level-0 vocabularies of the layered prime hierarchy.
+ */
+const LEVEL_BASES = ['cycles', 'minset'];
+
+/**
+ * Parse command line arguments for the layered prime hierarchy.
+ * Returns whether it is written and which words form level 0.
+ */
+function parseLevelConfig() {
+  const args = process.argv.slice(2);
+  const enabled = args.includes('--prime-levels');
+
+  const baseArg = args.find(arg => arg.startsWith('--prime-levels-base='));
+  const base = baseArg ? baseArg.replace('--prime-levels-base=', '') : 'cycles';
+  if (!LEVEL_BASES.includes(base)) {
+    console.error(`Error: Unknown prime level base "${base}". Available: ${LEVEL_BASES.join(', ')}`);
+    process.exit(1);
+  }
+
+  return { enabled, base };
+}
+
+// Parse layered prime hierarchy configuration
+const LEVEL_CONFIG = parseLevelConfig();
+
+/**
+ * Parse command line arguments for the enumeration of short cycles.
+ * Returns whether the cycles are written, the length bound and the cap on
+ * enumerated cycles.
+ */
+function parseCycleConfig() {
+  const args = process.argv.slice(2);
+  const enabled = args.includes('--cycles');
+
+  const options = { 'cycle-max-length': 4, 'cycle-limit': 100000 };
+  for (const option of Object.keys(options)) {
+    const arg = args.find(a => a.startsWith(`--${option}=`));
+    if (!arg) continue;
+    const value = arg.replace(`--${option}=`, '');
+    options[option] = Number(value);
+    if (!Number.isInteger(options[option]) || options[option] < 1) {
+      console.error(`Error: Invalid ${option} "${value}" (expected a positive integer)`);
+      process.exit(1);
     }
+  }
 
-    // End of Synset
-    if (line.includes('</Synset>') && currentSynset) {
-      if (currentSynset.definitions.length > 0) {
-        synsetDefinitions.set(currentSynset.id, {
-          definitions: currentSynset.definitions,
-          partOfSpeech: currentSynset.partOfSpeech,
-        });
-      }
-      currentSynset = null;
+  return { enabled, maxLength: options['cycle-max-length'], limit: options['cycle-limit'] };
+}
+
+// Parse short cycle configuration
+const CYCLE_CONFIG = parseCycleConfig();
+
+/**
+ * Parse command line arguments for explaining single words.
+ * Returns the words to explain (none for a normal discovery run).
+ */
+function parseExplainConfig() {
+  const explainArg = process.argv.slice(2).find(arg => arg.startsWith('--explain='));
+  const words = explainArg
+    ? explainArg.replace('--explain=', '').split(',').map(w => w.trim().toLowerCase()).filter(Boolean)
+    : [];
+  if (explainArg && words.length === 0) {
+    console.error('Error: --explain needs at least one word');
+    process.exit(1);
+  }
+  return { words };
+}
+
+// Parse explain configuration
+const EXPLAIN_CONFIG = parseExplainConfig();
+
+/**
+ * Parse command line arguments for prime scoring.
+ * Returns the built-in model or configuration file, the custom scoring
+ * module and the betweenness sample size.
+ */
+function parseScoringConfig() {
+  const args = process.argv.slice(2);
+
+  const modelArg = args.find(arg => arg.startsWith('--scoring='));
+  const model = modelArg ? modelArg.replace('--scoring=', '') : 'heuristic';
+  if (!BUILTIN_SCORING_CONFIGS[model]) {
+    console.error(`Error: Unknown scoring model "${model}". Available: ${Object.keys(BUILTIN_SCORING_CONFIGS).join(', ')}`);
+    process.exit(1);
+  }
+
+  const fileArgs = {};
+  for (const option of ['scoring-config', 'scoring-module']) {
+    const arg = args.find(a => a.startsWith(`--${option}=`));
+    if (!arg) continue;
+    const file = arg.replace(`--${option}=`, '');
+    if (!existsSync(file)) {
+      console.error(`Error: ${option} file not found: ${file}`);
+      process.exit(1);
     }
+    fileArgs[option] = file;
+  }
+  if (modelArg && fileArgs['scoring-config']) {
+    console.error('Error: Use either --scoring or --scoring-config, not both');
+    process.exit(1);
+  }
+
+  const samplesArg = args.find(arg => arg.startsWith('--betweenness-samples='));
+  const samplesValue = samplesArg ? samplesArg.replace('--betweenness-samples=', '') : '100';
+  const betweennessSamples = samplesValue === 'all' ? Infinity : parseInt(samplesValue, 10);
+  if (!(betweennessSamples >= 1)) {
+    console.error(`Error: Invalid betweenness sample size "${samplesValue}" (expected a positive integer or "all")`);
+    process.exit(1);
+  }
+
+  return {
+    model,
+    configFile: fileArgs['scoring-config'] || null,
+    modulePath: fileArgs['scoring-module'] || null,
+    betweennessSamples,
+  };
+}
+
+// Parse prime scoring configuration
+const SCORING_CONFIG = parseScoringConfig();
+
+/**
+ * Extract content words from a definition with the configured tokenizer,
+ * stop words and (optional) lemmatizer and multi-word expression recognizer.
+ */
+function definitionContentWords(definition, lemmatizer = null, mweRecognizer = null) {
+  return extractContentWords(definition, { tokenizer: TOKENIZER_CONFIG, stopWords: STOP_WORDS, lemmatizer, mweRecognizer });
+}
+
+/**
+ * Parse WordNet XML with the shared streaming parser.
+ * Returns lemma to definitions mapping and word counts.
+ */
+async function parseWordNet(filePath) {
+  const lemmaToDefinitions = new Map();  // lemma -> [{definition, partOfSpeech, synsetId}]
+  const definitionWordCounts = new Map(); // word -> count in definitions
+  const selfReferences = new Set();       // lemmas that appear in own definitions
+
+  const lexicon = await loadWordNet(filePath);
+  const lemmatizer = LEMMATIZE ? new Lemmatizer(lexicon) : null;
+  const mweRecognizer = MATCH_MWES ? new MweRecognizer(lexicon, { tokenizer: TOKENIZER_CONFIG, lemmatizer }) : null;
+  if (mweRecognizer) {
+    console.log(`  Multi-word lemmas: ${mweRecognizer.size} (longest ${mweRecognizer.maxWords} words)`);
+  }
 
-    if (lineCount % 200000 === 0) {
-      console.log(`  Parsed ${lineCount} lines...`);
+  // Synset -> lemmas mapping and synsets that carry definitions
+  const synsetToLemmas = getSynsetLemmas(lexicon);
+  const synsetDefinitions = new Map();
+
+  for (const synset of lexicon.synsets.values()) {
+    if (synset.definitions.length > 0) {
+      synsetDefinitions.set(synset.id, {
+        definitions: synset.definitions,
+        partOfSpeech: synset.partOfSpeech,
+      });
     }
   }
 
-  console.log(`  Total lines: ${lineCount}`);
   console.log(`  Synsets with definitions: ${synsetDefinitions.size}`);
 
   // Phase 2: Build lemma -> definitions mapping and count word usage
@@ -283,7 +611,7 @@ async function parseWordNet(filePath) {
     const lemmas = synsetToLemmas.get(synsetId) || new Set();
 
     for (const definition of data.definitions) {
-      const contentWords = extractContentWords(definition);
+      const contentWords = definitionContentWords(definition, lemmatizer, mweRecognizer);
 
       // Store definitions by lemma
       for (const lemma of lemmas) {
@@ -316,6 +644,9 @@ async function parseWordNet(filePath) {
   synsetToLemmas.clear();
 
   return {
+    lexicon,
+    lemmatizer,
+    mweRecognizer,
     lemmaToDefinitions,
     definitionWordCounts,
     selfReferences,
@@ -326,102 +657,178 @@ async function parseWordNet(filePath) {
 /**
  * Build a directed graph of word dependencies.
  * Each edge from A to B means word A is defined using word B.
+ * Edges from several sources are merged; an edge's weight is the sum of the
+ * weights of the sources that produced it.
  */
-function buildDependencyGraph(lemmaToDefinitions) {
+function buildDependencyGraph(lemmaToDefinitions, lexicon, edgeConfig, lemmatizer = null, mweRecognizer = null) {
   console.log('\nBuilding dependency graph...');
 
-  const graph = new Map();  // word -> Set of words it depends on
+  const builder = new GraphBuilder();
 
-  for (const [lemma, defs] of lemmaToDefinitions) {
-    const dependencies = new Set();
+  for (const lemma of lemmaToDefinitions.keys()) {
+    builder.addNode(lemma);
+  }
 
-    for (const def of defs) {
-      const contentWords = extractContentWords(def.definition);
-      for (const word of contentWords) {
-        if (lemmaToDefinitions.has(word)) {
-          dependencies.add(word);
+  const edgeCountsBySource = addSourceEdges(builder, edgeConfig.edgeSources, function* (source) {
+    if (source !== 'definition') {
+      yield* collectRelationEdges(lexicon, source);
+      return;
+    }
+    for (const [lemma, defs] of lemmaToDefinitions) {
+      for (const def of defs) {
+        for (const word of definitionContentWords(def.definition, lemmatizer, mweRecognizer)) {
+          yield [lemma, word];
         }
       }
     }
+  });
 
-    graph.set(lemma, dependencies);
-  }
+  // Merge edges from all sources and drop those below the weight threshold
+  const graph = builder.build({ minEdgeWeight: edgeConfig.minEdgeWeight });
 
   console.log(`  Graph nodes: ${graph.size}`);
-  let edgeCount = 0;
-  for (const deps of graph.values()) {
-    edgeCount += deps.size;
+  for (const [source, count] of edgeCountsBySource) {
+    console.log(`  Edges from ${source}: ${count}`);
   }
-  console.log(`  Graph edges: ${edgeCount}`);
+  console.log(`  Graph edges: ${graph.edgeCount}`);
 
   return graph;
 }
 
 /**
- * Find Strongly Connected Components using Tarjan's algorithm.
- * SCCs represent groups of words that form circular definition chains.
+ * Index the synsets of every lemma, grouped per lexical entry (one group per
+ * part of speech), in the order WordNet lists them (most frequent first).
+ * @returns {Map<string, Array<Array<string>>>} lemma -> [[synsetId, ...], ...]
  */
-function findSCCs(graph) {
-  console.log('\nFinding strongly connected components (SCCs)...');
-
-  const indices = new Map();
-  const lowlinks = new Map();
-  const onStack = new Set();
-  const stack = [];
-  const sccs = [];
-  let index = 0;
-
-  function strongConnect(v) {
-    indices.set(v, index);
-    lowlinks.set(v, index);
-    index++;
-    stack.push(v);
-    onStack.add(v);
-
-    const neighbors = graph.get(v) || new Set();
-    for (const w of neighbors) {
-      if (!indices.has(w)) {
-        strongConnect(w);
-        lowlinks.set(v, Math.min(lowlinks.get(v), lowlinks.get(w)));
-      } else if (onStack.has(w)) {
-        lowlinks.set(v, Math.min(lowlinks.get(v), indices.get(w)));
+function buildLemmaSynsetIndex(lexicon) {
+  const lemmaToSynsets = new Map();
+  for (const entry of lexicon.entries) {
+    const synsetIds = entry.senses.map(sense => sense.synset);
+    if (synsetIds.length === 0) continue;
+    for (const lemma of entry.lemmas) {
+      const key = lemma.writtenForm.toLowerCase();
+      if (!lemmaToSynsets.has(key)) {
+        lemmaToSynsets.set(key, []);
       }
+      lemmaToSynsets.get(key).push(synsetIds);
+    }
+  }
+  return lemmaToSynsets;
+}
+
+/**
+ * Resolve a definition token to the synsets it may refer to.
+ * @param {string} word - Token from a definition
+ * @param {Map} lemmaToSynsets - Index from buildLemmaSynsetIndex
+ * @param {string} resolution - 'first' or 'all'
+ * @returns {Array<string>} Candidate synset ids
+ */
+function resolveSenseCandidates(word, lemmaToSynsets, resolution) {
+  const groups = lemmaToSynsets.get(word);
+  if (!groups) return [];
+  return resolution === 'first' ? groups.map(group => group[0]) : groups.flat();
+}
+
+/**
+ * Build a directed graph of synset dependencies.
+ * Each edge from synset A to synset B means a word of A's definition was
+ * resolved to B. Relation edge sources link synsets directly.
+ * @returns {{graph: Map, referenceCounts: Map, selfReferences: Set, wsdStats: Object|null}}
+ */
+function buildSenseDependencyGraph(lexicon, edgeConfig, modeConfig, lemmatizer = null, mweRecognizer = null) {
+  const { resolution } = modeConfig;
+  console.log('\nBuilding sense-level dependency graph...');
+
+  const builder = new GraphBuilder();
+  const referenceCounts = new Map();  // synsetId -> times a definition token resolved to it
+  const selfReferences = new Set();
+  const lemmaToSynsets = buildLemmaSynsetIndex(lexicon);
+  const disambiguator = resolution === 'lesk'
+    ? new LeskDisambiguator(lexicon, {
+      minConfidence: modeConfig.wsdThreshold,
+      tokenizer: TOKENIZER_CONFIG,
+      language: WORDNET_SOURCE.language,
+    })
+    : null;
+  const wsdStats = disambiguator ? { tokens: 0, fallbacks: 0, confidenceSum: 0 } : null;
+
+  // Resolve a definition token of a synset to its candidate target synsets
+  function resolveToken(word, synsetId) {
+    if (!disambiguator) {
+      return resolveSenseCandidates(word, lemmaToSynsets, resolution);
+    }
+    const result = disambiguator.disambiguate(word, synsetId);
+    if (result.synsetIds.length > 0) {
+      wsdStats.tokens++;
+      wsdStats.confidenceSum += result.confidence;
+      if (result.fallback) wsdStats.fallbacks++;
     }
+    return result.synsetIds;
+  }
 
-    // If v is a root node, pop the stack and generate an SCC
-    if (lowlinks.get(v) === indices.get(v)) {
-      const scc = [];
-      let w;
-      do {
-        w = stack.pop();
-        onStack.delete(w);
-        scc.push(w);
-      } while (w !== v);
-      sccs.push(scc);
+  for (const synset of lexicon.synsets.values()) {
+    if (synset.definitions.length > 0) {
+      builder.addNode(synset.id);
     }
   }
 
-  let processed = 0;
-  const total = graph.size;
-  for (const v of graph.keys()) {
-    if (!indices.has(v)) {
-      strongConnect(v);
+  // Definition tokens resolved to synsets; a token's reference is counted
+  // each time it resolves, its edge once
+  const edgeCountsBySource = addSourceEdges(builder, edgeConfig.edgeSources, function* (source) {
+    if (source !== 'definition') {
+      yield* collectRelationEdges(lexicon, source, 'sense');
+      return;
     }
-    processed++;
-    if (processed % 50000 === 0) {
-      console.log(`  Processed ${processed}/${total} nodes (${(processed / total * 100).toFixed(1)}%)...`);
+    for (const synsetId of builder.nodes) {
+      for (const definition of lexicon.synsets.get(synsetId).definitions) {
+        for (const word of definitionContentWords(definition, lemmatizer, mweRecognizer)) {
+          for (const target of resolveToken(word, synsetId)) {
+            referenceCounts.set(target, (referenceCounts.get(target) || 0) + 1);
+            if (target === synsetId) {
+              selfReferences.add(synsetId);
+            }
+            yield [synsetId, target];
+          }
+        }
+      }
     }
+  });
+
+  const graph = builder.build({ minEdgeWeight: edgeConfig.minEdgeWeight });
+
+  console.log(`  Graph nodes (synsets): ${graph.size}`);
+  for (const [source, count] of edgeCountsBySource) {
+    console.log(`  Edges from ${source}: ${count}`);
+  }
+  console.log(`  Graph edges: ${graph.edgeCount}`);
+  console.log(`  Self-references found: ${selfReferences.size}`);
+  if (wsdStats && wsdStats.tokens > 0) {
+    wsdStats.meanConfidence = wsdStats.confidenceSum / wsdStats.tokens;
+    console.log(`  Disambiguated tokens: ${wsdStats.tokens} (mean confidence ${wsdStats.meanConfidence.toFixed(2)}, ` +
+      `${wsdStats.fallbacks} fell back to all senses)`);
   }
 
-  console.log(`  Total SCCs found: ${sccs.length}`);
+  return { graph, referenceCounts, selfReferences, wsdStats };
+}
 
-  // Analyze SCC sizes
-  const sccSizes = new Map();
-  for (const scc of sccs) {
-    const size = scc.length;
-    sccSizes.set(size, (sccSizes.get(size) || 0) + 1);
+/**
+ * Find Strongly Connected Components using Tarjan's algorithm.
+ * SCCs represent groups of words that form circular definition chains.
+ * Returns the SCCs as arrays of node ids, and the component result of
+ * findStronglyConnectedComponents for the condensation DAG.
+ */
+function findSCCs(graph) {
+  console.log('\nFinding strongly connected components (SCCs)...');
+
+  const components = findStronglyConnectedComponents(graph);
+  const { count, componentOffsets, componentNodes } = components;
+  const sccs = [];
+  for (let c = 0; c < count; c++) {
+    sccs.push(Array.from(componentNodes.subarray(componentOffsets[c], componentOffsets[c + 1])));
   }
 
+  console.log(`  Total SCCs found: ${sccs.length}`);
+
   const nonTrivialSccs = sccs.filter(scc => scc.length >= MIN_SCC_SIZE);
   console.log(`  Non-trivial SCCs (size >= ${MIN_SCC_SIZE}): ${nonTrivialSccs.length}`);
 
@@ -430,123 +837,590 @@ function findSCCs(graph) {
   for (const scc of sccs) {
     if (scc.length > 1) {
       wordsInCycles += scc.length;
-    } else {
-      // Check for self-loop
-      const word = scc[0];
-      const deps = graph.get(word) || new Set();
-      if (deps.has(word)) {
-        wordsInCycles++;
-      }
+    } else if (graph.hasSelfLoop(scc[0])) {
+      wordsInCycles++;
     }
   }
   console.log(`  Words in circular definitions: ${wordsInCycles}`);
 
-  return sccs;
+  return { sccs, components };
 }
 
 /**
- * Escape special characters for Links Notation strings.
+ * Approximate a MinSet of the dependency graph with one greedy strategy
+ * (see approximateFeedbackVertexSet in dictionary-structure.mjs).
  */
-function escapeForLino(str) {
-  return str
-    .replace(/\\/g, '\\\\')
-    .replace(/"/g, '\\"')
-    .replace(/\n/g, '\\n')
-    .replace(/\r/g, '\\r');
+function findMinSet(graph, strategy) {
+  const members = approximateFeedbackVertexSet(graph, { strategy });
+  console.log(`  MinSet (${strategy}): ${members.length} nodes`);
+  return { members, strategy };
+}
+
+/**
+ * Compute the dictionary structure layers of the dependency graph: the
+ * kernel, its core and an approximate MinSet (see dictionary-structure.mjs).
+ */
+function findDictionaryLayers(graph, strategy) {
+  console.log('\nComputing dictionary structure layers...');
+
+  const kernel = computeKernel(graph);
+  const core = computeCore(graph, kernel);
+  const kernelSize = kernel.reduce((sum, x) => sum + x, 0);
+  const coreSize = core.reduce((sum, x) => sum + x, 0);
+  console.log(`  Kernel: ${kernelSize} nodes (${(kernelSize / graph.size * 100).toFixed(1)}% of graph)`);
+  console.log(`  Core: ${coreSize} nodes`);
+
+  return { kernel, core, kernelSize, coreSize, minSet: findMinSet(graph, strategy) };
+}
+
+/**
+ * Peel the cyclic components apart (see peelCycles in
+ * dictionary-structure.mjs) and rank the nodes by how deeply they are
+ * embedded in circular definition: rank 1 drops out of circularity last.
+ */
+function findPrimitivenessOrder(graph, { strategy, batch }) {
+  console.log(`\nPeeling cyclic components (strategy: ${strategy}, batch: ${batch})...`);
+
+  const peeling = peelCycles(graph, { strategy, batch });
+  const rank = new Int32Array(graph.size);
+  peeling.order.forEach((v, i) => { rank[v] = i + 1; });
+
+  const removedCount = peeling.removed.reduce((sum, x) => sum + x, 0);
+  console.log(`  Rounds: ${peeling.rounds}`);
+  console.log(`  Removed: ${removedCount} nodes, freed: ${peeling.order.length - removedCount} nodes`);
+
+  return { ...peeling, rank };
 }
 
 /**
- * Calculate prime score for a word based on multiple factors.
+ * Links Notation id of a graph node (lemma or synset id).
  */
-function calculatePrimeScore(word, sccSize, hasSelfLoop, refCount, isSelfRef, isInCycle) {
-  let score = 0;
+function toNodeId(name) {
+  return name.replace(/[^\p{L}\p{N}]/gu, '_');
+}
 
-  // Being in a cycle is the primary indicator
-  if (isInCycle) {
-    score += 50;
+/**
+ * Links describing a layer member; sense-level nodes also list their lemmas.
+ */
+function addLayerNodeToLino(lines, name, relation, describeNode) {
+  const nodeId = toNodeId(name);
+  lines.push(relation(nodeId));
+  if (MODE_CONFIG.mode === 'sense') {
+    for (const lemma of describeNode(name).lemmas || []) {
+      lines.push(`(${nodeId} lemma ${toNodeId(lemma)})`);
+    }
   }
+}
 
-  // SCC size (larger SCCs = more fundamental concepts interconnected)
-  if (sccSize > 1) {
-    score += Math.min(Math.log10(sccSize) * 15, 30);
+/**
+ * Convert the dictionary structure layers to one Links Notation document per
+ * layer.
+ * @returns {{kernel: string, core: string, minset: string}}
+ */
+function layersToLinksNotation(graph, layers, describeNode, wsdStats = null, mweRecognizer = null) {
+  const byName = (a, b) => graph.name(a).localeCompare(graph.name(b));
+  const members = (mask) => [...mask.keys()].filter(v => mask[v]).sort(byName);
+
+  function header(title, description) {
+    return [
+      `// ${title} of the definition graph of ${WORDNET_SOURCE.name}`,
+      '//',
+      ...description.map(line => `// ${line}`),
+      '//',
+      '// Reference: Vincent-Lamarre, P. et al. (2016). The Latent Structure of Dictionaries.',
+      '//',
+      `// Generated: ${new Date().toISOString()}`,
+      ...configurationHeader(wsdStats, mweRecognizer),
+      `// Graph: ${graph.size} nodes, ${graph.edgeCount} edges`,
+    ];
   }
 
-  // Self-loop (word appears in own definition)
-  if (hasSelfLoop) {
-    score += 30;
+  const kernel = header('Kernel', [
+    'The kernel is what remains after repeatedly removing every word that is not',
+    'used in the definition of any other remaining word. All other words can be',
+    'defined from kernel words alone.',
+  ]);
+  kernel.push(`// Kernel size: ${layers.kernelSize} (core: ${layers.coreSize})`);
+  kernel.push('');
+  for (const v of members(layers.kernel)) {
+    addLayerNodeToLino(kernel, graph.name(v), id => `(${id} isa kernel_word)`, describeNode);
+    if (layers.core[v]) {
+      kernel.push(`(${toNodeId(graph.name(v))} in_core true)`);
+    }
   }
 
-  // Self-reference (checked separately from self-loop)
-  if (isSelfRef) {
-    score += 20;
+  const core = header('Core', [
+    'The core is the largest strongly connected component inside the kernel:',
+    'every core word can be reached from every other through definitions.',
+  ]);
+  core.push(`// Core size: ${layers.coreSize}`);
+  core.push('');
+  for (const v of members(layers.core)) {
+    addLayerNodeToLino(core, graph.name(v), id => `(${id} isa core_word)`, describeNode);
   }
 
-  // Reference count (words used more in definitions are more fundamental)
-  if (refCount) {
-    score += Math.log10(refCount) * 8;
+  const { members: minSetMembers, strategy } = layers.minSet;
+  const minset = header('Approximate MinSet', [
+    'A MinSet is a minimum feedback vertex set: a smallest set of words whose',
+    'removal leaves no circular definition, so that every other word can be',
+    'defined from it. The set is approximated with reduction rules and a greedy',
+    'choice.',
+  ]);
+  minset.push(`// MinSet size: ${minSetMembers.length} (strategy: ${strategy})`);
+  minset.push('');
+  const setId = `minset_${toNodeId(strategy)}`;
+  minset.push(`(${setId} isa minset)`);
+  minset.push(`(${setId} size ${minSetMembers.length})`);
+  minset.push(`(${setId} strategy ${toNodeId(strategy)})`);
+  for (const v of [...minSetMembers].sort(byName)) {
+    addLayerNodeToLino(minset, graph.name(v), id => `(${setId} member ${id})`, describeNode);
   }
 
-  // Short words are often more primitive
-  if (word.length <= 4) {
-    score += 10;
-  } else if (word.length <= 6) {
-    score += 5;
+  return {
+    kernel: kernel.join('\n'),
+    core: core.join('\n'),
+    minset: minset.join('\n'),
+  };
+}
+
+/**
+ * Compute the definitional depth of every node over the condensation DAG
+ * (see computeDefinitionalDepth in dictionary-structure.mjs).
+ */
+function findDefinitionalDepth(graph, components) {
+  console.log('\nComputing definitional depth...');
+
+  const depth = computeDefinitionalDepth(graph, components);
+  const { componentOf } = components;
+
+  const wordsPerDepth = new Map();
+  let ungrounded = 0;
+  for (let v = 0; v < graph.size; v++) {
+    const longest = depth.longest[componentOf[v]];
+    if (longest === -1) {
+      ungrounded++;
+    } else {
+      wordsPerDepth.set(longest, (wordsPerDepth.get(longest) || 0) + 1);
+    }
   }
+  depth.wordsPerDepth = [...wordsPerDepth].sort((a, b) => a[0] - b[0]);
+  depth.ungrounded = ungrounded;
+  depth.primeComponents = depth.isPrime.reduce((sum, x) => sum + x, 0);
+
+  console.log(`  Condensation DAG: ${depth.condensation.size} components, ${depth.condensation.edgeCount} edges`);
+  console.log(`  Prime components: ${depth.primeComponents}`);
+  console.log(`  Words per depth: ${depth.wordsPerDepth.map(([d, n]) => `${d}=${n}`).join(', ')}`);
+  console.log(`  Ungrounded words: ${ungrounded}`);
 
-  return score;
+  return depth;
 }
 
 /**
- * Convert discovered primes to Links Notation format.
+ * Convert definitional depths to Links Notation format. Prime components
+ * are named after their alphabetically first member (scc_entity).
  */
-function toLinksNotation(primes) {
+function depthToLinksNotation(graph, components, depth, describeNode, wsdStats = null, mweRecognizer = null) {
+  const { count, componentOf, componentOffsets, componentNodes } = components;
   const lines = [];
 
-  lines.push('// Semantic Primes discovered algorithmically from Open English WordNet 2024');
-  lines.push('// Method: Tarjan\'s algorithm for Strongly Connected Components (SCCs)');
-  lines.push('//');
-  lines.push('// A semantic prime is a word that cannot be defined without eventually');
-  lines.push('// referring back to itself (directly or through other words).');
+  const componentNames = new Map();
+  for (let c = 0; c < count; c++) {
+    if (!depth.isPrime[c]) continue;
+    const members = Array.from(componentNodes.subarray(componentOffsets[c], componentOffsets[c + 1]))
+      .map(v => graph.name(v))
+      .sort();
+    componentNames.set(c, { id: `scc_${toNodeId(members[0])}`, members });
+  }
+
+  lines.push(`// Definitional depth of every word in the definition graph of ${WORDNET_SOURCE.name}`);
   lines.push('//');
-  lines.push('// Words in the same SCC form mutual circular definitions - they can all');
-  lines.push('// reach each other through definition chains, making them all semantic primes.');
+  lines.push('// The condensation DAG has one node per strongly connected component. Prime');
+  lines.push('// components contain a cycle (the discovered primes). Each word is linked to');
+  lines.push('// the prime components its definitions lead to, and its depth is the longest');
+  lines.push('// (definitional_depth) and shortest (shortest_definitional_depth) number of');
+  lines.push('// steps down the DAG to reach one. Primes have depth 0.');
   lines.push('//');
   lines.push(`// Generated: ${new Date().toISOString()}`);
-  lines.push(`// Total semantic primes discovered: ${primes.length}`);
+  lines.push(...configurationHeader(wsdStats, mweRecognizer));
+  lines.push(`// Condensation DAG: ${depth.condensation.size} components, ${depth.condensation.edgeCount} edges`);
+  lines.push(`// Prime components: ${depth.primeComponents}`);
+  lines.push(`// Words per depth: ${depth.wordsPerDepth.map(([d, n]) => `${d}=${n}`).join(', ')}`);
+  lines.push(`// Ungrounded words (no path to a prime component): ${depth.ungrounded}`);
   lines.push('');
 
-  // Group by confidence score ranges
-  const highConfidence = primes.filter(p => p.primeScore >= 80);
-  const mediumConfidence = primes.filter(p => p.primeScore >= 50 && p.primeScore < 80);
-  const lowerConfidence = primes.filter(p => p.primeScore >= 30 && p.primeScore < 50);
-  const candidates = primes.filter(p => p.primeScore < 30);
-
-  lines.push('// === HIGH CONFIDENCE PRIMES (score >= 80) ===');
-  lines.push(`// Count: ${highConfidence.length}`);
+  lines.push('// === PRIME COMPONENTS ===');
   lines.push('');
-  for (const p of highConfidence) {
-    addPrimeToLino(lines, p);
+  const primeComponents = [...componentNames.values()].sort((a, b) => b.members.length - a.members.length);
+  for (const { id, members } of primeComponents) {
+    lines.push(`(${id} isa prime_component)`);
+    lines.push(`(${id} size ${members.length})`);
+    const sample = members.slice(0, 5).map(name => describeNode(name).label).join(', ');
+    lines.push(`(${id} sample "${escapeForLino(sample)}")`);
+    lines.push('');
   }
 
+  lines.push('// === DEFINITIONAL DEPTH ===');
   lines.push('');
-  lines.push('// === MEDIUM CONFIDENCE PRIMES (50 <= score < 80) ===');
-  lines.push(`// Count: ${mediumConfidence.length}`);
-  lines.push('');
-  for (const p of mediumConfidence) {
-    addPrimeToLino(lines, p);
+  const nodes = [...graph.nodes.keys()].sort((a, b) => graph.name(a).localeCompare(graph.name(b)));
+  for (const v of nodes) {
+    const c = componentOf[v];
+    const nodeId = toNodeId(graph.name(v));
+    if (depth.longest[c] === -1) {
+      lines.push(`(${nodeId} grounded false)`);
+      continue;
+    }
+    lines.push(`(${nodeId} definitional_depth ${depth.longest[c]})`);
+    lines.push(`(${nodeId} shortest_definitional_depth ${depth.shortest[c]})`);
+    for (const prime of depth.groundedIn[c]) {
+      lines.push(`(${nodeId} grounded_in ${componentNames.get(prime).id})`);
+    }
   }
 
-  lines.push('');
-  lines.push('// === LOWER CONFIDENCE PRIMES (30 <= score < 50) ===');
-  lines.push(`// Count: ${lowerConfidence.length}`);
-  lines.push('');
-  for (const p of lowerConfidence) {
-    addPrimeToLino(lines, p);
+  return lines.join('\n');
+}
+
+/**
+ * Build the layered prime hierarchy (see computePrimeLevels in
+ * dictionary-structure.mjs) over the given level-0 words.
+ */
+function findPrimeLevels(graph, base) {
+  console.log('\nBuilding layered prime hierarchy...');
+
+  const { level, levels } = computePrimeLevels(graph, base);
+  const wordsPerLevel = new Array(levels).fill(0);
+  let undefinable = 0;
+  for (const l of level) {
+    if (l === -1) {
+      undefinable++;
+    } else {
+      wordsPerLevel[l]++;
+    }
+  }
+
+  console.log(`  Levels: ${levels}`);
+  console.log(`  Words per level: ${wordsPerLevel.map((n, l) => `${l}=${n}`).join(', ')}`);
+  console.log(`  Not definable from level 0: ${undefinable}`);
+
+  return { level, levels, wordsPerLevel, undefinable };
+}
+
+/**
+ * Convert the layered prime hierarchy to Links Notation format, one section
+ * per level.
+ */
+function levelsToLinksNotation(graph, hierarchy, baseDescription, describeNode, wsdStats = null, mweRecognizer = null) {
+  const { level, levels, wordsPerLevel, undefinable } = hierarchy;
+  const lines = [];
+
+  lines.push(`// Layered prime hierarchy of ${WORDNET_SOURCE.name}`);
+  lines.push('//');
+  lines.push('// Level 0 holds the primes, frozen as given vocabulary. Each further level');
+  lines.push('// holds the words whose definitions use only words of the levels below it,');
+  lines.push('// so every word can be defined, level by level, from the primes.');
+  lines.push('//');
+  lines.push(`// Generated: ${new Date().toISOString()}`);
+  lines.push(...configurationHeader(wsdStats, mweRecognizer));
+  lines.push(`// Level 0: ${baseDescription}`);
+  lines.push(`// Words per level: ${wordsPerLevel.map((n, l) => `${l}=${n}`).join(', ')}`);
+  lines.push(`// Not definable from level 0: ${undefinable}`);
+
+  const byName = (a, b) => graph.name(a).localeCompare(graph.name(b));
+  for (let l = 0; l < levels; l++) {
+    lines.push('');
+    lines.push(`// === LEVEL ${l} ===`);
+    lines.push(`// Count: ${wordsPerLevel[l]}`);
+    lines.push('');
+    const members = [...level.keys()].filter(v => level[v] === l).sort(byName);
+    for (const v of members) {
+      addLayerNodeToLino(lines, graph.name(v), nodeId => `(${nodeId} prime_level ${l})`, describeNode);
+    }
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Enumerate the elementary definition cycles of length 2 up to the bound in
+ * every SCC (see enumerateCycles in cycles.mjs), and count the cycles each
+ * word lies on. The counts are null when the enumeration stopped at the
+ * limit.
+ */
+function findShortCycles(graph, components, { maxLength, limit }) {
+  console.log(`\nEnumerating elementary cycles up to length ${maxLength}...`);
+
+  const enumeration = enumerateCycles(graph, { maxLength, limit, components });
+  let counts = null;
+  if (enumeration.participation) {
+    counts = new Uint32Array(graph.size);
+    for (const perNode of enumeration.participation) {
+      if (!perNode) continue;
+      perNode.forEach((n, v) => { counts[v] += n; });
+    }
+  }
+
+  const perLength = enumeration.lengthCounts.map((n, length) => `${length}=${n}`).slice(2).join(', ');
+  console.log(`  Cycles: ${enumeration.cycles.length} (${perLength})` +
+    `${enumeration.truncated ? `, stopped at the limit of ${limit}` : ''}`);
+
+  return { ...enumeration, counts, maxLength, limit };
+}
+
+/**
+ * Convert the enumerated cycles to Links Notation format: the words on the
+ * most short cycles (left out when the enumeration is incomplete), then
+ * every cycle by length.
+ */
+function cyclesToLinksNotation(graph, shortCycles, describeNode, wsdStats = null, mweRecognizer = null) {
+  const { cycles, truncated, lengthCounts, participation, counts, maxLength, limit } = shortCycles;
+  const lines = [];
+
+  lines.push(`// Elementary definition cycles of ${WORDNET_SOURCE.name}`);
+  lines.push('//');
+  lines.push('// Every cycle of the dependency graph that visits no word twice, up to the');
+  lines.push('// length bound, found with Johnson\'s algorithm per SCC. Words on many short');
+  lines.push('// cycles are defined in terms of each other most directly.');
+  lines.push('//');
+  lines.push(`// Generated: ${new Date().toISOString()}`);
+  lines.push(...configurationHeader(wsdStats, mweRecognizer));
+  lines.push(`// Lengths: 2-${maxLength}`);
+  lines.push(`// Cycles per length: ${lengthCounts.map((n, length) => `${length}=${n}`).slice(2).join(', ')}`);
+  if (truncated) {
+    lines.push(`// Incomplete: stopped at the limit of ${limit} cycles; words are not ranked`);
+  }
+
+  if (counts) {
+    const ranked = [...counts.keys()].filter(v => counts[v] > 0)
+      .sort((a, b) => counts[b] - counts[a] || graph.name(a).localeCompare(graph.name(b)));
+    lines.push('');
+    lines.push('// === WORDS ON THE MOST SHORT CYCLES ===');
+    lines.push(`// Count: ${Math.min(ranked.length, 1000)} of ${ranked.length}`);
+    lines.push('');
+    for (const v of ranked.slice(0, 1000)) {
+      addLayerNodeToLino(lines, graph.name(v), nodeId => `(${nodeId} short_cycles ${counts[v]})`, describeNode);
+      for (let length = 2; length <= maxLength; length++) {
+        if (participation[length][v] > 0) {
+          lines.push(`(${toNodeId(graph.name(v))} cycles_of_length_${length} ${participation[length][v]})`);
+        }
+      }
+    }
+  }
+
+  for (let length = 2; length <= maxLength; length++) {
+    lines.push('');
+    lines.push(`// === CYCLES OF LENGTH ${length} ===`);
+    lines.push(`// Count: ${lengthCounts[length]}`);
+    lines.push('');
+    let index = 0;
+    for (const cycle of cycles) {
+      if (cycle.length !== length) continue;
+      const chain = [...cycle, cycle[0]].map(v => toNodeId(graph.name(v)));
+      lines.push(`(cycle_${length}_${++index} nodes (${chain.join(' ')}))`);
+    }
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Find the shortest definitional cycle through every prime (see
+ * ShortestCycleFinder in cycles.mjs) and the reason for each hop: the
+ * definition that uses the next word, or the WordNet relation that links
+ * them.
+ * @returns {Map<number, Array<{from: number, to: number, source: string, text: string|null}>>}
+ *   Hops of the witness cycle per prime node id
+ */
+function findCycleWitnesses(graph, nodeIds, components, lexicon, describeNode, lemmatizer = null, mweRecognizer = null) {
+  console.log('\nFinding shortest cycle witnesses...');
+
+  const finder = new ShortestCycleFinder(graph, components.componentOf);
+  const witnesses = new Map();
+  const lengths = new Map();
+  for (const v of nodeIds) {
+    const cycle = finder.find(v);
+    if (!cycle) continue;
+    const hops = [];
+    for (let i = 0; i + 1 < cycle.length; i++) {
+      hops.push({ from: cycle[i], to: cycle[i + 1], source: null, text: null });
+    }
+    witnesses.set(v, hops);
+    lengths.set(hops.length, (lengths.get(hops.length) || 0) + 1);
+  }
+
+  // Definition hops: the first definition whose content words include the target
+  const unexplained = new Map();  // "from\tto" name pair -> hops
+  for (const hops of witnesses.values()) {
+    for (const hop of hops) {
+      const from = graph.name(hop.from);
+      const to = graph.name(hop.to);
+      const forms = new Set((describeNode(to).lemmas || [to]).map(form => form.toLowerCase()));
+      const definition = EDGE_CONFIG.edgeSources.some(e => e.source === 'definition')
+        ? describeNode(from).definitions.find(text => definitionContentWords(text, lemmatizer, mweRecognizer).some(w => forms.has(w)))
+        : undefined;
+      if (definition !== undefined) {
+        hop.source = 'definition';
+        hop.text = definition;
+      } else {
+        const key = `${from}\t${to}`;
+        if (!unexplained.has(key)) unexplained.set(key, []);
+        unexplained.get(key).push(hop);
+      }
+    }
+  }
+
+  // Relation hops: the first configured relation source that links the pair
+  const level = MODE_CONFIG.mode === 'sense' ? 'sense' : 'lemma';
+  for (const { source } of EDGE_CONFIG.edgeSources) {
+    if (source === 'definition' || unexplained.size === 0) continue;
+    for (const [from, to] of collectRelationEdges(lexicon, source, level)) {
+      const hops = unexplained.get(`${from}\t${to}`);
+      if (!hops) continue;
+      for (const hop of hops) hop.source = source;
+      unexplained.delete(`${from}\t${to}`);
+    }
+  }
+
+  const summary = [...lengths].sort((a, b) => a[0] - b[0]).map(([length, n]) => `${length}=${n}`).join(', ');
+  console.log(`  Witnesses: ${witnesses.size} (cycle lengths: ${summary || 'none'})`);
+  return witnesses;
+}
+
+/**
+ * Escape special characters for Links Notation strings.
+ */
+function escapeForLino(str) {
+  return str
+    .replace(/\\/g, '\\\\')
+    .replace(/"/g, '\\"')
+    .replace(/\n/g, '\\n')
+    .replace(/\r/g, '\\r');
+}
+
+/**
+ * Compute the centrality metrics of every node of the dependency graph.
+ */
+function computeCentrality(graph) {
+  console.log('\nComputing centrality metrics...');
+
+  const samples = Math.min(SCORING_CONFIG.betweennessSamples, graph.size);
+  const centrality = {
+    weightedInDegree: weightedInDegree(graph),
+    pageRank: pageRank(graph),
+    betweenness: approximateBetweenness(graph, { samples }),
+    betweennessSamples: samples,
+    exact: samples === graph.size,
+  };
+
+  console.log(`  PageRank, weighted in-degree, betweenness (${centrality.exact ? 'exact' : `${samples} sampled sources`})`);
+  return centrality;
+}
+
+/**
+ * Load the scoring configuration (built-in or from a file) and the custom
+ * scoring module, if any.
+ */
+async function loadScoring() {
+  const module = SCORING_CONFIG.modulePath
+    ? await loadScoringModule(SCORING_CONFIG.modulePath)
+    : { features: {}, score: null };
+  const features = { ...SCORING_FEATURES, ...module.features };
+  const config = SCORING_CONFIG.configFile
+    ? readScoringConfigFile(SCORING_CONFIG.configFile, { features })
+    : readScoringConfig(BUILTIN_SCORING_CONFIGS[SCORING_CONFIG.model], { features });
+
+  console.log(`\nScoring: ${describeScoringConfig(config)}`);
+  if (SCORING_CONFIG.modulePath) {
+    console.log(`  Custom module: ${SCORING_CONFIG.modulePath}${module.score ? ' (custom score function)' : ''}`);
   }
+  return { config, module };
+}
+
+/**
+ * Multi-word written forms of a prime: the word itself in lemma mode, the
+ * multi-word lemmas of the synset in sense mode.
+ */
+function multiWordForms(prime) {
+  return (prime.lemmas || [prime.word]).filter(form => form.includes(' '));
+}
+
+/**
+ * Header lines recording how the graph was built (shared by all outputs).
+ */
+function configurationHeader(wsdStats = null, mweRecognizer = null) {
+  const lines = [];
+  lines.push(`// Language: ${WORDNET_SOURCE.language}`);
+  if (MODE_CONFIG.mode === 'sense') {
+    lines.push(`// Nodes: synsets (definition tokens resolved with "${MODE_CONFIG.resolution}" sense resolution)`);
+    if (wsdStats && wsdStats.tokens > 0) {
+      lines.push(`// Disambiguation: threshold ${MODE_CONFIG.wsdThreshold}, ${wsdStats.tokens} tokens, ` +
+        `mean confidence ${wsdStats.meanConfidence.toFixed(2)}, ${wsdStats.fallbacks} fell back to all senses`);
+    }
+  }
+  lines.push(`// Tokenizer: ${describeTokenizerConfig(TOKENIZER_CONFIG)}`);
+  lines.push(`// Stop words: ${STOP_WORDS_SOURCE}`);
+  lines.push(`// Lemmatization: ${LEMMATIZE ? 'morphy (inflection rules, LMF forms, exception list)' : 'off'}`);
+  lines.push(`// Multi-word expressions: ${mweRecognizer ? `longest match over ${mweRecognizer.size} multi-word lemmas` : 'off'}`);
+  lines.push(`// Edge sources: ${EDGE_CONFIG.edgeSources.map(e => `${e.source}=${e.weight}`).join(', ')}`);
+  if (EDGE_CONFIG.minEdgeWeight > 0) {
+    lines.push(`// Minimum edge weight: ${EDGE_CONFIG.minEdgeWeight}`);
+  }
+  return lines;
+}
+
+/**
+ * Convert discovered primes to Links Notation format.
+ */
+function toLinksNotation(primes, scoring, wsdStats = null, mweRecognizer = null, peeling = null, centrality = null) {
+  const lines = [];
+
+  lines.push(`// Semantic Primes discovered algorithmically from ${WORDNET_SOURCE.name}`);
+  lines.push('// Method: Tarjan\'s algorithm for Strongly Connected Components (SCCs)');
+  lines.push('//');
+  lines.push('// A semantic prime is a word that cannot be defined without eventually');
+  lines.push('// referring back to itself (directly or through other words).');
+  lines.push('//');
+  lines.push('// Words in the same SCC form mutual circular definitions - they can all');
+  lines.push('// reach each other through definition chains, making them all semantic primes.');
+  lines.push('//');
+  lines.push(`// Generated: ${new Date().toISOString()}`);
+  lines.push(...configurationHeader(wsdStats, mweRecognizer));
+  if (peeling) {
+    lines.push(`// Primitiveness: peeled with ${peeling.strategy} centrality, batch ${peeling.batch}, ` +
+      `${peeling.rounds} rounds (rank 1 leaves circular definition last)`);
+  }
+  lines.push(`// Scoring: ${describeScoringConfig(scoring.config)}`);
+  if (SCORING_CONFIG.modulePath) {
+    lines.push(`// Scoring module: ${SCORING_CONFIG.modulePath}${scoring.module.score ? ' (custom score function)' : ''}`);
+  }
+  lines.push(`// Confidence bands: ${scoring.config.bands.map(b => `${b.label} >= ${b.threshold}`).join(', ') || 'none'}`);
+  if (centrality) {
+    lines.push(`// Centrality: PageRank (damping 0.85, edge weights), weighted in-degree, ` +
+      `betweenness (${centrality.exact ? 'exact' : `${centrality.betweennessSamples} sampled sources`})`);
+  }
+  lines.push(`// Total semantic primes discovered: ${primes.length}`);
+  lines.push(`// Multi-word primes: ${primes.filter(p => multiWordForms(p).length > 0).length}`);
+  lines.push('');
+
+  // Group by confidence bands, highest first; primes below every band are candidates
+  const { bands } = scoring.config;
+  bands.forEach((band, i) => {
+    const upper = i > 0 ? bands[i - 1].threshold : null;
+    const members = primes.filter(p => p.primeScore >= band.threshold && (upper === null || p.primeScore < upper));
+    const range = upper === null ? `score >= ${band.threshold}` : `${band.threshold} <= score < ${upper}`;
+
+    if (i > 0) lines.push('');
+    lines.push(`// === ${band.label.toUpperCase()} CONFIDENCE PRIMES (${range}) ===`);
+    lines.push(`// Count: ${members.length}`);
+    lines.push('');
+    for (const p of members) {
+      addPrimeToLino(lines, p);
+    }
+  });
 
+  const lowest = bands.length > 0 ? bands[bands.length - 1].threshold : Infinity;
+  const candidates = primes.filter(p => p.primeScore < lowest);
   if (candidates.length > 0) {
     lines.push('');
-    lines.push('// === CANDIDATES (score < 30) ===');
+    lines.push(`// === CANDIDATES${bands.length > 0 ? ` (score < ${lowest})` : ''} ===`);
     lines.push(`// Count: ${candidates.length}`);
     lines.push('');
     for (const p of candidates) {
@@ -557,8 +1431,29 @@ function toLinksNotation(primes) {
   return lines.join('\n');
 }
 
+/**
+ * Format a centrality value with four significant digits.
+ */
+function formatMetric(value) {
+  return Number(value.toPrecision(4)).toString();
+}
+
+/**
+ * Links of the shortest cycle through a prime, and the definition or
+ * relation behind each hop.
+ */
+function addWitnessToLino(lines, wordId, hops) {
+  if (!hops || hops.length === 0) return;
+  const chain = [hops[0].from, ...hops.map(hop => hop.to)].map(toNodeId);
+  lines.push(`(${wordId} cycle_witness (${chain.join(' ')}))`);
+  for (const hop of hops) {
+    const reason = hop.text !== null ? ` "${escapeForLino(hop.text.substring(0, 200))}"` : '';
+    lines.push(`(${wordId} cycle_witness_hop (${toNodeId(hop.from)} ${toNodeId(hop.to)} ${hop.source || 'unknown'}${reason}))`);
+  }
+}
+
 function addPrimeToLino(lines, prime) {
-  const wordId = prime.word.replace(/[^a-z0-9]/gi, '_');
+  const wordId = toNodeId(prime.word);
 
   lines.push(`(${wordId} isa discovered_semantic_prime)`);
   lines.push(`(${wordId} prime_score ${prime.primeScore.toFixed(1)})`);
@@ -567,7 +1462,15 @@ function addPrimeToLino(lines, prime) {
     lines.push(`(${wordId} in_circular_definition true)`);
   }
 
-  if (prime.sccSize > 1) {
+  addWitnessToLino(lines, wordId, prime.cycleWitness);
+
+  if (prime.primitivenessRank) {
+    lines.push(`(${wordId} primitiveness_rank ${prime.primitivenessRank})`);
+    lines.push(`(${wordId} peel_round ${prime.peelRound})`);
+    if (prime.peelRemoved) {
+      lines.push(`(${wordId} peel_removed true)`);
+    }
+  } else if (prime.sccSize > 1) {
     lines.push(`(${wordId} scc_size ${prime.sccSize})`);
   }
 
@@ -579,6 +1482,14 @@ function addPrimeToLino(lines, prime) {
     lines.push(`(${wordId} reference_count ${prime.referenceCount})`);
   }
 
+  if (prime.shortCycles !== undefined) {
+    lines.push(`(${wordId} short_cycles ${prime.shortCycles})`);
+  }
+
+  lines.push(`(${wordId} pagerank ${formatMetric(prime.pageRank)})`);
+  lines.push(`(${wordId} weighted_in_degree ${formatMetric(prime.weightedInDegree)})`);
+  lines.push(`(${wordId} betweenness ${formatMetric(prime.betweenness)})`);
+
   if (prime.isSelfReference) {
     lines.push(`(${wordId} has_self_reference true)`);
   }
@@ -592,8 +1503,24 @@ function addPrimeToLino(lines, prime) {
     lines.push(`(${wordId} pos ${prime.partOfSpeech})`);
   }
 
-  // Add sample SCC members if in a multi-word SCC
-  if (prime.sccSample && prime.sccSample.length > 1) {
+  // Sense-level primes: trace the synset back to the ILI and its lemmas
+  if (prime.ili) {
+    lines.push(`(${wordId} ili "${prime.ili}")`);
+  }
+
+  if (prime.lemmas) {
+    for (const lemma of prime.lemmas) {
+      lines.push(`(${wordId} lemma ${toNodeId(lemma)})`);
+    }
+  }
+
+  // Multi-word expressions keep their spaces in the written form
+  for (const phrase of multiWordForms(prime)) {
+    lines.push(`(${wordId} multi_word_expression "${escapeForLino(phrase)}")`);
+  }
+
+  // Add sample SCC members if in a multi-word SCC (without a primitiveness rank)
+  if (!prime.primitivenessRank && prime.sccSample && prime.sccSample.length > 1) {
     const sample = prime.sccSample.slice(0, 5).join(', ');
     lines.push(`(${wordId} scc_sample "${escapeForLino(sample)}")`);
   }
@@ -601,6 +1528,218 @@ function addPrimeToLino(lines, prime) {
   lines.push('');
 }
 
+/**
+ * Why a token of a definition adds no edge (see explainTokens in tokenizer.mjs).
+ */
+const DROP_REASONS = {
+  too_short: 'too short',
+  stop_word: 'stop word',
+  duplicate: 'duplicate',
+  not_a_lemma: 'not a lemma',
+};
+
+/**
+ * Confidence band of a prime score: the highest band whose threshold it
+ * reaches, or 'candidate'.
+ */
+function confidenceBand(score, bands) {
+  return bands.find(band => score >= band.threshold)?.label || 'candidate';
+}
+
+/**
+ * Gather what decides whether a graph node is a prime: its definitions and
+ * their tokens, its SCC, and its prime record (score and cycle witness).
+ */
+function explainNode(v, context) {
+  const { graph, nodeToSCC, primeByNode, describeNode, lemmaToDefinitions, lemmatizer, mweRecognizer } = context;
+  const name = graph.name(v);
+  const node = describeNode(name);
+  const scc = nodeToSCC[v];
+  const hasSelfLoop = graph.hasSelfLoop(v);
+
+  // Content words without definitions of their own are not graph nodes
+  const definitions = node.definitions.map(text => ({
+    text,
+    tokens: explainTokens(text, { tokenizer: TOKENIZER_CONFIG, stopWords: STOP_WORDS, lemmatizer, mweRecognizer })
+      .map(token => {
+        if (token.dropped && token.dropped !== 'duplicate') return token;
+        const lemmas = token.lemmas.filter(w => lemmaToDefinitions.has(w));
+        const words = token.words.filter(w => lemmaToDefinitions.has(w));
+        return { ...token, words, dropped: lemmas.length === 0 ? 'not_a_lemma' : words.length === 0 ? 'duplicate' : null };
+      }),
+  }));
+
+  const dependencies = [...graph.neighbors(v)];
+  let reason;
+  if (scc.length > 1) {
+    reason = `in a definition cycle: its SCC has ${scc.length} words${hasSelfLoop ? ', and it defines itself' : ''}`;
+  } else if (hasSelfLoop) {
+    reason = 'its definition uses the word itself';
+  } else {
+    const primeDependencies = dependencies.filter(w => primeByNode.has(w)).length;
+    reason = `no definition chain leads back to it (depends on ${dependencies.length} ` +
+      `word${dependencies.length === 1 ? '' : 's'}, ` +
+      `${primeDependencies} of them primes)`;
+  }
+
+  return {
+    name,
+    node,
+    definitions,
+    reason,
+    hasSelfLoop,
+    sccSize: scc.length,
+    sccSample: scc.slice(0, 10).map(member => describeNode(graph.name(member)).label),
+    dependencies: dependencies.map(w => graph.name(w)),
+    prime: primeByNode.get(v) || null,
+  };
+}
+
+/**
+ * Explain a word: its lemma node, or in sense mode every synset it names.
+ * Inflected forms are explained through their lemma.
+ */
+function explainWord(word, context) {
+  const { graph, lemmaToSynsets, lemmatizer } = context;
+  const nodesOf = (w) => (MODE_CONFIG.mode === 'sense'
+    ? [...new Set((lemmaToSynsets.get(w) || []).flat())].filter(id => graph.id(id) !== -1)
+    : (graph.id(w) !== -1 ? [w] : []));
+
+  let nodes = nodesOf(word);
+  let lemma = null;
+  if (nodes.length === 0 && lemmatizer) {
+    lemma = lemmatizer.lemmatize(word).find(l => l !== word && nodesOf(l).length > 0) || null;
+    if (lemma) nodes = nodesOf(lemma);
+  }
+
+  return { word, lemma, nodes: nodes.map(name => explainNode(graph.id(name), context)) };
+}
+
+/**
+ * Print a word explanation for people (synsets by their first lemma).
+ */
+function printExplanation(explanation, scoring, describeNode) {
+  const { word, lemma, nodes } = explanation;
+  const label = (name) => describeNode(name).label;
+  console.log(`\n=== ${word} ===`);
+  if (lemma) {
+    console.log(`Inflected form of "${lemma}"`);
+  }
+  if (nodes.length === 0) {
+    console.log('NOT A PRIME: not a WordNet lemma with a definition');
+    return;
+  }
+
+  for (const e of nodes) {
+    if (MODE_CONFIG.mode === 'sense') {
+      console.log(`\n--- ${e.name} (${e.node.lemmas.join(', ')}) ---`);
+    }
+    if (e.prime) {
+      const band = confidenceBand(e.prime.primeScore, scoring.config.bands);
+      console.log(`PRIME (${band} confidence, score ${e.prime.primeScore.toFixed(1)})`);
+    } else {
+      console.log('NOT A PRIME');
+    }
+    console.log(`Why: ${e.reason}`);
+
+    e.definitions.forEach((definition, i) => {
+      console.log(`Definition ${i + 1}: ${definition.text}`);
+      const kept = definition.tokens.flatMap(t => t.words);
+      const dropped = definition.tokens.filter(t => t.dropped).map(t => `${t.token} (${DROP_REASONS[t.dropped]})`);
+      console.log(`  Content words: ${kept.join(', ') || 'none'}`);
+      if (dropped.length > 0) {
+        console.log(`  Dropped: ${dropped.join(', ')}`);
+      }
+    });
+
+    console.log(`SCC: ${e.sccSize} word${e.sccSize === 1 ? '' : 's'}${e.sccSize > 1 ? ` (${e.sccSample.join(', ')}${e.sccSize > 10 ? ', ...' : ''})` : ''}` +
+      `${e.hasSelfLoop ? ', self-loop' : ''}`);
+    const hops = e.prime?.cycleWitness || [];
+    if (hops.length > 0) {
+      console.log(`Shortest cycle: ${[hops[0].from, ...hops.map(hop => hop.to)].map(label).join(' -> ')}`);
+      for (const hop of hops) {
+        console.log(`  ${label(hop.from)} -> ${label(hop.to)}: ${hop.source || 'unknown'}${hop.text !== null ? ` "${hop.text}"` : ''}`);
+      }
+    }
+    if (e.prime) {
+      const parts = e.prime.scoreBreakdown.filter(part => part.contribution !== 0)
+        .map(part => `${part.feature} ${part.contribution.toFixed(1)}`);
+      console.log(`Score: ${e.prime.primeScore.toFixed(1)} = ${parts.join(' + ') || '0'}` +
+        `${scoring.module.score ? ' (before the custom score function)' : ''}`);
+    }
+  }
+}
+
+/**
+ * Convert a word explanation to Links Notation format.
+ */
+function explanationToLinksNotation(explanation, scoring, wsdStats = null, mweRecognizer = null) {
+  const { word, lemma, nodes } = explanation;
+  const wordId = toNodeId(word);
+  const lines = [];
+
+  lines.push(`// Why "${word}" is or is not a semantic prime`);
+  lines.push('//');
+  lines.push(`// Generated: ${new Date().toISOString()}`);
+  lines.push(...configurationHeader(wsdStats, mweRecognizer));
+  lines.push(`// Scoring: ${describeScoringConfig(scoring.config)}`);
+  lines.push('');
+
+  if (lemma) {
+    lines.push(`(${wordId} inflected_form_of ${toNodeId(lemma)})`);
+  }
+  if (nodes.length === 0) {
+    lines.push(`(${wordId} is_prime false)`);
+    lines.push(`(${wordId} reason "not a WordNet lemma with a definition")`);
+    return lines.join('\n');
+  }
+
+  for (const e of nodes) {
+    const nodeId = toNodeId(e.name);
+    if (MODE_CONFIG.mode === 'sense') {
+      lines.push(`(${wordId} synset ${nodeId})`);
+    }
+    lines.push(`(${nodeId} is_prime ${e.prime !== null})`);
+    lines.push(`(${nodeId} reason "${escapeForLino(e.reason)}")`);
+
+    if (e.prime) {
+      lines.push(`(${nodeId} prime_score ${e.prime.primeScore.toFixed(1)})`);
+      lines.push(`(${nodeId} confidence ${confidenceBand(e.prime.primeScore, scoring.config.bands)})`);
+      for (const part of e.prime.scoreBreakdown) {
+        lines.push(`(${nodeId} score_feature (${part.feature} ${formatMetric(part.value)} ${formatMetric(part.contribution)}))`);
+      }
+    }
+
+    e.definitions.forEach((definition, i) => {
+      const definitionId = `${nodeId}_definition_${i + 1}`;
+      lines.push(`(${definitionId} definition_of ${nodeId})`);
+      lines.push(`(${definitionId} text "${escapeForLino(definition.text)}")`);
+      for (const token of definition.tokens) {
+        if (token.dropped) {
+          lines.push(`(${definitionId} dropped_token (${toNodeId(token.token)} ${token.dropped}))`);
+        } else {
+          for (const w of token.words) lines.push(`(${definitionId} content_word ${toNodeId(w)})`);
+        }
+      }
+    });
+
+    lines.push(`(${nodeId} scc_size ${e.sccSize})`);
+    if (e.sccSize > 1) {
+      lines.push(`(${nodeId} scc_sample "${escapeForLino(e.sccSample.join(', '))}")`);
+    }
+    if (e.hasSelfLoop) {
+      lines.push(`(${nodeId} has_self_loop true)`);
+    }
+    addWitnessToLino(lines, nodeId, e.prime?.cycleWitness);
+    for (const dependency of e.dependencies) {
+      lines.push(`(${nodeId} depends_on ${toNodeId(dependency)})`);
+    }
+    lines.push('');
+  }
+
+  return lines.join('\n');
+}
+
 /**
  * Main function.
  */
@@ -608,107 +1747,318 @@ async function main() {
   console.log('=== Semantic Primes Discovery Script ===');
   console.log('Finding primitive words through SCC analysis of definition chains\n');
 
-  if (!existsSync(WORDNET_FILE)) {
-    console.error(`Error: WordNet data file not found: ${WORDNET_FILE}`);
+  if (!existsSync(WORDNET_CONFIG.file)) {
+    console.error(`Error: WordNet data file not found: ${WORDNET_CONFIG.file}`);
     console.error('Please run "npm run download" first to download the data.');
     process.exit(1);
   }
 
+  // Scoring configuration and custom module, checked before the slow parse
+  const scoring = await loadScoring();
+
   // Parse WordNet
-  const { lemmaToDefinitions, definitionWordCounts, selfReferences } =
-    await parseWordNet(WORDNET_FILE);
+  const { lexicon, lemmatizer, mweRecognizer, lemmaToDefinitions, definitionWordCounts, selfReferences } =
+    await parseWordNet(WORDNET_CONFIG.file);
+  const synsetToLemmas = getSynsetLemmas(lexicon);
+
+  if (WORDNET_CONFIG.custom) {
+    // Languages with NSM exponents get the code of PRIME_LANGUAGES ("pol" -> pl),
+    // so that outputs of one language share their suffix across the scripts
+    const tag = lexicon.lexicons[0]?.language || 'und';
+    WORDNET_SOURCE = {
+      name: lexicon.lexicons.map(l => [l.label || l.id, l.version].filter(Boolean).join(' ')).join(', ') || 'WordNet',
+      language: resolvePrimeLanguage(tag) ?? tag.toLowerCase().split(/[-_]/)[0],
+    };
+    console.log(`  Language: ${WORDNET_SOURCE.language}`);
+    if (WORDNET_SOURCE.language !== 'en' && TOKENIZER_CONFIG.characters === 'ascii') {
+      console.warn('Warning: the tokenizer keeps ASCII letters only; use --token-chars=letters for other scripts');
+    }
+  }
 
-  // Build dependency graph
-  const graph = buildDependencyGraph(lemmaToDefinitions);
+  // Build dependency graph over lemma or synset nodes
+  let graph;
+  let referenceCounts;
+  let nodeSelfReferences;
+  let describeNode;
+  let wsdStats = null;
+
+  if (MODE_CONFIG.mode === 'sense') {
+    ({ graph, referenceCounts, selfReferences: nodeSelfReferences, wsdStats } =
+      buildSenseDependencyGraph(lexicon, EDGE_CONFIG, MODE_CONFIG, lemmatizer, mweRecognizer));
+    describeNode = (synsetId) => {
+      const synset = lexicon.synsets.get(synsetId);
+      const lemmas = [...(synsetToLemmas.get(synsetId) || [])];
+      return {
+        label: lemmas[0] || synsetId,
+        definition: synset.definitions[0],
+        definitions: synset.definitions,
+        partOfSpeech: synset.partOfSpeech,
+        ili: synset.ili,
+        lemmas,
+      };
+    };
+  } else {
+    graph = buildDependencyGraph(lemmaToDefinitions, lexicon, EDGE_CONFIG, lemmatizer, mweRecognizer);
+    referenceCounts = definitionWordCounts;
+    nodeSelfReferences = selfReferences;
+    describeNode = (word) => {
+      const defs = lemmaToDefinitions.get(word);
+      const firstDef = defs && defs.length > 0 ? defs[0] : null;
+      return {
+        label: word,
+        definition: firstDef?.definition,
+        definitions: (defs || []).map(def => def.definition),
+        partOfSpeech: firstDef?.partOfSpeech,
+      };
+    };
+  }
 
   // Find SCCs
-  const sccs = findSCCs(graph);
+  const { sccs, components } = findSCCs(graph);
 
   // Build map of word -> SCC info
   console.log('\nBuilding prime candidates list...');
-  const wordToSCC = new Map();
+  const nodeToSCC = new Array(graph.size);
   for (const scc of sccs) {
-    for (const word of scc) {
-      wordToSCC.set(word, scc);
+    for (const v of scc) {
+      nodeToSCC[v] = scc;
     }
   }
 
+  // An explanation only needs what the score of a prime is made of
+  const explaining = EXPLAIN_CONFIG.words.length > 0;
+  const usesFeature = (names) => scoring.config.features.some(f => names.includes(f.name));
+
+  // Order the words in cycles by when they drop out of circularity
+  const peeling = PEEL_CONFIG.enabled && !explaining ? { ...findPrimitivenessOrder(graph, PEEL_CONFIG), ...PEEL_CONFIG } : null;
+
+  // Structural metrics, reported for every prime and usable as its score
+  const centrality = !explaining || usesFeature(['pagerank', 'weighted_in_degree', 'betweenness'])
+    ? computeCentrality(graph)
+    : null;
+
+  // Short cycles, written on request and needed by the short_cycles score feature
+  const usesShortCycles = usesFeature(['short_cycles']);
+  const shortCycles = (CYCLE_CONFIG.enabled && !explaining) || usesShortCycles
+    ? findShortCycles(graph, components, CYCLE_CONFIG)
+    : null;
+  if (usesShortCycles && !shortCycles.counts) {
+    console.error(`Error: The short_cycles score feature needs every cycle, but the enumeration stopped at ${CYCLE_CONFIG.limit}; raise --cycle-limit`);
+    process.exit(1);
+  }
+
   // Build list of discovered primes
   const primes = [];
 
-  for (const [word, scc] of wordToSCC) {
-    // Check if this word is in a cycle
-    const hasSelfLoop = (graph.get(word) || new Set()).has(word);
-    const isInCycle = scc.length > 1 || hasSelfLoop;
+  for (const scc of sccs) {
+    for (const v of scc) {
+      // Check if this word is in a cycle
+      const hasSelfLoop = graph.hasSelfLoop(v);
+      const isInCycle = scc.length > 1 || hasSelfLoop;
 
-    // Only include words that are in cycles (this is the definition of semantic prime)
-    if (!isInCycle) continue;
+      // Only include words that are in cycles (this is the definition of semantic prime)
+      if (!isInCycle) continue;
 
-    const defs = lemmaToDefinitions.get(word);
-    const firstDef = defs && defs.length > 0 ? defs[0] : null;
+      const word = graph.name(v);
+      const node = describeNode(word);
 
-    const prime = {
-      word,
-      primeScore: calculatePrimeScore(
+      const prime = {
         word,
-        scc.length,
+        label: node.label,
+        primeScore: 0,
+        sccSize: scc.length,
+        sccSample: scc.slice(0, 10).map(member => describeNode(graph.name(member)).label),
         hasSelfLoop,
-        definitionWordCounts.get(word),
-        selfReferences.has(word),
-        isInCycle
-      ),
-      sccSize: scc.length,
-      sccSample: scc.slice(0, 10),
-      hasSelfLoop,
-      isInCycle,
-      referenceCount: definitionWordCounts.get(word) || 0,
-      isSelfReference: selfReferences.has(word),
-      definition: firstDef?.definition,
-      partOfSpeech: firstDef?.partOfSpeech,
-    };
+        isInCycle,
+        referenceCount: referenceCounts.get(word) || 0,
+        isSelfReference: nodeSelfReferences.has(word),
+        definition: node.definition,
+        partOfSpeech: node.partOfSpeech,
+        ili: node.ili,
+        lemmas: node.lemmas,
+        pageRank: centrality?.pageRank[v],
+        weightedInDegree: centrality?.weightedInDegree[v],
+        betweenness: centrality?.betweenness[v],
+      };
+
+      if (shortCycles?.counts) {
+        prime.shortCycles = shortCycles.counts[v];
+      }
 
-    primes.push(prime);
+      if (peeling) {
+        prime.primitivenessRank = peeling.rank[v];
+        prime.peelRound = peeling.dropoutRound[v];
+        prime.peelRemoved = peeling.removed[v] === 1;
+      }
+
+      primes.push(prime);
+    }
   }
 
+  scorePrimes(primes, scoring.config, scoring.module);
+
+  // Shortest cycle through each of the given primes, with the definition behind each hop
+  const addCycleWitnesses = (targets) => {
+    const witnesses = findCycleWitnesses(graph, targets.map(p => graph.id(p.word)), components, lexicon, describeNode,
+      lemmatizer, mweRecognizer);
+    for (const prime of targets) {
+      const hops = witnesses.get(graph.id(prime.word)) || [];
+      prime.cycleWitness = hops.map(hop => ({ ...hop, from: graph.name(hop.from), to: graph.name(hop.to) }));
+    }
+  };
+
   // Sort by score
   primes.sort((a, b) => b.primeScore - a.primeScore);
 
   console.log(`  Total primes discovered: ${primes.length}`);
 
-  // Check for key words that should be primes
-  const keyWords = ['entity', 'thing', 'being', 'time', 'body', 'make', 'existence', 'person'];
-  console.log('\n  Key word verification:');
-  for (const kw of keyWords) {
-    const found = primes.find(p => p.word === kw);
-    if (found) {
-      console.log(`    ${kw}: FOUND (score=${found.primeScore.toFixed(1)}, scc_size=${found.sccSize})`);
-    } else {
-      // Check if it's in graph but not in cycle
-      if (graph.has(kw)) {
-        const scc = wordToSCC.get(kw);
-        const hasSelfLoop = (graph.get(kw) || new Set()).has(kw);
-        console.log(`    ${kw}: NOT IN CYCLE (scc_size=${scc?.length || 0}, self_loop=${hasSelfLoop})`);
+  // Explain single words instead of writing the usual outputs
+  if (explaining) {
+    const context = {
+      graph,
+      nodeToSCC,
+      primeByNode: new Map(primes.map(p => [graph.id(p.word), p])),
+      describeNode,
+      lemmaToDefinitions,
+      lemmaToSynsets: MODE_CONFIG.mode === 'sense' ? buildLemmaSynsetIndex(lexicon) : null,
+      lemmatizer,
+      mweRecognizer,
+    };
+    const explanations = EXPLAIN_CONFIG.words.map(word => explainWord(word, context));
+    addCycleWitnesses([...new Set(explanations.flatMap(e => e.nodes).map(e => e.prime).filter(Boolean))]);
+    for (const explanation of explanations) {
+      printExplanation(explanation, scoring, describeNode);
+      const explainFile = outputPath(path.join(DATA_DIR, `explain-${toNodeId(explanation.word)}.lino`));
+      writeFileSync(explainFile, explanationToLinksNotation(explanation, scoring, wsdStats, mweRecognizer));
+      console.log(`Links Notation output saved to: ${explainFile}`);
+    }
+    console.log('\nExplanation complete!');
+    return;
+  }
+
+  addCycleWitnesses(primes);
+
+  // Check for key words that should be primes (English lemmas)
+  if (WORDNET_SOURCE.language === 'en') {
+    const keyWords = ['entity', 'thing', 'being', 'time', 'body', 'make', 'existence', 'person'];
+    console.log('\n  Key word verification:');
+    for (const kw of keyWords) {
+      if (MODE_CONFIG.mode === 'sense') {
+        const found = primes.filter(p => p.lemmas.includes(kw));
+        if (found.length > 0) {
+          console.log(`    ${kw}: FOUND in ${found.length} synset(s) (${found.slice(0, 3).map(p => p.word).join(', ')})`);
+        } else {
+          console.log(`    ${kw}: NO SYNSET IN CYCLE`);
+        }
+        continue;
+      }
+
+      const found = primes.find(p => p.word === kw);
+      if (found) {
+        const chain = found.cycleWitness.map(hop => hop.to).join(' -> ');
+        console.log(`    ${kw}: FOUND (score=${found.primeScore.toFixed(1)}, scc_size=${found.sccSize}) cycle: ${kw} -> ${chain}`);
       } else {
-        console.log(`    ${kw}: NOT IN GRAPH`);
+        // Check if it's in graph but not in cycle
+        const v = graph.id(kw);
+        if (v !== -1) {
+          const scc = nodeToSCC[v];
+          const hasSelfLoop = graph.hasSelfLoop(v);
+          console.log(`    ${kw}: NOT IN CYCLE (scc_size=${scc?.length || 0}, self_loop=${hasSelfLoop})`);
+        } else {
+          console.log(`    ${kw}: NOT IN GRAPH`);
+        }
       }
     }
   }
 
+  // Multi-word primes ("in front of") are only found with MWE matching
+  const multiWordPrimes = primes.filter(p => multiWordForms(p).length > 0);
+  if (multiWordPrimes.length > 0) {
+    console.log(`\n  Multi-word primes: ${multiWordPrimes.length}`);
+    for (const p of multiWordPrimes.slice(0, 10)) {
+      console.log(`    ${multiWordForms(p).join(', ')} (score=${p.primeScore.toFixed(1)})`);
+    }
+  }
+
+  // Words that stay circular longest while the cycles are peeled apart
+  if (peeling) {
+    console.log('\n  Most deeply embedded in circular definition:');
+    for (const v of peeling.order.slice(0, 15)) {
+      const label = describeNode(graph.name(v)).label;
+      console.log(`    ${peeling.rank[v]}. ${label} (round ${peeling.dropoutRound[v]}${peeling.removed[v] ? ', removed' : ''})`);
+    }
+  }
+
+  // Words on the most short cycles
+  if (shortCycles?.counts) {
+    console.log(`\n  On the most cycles of length ${shortCycles.maxLength} or less:`);
+    const ranked = [...shortCycles.counts.keys()].sort((a, b) => shortCycles.counts[b] - shortCycles.counts[a]);
+    for (const v of ranked.slice(0, 15).filter(v => shortCycles.counts[v] > 0)) {
+      console.log(`    ${describeNode(graph.name(v)).label}: ${shortCycles.counts[v]}`);
+    }
+  }
+
   // Print top results
   console.log('\nTop 30 semantic primes:');
   for (const p of primes.slice(0, 30)) {
     const flags = [];
     if (p.hasSelfLoop) flags.push('self-loop');
     if (p.isSelfReference) flags.push('self-ref');
-    flags.push(`scc=${p.sccSize}`);
-    console.log(`  ${p.word}: score=${p.primeScore.toFixed(1)}, refs=${p.referenceCount} ${flags.join(', ')}`);
+    flags.push(p.primitivenessRank ? `rank=${p.primitivenessRank}` : `scc=${p.sccSize}`);
+    const name = p.lemmas ? `${p.word} (${p.lemmas.slice(0, 3).join(', ')})` : p.word;
+    console.log(`  ${name}: score=${p.primeScore.toFixed(1)}, refs=${p.referenceCount}, ` +
+      `pagerank=${formatMetric(p.pageRank)}, betweenness=${formatMetric(p.betweenness)} ${flags.join(', ')}`);
   }
 
   // Generate output
   console.log('\nGenerating output...');
-  const linoOutput = toLinksNotation(primes);
-  writeFileSync(OUTPUT_FILE, linoOutput);
-  console.log(`Links Notation output saved to: ${OUTPUT_FILE}`);
+  const outputFile = outputPath(MODE_CONFIG.mode === 'sense' ? SENSE_OUTPUT_FILE : OUTPUT_FILE);
+  const linoOutput = toLinksNotation(primes, scoring, wsdStats, mweRecognizer, peeling, centrality);
+  writeFileSync(outputFile, linoOutput);
+  console.log(`Links Notation output saved to: ${outputFile}`);
+
+  // Kernel, core and MinSet, one file each next to the primes file
+  const layers = LAYER_CONFIG.enabled ? findDictionaryLayers(graph, LAYER_CONFIG.strategy) : null;
+  if (layers) {
+    const layerOutputs = layersToLinksNotation(graph, layers, describeNode, wsdStats, mweRecognizer);
+    const prefix = MODE_CONFIG.mode === 'sense' ? 'discovered-sense' : 'discovered';
+    for (const layer of LAYER_NAMES) {
+      const layerFile = outputPath(path.join(DATA_DIR, `${prefix}-${layer}.lino`));
+      writeFileSync(layerFile, layerOutputs[layer]);
+      console.log(`Links Notation output saved to: ${layerFile}`);
+    }
+  }
+
+  // Distance of every word from the primitive layer
+  const depth = findDefinitionalDepth(graph, components);
+  const depthFile = outputPath(MODE_CONFIG.mode === 'sense' ? SENSE_DEPTH_OUTPUT_FILE : DEPTH_OUTPUT_FILE);
+  writeFileSync(depthFile, depthToLinksNotation(graph, components, depth, describeNode, wsdStats, mweRecognizer));
+  console.log(`Links Notation output saved to: ${depthFile}`);
+
+  // Layered hierarchy: primes at level 0, then words definable from the levels below
+  if (LEVEL_CONFIG.enabled) {
+    const base = new Uint8Array(graph.size);
+    let baseDescription;
+    if (LEVEL_CONFIG.base === 'minset') {
+      const { members, strategy } = layers?.minSet ?? findMinSet(graph, LAYER_CONFIG.strategy);
+      members.forEach(v => { base[v] = 1; });
+      baseDescription = `approximate MinSet (${strategy})`;
+    } else {
+      primes.forEach(p => { base[graph.id(p.word)] = 1; });
+      baseDescription = 'all words in circular definitions';
+    }
+    const hierarchy = findPrimeLevels(graph, base);
+    const levelsFile = outputPath(MODE_CONFIG.mode === 'sense' ? SENSE_LEVELS_OUTPUT_FILE : LEVELS_OUTPUT_FILE);
+    writeFileSync(levelsFile, levelsToLinksNotation(graph, hierarchy, baseDescription, describeNode, wsdStats, mweRecognizer));
+    console.log(`Links Notation output saved to: ${levelsFile}`);
+  }
+
+  // Elementary cycles up to the length bound
+  if (CYCLE_CONFIG.enabled) {
+    const cyclesFile = outputPath(MODE_CONFIG.mode === 'sense' ? SENSE_CYCLES_OUTPUT_FILE : CYCLES_OUTPUT_FILE);
+    writeFileSync(cyclesFile, cyclesToLinksNotation(graph, shortCycles, describeNode, wsdStats, mweRecognizer));
+    console.log(`Links Notation output saved to: ${cyclesFile}`);
+  }
 
   console.log('\nDiscovery complete!');
 }
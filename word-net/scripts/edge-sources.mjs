@@ -0,0 +1,136 @@
+/**
+ * Edge Sources Module
+ *
+ * The dependency graph of discover-semantic-primes.mjs can combine several
+ * edge sources: the words of the definitions and the hypernym, derivation
+ * and similar-to relations of WordNet. Each source has a weight; an edge
+ * that several sources produce gets the sum of their weights when the
+ * GraphBuilder merges it, and merged edges lighter than the minimum edge
+ * weight are dropped (see graph.mjs).
+ */
+
+import { getSynsetLemmas } from './wordnet-parser.mjs';
+
+/**
+ * Edge sources that can be combined into the dependency graph.
+ * Each edge from A to B means word A is explained through word B.
+ */
+export const EDGE_SOURCE_DESCRIPTIONS = {
+  definition: 'words used in the definitions of a lemma',
+  hypernym: 'hypernym and instance_hypernym synset relations',
+  derivation: 'derivation sense relations',
+  similar: 'similar synset relations',
+};
+
+/**
+ * WordNet relation types that feed each relation-based edge source.
+ */
+export const RELATION_EDGE_TYPES = {
+  hypernym: ['hypernym', 'instance_hypernym'],
+  derivation: ['derivation'],
+  similar: ['similar'],
+};
+
+/**
+ * Parse an edge source specification such as "definition,hypernym:0.5".
+ * @param {string} spec - Comma separated sources, each optionally source:weight
+ * @returns {Array<{source: string, weight: number}>} Sources in the given order
+ * @throws {Error} If a source is unknown or a weight is not a positive number
+ */
+export function parseEdgeSources(spec) {
+  const edgeSources = [];
+  for (const part of spec.split(',').map(p => p.trim()).filter(Boolean)) {
+    const [source, weightText, ...rest] = part.split(':');
+    if (!EDGE_SOURCE_DESCRIPTIONS[source]) {
+      throw new Error(`Unknown edge source "${source}". Available: ${Object.keys(EDGE_SOURCE_DESCRIPTIONS).join(', ')}`);
+    }
+    const weight = weightText === undefined ? 1 : Number(weightText);
+    if (rest.length > 0 || weightText === '' || !Number.isFinite(weight) || weight <= 0) {
+      throw new Error(`Invalid weight for edge source "${source}": ${part.slice(source.length + 1)}`);
+    }
+    edgeSources.push({ source, weight });
+  }
+  if (edgeSources.length === 0) {
+    throw new Error('No edge sources given');
+  }
+  return edgeSources;
+}
+
+/**
+ * Collect edges for a relation-based edge source.
+ * At lemma level, synset relations link every lemma of the source synset to
+ * every lemma of the target synset, and sense relations link the lemmas of
+ * the two senses. At sense level, both link the synsets directly.
+ * @param {Object} lexicon - Lexicon from loadWordNet
+ * @param {string} source - Relation edge source name
+ * @param {'lemma'|'sense'} level - Node granularity
+ * @returns {Array<[string, string]>} Array of [from, to] node pairs
+ */
+export function collectRelationEdges(lexicon, source, level = 'lemma') {
+  const relTypes = new Set(RELATION_EDGE_TYPES[source]);
+  const synsetToLemmas = level === 'lemma' ? getSynsetLemmas(lexicon) : null;
+  const synsetNodes = (synsetId) => (level === 'lemma' ? synsetToLemmas.get(synsetId) || [] : [synsetId]);
+  const edges = [];
+
+  for (const synset of lexicon.synsets.values()) {
+    for (const relation of synset.relations) {
+      if (!relTypes.has(relation.relType)) continue;
+      for (const to of synsetNodes(relation.target)) {
+        for (const from of synsetNodes(synset.id)) {
+          edges.push([from, to]);
+        }
+      }
+    }
+  }
+
+  const senseToNode = new Map();
+  for (const entry of lexicon.entries) {
+    for (const sense of entry.senses) {
+      senseToNode.set(sense.id, level === 'lemma' ? entry.lemmas[0]?.writtenForm.toLowerCase() : sense.synset);
+    }
+  }
+
+  for (const entry of lexicon.entries) {
+    for (const sense of entry.senses) {
+      const from = senseToNode.get(sense.id);
+      for (const relation of sense.relations) {
+        if (!relTypes.has(relation.relType)) continue;
+        const to = senseToNode.get(relation.target);
+        if (from && to) {
+          edges.push([from, to]);
+        }
+      }
+    }
+  }
+
+  return edges;
+}
+
+/**
+ * Add the edges of every source to a graph builder, each with the weight of
+ * its source. A source adds an edge once however often it produces it, so
+ * the weight of an edge after GraphBuilder.build() is the sum of the weights
+ * of the sources that produced it. Edges to or from names that are not
+ * nodes of the builder are skipped.
+ * @param {GraphBuilder} builder - Builder with the nodes already added
+ * @param {Array<{source: string, weight: number}>} edgeSources - From parseEdgeSources
+ * @param {Function} edgesOf - source -> iterable of [from, to] node names
+ * @returns {Map<string, number>} Edges added per source
+ */
+export function addSourceEdges(builder, edgeSources, edgesOf) {
+  const edgeCountsBySource = new Map();
+  for (const { source, weight } of edgeSources) {
+    const seen = new Set();
+    for (const [from, to] of edgesOf(source)) {
+      const key = `${from}\t${to}`;
+      if (seen.has(key)) continue;
+      seen.add(key);
+      const fromId = builder.id(from);
+      const toId = builder.id(to);
+      if (fromId === -1 || toId === -1) continue;
+      builder.addEdge(fromId, toId, weight);
+      edgeCountsBySource.set(source, (edgeCountsBySource.get(source) || 0) + 1);
+    }
+  }
+  return edgeCountsBySource;
+}
@@ -4,26 +4,56 @@
  * Extract NSM (Natural Semantic Metalanguage) Primes from WordNet
  *
  * This script parses the Open English WordNet XML file and extracts
- * entries that correspond to the 65 semantic primes defined by
- * Anna Wierzbicka's NSM theory.
+ * entries that correspond to the semantic primes defined by Anna
+ * Wierzbicka's NSM theory: the 65 primes of the current chart, or the
+ * primes of an earlier inventory (see PRIME_INVENTORIES in
+ * semantic-primes.mjs).
  *
  * These are pre-defined primes from linguistic research, NOT algorithmically
  * discovered. For algorithmic discovery of semantic primes, see discover-semantic-primes.mjs.
  *
  * Reference: Wierzbicka, A. (1996). Semantics: Primes and universals.
  *
- * Results are output in Links Notation (.lino) format.
+ * Every synset of every search term is linked as a lexical match; the
+ * senses that express the prime are marked canonical (curated in
+ * semantic-primes.mjs) or, for primes without curated senses, ranked (the
+ * best candidate of the heuristic in prime-senses.mjs).
  *
- * Usage: node extract-nsm-primes.mjs
+ * Any Global WordNet LMF file can be given instead of Open English WordNet.
+ * The primes are then searched by the exponents of the wordnet's language
+ * (prime-exponents.mjs), and the curated senses are found through their ILI
+ * ids. With wordnets of several languages, the primes are also aligned by
+ * ILI, showing which primes land on the same interlingual concept in every
+ * language.
+ *
+ * Results are output in Links Notation (.lino) format: nsm-primes.lino for
+ * Open English WordNet, nsm-primes-<language>.lino for each given wordnet
+ * and nsm-primes-ili.lino for the alignment.
+ *
+ * Usage: node extract-nsm-primes.mjs [options]
+ *
+ * Options:
+ *   --inventory=<name>  NSM prime inventory (default current; also
+ *                       wierzbicka-1996, goddard-wierzbicka-2002)
+ *   --wordnet=<file>    WN-LMF file to extract from instead of Open English
+ *                       WordNet; repeat for several languages (one wordnet
+ *                       per language)
  *
  * Requirements: Run download.mjs first to get the WordNet data.
  */
 
-import { createReadStream, existsSync, writeFileSync } from 'fs';
-import { createInterface } from 'readline';
+import { existsSync, writeFileSync } from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
-import { getAllPrimes, SEMANTIC_PRIMES } from './semantic-primes.mjs';
+import {
+  DEFAULT_INVENTORY,
+  getAllPrimes,
+  PRIME_INVENTORIES,
+  PRIME_LANGUAGES,
+  resolvePrimeLanguage,
+} from './semantic-primes.mjs';
+import { alignPrimeSenses, buildIliIndex, mapPrimeSenses } from './prime-senses.mjs';
+import { loadWordNet } from './wordnet-parser.mjs';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -32,6 +62,7 @@ const __dirname = path.dirname(__filename);
 const DATA_DIR = path.join(__dirname, '..', 'data');
 const WORDNET_FILE = path.join(DATA_DIR, 'english-wordnet-2024.xml');
 const OUTPUT_FILE = path.join(DATA_DIR, 'nsm-primes.lino');
+const ALIGNMENT_FILE = path.join(DATA_DIR, 'nsm-primes-ili.lino');
 
 // Verbose logging flag (set via environment variable)
 const VERBOSE = process.env.VERBOSE === 'true';
@@ -43,181 +74,55 @@ function log(...args) {
 }
 
 /**
- * Simple XML tag parser using streaming.
- * This is a lightweight parser to avoid heavy dependencies.
+ * Parse command line arguments for the prime inventory.
+ * Returns the name of the inventory to extract.
  */
-class SimpleXMLParser {
-  constructor() {
-    this.lexicalEntries = [];
-    this.synsets = new Map();
-    this.currentEntry = null;
-    this.currentSynset = null;
-    this.inDefinition = false;
-    this.definitionText = '';
-  }
-
-  /**
-   * Parse the WordNet XML file line by line.
-   * @param {string} filePath - Path to the XML file
-   * @returns {Promise<{entries: Array, synsets: Map}>}
-   */
-  async parse(filePath) {
-    const fileStream = createReadStream(filePath);
-    const rl = createInterface({
-      input: fileStream,
-      crlfDelay: Infinity,
-    });
-
-    let lineCount = 0;
-    let buffer = '';
-
-    for await (const line of rl) {
-      lineCount++;
-      buffer += line;
-
-      // Process complete tags in buffer
-      this.processBuffer(buffer);
-      buffer = '';
-
-      if (lineCount % 100000 === 0) {
-        console.log(`Processed ${lineCount} lines...`);
-      }
-    }
-
-    console.log(`Total lines processed: ${lineCount}`);
-    console.log(`Lexical entries found: ${this.lexicalEntries.length}`);
-    console.log(`Synsets found: ${this.synsets.size}`);
-
-    return {
-      entries: this.lexicalEntries,
-      synsets: this.synsets,
-    };
+function parseInventoryConfig() {
+  const inventoryArg = process.argv.slice(2).find(arg => arg.startsWith('--inventory='));
+  const inventory = inventoryArg ? inventoryArg.replace('--inventory=', '') : DEFAULT_INVENTORY;
+  if (!PRIME_INVENTORIES[inventory]) {
+    console.error(`Error: Unknown inventory "${inventory}" (available: ${Object.keys(PRIME_INVENTORIES).join(', ')})`);
+    process.exit(1);
   }
+  return { inventory };
+}
 
-  /**
-   * Process XML content in buffer.
-   * @param {string} content - XML content to process
-   */
-  processBuffer(content) {
-    // Match LexicalEntry tags
-    const entryMatch = content.match(/<LexicalEntry\s+id="([^"]+)"/);
-    if (entryMatch) {
-      this.currentEntry = {
-        id: entryMatch[1],
-        lemmas: [],
-        senses: [],
-      };
-    }
-
-    // Match Lemma tags - handle both self-closing and multi-line variants
-    // Format can be: <Lemma writtenForm="..." partOfSpeech="..."/> or
-    //                <Lemma writtenForm="..." partOfSpeech="...">
-    const lemmaMatch = content.match(/<Lemma\s+([^>]+)/);
-    if (lemmaMatch && this.currentEntry) {
-      const attrs = lemmaMatch[1];
-      const formMatch = attrs.match(/writtenForm="([^"]+)"/);
-      const posMatch = attrs.match(/partOfSpeech="([^"]+)"/);
-      if (formMatch && posMatch) {
-        this.currentEntry.lemmas.push({
-          writtenForm: formMatch[1],
-          partOfSpeech: posMatch[1],
-        });
-      }
-    }
-
-    // Match Sense tags (link entries to synsets)
-    // Format can have other attributes between id and synset, e.g., subcat
-    const senseMatch = content.match(/<Sense\s+([^>]+)/);
-    if (senseMatch && this.currentEntry) {
-      const attrs = senseMatch[1];
-      const idMatch = attrs.match(/id="([^"]+)"/);
-      const synsetMatch = attrs.match(/synset="([^"]+)"/);
-      if (idMatch && synsetMatch) {
-        this.currentEntry.senses.push({
-          id: idMatch[1],
-          synset: synsetMatch[1],
-        });
-      }
-    }
-
-    // End of LexicalEntry
-    if (content.includes('</LexicalEntry>') && this.currentEntry) {
-      if (this.currentEntry.lemmas.length > 0) {
-        this.lexicalEntries.push(this.currentEntry);
-      }
-      this.currentEntry = null;
-    }
-
-    // Match Synset tags - format: <Synset id="..." ili="..." members="..." partOfSpeech="..." lexfile="...">
-    // The order of attributes can vary, so we use a more flexible approach
-    const synsetOpenMatch = content.match(/<Synset\s+([^>]+)>/);
-    if (synsetOpenMatch) {
-      const attrs = synsetOpenMatch[1];
-      const idMatch = attrs.match(/id="([^"]+)"/);
-      const iliMatch = attrs.match(/ili="([^"]*)"/);
-      const posMatch = attrs.match(/partOfSpeech="([^"]+)"/);
-
-      if (idMatch) {
-        this.currentSynset = {
-          id: idMatch[1],
-          ili: iliMatch ? iliMatch[1] : '',
-          partOfSpeech: posMatch ? posMatch[1] : '',
-          definitions: [],
-          examples: [],
-        };
-      }
-    }
-
-    // Match Definition tags
-    if (content.includes('<Definition>')) {
-      this.inDefinition = true;
-      this.definitionText = '';
-      // Extract inline definition
-      const defMatch = content.match(/<Definition>([^<]*)<\/Definition>/);
-      if (defMatch) {
-        this.definitionText = defMatch[1];
-        this.inDefinition = false;
-        if (this.currentSynset) {
-          this.currentSynset.definitions.push(this.definitionText);
-        }
-      }
-    } else if (this.inDefinition) {
-      // Multi-line definition
-      const endMatch = content.match(/([^<]*)<\/Definition>/);
-      if (endMatch) {
-        this.definitionText += endMatch[1];
-        this.inDefinition = false;
-        if (this.currentSynset) {
-          this.currentSynset.definitions.push(this.definitionText);
-        }
-      } else {
-        this.definitionText += content;
-      }
-    }
+// Parse inventory configuration
+const INVENTORY_CONFIG = parseInventoryConfig();
 
-    // Match Example tags
-    const exampleMatch = content.match(/<Example>([^<]*)<\/Example>/);
-    if (exampleMatch && this.currentSynset) {
-      this.currentSynset.examples.push(exampleMatch[1]);
-    }
-
-    // End of Synset
-    if (content.includes('</Synset>') && this.currentSynset) {
-      this.synsets.set(this.currentSynset.id, this.currentSynset);
-      this.currentSynset = null;
+/**
+ * Parse command line arguments for the wordnets to extract from.
+ * Returns the WN-LMF files (Open English WordNet by default) and whether
+ * they were given on the command line.
+ */
+function parseWordNetConfig() {
+  const files = process.argv.slice(2)
+    .filter(arg => arg.startsWith('--wordnet='))
+    .map(arg => path.resolve(process.cwd(), arg.replace('--wordnet=', '')));
+  for (const file of files) {
+    if (!existsSync(file)) {
+      console.error(`Error: WordNet file not found: ${file}`);
+      process.exit(1);
     }
   }
+  return files.length > 0 ? { files, custom: true } : { files: [WORDNET_FILE], custom: false };
 }
 
+// Parse wordnet configuration
+const WORDNET_CONFIG = parseWordNetConfig();
+
 /**
  * Find WordNet entries matching semantic primes.
  * @param {Array} entries - Lexical entries from WordNet
  * @param {Map} synsets - Synsets map
  * @param {Array} primes - Semantic primes to search for
- * @returns {Array} Matched entries with prime info
+ * @param {string} language - Language of the wordnet (for the ranking of senses)
+ * @returns {Array} Matched entries with prime info; each WordNet match has
+ *   its mapping (canonical, ranked or lexical) and ranking score
  */
-function findPrimeMatches(entries, synsets, primes) {
+function findPrimeMatches(entries, synsets, primes, language) {
   const matches = [];
+  const iliIndex = buildIliIndex(synsets);
 
   for (const prime of primes) {
     const primeMatches = [];
@@ -229,59 +134,90 @@ function findPrimeMatches(entries, synsets, primes) {
         for (const lemma of entry.lemmas) {
           if (lemma.writtenForm.toLowerCase() === termLower) {
             // Found a match, get synset info
-            for (const sense of entry.senses) {
+            entry.senses.forEach((sense, i) => {
               const synset = synsets.get(sense.synset);
               if (synset) {
                 primeMatches.push({
                   lemma: lemma.writtenForm,
                   partOfSpeech: lemma.partOfSpeech,
-                  synsetId: synset.id,
-                  ili: synset.ili,
-                  definitions: synset.definitions,
-                  examples: synset.examples,
+                  synset,
+                  senseRank: i + 1,
                 });
               }
-            }
+            });
           }
         }
       }
     }
 
-    // Remove duplicates based on synsetId
+    // Remove duplicates based on synset id
     const uniqueMatches = [];
     const seenSynsets = new Set();
     for (const match of primeMatches) {
-      if (!seenSynsets.has(match.synsetId)) {
-        seenSynsets.add(match.synsetId);
+      if (!seenSynsets.has(match.synset.id)) {
+        seenSynsets.add(match.synset.id);
         uniqueMatches.push(match);
       }
     }
 
+    const { senses, unresolved } = mapPrimeSenses(prime, uniqueMatches, { synsets, iliIndex, language });
+    if (unresolved.length > 0) {
+      console.warn(`Warning: curated senses of ${prime.prime} not found in this WordNet: ${unresolved.join(', ')}`);
+    }
+
     matches.push({
       prime: prime.prime,
       category: prime.category,
+      note: prime.note,
       allolexes: prime.allolexes,
       searchTerms: prime.searchTerms,
-      wordnetMatches: uniqueMatches,
+      exponent: prime.exponent,
+      wordnetMatches: senses.map(({ synset, partOfSpeech, senseRank, mapping, score }) => ({
+        partOfSpeech: partOfSpeech || (synset.partOfSpeech === 's' ? 'a' : synset.partOfSpeech),
+        synsetId: synset.id,
+        ili: synset.ili,
+        definitions: synset.definitions,
+        examples: synset.examples,
+        senseRank,
+        mapping,
+        score,
+      })),
     });
   }
 
   return matches;
 }
 
+/**
+ * Name of a wordnet for output headers ("Open English WordNet 2024").
+ * @param {Array} lexicons - Lexicons from loadWordNet
+ * @returns {string}
+ */
+function describeWordNet(lexicons) {
+  const names = lexicons.map(lexicon => [lexicon.label || lexicon.id, lexicon.version].filter(Boolean).join(' '));
+  return names.filter(Boolean).join(', ') || 'WordNet';
+}
+
 /**
  * Convert matched primes to Links Notation format.
  * @param {Array} matches - Matched semantic primes
+ * @param {Object} source - {name, language} of the wordnet
  * @returns {string} Links Notation string
  */
-function toLinksNotation(matches) {
+function toLinksNotation(matches, source) {
   const lines = [];
 
   // Header comment
-  lines.push('// NSM Semantic Primes extracted from Open English WordNet 2024');
+  lines.push(`// NSM Semantic Primes extracted from ${source.name}`);
   lines.push('// Based on Natural Semantic Metalanguage (NSM) theory by Anna Wierzbicka');
   lines.push('// These are pre-defined primes from linguistic research');
   lines.push('// Reference: Wierzbicka, A. (1996). Semantics: Primes and universals.');
+  lines.push(`// Inventory: ${INVENTORY_CONFIG.inventory} (${PRIME_INVENTORIES[INVENTORY_CONFIG.inventory].title})`);
+  lines.push(`// Language: ${source.language}`);
+  lines.push('//');
+  lines.push('// (prime wordnet_synset X) links every synset of a search term (lexical match);');
+  lines.push('// (prime canonical_synset X) marks the curated senses that express the prime,');
+  lines.push('// (prime ranked_synset X) the best-ranked sense of a prime without curated ones.');
   lines.push('');
 
   // Group by category
@@ -305,11 +241,17 @@ function toLinksNotation(matches) {
       // Prime definition with category
       lines.push(`(${primeId} isa semantic_prime)`);
       lines.push(`(${primeId} category ${category})`);
+      if (source.language !== 'en' && prime.exponent) {
+        lines.push(`(${primeId} exponent "${escapeForLino(prime.exponent)}")`);
+      }
+      if (prime.note) {
+        lines.push(`(${primeId} note "${escapeForLino(prime.note)}")`);
+      }
 
       // Allolexes if any
       if (prime.allolexes.length > 0) {
         for (const allolex of prime.allolexes) {
-          const allolexId = allolex.toLowerCase().replace(/[^a-z]/g, '_');
+          const allolexId = allolex.toLowerCase().replace(/[^\p{L}]/gu, '_');
           lines.push(`(${allolexId} allolex_of ${primeId})`);
         }
       }
@@ -318,6 +260,9 @@ function toLinksNotation(matches) {
       for (const wn of prime.wordnetMatches) {
         const synsetId = wn.synsetId.replace(/[^a-z0-9]/gi, '_');
         lines.push(`(${primeId} wordnet_synset ${synsetId})`);
+        if (wn.mapping !== 'lexical') {
+          lines.push(`(${primeId} ${wn.mapping}_synset ${synsetId})`);
+        }
 
         // Add definition as separate link
         if (wn.definitions.length > 0) {
@@ -367,52 +312,139 @@ function escapeForLino(str) {
 }
 
 /**
- * Main function.
+ * Convert the alignment of the primes across languages to Links Notation.
+ * @param {Array} alignment - Result of alignPrimeSenses
+ * @param {Array<{name: string, language: string}>} sources - The wordnets
+ * @returns {string} Links Notation string
  */
-async function main() {
-  console.log('=== Semantic Primes Extraction Script ===\n');
+function alignmentToLinksNotation(alignment, sources) {
+  const lines = [];
+  const toId = (prime) => prime.toLowerCase().replace(/[^a-z]/g, '_');
 
-  // Check if WordNet data exists
-  if (!existsSync(WORDNET_FILE)) {
-    console.error(`Error: WordNet data file not found: ${WORDNET_FILE}`);
-    console.error('Please run "node scripts/download.mjs" first to download the data.');
-    process.exit(1);
+  lines.push('// NSM Semantic Primes aligned across languages by ILI');
+  lines.push(`// Inventory: ${INVENTORY_CONFIG.inventory} (${PRIME_INVENTORIES[INVENTORY_CONFIG.inventory].title})`);
+  for (const source of sources) {
+    lines.push(`// ${source.language}: ${source.name}`);
   }
+  lines.push('//');
+  lines.push('// (prime ili_concept (ili language ...)) lists the languages whose exponents land on');
+  lines.push('// the concept (canonical or ranked senses that a search term matched);');
+  lines.push('// (prime shared_ili ili) marks a concept of every language, and');
+  lines.push('// (prime unaligned_language language) a language that lands on no concept.');
+  lines.push(`// Primes on a shared concept: ${alignment.filter(a => a.shared.length > 0).length}/${alignment.length}`);
+  lines.push('');
 
-  // Get all semantic primes
-  const primes = getAllPrimes();
-  console.log(`Searching for ${primes.length} semantic primes...\n`);
+  for (const { prime, concepts, shared, missing } of alignment) {
+    const primeId = toId(prime);
+    for (const [ili, languages] of concepts) {
+      lines.push(`(${primeId} ili_concept (${ili} ${languages.join(' ')}))`);
+    }
+    for (const ili of shared) {
+      lines.push(`(${primeId} shared_ili ${ili})`);
+    }
+    for (const language of missing) {
+      lines.push(`(${primeId} unaligned_language ${language})`);
+    }
+    lines.push('');
+  }
 
+  return lines.join('\n');
+}
+
+/**
+ * Extract the primes from one wordnet and write its output file.
+ * @param {string} file - WN-LMF file
+ * @param {Set<string>} extracted - Languages of the wordnets already extracted
+ * @returns {Promise<{source: {name: string, language: string}, matches: Array}>}
+ * @throws {Error} If there are no exponents for the language of the wordnet,
+ *   or its language was already extracted (before overwriting that output)
+ */
+async function extractFromWordNet(file, extracted) {
   // Parse WordNet XML
-  console.log('Parsing WordNet XML file...');
-  const parser = new SimpleXMLParser();
-  const { entries, synsets } = await parser.parse(WORDNET_FILE);
+  const { lexicons, entries, synsets } = await loadWordNet(file);
+
+  const tag = lexicons[0]?.language || 'en';
+  const language = resolvePrimeLanguage(tag);
+  if (!language) {
+    throw new Error(`No NSM exponents for the language "${tag}" of ${file} (available: ${PRIME_LANGUAGES.join(', ')})`);
+  }
+  if (extracted.has(language)) {
+    throw new Error(`More than one wordnet for the language "${language}"`);
+  }
+  const source = { name: describeWordNet(lexicons), language };
+
+  // Get all semantic primes with the exponents of the language
+  const primes = getAllPrimes({ inventory: INVENTORY_CONFIG.inventory, language });
+  console.log(`Searching for ${primes.length} semantic primes (${INVENTORY_CONFIG.inventory} inventory, ${language})...`);
 
   // Find matches
-  console.log('\nSearching for semantic prime matches...');
-  const matches = findPrimeMatches(entries, synsets, primes);
+  const matches = findPrimeMatches(entries, synsets, primes, language);
 
   // Statistics
   let totalMatches = 0;
   let primesWithMatches = 0;
+  const mappedPrimes = { canonical: 0, ranked: 0 };
   for (const match of matches) {
     if (match.wordnetMatches.length > 0) {
       primesWithMatches++;
       totalMatches += match.wordnetMatches.length;
     }
+    for (const mapping of Object.keys(mappedPrimes)) {
+      if (match.wordnetMatches.some(wn => wn.mapping === mapping)) mappedPrimes[mapping]++;
+    }
   }
 
-  console.log(`\nResults:`);
+  console.log(`\nResults for ${source.name}:`);
   console.log(`- Primes with WordNet matches: ${primesWithMatches}/${primes.length}`);
   console.log(`- Total synset matches: ${totalMatches}`);
+  console.log(`- Primes with canonical senses: ${mappedPrimes.canonical}/${primes.length}`);
+  console.log(`- Primes with a ranked sense only: ${mappedPrimes.ranked}/${primes.length}`);
 
-  // Convert to Links Notation
+  // Convert to Links Notation and save
   console.log('\nGenerating Links Notation output...');
-  const linoOutput = toLinksNotation(matches);
+  const outputFile = WORDNET_CONFIG.custom ? OUTPUT_FILE.replace(/\.lino$/, `-${language}.lino`) : OUTPUT_FILE;
+  writeFileSync(outputFile, toLinksNotation(matches, source));
+  console.log(`Links Notation output saved to: ${outputFile}`);
+
+  return { source, matches };
+}
+
+/**
+ * Main function.
+ */
+async function main() {
+  console.log('=== Semantic Primes Extraction Script ===\n');
 
-  // Save output file
-  writeFileSync(OUTPUT_FILE, linoOutput);
-  console.log(`Links Notation output saved to: ${OUTPUT_FILE}`);
+  // Check if WordNet data exists
+  if (!existsSync(WORDNET_FILE) && !WORDNET_CONFIG.custom) {
+    console.error(`Error: WordNet data file not found: ${WORDNET_FILE}`);
+    console.error('Please run "node scripts/download.mjs" first to download the data.');
+    process.exit(1);
+  }
+
+  const results = [];
+  for (const file of WORDNET_CONFIG.files) {
+    results.push(await extractFromWordNet(file, new Set(results.map(r => r.source.language))));
+  }
+
+  // Which primes land on the same interlingual concept in every language
+  if (results.length > 1) {
+    const byLanguage = Object.fromEntries(results.map(({ source, matches }) =>
+      [source.language, matches.map(match => ({ prime: match.prime, senses: match.wordnetMatches }))]));
+    const alignment = alignPrimeSenses(byLanguage);
+
+    const languages = Object.keys(byLanguage);
+    console.log(`\nAlignment by ILI (${languages.join(', ')}):`);
+    for (const { prime, concepts, shared, missing } of alignment) {
+      const landed = [...concepts].map(([ili, langs]) => `${ili} [${langs.join(', ')}]`).join('; ') || 'none';
+      const status = shared.length > 0 ? 'shared' : missing.length > 0 ? `missing in ${missing.join(', ')}` : 'split';
+      console.log(`  ${prime}: ${landed} (${status})`);
+    }
+    console.log(`- Primes on a shared concept: ${alignment.filter(a => a.shared.length > 0).length}/${alignment.length}`);
+
+    writeFileSync(ALIGNMENT_FILE, alignmentToLinksNotation(alignment, results.map(r => r.source)));
+    console.log(`Links Notation output saved to: ${ALIGNMENT_FILE}`);
+  }
 
   console.log('\nExtraction complete!');
 }
@@ -0,0 +1,521 @@
+/**
+ * Compact Graph Module
+ *
+ * Integer-indexed directed graphs in compressed sparse row (CSR) form, built
+ * from typed arrays, and an iterative Tarjan SCC implementation over them.
+ *
+ * Node names (lemmas or synset ids) are interned once to integer ids. Edges
+ * are collected in growable typed arrays and packed into CSR form: the
+ * neighbours of node v are targets[offsets[v] .. offsets[v + 1]), sorted by
+ * id, with the summed weight of duplicate edges in the parallel weights
+ * array. Compared with a Map of Maps this needs a few bytes per edge instead
+ * of a hash table entry, and the SCC search needs no recursion, so its depth
+ * is not limited by the call stack.
+ *
+ * The condensation of a graph (one node per SCC) is a DAG and is used to
+ * measure how far each word sits from the cyclic, primitive layer.
+ *
+ * Usage:
+ *   import { GraphBuilder, findStronglyConnectedComponents } from './graph.mjs';
+ *
+ *   const builder = new GraphBuilder();
+ *   builder.addEdge(builder.addNode('a'), builder.addNode('b'), 1);
+ *   const graph = builder.build();
+ *   const { componentOf, count } = findStronglyConnectedComponents(graph);
+ */
+
+const INITIAL_EDGE_CAPACITY = 1024;
+
+/**
+ * Directed weighted graph in compressed sparse row form.
+ */
+export class CompactGraph {
+  /**
+   * @param {Array<string>} nodes - Node names, indexed by node id
+   * @param {Uint32Array} offsets - Row offsets (length nodes.length + 1)
+   * @param {Uint32Array} targets - Target ids, sorted within each row
+   * @param {Float64Array} weights - Edge weights, parallel to targets
+   */
+  constructor(nodes, offsets, targets, weights) {
+    this.nodes = nodes;
+    this.offsets = offsets;
+    this.targets = targets;
+    this.weights = weights;
+    this.ids = null;
+  }
+
+  /**
+   * Number of nodes.
+   */
+  get size() {
+    return this.nodes.length;
+  }
+
+  /**
+   * Number of (merged) edges.
+   */
+  get edgeCount() {
+    return this.targets.length;
+  }
+
+  /**
+   * Look up the id of a node name.
+   * @param {string} name
+   * @returns {number} Node id or -1 if the node does not exist
+   */
+  id(name) {
+    if (!this.ids) {
+      this.ids = new Map(this.nodes.map((node, i) => [node, i]));
+    }
+    return this.ids.get(name) ?? -1;
+  }
+
+  /**
+   * @param {string} name
+   * @returns {boolean}
+   */
+  has(name) {
+    return this.id(name) !== -1;
+  }
+
+  /**
+   * Name of a node id.
+   * @param {number} v
+   * @returns {string}
+   */
+  name(v) {
+    return this.nodes[v];
+  }
+
+  /**
+   * Out-degree of a node.
+   * @param {number} v
+   * @returns {number}
+   */
+  outDegree(v) {
+    return this.offsets[v + 1] - this.offsets[v];
+  }
+
+  /**
+   * Neighbour ids of a node (a view into the targets array, do not modify).
+   * @param {number} v
+   * @returns {Uint32Array}
+   */
+  neighbors(v) {
+    return this.targets.subarray(this.offsets[v], this.offsets[v + 1]);
+  }
+
+  /**
+   * Position of the edge v -> w in the targets array.
+   * @returns {number} Edge position or -1 if there is no such edge
+   */
+  edgeIndex(v, w) {
+    let lo = this.offsets[v];
+    let hi = this.offsets[v + 1] - 1;
+    while (lo <= hi) {
+      const mid = (lo + hi) >>> 1;
+      const target = this.targets[mid];
+      if (target === w) return mid;
+      if (target < w) lo = mid + 1;
+      else hi = mid - 1;
+    }
+    return -1;
+  }
+
+  /**
+   * @param {number} v
+   * @param {number} w
+   * @returns {boolean} True if the edge v -> w exists
+   */
+  hasEdge(v, w) {
+    return this.edgeIndex(v, w) !== -1;
+  }
+
+  /**
+   * @param {number} v
+   * @returns {boolean} True if v depends on itself
+   */
+  hasSelfLoop(v) {
+    return this.edgeIndex(v, v) !== -1;
+  }
+
+  /**
+   * Graph restricted to a subset of nodes. Node ids and names are kept;
+   * edges touching a node outside the subset are dropped.
+   * @param {Uint8Array} mask - 1 for nodes to keep
+   * @returns {CompactGraph}
+   */
+  subgraph(mask) {
+    const n = this.size;
+    const offsets = new Uint32Array(n + 1);
+    let count = 0;
+    for (let v = 0; v < n; v++) {
+      if (mask[v]) {
+        for (let e = this.offsets[v]; e < this.offsets[v + 1]; e++) {
+          if (mask[this.targets[e]]) count++;
+        }
+      }
+      offsets[v + 1] = count;
+    }
+
+    const targets = new Uint32Array(count);
+    const weights = new Float64Array(count);
+    let position = 0;
+    for (let v = 0; v < n; v++) {
+      if (!mask[v]) continue;
+      for (let e = this.offsets[v]; e < this.offsets[v + 1]; e++) {
+        if (mask[this.targets[e]]) {
+          targets[position] = this.targets[e];
+          weights[position] = this.weights[e];
+          position++;
+        }
+      }
+    }
+
+    const subgraph = new CompactGraph(this.nodes, offsets, targets, weights);
+    subgraph.ids = this.ids;
+    return subgraph;
+  }
+
+  /**
+   * Subgraph induced by a list of nodes, with its own compact ids: node i of
+   * the result is nodeIds[i]. Cheaper than subgraph() when the list is much
+   * smaller than the graph.
+   * @param {ArrayLike<number>} nodeIds - Distinct node ids
+   * @returns {CompactGraph}
+   */
+  induced(nodeIds) {
+    const local = new Map();
+    for (let i = 0; i < nodeIds.length; i++) {
+      local.set(nodeIds[i], i);
+    }
+
+    const offsets = new Uint32Array(nodeIds.length + 1);
+    const targets = [];
+    const weights = [];
+    for (let i = 0; i < nodeIds.length; i++) {
+      const v = nodeIds[i];
+      const row = [];
+      for (let e = this.offsets[v]; e < this.offsets[v + 1]; e++) {
+        const w = local.get(this.targets[e]);
+        if (w !== undefined) row.push([w, this.weights[e]]);
+      }
+      row.sort((a, b) => a[0] - b[0]);
+      for (const [w, weight] of row) {
+        targets.push(w);
+        weights.push(weight);
+      }
+      offsets[i + 1] = targets.length;
+    }
+
+    return new CompactGraph(
+      Array.from(nodeIds, v => this.nodes[v]),
+      offsets,
+      Uint32Array.from(targets),
+      Float64Array.from(weights)
+    );
+  }
+
+  /**
+   * Graph with every edge reversed (same node ids and names).
+   * @returns {CompactGraph}
+   */
+  reverse() {
+    const n = this.size;
+    const offsets = new Uint32Array(n + 1);
+    for (let i = 0; i < this.targets.length; i++) {
+      offsets[this.targets[i] + 1]++;
+    }
+    for (let v = 0; v < n; v++) {
+      offsets[v + 1] += offsets[v];
+    }
+
+    const next = offsets.slice(0, n);
+    const targets = new Uint32Array(this.targets.length);
+    const weights = new Float64Array(this.targets.length);
+    // Sources are visited in increasing order, so reversed rows stay sorted
+    for (let v = 0; v < n; v++) {
+      for (let e = this.offsets[v]; e < this.offsets[v + 1]; e++) {
+        const position = next[this.targets[e]]++;
+        targets[position] = v;
+        weights[position] = this.weights[e];
+      }
+    }
+
+    const reversed = new CompactGraph(this.nodes, offsets, targets, weights);
+    reversed.ids = this.ids;
+    return reversed;
+  }
+}
+
+/**
+ * Collects nodes and edges and packs them into a CompactGraph.
+ */
+export class GraphBuilder {
+  constructor() {
+    this.nodes = [];
+    this.ids = new Map();
+    this.from = new Uint32Array(INITIAL_EDGE_CAPACITY);
+    this.to = new Uint32Array(INITIAL_EDGE_CAPACITY);
+    this.weights = new Float64Array(INITIAL_EDGE_CAPACITY);
+    this.edgeCount = 0;
+  }
+
+  /**
+   * Add a node (or return the id of an existing one).
+   * @param {string} name
+   * @returns {number} Node id
+   */
+  addNode(name) {
+    let id = this.ids.get(name);
+    if (id === undefined) {
+      id = this.nodes.length;
+      this.nodes.push(name);
+      this.ids.set(name, id);
+    }
+    return id;
+  }
+
+  /**
+   * @param {string} name
+   * @returns {number} Node id or -1 if the node was not added
+   */
+  id(name) {
+    return this.ids.get(name) ?? -1;
+  }
+
+  /**
+   * Add an edge between two node ids. Repeated edges are merged by build(),
+   * summing their weights.
+   * @param {number} from
+   * @param {number} to
+   * @param {number} [weight]
+   */
+  addEdge(from, to, weight = 1) {
+    if (this.edgeCount === this.from.length) {
+      this.grow();
+    }
+    this.from[this.edgeCount] = from;
+    this.to[this.edgeCount] = to;
+    this.weights[this.edgeCount] = weight;
+    this.edgeCount++;
+  }
+
+  grow() {
+    const capacity = this.from.length * 2;
+    for (const key of ['from', 'to', 'weights']) {
+      const grown = new this[key].constructor(capacity);
+      grown.set(this[key]);
+      this[key] = grown;
+    }
+  }
+
+  /**
+   * Pack the collected edges into CSR form. Edges are sorted with two stable
+   * counting sorts (by target, then by source), duplicates are merged and
+   * merged edges lighter than minEdgeWeight are dropped.
+   * @param {Object} [options]
+   * @param {number} [options.minEdgeWeight] - Drop edges below this weight
+   * @returns {CompactGraph}
+   */
+  build({ minEdgeWeight = 0 } = {}) {
+    const n = this.nodes.length;
+    const m = this.edgeCount;
+
+    const byTarget = countingSort(this.to, m, n, null);
+    const order = countingSort(this.from, m, n, byTarget);
+
+    const offsets = new Uint32Array(n + 1);
+    const targets = new Uint32Array(m);
+    const weights = new Float64Array(m);
+    let count = 0;
+    let row = 0;
+
+    for (let i = 0; i < m; i++) {
+      const e = order[i];
+      const from = this.from[e];
+      const to = this.to[e];
+      while (row < from) {
+        offsets[++row] = count;
+      }
+      if (count > offsets[row] && targets[count - 1] === to) {
+        weights[count - 1] += this.weights[e];
+      } else {
+        targets[count] = to;
+        weights[count] = this.weights[e];
+        count++;
+      }
+    }
+    while (row < n) {
+      offsets[++row] = count;
+    }
+
+    if (minEdgeWeight > 0) {
+      let kept = 0;
+      let start = 0;
+      for (let v = 0; v < n; v++) {
+        const end = offsets[v + 1];
+        for (let e = start; e < end; e++) {
+          if (weights[e] >= minEdgeWeight) {
+            targets[kept] = targets[e];
+            weights[kept] = weights[e];
+            kept++;
+          }
+        }
+        start = end;
+        offsets[v + 1] = kept;
+      }
+      count = kept;
+    }
+
+    return new CompactGraph(this.nodes, offsets, targets.slice(0, count), weights.slice(0, count));
+  }
+}
+
+/**
+ * Stable counting sort of edge positions by a key array.
+ * @param {Uint32Array} keys - Key per edge position
+ * @param {number} m - Number of edges
+ * @param {number} n - Number of distinct keys
+ * @param {Uint32Array|null} input - Edge positions in their current order
+ * @returns {Uint32Array} Edge positions sorted by key
+ */
+function countingSort(keys, m, n, input) {
+  const starts = new Uint32Array(n + 1);
+  for (let i = 0; i < m; i++) {
+    starts[keys[i] + 1]++;
+  }
+  for (let k = 0; k < n; k++) {
+    starts[k + 1] += starts[k];
+  }
+
+  const output = new Uint32Array(m);
+  for (let i = 0; i < m; i++) {
+    const e = input ? input[i] : i;
+    output[starts[keys[e]]++] = e;
+  }
+  return output;
+}
+
+/**
+ * Find strongly connected components with an iterative version of Tarjan's
+ * algorithm. The explicit call stack holds (node, next edge) pairs, so the
+ * search depth is bounded by the number of nodes, not the JavaScript stack.
+ *
+ * Components are numbered in the order Tarjan's algorithm completes them,
+ * which is a reverse topological order of the condensation: a component
+ * only depends on components with smaller numbers.
+ *
+ * @param {CompactGraph} graph
+ * @returns {{count: number, componentOf: Int32Array, componentOffsets: Uint32Array,
+ *            componentNodes: Uint32Array}} The nodes of component c are
+ *          componentNodes[componentOffsets[c] .. componentOffsets[c + 1])
+ */
+export function findStronglyConnectedComponents(graph) {
+  const n = graph.size;
+  const { offsets, targets } = graph;
+
+  const index = new Int32Array(n).fill(-1);
+  const lowlink = new Int32Array(n);
+  const onStack = new Uint8Array(n);
+  const stack = new Uint32Array(n);
+  const callNodes = new Uint32Array(n);
+  const callEdges = new Uint32Array(n);
+  const componentOf = new Int32Array(n);
+  const componentNodes = new Uint32Array(n);
+  const componentStarts = [0];
+
+  let counter = 0;
+  let stackSize = 0;
+  let callSize = 0;
+  let assigned = 0;
+
+  for (let root = 0; root < n; root++) {
+    if (index[root] !== -1) continue;
+
+    index[root] = lowlink[root] = counter++;
+    stack[stackSize++] = root;
+    onStack[root] = 1;
+    callNodes[callSize] = root;
+    callEdges[callSize] = offsets[root];
+    callSize++;
+
+    while (callSize > 0) {
+      const v = callNodes[callSize - 1];
+      const e = callEdges[callSize - 1];
+
+      if (e < offsets[v + 1]) {
+        callEdges[callSize - 1] = e + 1;
+        const w = targets[e];
+        if (index[w] === -1) {
+          // Descend into w
+          index[w] = lowlink[w] = counter++;
+          stack[stackSize++] = w;
+          onStack[w] = 1;
+          callNodes[callSize] = w;
+          callEdges[callSize] = offsets[w];
+          callSize++;
+        } else if (onStack[w] && index[w] < lowlink[v]) {
+          lowlink[v] = index[w];
+        }
+        continue;
+      }
+
+      // All edges of v explored: return to the caller
+      callSize--;
+      if (lowlink[v] === index[v]) {
+        const component = componentStarts.length - 1;
+        let w;
+        do {
+          w = stack[--stackSize];
+          onStack[w] = 0;
+          componentOf[w] = component;
+          componentNodes[assigned++] = w;
+        } while (w !== v);
+        componentStarts.push(assigned);
+      }
+      if (callSize > 0) {
+        const u = callNodes[callSize - 1];
+        if (lowlink[v] < lowlink[u]) {
+          lowlink[u] = lowlink[v];
+        }
+      }
+    }
+  }
+
+  return {
+    count: componentStarts.length - 1,
+    componentOf,
+    componentOffsets: Uint32Array.from(componentStarts),
+    componentNodes,
+  };
+}
+
+/**
+ * Build the condensation of a graph: one node per strongly connected
+ * component, with an edge between two components whenever an edge links
+ * their members. The result is a DAG; node c is component c of the SCC
+ * result (named by its number), and edge weights are summed.
+ * @param {CompactGraph} graph
+ * @param {{count: number, componentOf: Int32Array}} components - Result of findStronglyConnectedComponents
+ * @returns {CompactGraph}
+ */
+export function buildCondensation(graph, components) {
+  const { count, componentOf } = components;
+  const builder = new GraphBuilder();
+  for (let c = 0; c < count; c++) {
+    builder.addNode(String(c));
+  }
+
+  for (let v = 0; v < graph.size; v++) {
+    const from = componentOf[v];
+    for (let e = graph.offsets[v]; e < graph.offsets[v + 1]; e++) {
+      const to = componentOf[graph.targets[e]];
+      if (to !== from) {
+        builder.addEdge(from, to, graph.weights[e]);
+      }
+    }
+  }
+
+  return builder.build();
+}
@@ -0,0 +1,151 @@
+/**
+ * Lemmatizer Module
+ *
+ * Morphy-style lemmatizer that maps inflected definition tokens ("words",
+ * "defined", "things") to their WordNet lemmas ("word", "define", "thing").
+ *
+ * Base forms are looked up in three places, like WordNet's own morphy:
+ *   1. Exception lists: irregular forms from the `<Form>` variants of the
+ *      LMF file plus a built-in list of common irregular inflections
+ *   2. The lemma inventory itself: a token that is already a lemma is kept
+ *   3. Detachment rules per part of speech (e.g. -ies -> -y, -ed -> -e),
+ *      accepted only when the result is a lemma of that part of speech
+ *
+ * Rules are only tried for tokens that are not lemmas themselves, so "as"
+ * stays "as" instead of also becoming the letter "a".
+ *
+ * Reference: WordNet morphy(7WN), https://wordnet.princeton.edu/documentation/morphy7wn
+ */
+
+/**
+ * Morphy detachment rules: [suffix, replacement] per part of speech.
+ */
+const DETACHMENT_RULES = {
+  n: [['s', ''], ['ses', 's'], ['xes', 'x'], ['zes', 'z'], ['ches', 'ch'], ['shes', 'sh'], ['men', 'man'], ['ies', 'y']],
+  v: [['s', ''], ['ies', 'y'], ['es', 'e'], ['es', ''], ['ed', 'e'], ['ed', ''], ['ing', 'e'], ['ing', '']],
+  a: [['er', ''], ['est', ''], ['er', 'e'], ['est', 'e']],
+};
+
+/**
+ * Common irregular inflections (a subset of WordNet's *.exc exception lists).
+ * Maps an inflected form to its base form(s).
+ */
+export const IRREGULAR_FORMS = {
+  am: ['be'], is: ['be'], are: ['be'], was: ['be'], were: ['be'], been: ['be'], being: ['be'],
+  has: ['have'], had: ['have'], having: ['have'],
+  does: ['do'], did: ['do'], done: ['do'],
+  went: ['go'], gone: ['go'], goes: ['go'],
+  said: ['say'], says: ['say'],
+  made: ['make'], knew: ['know'], known: ['know'], thought: ['think'],
+  saw: ['see'], seen: ['see'], heard: ['hear'], felt: ['feel'],
+  died: ['die'], lived: ['live'], moved: ['move'], happened: ['happen'],
+  took: ['take'], taken: ['take'], gave: ['give'], given: ['give'],
+  came: ['come'], become: ['become'], became: ['become'], began: ['begin'], begun: ['begin'],
+  got: ['get'], gotten: ['get'], held: ['hold'], kept: ['keep'], left: ['leave'],
+  brought: ['bring'], built: ['build'], bought: ['buy'], caught: ['catch'],
+  found: ['find'], told: ['tell'], stood: ['stand'], understood: ['understand'],
+  written: ['write'], wrote: ['write'], spoken: ['speak'], spoke: ['speak'],
+  men: ['man'], women: ['woman'], children: ['child'], feet: ['foot'], teeth: ['tooth'],
+  mice: ['mouse'], geese: ['goose'], lives: ['life'], wives: ['wife'], knives: ['knife'],
+  leaves: ['leaf'], halves: ['half'], selves: ['self'], data: ['datum'], criteria: ['criterion'],
+  better: ['good', 'well'], best: ['good', 'well'], worse: ['bad', 'badly'], worst: ['bad', 'badly'],
+  more: ['much', 'many'], most: ['much', 'many'], less: ['little'], least: ['little'],
+  further: ['far'], farther: ['far'], furthest: ['far'], farthest: ['far'],
+};
+
+/**
+ * Strip a possessive ending ("people's" -> "people", "parents'" -> "parents").
+ * @param {string} token
+ * @returns {string}
+ */
+export function stripPossessive(token) {
+  return token.replace(/['’]s$/, '').replace(/(s)['’]$/, '$1');
+}
+
+/**
+ * Morphy-style lemmatizer over a lexicon from loadWordNet.
+ */
+export class Lemmatizer {
+  /**
+   * @param {{entries: Array}} lexicon - Lexicon from loadWordNet
+   * @param {Object} [options]
+   * @param {Object} [options.exceptions] - Inflected form -> base forms (default IRREGULAR_FORMS)
+   */
+  constructor(lexicon, { exceptions = IRREGULAR_FORMS } = {}) {
+    this.lemmaPos = new Map();  // lemma -> Set of parts of speech
+    this.exceptions = new Map();  // inflected form -> Set of lemmas
+
+    for (const entry of lexicon.entries) {
+      for (const lemma of entry.lemmas) {
+        const key = lemma.writtenForm.toLowerCase();
+        const pos = lemma.partOfSpeech === 's' ? 'a' : lemma.partOfSpeech;
+        if (!this.lemmaPos.has(key)) {
+          this.lemmaPos.set(key, new Set());
+        }
+        this.lemmaPos.get(key).add(pos);
+
+        // <Form> variants of the entry act as an exception list
+        for (const form of entry.forms) {
+          this.addException(form.toLowerCase(), key);
+        }
+      }
+    }
+
+    for (const [form, bases] of Object.entries(exceptions)) {
+      for (const base of bases) {
+        if (this.lemmaPos.has(base)) {
+          this.addException(form, base);
+        }
+      }
+    }
+  }
+
+  addException(form, lemma) {
+    if (form === lemma) return;
+    if (!this.exceptions.has(form)) {
+      this.exceptions.set(form, new Set());
+    }
+    this.exceptions.get(form).add(lemma);
+  }
+
+  /**
+   * Check whether a word is a WordNet lemma.
+   * @param {string} word - Lowercase word
+   * @returns {boolean}
+   */
+  isLemma(word) {
+    return this.lemmaPos.has(word);
+  }
+
+  /**
+   * Map a token to its WordNet lemma(s).
+   * Returns the token itself when no lemma is known for it.
+   * @param {string} token - Lowercase token
+   * @returns {Array<string>} Lemmas
+   */
+  lemmatize(token) {
+    const word = stripPossessive(token);
+    const lemmas = new Set();
+
+    if (this.lemmaPos.has(word)) {
+      lemmas.add(word);
+    }
+    for (const base of this.exceptions.get(word) || []) {
+      lemmas.add(base);
+    }
+
+    if (lemmas.size === 0) {
+      for (const [pos, rules] of Object.entries(DETACHMENT_RULES)) {
+        for (const [suffix, replacement] of rules) {
+          if (!word.endsWith(suffix) || word.length <= suffix.length) continue;
+          const base = word.slice(0, word.length - suffix.length) + replacement;
+          if (this.lemmaPos.get(base)?.has(pos)) {
+            lemmas.add(base);
+          }
+        }
+      }
+    }
+
+    return lemmas.size > 0 ? [...lemmas] : [word];
+  }
+}
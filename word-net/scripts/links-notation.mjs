@@ -0,0 +1,53 @@
+/**
+ * Links Notation Reader
+ *
+ * Minimal reader for the flat links this project writes and reads as
+ * configuration: one link per line, such as `(entity isa discovered_semantic_prime)`
+ * or `(entity definition "that which is perceived")`. Lines starting with
+ * `//` and blank lines are skipped. Nested links are not supported; use the
+ * links-notation package (see examples/parse-lino-with-use-m.mjs) for full
+ * documents.
+ */
+
+/**
+ * Read one link line into its values.
+ * @param {string} text - Text between the parentheses
+ * @returns {Array<string>|null} Values, or null if the text is malformed
+ */
+function readValues(text) {
+  const body = text.trim();
+  const values = [];
+  const token = /\s*(?:"((?:[^"\\]|\\.)*)"|([^\s"()]+))/gy;
+  let match;
+  while (token.lastIndex < body.length && (match = token.exec(body)) !== null) {
+    if (match[1] !== undefined) {
+      values.push(match[1].replace(/\\(.)/g, (_, c) => ({ n: '\n', r: '\r' })[c] || c));
+    } else {
+      values.push(match[2]);
+    }
+  }
+  if (token.lastIndex < body.length) return null;
+  return values;
+}
+
+/**
+ * Parse flat links, one per line.
+ * @param {string} text - Links Notation document
+ * @returns {Array<Array<string>>} Values of each link in order, quoted
+ *   strings unescaped
+ * @throws {Error} If a line is not a flat link
+ */
+export function parseLinks(text) {
+  const links = [];
+  const lines = text.split(/\r?\n/);
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i].trim();
+    if (line === '' || line.startsWith('//')) continue;
+    const values = line.startsWith('(') && line.endsWith(')') ? readValues(line.slice(1, -1)) : null;
+    if (!values || values.length === 0) {
+      throw new Error(`Line ${i + 1}: expected a link such as (subject predicate value), got: ${line}`);
+    }
+    links.push(values);
+  }
+  return links;
+}
@@ -0,0 +1,134 @@
+/**
+ * Multi-Word Expression Recognizer Module
+ *
+ * Longest-match recognizer for multi-word lemmas ("in front of", "a lot",
+ * "there is", "at least"). The phrases come from the lemma inventory of the
+ * parsed lexicon and are stored in a word trie. A definition is split into
+ * words once, the recognizer merges every run of words that spells a
+ * multi-word lemma into one token, and only the remaining words are handled
+ * as single tokens.
+ *
+ * Matching is greedy from left to right and prefers the longest phrase at
+ * each position, so "in front of the house" yields "in front of" rather than
+ * "in front". With a lemmatizer, inflected words also match the phrase
+ * ("took part in" -> "take part in").
+ *
+ * Hyphenated lemmas ("well-known") are tokenized with the same tokenizer
+ * configuration as the definitions, so they are recognized even when the
+ * tokenizer splits hyphens. Words are matched in lowercase, also when the
+ * tokenizer keeps their case.
+ */
+
+import { tokenize, DEFAULT_TOKENIZER_CONFIG } from './tokenizer.mjs';
+
+/**
+ * Longest-match multi-word expression recognizer over a lexicon from loadWordNet.
+ */
+export class MweRecognizer {
+  /**
+   * @param {{entries: Array}} lexicon - Lexicon from loadWordNet
+   * @param {Object} [options]
+   * @param {Object} [options.tokenizer] - Tokenizer configuration used for definitions
+   * @param {Object} [options.lemmatizer] - Lemmatizer from lemmatizer.mjs, to match inflected phrases
+   */
+  constructor(lexicon, { tokenizer = DEFAULT_TOKENIZER_CONFIG, lemmatizer = null } = {}) {
+    this.tokenizer = tokenizer;
+    this.lemmatizer = lemmatizer;
+    this.root = new Map();  // word -> { children: Map, phrase: string|null }
+    this.size = 0;
+    this.maxWords = 0;
+
+    for (const entry of lexicon.entries) {
+      for (const lemma of entry.lemmas) {
+        this.addPhrase(lemma.writtenForm);
+      }
+    }
+  }
+
+  /**
+   * Add a lemma to the trie if it spans more than one token.
+   * @param {string} writtenForm - Lemma as written in the lexicon
+   */
+  addPhrase(writtenForm) {
+    const words = tokenize(writtenForm, this.tokenizer).map(word => word.toLowerCase());
+    if (words.length < 2) return;
+
+    let children = this.root;
+    let node = null;
+    for (const word of words) {
+      node = children.get(word);
+      if (!node) {
+        node = { children: new Map(), phrase: null };
+        children.set(word, node);
+      }
+      children = node.children;
+    }
+
+    if (node.phrase === null) {
+      node.phrase = writtenForm.toLowerCase();
+      this.size++;
+      this.maxWords = Math.max(this.maxWords, words.length);
+    }
+  }
+
+  /**
+   * Forms a word may take when matching a phrase: itself and its lemmas.
+   */
+  wordForms(word) {
+    const key = word.toLowerCase();
+    if (!this.lemmatizer) return [key];
+    return [...new Set([key, ...this.lemmatizer.lemmatize(key)])];
+  }
+
+  /**
+   * Find the longest phrase starting at a word position.
+   * @returns {{phrase: string, length: number}|null}
+   */
+  matchAt(words, start) {
+    let best = null;
+    let frontier = [this.root];
+
+    for (let i = start; i < words.length && frontier.length > 0; i++) {
+      const next = [];
+      for (const children of frontier) {
+        for (const form of this.wordForms(words[i])) {
+          const node = children.get(form);
+          if (!node) continue;
+          if (node.phrase !== null && (!best || i - start + 1 > best.length)) {
+            best = { phrase: node.phrase, length: i - start + 1 };
+          }
+          if (node.children.size > 0) next.push(node.children);
+        }
+      }
+      frontier = next;
+    }
+
+    return best;
+  }
+
+  /**
+   * Split text into tokens, merging multi-word expressions into single
+   * tokens (words joined by single spaces, as in the lemma inventory).
+   * @param {string} text - Definition or other text
+   * @returns {Array<string>} Tokens in order of appearance
+   */
+  segment(text) {
+    const words = tokenize(text, this.tokenizer);
+    if (this.size === 0) return words;
+
+    const tokens = [];
+    let i = 0;
+    while (i < words.length) {
+      // Only words whose form or lemma starts a phrase are matched further
+      const match = this.wordForms(words[i]).some(form => this.root.has(form)) ? this.matchAt(words, i) : null;
+      if (match) {
+        tokens.push(match.phrase);
+        i += match.length;
+      } else {
+        tokens.push(words[i]);
+        i++;
+      }
+    }
+    return tokens;
+  }
+}
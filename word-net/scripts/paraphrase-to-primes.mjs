@@ -0,0 +1,248 @@
+#!/usr/bin/env node
+
+/**
+ * Reductive Paraphrase of WordNet Definitions into NSM Primes
+ *
+ * Takes words and expands the definition of each, recursively replacing
+ * every content word that is not an NSM prime (see semantic-primes.mjs)
+ * with its own definition, until only primes remain or a limit is reached
+ * (see paraphrase.mjs). This checks the NSM claim that every meaning can be
+ * explicated in primes directly against the WordNet glosses.
+ *
+ * A word is defined by its first definition (the most frequent sense).
+ * Function words from the built-in stop word list that are not primes are
+ * treated as grammar and dropped; NSM primes are kept even when they are on
+ * that list ("do", "not", "some").
+ *
+ * Results are output in Links Notation (.lino) format.
+ *
+ * Usage: node paraphrase-to-primes.mjs <word> [<word> ...] [options]
+ *
+ * Options:
+ *   --max-depth=<n>     Deepest level that is expanded (default 3)
+ *   --max-nodes=<n>     Stop expanding a word's tree at n nodes (default 500)
+ *   --no-stop-words     Keep function words; those that are not primes become residue
+ *   --inventory=<name>  NSM prime inventory (default current; see semantic-primes.mjs)
+ *
+ * Requirements: Run download.mjs first to get the WordNet data.
+ */
+
+import { existsSync, writeFileSync } from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { loadWordNet } from './wordnet-parser.mjs';
+import { Lemmatizer } from './lemmatizer.mjs';
+import { MweRecognizer } from './mwe-recognizer.mjs';
+import { DEFAULT_STOP_WORDS, extractContentWords } from './tokenizer.mjs';
+import { buildPrimeExponents, expandToPrimes, explicationLeaves } from './paraphrase.mjs';
+import { DEFAULT_INVENTORY, getAllPrimes, PRIME_INVENTORIES } from './semantic-primes.mjs';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Configuration
+const DATA_DIR = path.join(__dirname, '..', 'data');
+const WORDNET_FILE = path.join(DATA_DIR, 'english-wordnet-2024.xml');
+const OUTPUT_FILE = path.join(DATA_DIR, 'paraphrases.lino');
+
+/**
+ * Parse command line arguments.
+ * Returns the words to paraphrase, the expansion limits, whether stop
+ * words are dropped and the prime inventory.
+ */
+function parseConfig() {
+  const args = process.argv.slice(2);
+  const words = args.filter(arg => !arg.startsWith('--')).map(word => word.toLowerCase());
+  if (words.length === 0) {
+    console.error('Usage: node paraphrase-to-primes.mjs <word> [<word> ...] [--max-depth=<n>] [--max-nodes=<n>] [--no-stop-words] [--inventory=<name>]');
+    process.exit(1);
+  }
+
+  const limits = { 'max-depth': 3, 'max-nodes': 500 };
+  for (const option of Object.keys(limits)) {
+    const arg = args.find(a => a.startsWith(`--${option}=`));
+    if (!arg) continue;
+    const value = arg.replace(`--${option}=`, '');
+    limits[option] = Number(value);
+    if (!Number.isInteger(limits[option]) || limits[option] < 1) {
+      console.error(`Error: Invalid ${option} "${value}" (expected a positive integer)`);
+      process.exit(1);
+    }
+  }
+
+  const inventoryArg = args.find(arg => arg.startsWith('--inventory='));
+  const inventory = inventoryArg ? inventoryArg.replace('--inventory=', '') : DEFAULT_INVENTORY;
+  if (!PRIME_INVENTORIES[inventory]) {
+    console.error(`Error: Unknown inventory "${inventory}" (available: ${Object.keys(PRIME_INVENTORIES).join(', ')})`);
+    process.exit(1);
+  }
+
+  return {
+    words,
+    maxDepth: limits['max-depth'],
+    maxNodes: limits['max-nodes'],
+    dropStopWords: !args.includes('--no-stop-words'),
+    inventory,
+  };
+}
+
+const CONFIG = parseConfig();
+
+/**
+ * Definitions of every lemma, in sense order (most frequent sense first).
+ */
+function buildLemmaDefinitions(lexicon) {
+  const lemmaToDefinitions = new Map();
+  for (const entry of lexicon.entries) {
+    for (const lemma of entry.lemmas) {
+      const key = lemma.writtenForm.toLowerCase();
+      for (const sense of entry.senses) {
+        const synset = lexicon.synsets.get(sense.synset);
+        if (!synset || synset.definitions.length === 0) continue;
+        if (!lemmaToDefinitions.has(key)) lemmaToDefinitions.set(key, []);
+        lemmaToDefinitions.get(key).push(synset.definitions[0]);
+      }
+    }
+  }
+  return lemmaToDefinitions;
+}
+
+/**
+ * Print an expansion tree, one word per line.
+ */
+function printTree(node, indent = '') {
+  let text;
+  if (node.status === 'prime') {
+    text = node.prime.toLowerCase() === node.word ? node.prime : `${node.word} = ${node.prime}`;
+  } else if (node.status === 'expanded') {
+    text = `${node.word}: "${node.definition}"`;
+  } else {
+    text = `${node.word} [${node.status.replace('_', ' ')}]`;
+  }
+  console.log(`${indent}${text}`);
+  for (const child of node.children) printTree(child, `${indent}  `);
+}
+
+/**
+ * Escape special characters for Links Notation strings.
+ * @param {string} str - String to escape
+ * @returns {string} Escaped string
+ */
+function escapeForLino(str) {
+  return str
+    .replace(/\\/g, '\\\\')
+    .replace(/"/g, '\\"')
+    .replace(/\n/g, '\\n')
+    .replace(/\r/g, '\\r');
+}
+
+/**
+ * Convert expansions to Links Notation format: a summary per word, then
+ * the nodes of its expansion tree.
+ * @param {Array<{word: string, expansion: Object}>} results
+ * @returns {string} Links Notation string
+ */
+function toLinksNotation(results) {
+  const lines = [];
+  const toId = (word) => word.replace(/[^a-z0-9]/gi, '_');
+
+  lines.push('// Reductive paraphrases of WordNet definitions into NSM semantic primes');
+  lines.push('// Each non-prime content word is replaced by its first definition until only');
+  lines.push('// primes remain or a limit is reached; the rest is residue.');
+  lines.push('//');
+  lines.push(`// Generated: ${new Date().toISOString()}`);
+  lines.push(`// Limits: depth ${CONFIG.maxDepth}, ${CONFIG.maxNodes} nodes`);
+  lines.push(`// Stop words: ${CONFIG.dropStopWords ? 'built-in list without the primes' : 'none'}`);
+  lines.push(`// Prime inventory: ${CONFIG.inventory}`);
+
+  for (const { word, expansion } of results) {
+    const wordId = toId(word);
+    lines.push('');
+    lines.push(`// === ${word.toUpperCase()} ===`);
+    lines.push('');
+    lines.push(`(${wordId} reducibility ${expansion.reducibility.toFixed(3)})`);
+    lines.push(`(${wordId} leaves ${expansion.leaves})`);
+    lines.push(`(${wordId} prime_leaves ${expansion.primeLeaves})`);
+    lines.push(`(${wordId} explication "${escapeForLino(explicationLeaves(expansion.tree).join(' '))}")`);
+    for (const [residueWord, { reason, count }] of expansion.residue) {
+      lines.push(`(${wordId} residue (${toId(residueWord)} ${reason} ${count}))`);
+    }
+
+    // Tree nodes, numbered breadth first
+    const queue = [expansion.tree];
+    const ids = new Map([[expansion.tree, `${wordId}_0`]]);
+    lines.push(`(${wordId} expansion ${wordId}_0)`);
+    for (let head = 0; head < queue.length; head++) {
+      const node = queue[head];
+      const nodeId = ids.get(node);
+      lines.push(`(${nodeId} word ${toId(node.word)})`);
+      lines.push(`(${nodeId} status ${node.status})`);
+      if (node.prime) {
+        lines.push(`(${nodeId} nsm_prime "${node.prime}")`);
+      }
+      if (node.status === 'expanded') {
+        lines.push(`(${nodeId} definition "${escapeForLino(node.definition)}")`);
+      }
+      for (const child of node.children) {
+        ids.set(child, `${wordId}_${ids.size}`);
+        lines.push(`(${ids.get(child)} part_of ${nodeId})`);
+        queue.push(child);
+      }
+    }
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Main function.
+ */
+async function main() {
+  console.log('=== Reductive Paraphrase Script ===\n');
+
+  if (!existsSync(WORDNET_FILE)) {
+    console.error(`Error: WordNet data file not found: ${WORDNET_FILE}`);
+    console.error('Please run "node scripts/download.mjs" first to download the data.');
+    process.exit(1);
+  }
+
+  const lexicon = await loadWordNet(WORDNET_FILE);
+  const lemmatizer = new Lemmatizer(lexicon);
+  const mweRecognizer = new MweRecognizer(lexicon, { lemmatizer });
+  const lemmaToDefinitions = buildLemmaDefinitions(lexicon);
+
+  // Primes are never dropped as stop words
+  const exponents = buildPrimeExponents(getAllPrimes({ inventory: CONFIG.inventory }), { lemmatizer });
+  const stopWords = new Set(CONFIG.dropStopWords ? DEFAULT_STOP_WORDS.filter(w => !exponents.has(w)) : []);
+  const options = {
+    definitionOf: (word) => lemmaToDefinitions.get(word)?.[0] ?? null,
+    contentWords: (text) => extractContentWords(text, { stopWords, lemmatizer, mweRecognizer }),
+    primeOf: (word) => exponents.get(word) ?? null,
+    maxDepth: CONFIG.maxDepth,
+    maxNodes: CONFIG.maxNodes,
+  };
+
+  const results = [];
+  for (const word of CONFIG.words) {
+    const expansion = expandToPrimes(word, options);
+    results.push({ word, expansion });
+
+    console.log(`\n=== ${word} ===`);
+    printTree(expansion.tree);
+    const residue = [...expansion.residue].sort((a, b) => b[1].count - a[1].count)
+      .map(([w, { reason, count }]) => `${w} (${reason.replace('_', ' ')}${count > 1 ? `, ${count}x` : ''})`);
+    console.log(`Residue: ${residue.join(', ') || 'none'}`);
+    console.log(`Explication: ${explicationLeaves(expansion.tree).join(' ')}`);
+    console.log(`Reducibility: ${expansion.reducibility.toFixed(3)} ` +
+      `(${expansion.primeLeaves} of ${expansion.leaves} leaves are NSM primes, ${expansion.nodes} nodes)`);
+  }
+
+  writeFileSync(OUTPUT_FILE, toLinksNotation(results));
+  console.log(`\nLinks Notation output saved to: ${OUTPUT_FILE}`);
+  console.log('\nParaphrase complete!');
+}
+
+main().catch((error) => {
+  console.error('Error:', error.message);
+  process.exit(1);
+});
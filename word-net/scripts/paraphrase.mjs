@@ -0,0 +1,170 @@
+/**
+ * Reductive Paraphrase Module
+ *
+ * Expands a word's definition towards NSM semantic primes, the way NSM
+ * explications are built: every content word of the definition that is not
+ * a prime is replaced by its own definition, recursively, until only primes
+ * remain or a limit is reached. What is left over (words that have no
+ * definition, that lead back to a word being expanded, or that the limits
+ * cut off) is the residue; the share of primes among the leaves of the
+ * expansion is the word's reducibility.
+ *
+ * The same expansion, applied a fixed number of steps to every token of a
+ * definition, measures how close the definition already is to an
+ * explication in primes (coverageByStep).
+ *
+ * The engine is independent of WordNet: callers provide the definition of
+ * a word and the content words of a text.
+ *
+ *   const exponents = buildPrimeExponents();
+ *   const expansion = expandToPrimes('entity', {
+ *     definitionOf: (word) => lemmaToDefinitions.get(word)?.[0]?.definition ?? null,
+ *     contentWords: (text) => extractContentWords(text, { lemmatizer, stopWords }),
+ *     primeOf: (word) => exponents.get(word) ?? null,
+ *   });
+ */
+
+import { getAllPrimes } from './semantic-primes.mjs';
+
+/**
+ * Lowercase forms of every prime and allolex ("BE (SOMEWHERE)" -> "be",
+ * "THE SAME" -> "the same"), mapped to the prime they express. Primes of
+ * another language contribute their exponent instead of the English name.
+ * @param {Array<Object>} [primes] - Primes from getAllPrimes
+ * @param {Object} [options]
+ * @param {Object} [options.lemmatizer] - Also map the lemmas of the forms
+ *   ("words" -> "word"), to match lemmatized definition words
+ * @returns {Map<string, string>} Exponent -> prime
+ */
+export function buildPrimeExponents(primes = getAllPrimes(), { lemmatizer = null } = {}) {
+  const exponents = new Map();
+  const add = (exponent, prime) => {
+    if (exponent && !exponents.has(exponent)) exponents.set(exponent, prime);
+  };
+  for (const prime of primes) {
+    const exponent = 'exponent' in prime ? prime.exponent : prime.prime;
+    for (const form of [exponent, ...prime.allolexes].filter(Boolean)) {
+      add(form.replace(/\(.*?\)/g, '').trim().toLowerCase(), prime.prime);
+    }
+  }
+  if (lemmatizer) {
+    for (const [exponent, prime] of [...exponents]) {
+      if (!exponent.includes(' ')) lemmatizer.lemmatize(exponent).forEach(lemma => add(lemma, prime));
+    }
+  }
+  return exponents;
+}
+
+/**
+ * Expand a word towards NSM primes, breadth first so that the size limit
+ * cuts off the deepest words first.
+ *
+ * Node status:
+ *   - 'prime':      the word is an NSM prime (a leaf)
+ *   - 'expanded':   replaced by the content words of its definition
+ *   - 'undefined':  no definition (residue)
+ *   - 'circular':   already being expanded above this node (residue)
+ *   - 'depth_limit', 'size_limit': not expanded because of a limit (residue)
+ *
+ * @param {string} word
+ * @param {Object} options
+ * @param {Function} options.definitionOf - word -> definition text or null
+ * @param {Function} options.contentWords - text -> Array of content words
+ * @param {Function} options.primeOf - word -> prime name or null
+ * @param {number} [options.maxDepth=3] - Deepest level that is expanded (the word is level 0)
+ * @param {number} [options.maxNodes=500] - Stop expanding once the tree has this many nodes
+ * @returns {{tree: Object, leaves: number, primeLeaves: number, reducibility: number,
+ *            residue: Map<string, {reason: string, count: number}>, nodes: number}}
+ *   Tree nodes are {word, prime, definition, status, depth, children}; the
+ *   reducibility is the share of leaves that are primes
+ */
+export function expandToPrimes(word, { definitionOf, contentWords, primeOf, maxDepth = 3, maxNodes = 500 }) {
+  const tree = { word, prime: primeOf(word), definition: null, status: null, depth: 0, children: [], parent: null };
+  let nodes = 1;
+
+  const queue = [tree];
+  for (let head = 0; head < queue.length; head++) {
+    const node = queue[head];
+    if (node.prime) {
+      node.status = 'prime';
+      continue;
+    }
+
+    let ancestor = node.parent;
+    while (ancestor && ancestor.word !== node.word) ancestor = ancestor.parent;
+    node.definition = definitionOf(node.word);
+    if (ancestor) {
+      node.status = 'circular';
+    } else if (node.definition === null) {
+      node.status = 'undefined';
+    } else if (node.depth >= maxDepth) {
+      node.status = 'depth_limit';
+    } else {
+      const words = contentWords(node.definition);
+      if (nodes + words.length > maxNodes) {
+        node.status = 'size_limit';
+        continue;
+      }
+      node.status = 'expanded';
+      for (const child of words) {
+        const childNode = { word: child, prime: primeOf(child), definition: null, status: null, depth: node.depth + 1, children: [], parent: node };
+        node.children.push(childNode);
+        queue.push(childNode);
+      }
+      nodes += words.length;
+    }
+  }
+
+  // Leaves: primes and residue (an expanded node whose definition has no
+  // content words is neither)
+  let leaves = 0;
+  let primeLeaves = 0;
+  const residue = new Map();
+  for (const node of queue) {
+    delete node.parent;
+    if (node.status === 'expanded') continue;
+    leaves++;
+    if (node.status === 'prime') {
+      primeLeaves++;
+      continue;
+    }
+    if (!residue.has(node.word)) residue.set(node.word, { reason: node.status, count: 0 });
+    residue.get(node.word).count++;
+  }
+
+  return { tree, leaves, primeLeaves, reducibility: leaves > 0 ? primeLeaves / leaves : 0, residue, nodes };
+}
+
+/**
+ * The leaves of an expansion in order: primes by name (upper case), residue
+ * words as they are. This is the explication the expansion arrived at.
+ * @param {Object} tree - Tree from expandToPrimes
+ * @returns {Array<string>}
+ */
+export function explicationLeaves(tree) {
+  if (tree.status === 'prime') return [tree.prime];
+  if (tree.status !== 'expanded') return [tree.word];
+  return tree.children.flatMap(explicationLeaves);
+}
+
+/**
+ * Share of prime tokens in a definition, before and after expanding it.
+ * Each step replaces every token that is not a prime by the content words
+ * of its definition; tokens without a definition stay as they are.
+ * @param {Array<string>} tokens - Content words of the definition
+ * @param {Object} options
+ * @param {Function} options.isPrime - word -> boolean
+ * @param {Function} options.expansionOf - word -> content words of its definition, or null
+ * @param {number} [options.steps=2] - Number of expansion steps
+ * @returns {Array<number|null>} Coverage after 0..steps steps (null when no tokens are left)
+ */
+export function coverageByStep(tokens, { isPrime, expansionOf, steps = 2 }) {
+  const coverage = [];
+  let level = tokens;
+  for (let step = 0; ; step++) {
+    coverage.push(level.length > 0 ? level.filter(isPrime).length / level.length : null);
+    if (step === steps) break;
+    level = level.flatMap(token => (isPrime(token) ? [token] : expansionOf(token) ?? [token]));
+  }
+  return coverage;
+}
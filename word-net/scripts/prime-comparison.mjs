@@ -0,0 +1,172 @@
+/**
+ * Cross-Lingual Prime Comparison Module
+ *
+ * Compares the primes that discover-semantic-primes.mjs finds in the
+ * wordnets of several languages. Sense-mode discovery traces every prime
+ * synset to its ILI id, so the primes of different wordnets meet on the
+ * interlingual concepts they express. A concept is:
+ *
+ *   - universal: primitive in every language compared
+ *   - partial:   primitive in more than one language, but not in all
+ *   - unique:    primitive in one language only
+ *
+ * The overlap of two languages is the Jaccard index of their prime
+ * concepts (shared / either). Concepts can be broken down by any category,
+ * such as their part of speech or the NSM prime whose curated sense they
+ * are (buildNsmCategoryIndex).
+ *
+ * A concept that a wordnet does not lexicalize cannot be primitive in it,
+ * so small wordnets lower every overlap they are part of.
+ */
+
+import { getAllPrimes } from './semantic-primes.mjs';
+
+/**
+ * Read the primes of a discovered primes file.
+ * @param {string} text - Contents of discovered-sense-primes(-<language>).lino
+ * @returns {{language: string|null, primes: Array<{id: string, score: number|null,
+ *            pos: string|null, ili: string|null, lemmas: Array<string>}>}} The language of the
+ *   `// Language:` header (null for files written before it existed) and the
+ *   primes in file order
+ */
+export function readDiscoveredPrimes(text) {
+  let language = null;
+  const primes = new Map();
+  const link = /^\(([^\s()"]+)\s+(isa|prime_score|pos|ili|lemma)\s+("?)([^"()]*)\3\)$/;
+
+  for (const line of text.split(/\r?\n/)) {
+    const trimmed = line.trim();
+    const header = trimmed.match(/^\/\/ Language: (\S+)/);
+    if (header) {
+      language ??= header[1];
+      continue;
+    }
+    const match = trimmed.match(link);
+    if (!match) continue;
+    const [, id, predicate, , value] = match;
+    if (predicate === 'isa') {
+      if (value === 'discovered_semantic_prime' && !primes.has(id)) {
+        primes.set(id, { id, score: null, pos: null, ili: null, lemmas: [] });
+      }
+      continue;
+    }
+    const prime = primes.get(id);
+    if (!prime) continue;
+    if (predicate === 'prime_score') prime.score = Number(value);
+    else if (predicate === 'pos') prime.pos = value;
+    else if (predicate === 'ili') prime.ili = value;
+    else prime.lemmas.push(value);
+  }
+
+  return { language, primes: [...primes.values()] };
+}
+
+/**
+ * Align the discovered primes of several languages by ILI id. Primes
+ * without an ILI id (lemma-mode primes, synsets outside the ILI and those
+ * proposed for it, ili="in") are left out.
+ * @param {Object<string, Array<{ili: string|null, pos: string|null}>>} byLanguage -
+ *   Language code -> discovered primes (readDiscoveredPrimes)
+ * @returns {{languages: Array<string>,
+ *            concepts: Map<string, {languages: Array<string>, pos: string|null}>,
+ *            universal: Array<string>, partial: Array<string>,
+ *            unique: Object<string, Array<string>>,
+ *            pairs: Array<{languages: Array<string>, shared: number, union: number, jaccard: number|null}>}}
+ *   The languages landing on each ILI id, the ILI ids primitive in every,
+ *   several and one language (by language), and the Jaccard index of every
+ *   pair of languages (null when neither has a concept)
+ */
+export function compareDiscoveredPrimes(byLanguage) {
+  const languages = Object.keys(byLanguage);
+  const concepts = new Map();
+
+  for (const language of languages) {
+    for (const { ili, pos } of byLanguage[language]) {
+      if (!ili || !/^i\d+$/.test(ili)) continue;
+      if (!concepts.has(ili)) concepts.set(ili, { languages: [], pos: pos ?? null });
+      const concept = concepts.get(ili);
+      if (!concept.languages.includes(language)) concept.languages.push(language);
+    }
+  }
+
+  const universal = [];
+  const partial = [];
+  const unique = Object.fromEntries(languages.map(language => [language, []]));
+  for (const [ili, { languages: landed }] of concepts) {
+    if (landed.length === languages.length) universal.push(ili);
+    else if (landed.length === 1) unique[landed[0]].push(ili);
+    else partial.push(ili);
+  }
+
+  const pairs = [];
+  for (let i = 0; i < languages.length; i++) {
+    for (let j = i + 1; j < languages.length; j++) {
+      const pair = [languages[i], languages[j]];
+      let shared = 0;
+      let union = 0;
+      for (const concept of concepts.values()) {
+        const count = pair.filter(language => concept.languages.includes(language)).length;
+        if (count === 2) shared++;
+        if (count > 0) union++;
+      }
+      pairs.push({ languages: pair, shared, union, jaccard: union > 0 ? shared / union : null });
+    }
+  }
+
+  return { languages, concepts, universal, partial, unique, pairs };
+}
+
+/**
+ * Break a comparison down by category.
+ * @param {Object} comparison - Result of compareDiscoveredPrimes
+ * @param {Function} categoryOf - (ili, concept) -> category name, or null to
+ *   leave the concept out
+ * @returns {Array<{category: string, concepts: number, universal: number,
+ *                  partial: number, unique: Object<string, number>, jaccard: number}>}
+ *   Per category by descending size: the concepts primitive in every,
+ *   several and one language, and the Jaccard index of all languages
+ *   (universal / concepts)
+ */
+export function categoryBreakdown(comparison, categoryOf) {
+  const { languages, concepts } = comparison;
+  const rows = new Map();
+
+  for (const [ili, concept] of concepts) {
+    const category = categoryOf(ili, concept);
+    if (category === null || category === undefined) continue;
+    if (!rows.has(category)) {
+      rows.set(category, {
+        category,
+        concepts: 0,
+        universal: 0,
+        partial: 0,
+        unique: Object.fromEntries(languages.map(language => [language, 0])),
+      });
+    }
+    const row = rows.get(category);
+    row.concepts++;
+    if (concept.languages.length === languages.length) row.universal++;
+    else if (concept.languages.length === 1) row.unique[concept.languages[0]]++;
+    else row.partial++;
+  }
+
+  return [...rows.values()]
+    .map(row => ({ ...row, jaccard: row.universal / row.concepts }))
+    .sort((a, b) => b.concepts - a.concepts || a.category.localeCompare(b.category));
+}
+
+/**
+ * Index the curated senses of the NSM primes by ILI id, so that discovered
+ * concepts can be broken down by NSM category.
+ * @param {Object} [options] - Passed to getAllPrimes (inventory)
+ * @returns {Map<string, {prime: string, category: string}>} ILI id -> prime
+ */
+export function buildNsmCategoryIndex(options = {}) {
+  const index = new Map();
+  for (const { prime, category, canonical = [] } of getAllPrimes(options)) {
+    for (const id of canonical) {
+      if (/^i\d+$/.test(id) && !index.has(id)) index.set(id, { prime, category });
+    }
+  }
+  return index;
+}
@@ -0,0 +1,347 @@
+#!/usr/bin/env node
+
+/**
+ * Prime Coverage of WordNet Definitions
+ *
+ * For every synset, measures which share of the content words of its
+ * definition are NSM primes or allolexes (see semantic-primes.mjs) and
+ * which share are discovered primes (data/discovered-primes.lino), first
+ * for the definition as written, then after one and two expansion steps
+ * that replace each non-prime word by its first definition (see
+ * paraphrase.mjs). Glosses with a high coverage are already close to NSM
+ * explications; lexical fields (WordNet lexicographer files) with a low
+ * coverage are where the prime inventory fails.
+ *
+ * Function words from the built-in stop word list that are not primes are
+ * dropped, as in paraphrase-to-primes.mjs.
+ *
+ * Results are output in Links Notation (.lino) format, with a histogram of
+ * each coverage printed to the console.
+ *
+ * Usage: node prime-coverage.mjs [options]
+ *
+ * Options:
+ *   --steps=<n>             Expansion steps to measure after the definition itself (default 2)
+ *   --discovered=<file>     Discovered primes file (default data/discovered-primes.lino)
+ *   --no-stop-words         Keep function words; those that are not primes count as uncovered
+ *   --inventory=<name>      NSM prime inventory (default current; see semantic-primes.mjs)
+ *
+ * Requirements: Run download.mjs first to get the WordNet data, and
+ * discover-semantic-primes.mjs for the discovered prime coverage.
+ */
+
+import { existsSync, readFileSync, writeFileSync } from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { loadWordNet } from './wordnet-parser.mjs';
+import { Lemmatizer } from './lemmatizer.mjs';
+import { MweRecognizer } from './mwe-recognizer.mjs';
+import { DEFAULT_STOP_WORDS, extractContentWords } from './tokenizer.mjs';
+import { buildPrimeExponents, coverageByStep } from './paraphrase.mjs';
+import { DEFAULT_INVENTORY, getAllPrimes, PRIME_INVENTORIES } from './semantic-primes.mjs';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Configuration
+const DATA_DIR = path.join(__dirname, '..', 'data');
+const WORDNET_FILE = path.join(DATA_DIR, 'english-wordnet-2024.xml');
+const OUTPUT_FILE = path.join(DATA_DIR, 'prime-coverage.lino');
+const HISTOGRAM_BINS = 10;
+const REPORT_SIZE = 10;
+// Glosses shorter than this are left out of the "closest to NSM" list,
+// where one-word definitions would crowd out the rest
+const MIN_REPORTED_TOKENS = 3;
+
+/**
+ * Parse command line arguments.
+ * Returns the number of expansion steps, the discovered primes file,
+ * whether stop words are dropped and the prime inventory.
+ */
+function parseConfig() {
+  const args = process.argv.slice(2);
+
+  let steps = 2;
+  const stepsArg = args.find(arg => arg.startsWith('--steps='));
+  if (stepsArg) {
+    const value = stepsArg.replace('--steps=', '');
+    steps = Number(value);
+    if (!Number.isInteger(steps) || steps < 0) {
+      console.error(`Error: Invalid steps "${value}" (expected a non-negative integer)`);
+      process.exit(1);
+    }
+  }
+
+  const discoveredArg = args.find(arg => arg.startsWith('--discovered='));
+  const discoveredFile = discoveredArg
+    ? path.resolve(process.cwd(), discoveredArg.replace('--discovered=', ''))
+    : path.join(DATA_DIR, 'discovered-primes.lino');
+  if (discoveredArg && !existsSync(discoveredFile)) {
+    console.error(`Error: Discovered primes file not found: ${discoveredFile}`);
+    process.exit(1);
+  }
+
+  const inventoryArg = args.find(arg => arg.startsWith('--inventory='));
+  const inventory = inventoryArg ? inventoryArg.replace('--inventory=', '') : DEFAULT_INVENTORY;
+  if (!PRIME_INVENTORIES[inventory]) {
+    console.error(`Error: Unknown inventory "${inventory}" (available: ${Object.keys(PRIME_INVENTORIES).join(', ')})`);
+    process.exit(1);
+  }
+
+  return { steps, discoveredFile, dropStopWords: !args.includes('--no-stop-words'), inventory };
+}
+
+const CONFIG = parseConfig();
+
+/**
+ * Links Notation id of a word or synset id.
+ */
+function toNodeId(name) {
+  return name.replace(/[^a-z0-9]/gi, '_');
+}
+
+/**
+ * Ids of the words marked (word isa discovered_semantic_prime).
+ */
+function loadDiscoveredPrimes(filePath) {
+  const primes = new Set();
+  for (const line of readFileSync(filePath, 'utf-8').split('\n')) {
+    const match = line.match(/^\(([a-z0-9_]+)\s+isa\s+discovered_semantic_prime\)/i);
+    if (match) primes.add(match[1].toLowerCase());
+  }
+  return primes;
+}
+
+/**
+ * First definition (most frequent sense) of every lemma.
+ */
+function buildFirstDefinitions(lexicon) {
+  const firstDefinition = new Map();
+  for (const entry of lexicon.entries) {
+    for (const lemma of entry.lemmas) {
+      const key = lemma.writtenForm.toLowerCase();
+      if (firstDefinition.has(key)) continue;
+      for (const sense of entry.senses) {
+        const synset = lexicon.synsets.get(sense.synset);
+        if (synset && synset.definitions.length > 0) {
+          firstDefinition.set(key, synset.definitions[0]);
+          break;
+        }
+      }
+    }
+  }
+  return firstDefinition;
+}
+
+/**
+ * Count coverages into equal-width bins over [0, 1]; 1 falls into the last.
+ */
+function histogram(values) {
+  const bins = new Array(HISTOGRAM_BINS).fill(0);
+  for (const value of values) {
+    bins[Math.min(HISTOGRAM_BINS - 1, Math.floor(value * HISTOGRAM_BINS))]++;
+  }
+  return bins;
+}
+
+function mean(values) {
+  return values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : 0;
+}
+
+/**
+ * Print a histogram with bars scaled to the largest bin.
+ */
+function printHistogram(title, values) {
+  const bins = histogram(values);
+  const largest = Math.max(1, ...bins);
+  console.log(`\n${title} (${values.length} synsets, mean ${mean(values).toFixed(3)})`);
+  bins.forEach((count, i) => {
+    const range = `${(i / HISTOGRAM_BINS).toFixed(1)}-${((i + 1) / HISTOGRAM_BINS).toFixed(1)}`;
+    const bar = '#'.repeat(Math.round((count / largest) * 40));
+    console.log(`  ${range}  ${String(count).padStart(7)}  ${bar}`);
+  });
+}
+
+/**
+ * Coverage names per measure and step: nsm_coverage, nsm_coverage_step_1, ...
+ */
+function coverageName(measure, step) {
+  return step === 0 ? `${measure}_coverage` : `${measure}_coverage_step_${step}`;
+}
+
+/**
+ * Convert coverages to Links Notation format: histograms and lexical
+ * fields first, then the coverages of every synset.
+ * @param {Array<Object>} results - Per synset: {id, lexfile, tokens, coverage: {measure: Array}}
+ * @param {Array<string>} measures - Measured prime sets ('nsm', 'discovered')
+ * @param {Array<Object>} fields - Per lexical field: {lexfile, synsets, means: {name: number}}
+ * @param {number} skipped - Synsets without content words
+ * @returns {string} Links Notation string
+ */
+function toLinksNotation(results, measures, fields, skipped) {
+  const lines = [];
+
+  lines.push('// Prime coverage of WordNet definitions');
+  lines.push('// Share of the content words of each definition that are NSM primes or');
+  lines.push('// allolexes (nsm) or discovered primes (discovered), as written and after');
+  lines.push('// replacing non-prime words by their first definition step by step.');
+  lines.push('//');
+  lines.push(`// Generated: ${new Date().toISOString()}`);
+  lines.push(`// Synsets: ${results.length} (${skipped} without content words left out)`);
+  lines.push(`// Expansion steps: ${CONFIG.steps}`);
+  lines.push(`// Stop words: ${CONFIG.dropStopWords ? 'built-in list without the primes' : 'none'}`);
+  lines.push(`// Prime inventory: ${CONFIG.inventory}`);
+
+  lines.push('');
+  lines.push('// === HISTOGRAMS ===');
+  lines.push('// (coverage bin (from to synsets)), the last bin includes 1');
+  for (const measure of measures) {
+    for (let step = 0; step <= CONFIG.steps; step++) {
+      const name = coverageName(measure, step);
+      const values = results.map(r => r.coverage[measure][step]).filter(value => value !== null);
+      lines.push('');
+      lines.push(`(${name} mean ${mean(values).toFixed(3)})`);
+      histogram(values).forEach((count, i) => {
+        lines.push(`(${name} bin (${(i / HISTOGRAM_BINS).toFixed(1)} ${((i + 1) / HISTOGRAM_BINS).toFixed(1)} ${count}))`);
+      });
+    }
+  }
+
+  lines.push('');
+  lines.push('// === LEXICAL FIELDS ===');
+  for (const field of fields) {
+    const fieldId = toNodeId(field.lexfile);
+    lines.push('');
+    lines.push(`(${fieldId} isa lexical_field)`);
+    lines.push(`(${fieldId} synsets ${field.synsets})`);
+    for (const [name, value] of Object.entries(field.means)) {
+      lines.push(`(${fieldId} mean_${name} ${value.toFixed(3)})`);
+    }
+  }
+
+  lines.push('');
+  lines.push('// === SYNSETS ===');
+  for (const result of results) {
+    const synsetId = toNodeId(result.id);
+    lines.push('');
+    lines.push(`(${synsetId} definition_tokens ${result.tokens})`);
+    for (const measure of measures) {
+      result.coverage[measure].forEach((value, step) => {
+        if (value !== null) lines.push(`(${synsetId} ${coverageName(measure, step)} ${value.toFixed(3)})`);
+      });
+    }
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Main function.
+ */
+async function main() {
+  console.log('=== Prime Coverage Script ===\n');
+
+  if (!existsSync(WORDNET_FILE)) {
+    console.error(`Error: WordNet data file not found: ${WORDNET_FILE}`);
+    console.error('Please run "node scripts/download.mjs" first to download the data.');
+    process.exit(1);
+  }
+
+  const lexicon = await loadWordNet(WORDNET_FILE);
+  const lemmatizer = new Lemmatizer(lexicon);
+  const mweRecognizer = new MweRecognizer(lexicon, { lemmatizer });
+  const firstDefinition = buildFirstDefinitions(lexicon);
+
+  // Primes are never dropped as stop words
+  const exponents = buildPrimeExponents(getAllPrimes({ inventory: CONFIG.inventory }), { lemmatizer });
+  const stopWords = new Set(CONFIG.dropStopWords ? DEFAULT_STOP_WORDS.filter(w => !exponents.has(w)) : []);
+  const contentWords = (text) => extractContentWords(text, { stopWords, lemmatizer, mweRecognizer });
+
+  const isPrime = { nsm: (word) => exponents.has(word) };
+  if (existsSync(CONFIG.discoveredFile)) {
+    const discovered = loadDiscoveredPrimes(CONFIG.discoveredFile);
+    console.log(`Loaded ${discovered.size} discovered primes from ${CONFIG.discoveredFile}`);
+    isPrime.discovered = (word) => discovered.has(toNodeId(word));
+  } else {
+    console.log(`No discovered primes (${CONFIG.discoveredFile} not found); measuring NSM coverage only.`);
+    console.log('Run "node scripts/discover-semantic-primes.mjs" first to include them.');
+  }
+  const measures = Object.keys(isPrime);
+
+  // Each word is tokenized once, however many definitions it appears in
+  const expansions = new Map();
+  const expansionOf = (word) => {
+    if (!expansions.has(word)) {
+      const definition = firstDefinition.get(word);
+      expansions.set(word, definition === undefined ? null : contentWords(definition));
+    }
+    return expansions.get(word);
+  };
+
+  console.log(`\nMeasuring coverage of ${lexicon.synsets.size} synset definitions (${CONFIG.steps} expansion steps)...`);
+  const results = [];
+  let skipped = 0;
+  for (const synset of lexicon.synsets.values()) {
+    if (synset.definitions.length === 0) continue;
+    const tokens = contentWords(synset.definitions[0]);
+    if (tokens.length === 0) {
+      skipped++;
+      continue;
+    }
+    const coverage = {};
+    for (const measure of measures) {
+      coverage[measure] = coverageByStep(tokens, { isPrime: isPrime[measure], expansionOf, steps: CONFIG.steps });
+    }
+    results.push({ id: synset.id, lexfile: synset.lexfile || 'unknown', definition: synset.definitions[0], tokens: tokens.length, coverage });
+  }
+
+  for (const measure of measures) {
+    for (let step = 0; step <= CONFIG.steps; step++) {
+      const label = `${measure === 'nsm' ? 'NSM' : 'Discovered'} prime coverage${step > 0 ? ` after ${step} step${step > 1 ? 's' : ''}` : ''}`;
+      printHistogram(label, results.map(r => r.coverage[measure][step]).filter(value => value !== null));
+    }
+  }
+
+  // Mean coverage per lexical field, lowest NSM coverage first
+  const byField = new Map();
+  for (const result of results) {
+    if (!byField.has(result.lexfile)) byField.set(result.lexfile, []);
+    byField.get(result.lexfile).push(result);
+  }
+  const fields = [...byField].map(([lexfile, members]) => {
+    const means = {};
+    for (const measure of measures) {
+      for (let step = 0; step <= CONFIG.steps; step++) {
+        means[coverageName(measure, step)] = mean(members.map(r => r.coverage[measure][step]).filter(value => value !== null));
+      }
+    }
+    return { lexfile, synsets: members.length, means };
+  }).sort((a, b) => a.means.nsm_coverage - b.means.nsm_coverage);
+
+  const last = coverageName('nsm', CONFIG.steps);
+  const describeField = (field) => `  ${field.lexfile.padEnd(24)} ${field.means.nsm_coverage.toFixed(3)}` +
+    `${CONFIG.steps > 0 ? ` -> ${field.means[last].toFixed(3)}` : ''}  (${field.synsets} synsets)`;
+  console.log(`\nLexical fields with the lowest NSM coverage${CONFIG.steps > 0 ? ` (as written -> after ${CONFIG.steps} steps)` : ''}:`);
+  fields.slice(0, REPORT_SIZE).forEach(field => console.log(describeField(field)));
+  if (fields.length > REPORT_SIZE) {
+    console.log('\nLexical fields with the highest NSM coverage:');
+    fields.slice(-REPORT_SIZE).reverse().forEach(field => console.log(describeField(field)));
+  }
+
+  const closest = results.filter(r => r.tokens >= MIN_REPORTED_TOKENS)
+    .sort((a, b) => b.coverage.nsm[0] - a.coverage.nsm[0] || b.tokens - a.tokens)
+    .slice(0, REPORT_SIZE);
+  console.log(`\nGlosses closest to NSM explications (at least ${MIN_REPORTED_TOKENS} content words):`);
+  for (const result of closest) {
+    console.log(`  ${result.coverage.nsm[0].toFixed(3)}  ${result.id}: "${result.definition}"`);
+  }
+
+  writeFileSync(OUTPUT_FILE, toLinksNotation(results, measures, fields, skipped));
+  console.log(`\nLinks Notation output saved to: ${OUTPUT_FILE}`);
+  console.log('\nCoverage complete!');
+}
+
+main().catch((error) => {
+  console.error('Error:', error.message);
+  process.exit(1);
+});
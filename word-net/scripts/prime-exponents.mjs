@@ -0,0 +1,248 @@
+/**
+ * NSM Prime Exponents in Other Languages
+ *
+ * NSM claims that every prime has an exponent in every language. This
+ * module lists the exponents of the primes in languages besides English,
+ * after the NSM charts of those languages (the language charts published
+ * on the NSM homepage and in Goddard & Wierzbicka (2002), Meaning and
+ * Universal Grammar). As in the English chart, the tilde (~) separates the
+ * exponent from its allolexes, and parentheses mark the context a form
+ * needs ("БЫТЬ (ГДЕ-ТО)").
+ *
+ * The charts give the forms the primes take in explications (plural
+ * СЛОВА, PALABRAS); `searchTerms` adds the citation forms that wordnets
+ * list as lemmas (СЛОВО, PALABRA).
+ *
+ * Rows are keyed by the prime names of SEMANTIC_PRIMES; HAVE is listed for
+ * the earlier inventories, whose other primes fall back to the row of the
+ * current prime that replaced them.
+ */
+
+/**
+ * Exponents by language code (ISO 639-1). Each language has:
+ *   - name: English name of the language
+ *   - primes: prime name -> chart entry, exponent~allolex~...
+ *   - searchTerms: prime name -> extra lemmas to search for (optional)
+ */
+export const PRIME_EXPONENTS = {
+  ru: {
+    name: 'Russian',
+    primes: {
+      'I': 'Я', 'YOU': 'ТЫ', 'SOMEONE': 'КТО-ТО', 'PEOPLE': 'ЛЮДИ', 'SOMETHING': 'ЧТО-ТО~ВЕЩЬ', 'BODY': 'ТЕЛО',
+      'KIND': 'РОД~ВИД', 'PART': 'ЧАСТЬ',
+      'THIS': 'ЭТОТ', 'THE SAME': 'ТОТ ЖЕ', 'OTHER': 'ДРУГОЙ',
+      'ONE': 'ОДИН', 'TWO': 'ДВА', 'SOME': 'НЕКОТОРЫЕ', 'ALL': 'ВСЕ', 'MUCH': 'МНОГО', 'LITTLE': 'МАЛО',
+      'GOOD': 'ХОРОШИЙ~ХОРОШО', 'BAD': 'ПЛОХОЙ~ПЛОХО',
+      'BIG': 'БОЛЬШОЙ', 'SMALL': 'МАЛЕНЬКИЙ',
+      'THINK': 'ДУМАТЬ', 'KNOW': 'ЗНАТЬ', 'WANT': 'ХОТЕТЬ', "DON'T WANT": 'НЕ ХОТЕТЬ', 'FEEL': 'ЧУВСТВОВАТЬ', 'SEE': 'ВИДЕТЬ', 'HEAR': 'СЛЫШАТЬ',
+      'SAY': 'СКАЗАТЬ~ГОВОРИТЬ', 'WORDS': 'СЛОВА', 'TRUE': 'ПРАВДА',
+      'DO': 'ДЕЛАТЬ', 'HAPPEN': 'ПРОИСХОДИТЬ~СЛУЧИТЬСЯ', 'MOVE': 'ДВИГАТЬСЯ',
+      'BE (SOMEWHERE)': 'БЫТЬ (ГДЕ-ТО)', 'THERE IS': 'ЕСТЬ', 'BE (SOMEONE/SOMETHING)': 'БЫТЬ (КЕМ-ТО/ЧЕМ-ТО)',
+      'MINE': 'МОЙ', 'HAVE': 'ЕСТЬ (У)',
+      'LIVE': 'ЖИТЬ', 'DIE': 'УМЕРЕТЬ',
+      'WHEN': 'КОГДА~ВРЕМЯ', 'NOW': 'СЕЙЧАС', 'BEFORE': 'ДО~РАНЬШЕ', 'AFTER': 'ПОСЛЕ~ПОТОМ', 'A LONG TIME': 'ДОЛГО',
+      'A SHORT TIME': 'НЕДОЛГО', 'FOR SOME TIME': 'НЕКОТОРОЕ ВРЕМЯ', 'MOMENT': 'МОМЕНТ~МГНОВЕНИЕ',
+      'WHERE': 'ГДЕ~МЕСТО', 'HERE': 'ЗДЕСЬ', 'ABOVE': 'НАД', 'BELOW': 'ПОД', 'FAR': 'ДАЛЕКО', 'NEAR': 'БЛИЗКО',
+      'SIDE': 'СТОРОНА', 'INSIDE': 'ВНУТРИ', 'TOUCH': 'КАСАТЬСЯ',
+      'NOT': 'НЕ', 'MAYBE': 'МОЖЕТ БЫТЬ', 'CAN': 'МОЧЬ', 'BECAUSE': 'ПОТОМУ ЧТО~ИЗ-ЗА', 'IF': 'ЕСЛИ',
+      'VERY': 'ОЧЕНЬ', 'MORE': 'ЕЩЁ~БОЛЬШЕ',
+      'LIKE': 'КАК~ТАК',
+    },
+    searchTerms: {
+      'WORDS': ['слово'], 'SOME': ['некоторый'], 'ALL': ['весь'],
+      'SAY': ['говорить'], 'HAPPEN': ['случаться'], 'DIE': ['умирать'], 'MORE': ['еще'],
+    },
+  },
+  es: {
+    name: 'Spanish',
+    primes: {
+      'I': 'YO', 'YOU': 'TÚ', 'SOMEONE': 'ALGUIEN', 'PEOPLE': 'GENTE', 'SOMETHING': 'ALGO~COSA', 'BODY': 'CUERPO',
+      'KIND': 'TIPO~CLASE', 'PART': 'PARTE',
+      'THIS': 'ESTE~ESTO', 'THE SAME': 'MISMO', 'OTHER': 'OTRO',
+      'ONE': 'UNO', 'TWO': 'DOS', 'SOME': 'ALGUNOS', 'ALL': 'TODOS', 'MUCH': 'MUCHO', 'LITTLE': 'POCO',
+      'GOOD': 'BUENO~BIEN', 'BAD': 'MALO~MAL',
+      'BIG': 'GRANDE', 'SMALL': 'PEQUEÑO',
+      'THINK': 'PENSAR', 'KNOW': 'SABER', 'WANT': 'QUERER', "DON'T WANT": 'NO QUERER', 'FEEL': 'SENTIR', 'SEE': 'VER', 'HEAR': 'OÍR',
+      'SAY': 'DECIR', 'WORDS': 'PALABRAS', 'TRUE': 'VERDAD',
+      'DO': 'HACER', 'HAPPEN': 'PASAR~OCURRIR', 'MOVE': 'MOVERSE',
+      'BE (SOMEWHERE)': 'ESTAR (EN ALGÚN LUGAR)', 'THERE IS': 'HAY', 'BE (SOMEONE/SOMETHING)': 'SER (ALGUIEN/ALGO)',
+      'MINE': 'MÍO', 'HAVE': 'TENER',
+      'LIVE': 'VIVIR', 'DIE': 'MORIR',
+      'WHEN': 'CUÁNDO~TIEMPO', 'NOW': 'AHORA', 'BEFORE': 'ANTES', 'AFTER': 'DESPUÉS', 'A LONG TIME': 'MUCHO TIEMPO',
+      'A SHORT TIME': 'POCO TIEMPO', 'FOR SOME TIME': 'POR UN TIEMPO', 'MOMENT': 'MOMENTO',
+      'WHERE': 'DÓNDE~LUGAR', 'HERE': 'AQUÍ', 'ABOVE': 'ARRIBA', 'BELOW': 'DEBAJO', 'FAR': 'LEJOS', 'NEAR': 'CERCA',
+      'SIDE': 'LADO', 'INSIDE': 'DENTRO', 'TOUCH': 'TOCAR',
+      'NOT': 'NO', 'MAYBE': 'TAL VEZ~QUIZÁS', 'CAN': 'PODER', 'BECAUSE': 'PORQUE', 'IF': 'SI',
+      'VERY': 'MUY', 'MORE': 'MÁS',
+      'LIKE': 'COMO',
+    },
+    searchTerms: {
+      'WORDS': ['palabra'], 'SOME': ['alguno'], 'ALL': ['todo'], 'MOVE': ['mover'], 'WHEN': ['cuando'], 'WHERE': ['donde'],
+    },
+  },
+  fr: {
+    name: 'French',
+    primes: {
+      'I': 'JE~MOI', 'YOU': 'TU~TOI', 'SOMEONE': "QUELQU'UN", 'PEOPLE': 'GENS', 'SOMETHING': 'QUELQUE CHOSE~CHOSE', 'BODY': 'CORPS',
+      'KIND': 'SORTE~ESPÈCE', 'PART': 'PARTIE',
+      'THIS': 'CE', 'THE SAME': 'LE MÊME', 'OTHER': 'AUTRE',
+      'ONE': 'UN', 'TWO': 'DEUX', 'SOME': 'QUELQUES', 'ALL': 'TOUS', 'MUCH': 'BEAUCOUP', 'LITTLE': 'PEU',
+      'GOOD': 'BON~BIEN', 'BAD': 'MAUVAIS~MAL',
+      'BIG': 'GRAND', 'SMALL': 'PETIT',
+      'THINK': 'PENSER', 'KNOW': 'SAVOIR', 'WANT': 'VOULOIR', "DON'T WANT": 'NE PAS VOULOIR', 'FEEL': 'SENTIR~RESSENTIR', 'SEE': 'VOIR', 'HEAR': 'ENTENDRE',
+      'SAY': 'DIRE', 'WORDS': 'MOTS', 'TRUE': 'VRAI',
+      'DO': 'FAIRE', 'HAPPEN': 'ARRIVER~SE PASSER', 'MOVE': 'BOUGER',
+      'BE (SOMEWHERE)': 'ÊTRE (QUELQUE PART)', 'THERE IS': 'IL Y A', 'BE (SOMEONE/SOMETHING)': "ÊTRE (QUELQU'UN/QUELQUE CHOSE)",
+      'MINE': 'À MOI', 'HAVE': 'AVOIR',
+      'LIVE': 'VIVRE', 'DIE': 'MOURIR',
+      'WHEN': 'QUAND~TEMPS', 'NOW': 'MAINTENANT', 'BEFORE': 'AVANT', 'AFTER': 'APRÈS', 'A LONG TIME': 'LONGTEMPS',
+      'A SHORT TIME': 'PEU DE TEMPS', 'FOR SOME TIME': 'PENDANT UN CERTAIN TEMPS', 'MOMENT': 'MOMENT~INSTANT',
+      'WHERE': 'OÙ~ENDROIT', 'HERE': 'ICI', 'ABOVE': 'AU-DESSUS', 'BELOW': 'AU-DESSOUS', 'FAR': 'LOIN', 'NEAR': 'PRÈS',
+      'SIDE': 'CÔTÉ', 'INSIDE': 'DEDANS', 'TOUCH': 'TOUCHER',
+      'NOT': 'NE PAS', 'MAYBE': 'PEUT-ÊTRE', 'CAN': 'POUVOIR', 'BECAUSE': 'PARCE QUE', 'IF': 'SI',
+      'VERY': 'TRÈS', 'MORE': 'PLUS',
+      'LIKE': 'COMME',
+    },
+    searchTerms: {
+      'WORDS': ['mot'], 'SOME': ['quelque'], 'ALL': ['tout'],
+    },
+  },
+  de: {
+    name: 'German',
+    primes: {
+      'I': 'ICH', 'YOU': 'DU', 'SOMEONE': 'JEMAND', 'PEOPLE': 'LEUTE~MENSCHEN', 'SOMETHING': 'ETWAS~DING', 'BODY': 'KÖRPER',
+      'KIND': 'ART', 'PART': 'TEIL',
+      'THIS': 'DIES', 'THE SAME': 'DERSELBE~DASSELBE', 'OTHER': 'ANDERE',
+      'ONE': 'EINS', 'TWO': 'ZWEI', 'SOME': 'EINIGE', 'ALL': 'ALLE', 'MUCH': 'VIEL', 'LITTLE': 'WENIG',
+      'GOOD': 'GUT', 'BAD': 'SCHLECHT',
+      // Capital sharp s, so that the search term is "groß"
+      'BIG': 'GROẞ', 'SMALL': 'KLEIN',
+      'THINK': 'DENKEN', 'KNOW': 'WISSEN', 'WANT': 'WOLLEN', "DON'T WANT": 'NICHT WOLLEN', 'FEEL': 'FÜHLEN', 'SEE': 'SEHEN', 'HEAR': 'HÖREN',
+      'SAY': 'SAGEN', 'WORDS': 'WÖRTER', 'TRUE': 'WAHR',
+      'DO': 'TUN~MACHEN', 'HAPPEN': 'PASSIEREN~GESCHEHEN', 'MOVE': 'SICH BEWEGEN',
+      'BE (SOMEWHERE)': 'SEIN (IRGENDWO)', 'THERE IS': 'ES GIBT', 'BE (SOMEONE/SOMETHING)': 'SEIN (JEMAND/ETWAS)',
+      'MINE': 'MEIN', 'HAVE': 'HABEN',
+      'LIVE': 'LEBEN', 'DIE': 'STERBEN',
+      'WHEN': 'WANN~ZEIT', 'NOW': 'JETZT', 'BEFORE': 'VORHER~VOR', 'AFTER': 'NACHHER~NACH', 'A LONG TIME': 'LANGE',
+      'A SHORT TIME': 'KURZ', 'FOR SOME TIME': 'EINE ZEITLANG', 'MOMENT': 'MOMENT~AUGENBLICK',
+      'WHERE': 'WO~ORT', 'HERE': 'HIER', 'ABOVE': 'ÜBER', 'BELOW': 'UNTER', 'FAR': 'WEIT', 'NEAR': 'NAHE',
+      'SIDE': 'SEITE', 'INSIDE': 'INNEN', 'TOUCH': 'BERÜHREN',
+      'NOT': 'NICHT', 'MAYBE': 'VIELLEICHT', 'CAN': 'KÖNNEN', 'BECAUSE': 'WEIL', 'IF': 'WENN~FALLS',
+      'VERY': 'SEHR', 'MORE': 'MEHR',
+      'LIKE': 'WIE~SO',
+    },
+    searchTerms: {
+      'WORDS': ['wort'], 'ONE': ['ein'], 'MOVE': ['bewegen'], 'OTHER': ['anderer'], 'THIS': ['dieser'],
+    },
+  },
+  pl: {
+    name: 'Polish',
+    primes: {
+      'I': 'JA', 'YOU': 'TY', 'SOMEONE': 'KTOŚ', 'PEOPLE': 'LUDZIE', 'SOMETHING': 'COŚ~RZECZ', 'BODY': 'CIAŁO',
+      'KIND': 'RODZAJ', 'PART': 'CZĘŚĆ',
+      'THIS': 'TEN', 'THE SAME': 'TEN SAM', 'OTHER': 'INNY',
+      'ONE': 'JEDEN', 'TWO': 'DWA', 'SOME': 'NIEKTÓRE', 'ALL': 'WSZYSTKIE', 'MUCH': 'DUŻO', 'LITTLE': 'MAŁO',
+      'GOOD': 'DOBRY~DOBRZE', 'BAD': 'ZŁY~ŹLE',
+      'BIG': 'DUŻY', 'SMALL': 'MAŁY',
+      'THINK': 'MYŚLEĆ', 'KNOW': 'WIEDZIEĆ', 'WANT': 'CHCIEĆ', "DON'T WANT": 'NIE CHCIEĆ', 'FEEL': 'CZUĆ', 'SEE': 'WIDZIEĆ', 'HEAR': 'SŁYSZEĆ',
+      'SAY': 'MÓWIĆ~POWIEDZIEĆ', 'WORDS': 'SŁOWA', 'TRUE': 'PRAWDA',
+      'DO': 'ROBIĆ', 'HAPPEN': 'DZIAĆ SIĘ~STAĆ SIĘ', 'MOVE': 'RUSZAĆ SIĘ',
+      'BE (SOMEWHERE)': 'BYĆ (GDZIEŚ)', 'THERE IS': 'JEST', 'BE (SOMEONE/SOMETHING)': 'BYĆ (KIMŚ/CZYMŚ)',
+      'MINE': 'MÓJ', 'HAVE': 'MIEĆ',
+      'LIVE': 'ŻYĆ', 'DIE': 'UMRZEĆ',
+      'WHEN': 'KIEDY~CZAS', 'NOW': 'TERAZ', 'BEFORE': 'PRZEDTEM~PRZED', 'AFTER': 'POTEM~PO', 'A LONG TIME': 'DŁUGO',
+      'A SHORT TIME': 'KRÓTKO', 'FOR SOME TIME': 'PRZEZ JAKIŚ CZAS', 'MOMENT': 'CHWILA',
+      'WHERE': 'GDZIE~MIEJSCE', 'HERE': 'TU~TUTAJ', 'ABOVE': 'NAD', 'BELOW': 'POD', 'FAR': 'DALEKO', 'NEAR': 'BLISKO',
+      'SIDE': 'STRONA', 'INSIDE': 'W ŚRODKU', 'TOUCH': 'DOTYKAĆ',
+      'NOT': 'NIE', 'MAYBE': 'MOŻE', 'CAN': 'MÓC', 'BECAUSE': 'BO~PONIEWAŻ', 'IF': 'JEŻELI~JEŚLI',
+      'VERY': 'BARDZO', 'MORE': 'BARDZIEJ~WIĘCEJ',
+      'LIKE': 'JAK~TAK',
+    },
+    searchTerms: {
+      'WORDS': ['słowo'], 'SOME': ['niektóry'], 'ALL': ['wszystek'],
+      'DIE': ['umierać'],
+    },
+  },
+  zh: {
+    name: 'Chinese (Mandarin)',
+    primes: {
+      'I': '我', 'YOU': '你', 'SOMEONE': '某人~谁', 'PEOPLE': '人', 'SOMETHING': '某物~东西', 'BODY': '身体',
+      'KIND': '种', 'PART': '部分',
+      'THIS': '这', 'THE SAME': '一样', 'OTHER': '别的',
+      'ONE': '一', 'TWO': '二~两', 'SOME': '一些', 'ALL': '所有~都', 'MUCH': '多', 'LITTLE': '少',
+      'GOOD': '好', 'BAD': '坏',
+      'BIG': '大', 'SMALL': '小',
+      'THINK': '想', 'KNOW': '知道', 'WANT': '要~想要', "DON'T WANT": '不要', 'FEEL': '感觉', 'SEE': '看见', 'HEAR': '听见',
+      'SAY': '说', 'WORDS': '话~词', 'TRUE': '真',
+      'DO': '做', 'HAPPEN': '发生', 'MOVE': '动',
+      'BE (SOMEWHERE)': '在', 'THERE IS': '有', 'BE (SOMEONE/SOMETHING)': '是',
+      'MINE': '我的', 'HAVE': '有',
+      'LIVE': '活', 'DIE': '死',
+      'WHEN': '时候~时间', 'NOW': '现在', 'BEFORE': '以前', 'AFTER': '以后', 'A LONG TIME': '很久',
+      'A SHORT TIME': '一会儿', 'FOR SOME TIME': '一段时间', 'MOMENT': '一下子~瞬间',
+      'WHERE': '哪里~地方', 'HERE': '这里', 'ABOVE': '上面', 'BELOW': '下面', 'FAR': '远', 'NEAR': '近',
+      'SIDE': '边', 'INSIDE': '里面', 'TOUCH': '碰',
+      'NOT': '不~没', 'MAYBE': '也许', 'CAN': '能', 'BECAUSE': '因为', 'IF': '如果',
+      'VERY': '很', 'MORE': '更~还',
+      'LIKE': '像',
+    },
+    searchTerms: {
+      'SOMETHING': ['事物'], 'SEE': ['看'], 'HEAR': ['听'], 'WORDS': ['单词'],
+    },
+  },
+  ja: {
+    name: 'Japanese',
+    primes: {
+      'I': '私', 'YOU': 'あなた', 'SOMEONE': 'だれか', 'PEOPLE': '人', 'SOMETHING': '何か~もの', 'BODY': '体',
+      'KIND': '種類', 'PART': '部分',
+      'THIS': 'この~これ', 'THE SAME': '同じ', 'OTHER': '他~別',
+      'ONE': '一つ', 'TWO': '二つ', 'SOME': 'いくつか', 'ALL': '全部~みんな', 'MUCH': 'たくさん', 'LITTLE': '少し',
+      'GOOD': 'いい', 'BAD': '悪い',
+      'BIG': '大きい', 'SMALL': '小さい',
+      'THINK': '思う', 'KNOW': '知る', 'WANT': 'ほしい~したい', "DON'T WANT": 'ほしくない~したくない', 'FEEL': '感じる', 'SEE': '見る', 'HEAR': '聞く',
+      'SAY': '言う', 'WORDS': '言葉', 'TRUE': '本当',
+      'DO': 'する', 'HAPPEN': '起こる', 'MOVE': '動く',
+      'BE (SOMEWHERE)': 'いる~ある', 'THERE IS': 'ある', 'BE (SOMEONE/SOMETHING)': 'だ',
+      'MINE': '私の', 'HAVE': '持つ',
+      'LIVE': '生きる', 'DIE': '死ぬ',
+      'WHEN': 'いつ~時', 'NOW': '今', 'BEFORE': '前', 'AFTER': '後', 'A LONG TIME': '長い間',
+      'A SHORT TIME': '少しの間', 'FOR SOME TIME': 'しばらく', 'MOMENT': '瞬間',
+      'WHERE': 'どこ~所', 'HERE': 'ここ', 'ABOVE': '上', 'BELOW': '下', 'FAR': '遠い', 'NEAR': '近い',
+      'SIDE': '側', 'INSIDE': '中', 'TOUCH': '触る',
+      'NOT': 'ない', 'MAYBE': 'たぶん', 'CAN': 'できる', 'BECAUSE': 'から', 'IF': 'もし',
+      'VERY': 'とても', 'MORE': 'もっと',
+      'LIKE': 'よう',
+    },
+    searchTerms: {
+      'GOOD': ['良い'], 'PEOPLE': ['人々'], 'I': ['わたし'], 'HEAR': ['聞こえる'], 'SEE': ['見える'],
+    },
+  },
+};
+
+/**
+ * Lowercase search form of a chart form: parentheses and what they hold
+ * are dropped ("БЫТЬ (ГДЕ-ТО)" -> "быть").
+ */
+function searchForm(form) {
+  return form.replace(/\(.*?\)/g, '').trim().toLowerCase();
+}
+
+/**
+ * Exponents of a prime in a language.
+ * @param {string} language - Key of PRIME_EXPONENTS
+ * @param {string} prime - Prime name
+ * @param {string|null} [fallback] - Prime whose row to use if the language
+ *   has none for `prime`
+ * @returns {{exponent: string|null, allolexes: Array<string>, searchTerms: Array<string>}}
+ *   The chart forms and the lowercase lemmas to search for (exponent null
+ *   and no forms if the language lists none)
+ */
+export function getExponents(language, prime, fallback = null) {
+  const { primes, searchTerms = {} } = PRIME_EXPONENTS[language];
+  const key = prime in primes ? prime : fallback;
+  if (!key || !(key in primes)) return { exponent: null, allolexes: [], searchTerms: [] };
+
+  const [exponent, ...allolexes] = primes[key].split('~');
+  const terms = [...[exponent, ...allolexes].map(searchForm), ...(searchTerms[key] || [])];
+  return { exponent, allolexes, searchTerms: [...new Set(terms)].filter(Boolean) };
+}
@@ -0,0 +1,201 @@
+/**
+ * Prime Sense Mapping Module
+ *
+ * Maps each NSM prime to the WordNet senses that express it. Looking up the
+ * search terms of a prime finds every sense of every term: "I" is also
+ * iodine, the Roman letter and the state of Maine. The senses are sorted
+ * into three kinds of mapping:
+ *
+ *   - canonical: curated in SEMANTIC_PRIMES by ILI (or synset) id
+ *   - ranked:    the best-ranked sense of a prime without curated senses
+ *   - lexical:   every other sense that merely shares a search term
+ *
+ * The ranking heuristic drops senses whose part of speech the prime cannot
+ * take, adds points for gloss keywords of the prime and for early sense
+ * ranks, and subtracts points for glosses of letters, elements and places
+ * and for relations that mark proper names (instance_hypernym) or
+ * specialist senses (domain_topic, domain_region, exemplifies). The gloss
+ * keywords are English, so glosses only count in English wordnets.
+ *
+ * Across wordnets of several languages, the senses that the exponents of a
+ * prime map to are aligned by their ILI ids (alignPrimeSenses): a prime
+ * whose exponents land on the same interlingual concept in every language
+ * behaves as NSM predicts.
+ */
+
+/**
+ * Gloss phrases of senses that never express a prime.
+ */
+export const DISTRACTOR_KEYWORDS = [
+  'alphabet',
+  'letter of the',
+  'chemical element',
+  'metallic element',
+  'nonmetallic element',
+  'atomic number',
+  'a state in',
+  'abbreviation',
+  'syllable naming',
+  'playing cards',
+];
+
+const KEYWORD_POINTS = 2;
+const DISTRACTOR_POINTS = -3;
+const INSTANCE_POINTS = -5;
+const DOMAIN_POINTS = -1;
+const DOMAIN_RELATIONS = ['domain_topic', 'domain_region', 'exemplifies'];
+
+/**
+ * WordNet part of speech of a synset, with satellites counted as adjectives.
+ */
+function basePartOfSpeech(partOfSpeech) {
+  return partOfSpeech === 's' ? 'a' : partOfSpeech;
+}
+
+/**
+ * Whether a gloss contains a keyword as whole words.
+ */
+function glossHas(gloss, keyword) {
+  const escaped = keyword.toLowerCase().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return new RegExp(`(^|[^a-z])${escaped}($|[^a-z])`).test(gloss);
+}
+
+/**
+ * Rank a candidate sense of a prime.
+ * @param {Object} prime - Entry of SEMANTIC_PRIMES
+ * @param {Object} candidate - {synset, senseRank}: the synset record and
+ *   the position of the sense among the senses of the matched lemma (1 = first)
+ * @param {Object} [options]
+ * @param {string} [options.language='en'] - Language of the glosses; the
+ *   keywords and distractors are English and skipped for other languages
+ * @returns {number|null} Score (higher is better), or null if the part of
+ *   speech does not fit the prime
+ */
+export function scorePrimeSense(prime, candidate, { language = 'en' } = {}) {
+  const { synset, senseRank = 1 } = candidate;
+  if (prime.pos && !prime.pos.includes(basePartOfSpeech(synset.partOfSpeech))) return null;
+
+  let score = 1 / senseRank;
+  if (language === 'en') {
+    const gloss = synset.definitions.join(' ').toLowerCase();
+    for (const keyword of prime.keywords || []) {
+      if (glossHas(gloss, keyword)) score += KEYWORD_POINTS;
+    }
+    for (const keyword of DISTRACTOR_KEYWORDS) {
+      if (gloss.includes(keyword)) score += DISTRACTOR_POINTS;
+    }
+  }
+  for (const relation of synset.relations) {
+    if (relation.relType === 'instance_hypernym') score += INSTANCE_POINTS;
+    else if (DOMAIN_RELATIONS.includes(relation.relType)) score += DOMAIN_POINTS;
+  }
+  return score;
+}
+
+/**
+ * Index synsets by ILI id.
+ * @param {Map<string, Object>} synsets - Synsets from loadWordNet
+ * @returns {Map<string, Object>} ILI id -> synset
+ */
+export function buildIliIndex(synsets) {
+  const index = new Map();
+  for (const synset of synsets.values()) {
+    if (synset.ili && !index.has(synset.ili)) index.set(synset.ili, synset);
+  }
+  return index;
+}
+
+/**
+ * Sort the candidate senses of a prime into canonical, ranked and lexical
+ * mappings. Curated senses are resolved by ILI id (or synset id) and added
+ * even if none of the search terms is among their lemmas.
+ * @param {Object} prime - Entry of SEMANTIC_PRIMES
+ * @param {Array<Object>} candidates - {synset, senseRank, ...} per matched
+ *   sense, one per synset
+ * @param {Object} lookup
+ * @param {Map<string, Object>} lookup.synsets - Synsets by id
+ * @param {Map<string, Object>} lookup.iliIndex - Synsets by ILI id (buildIliIndex)
+ * @param {string} [lookup.language='en'] - Language of the glosses (scorePrimeSense)
+ * @returns {{senses: Array<Object>, unresolved: Array<string>}} Candidates
+ *   with `mapping` and `score` (null when the part of speech does not fit),
+ *   canonical first, then ranked, then lexical by descending score; and the
+ *   curated ids not found in this WordNet
+ */
+export function mapPrimeSenses(prime, candidates, { synsets, iliIndex, language = 'en' }) {
+  const senses = candidates.map(candidate => ({ ...candidate, mapping: 'lexical', score: scorePrimeSense(prime, candidate, { language }) }));
+  const unresolved = [];
+
+  for (const id of prime.canonical || []) {
+    const synset = /^i\d+$/.test(id) ? iliIndex.get(id) : synsets.get(id);
+    if (!synset) {
+      unresolved.push(id);
+      continue;
+    }
+    let sense = senses.find(s => s.synset.id === synset.id);
+    if (!sense) {
+      sense = { synset, senseRank: null, mapping: 'lexical', score: scorePrimeSense(prime, { synset }, { language }) };
+      senses.push(sense);
+    }
+    sense.mapping = 'canonical';
+  }
+
+  if (!senses.some(s => s.mapping === 'canonical')) {
+    let best = null;
+    for (const sense of senses) {
+      if (sense.score !== null && sense.score > 0 && (!best || sense.score > best.score)) best = sense;
+    }
+    if (best) best.mapping = 'ranked';
+  }
+
+  const order = { canonical: 0, ranked: 1, lexical: 2 };
+  const score = (sense) => sense.score ?? -Infinity;
+  senses.sort((a, b) => order[a.mapping] - order[b.mapping] || (score(b) - score(a) || 0));
+  return { senses, unresolved };
+}
+
+/**
+ * Align the senses of each prime across languages by ILI id. Only canonical
+ * and ranked senses that a search term of the language matched count: a
+ * curated sense that none of the exponents is a lemma of shows nothing
+ * about the language.
+ * @param {Object<string, Array<{prime: string, senses: Array<Object>}>>} byLanguage -
+ *   Language code -> the primes with their senses from mapPrimeSenses
+ *   (each sense with `ili`, `mapping` and `senseRank`, null if not matched)
+ * @returns {Array<{prime: string, concepts: Map<string, Array<string>>,
+ *                  shared: Array<string>, missing: Array<string>}>}
+ *   Per prime in the order of the first language: the languages landing on
+ *   each ILI id, the ILI ids of every language, and the languages that land
+ *   on none
+ */
+export function alignPrimeSenses(byLanguage) {
+  const languages = Object.keys(byLanguage);
+  const concepts = new Map();   // prime -> ILI id -> languages
+  const order = [];
+
+  for (const language of languages) {
+    for (const { prime, senses } of byLanguage[language]) {
+      if (!concepts.has(prime)) {
+        concepts.set(prime, new Map());
+        order.push(prime);
+      }
+      const byIli = concepts.get(prime);
+      for (const sense of senses) {
+        if (!sense.ili || sense.mapping === 'lexical' || sense.senseRank === null) continue;
+        if (!byIli.has(sense.ili)) byIli.set(sense.ili, []);
+        const landed = byIli.get(sense.ili);
+        if (!landed.includes(language)) landed.push(language);
+      }
+    }
+  }
+
+  return order.map((prime) => {
+    const byIli = concepts.get(prime);
+    const landed = new Set([...byIli.values()].flat());
+    return {
+      prime,
+      concepts: byIli,
+      shared: [...byIli].filter(([, langs]) => langs.length === languages.length).map(([ili]) => ili),
+      missing: languages.filter(language => !landed.has(language)),
+    };
+  });
+}
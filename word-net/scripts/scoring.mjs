@@ -0,0 +1,293 @@
+/**
+ * Prime Scoring Module
+ *
+ * Scores discovered primes with a weighted sum of features, configured in
+ * Links Notation so that ranking hypotheses can be compared without editing
+ * the discovery script. A configuration declares the features with their
+ * weights and the confidence bands:
+ *
+ *   (scoring name heuristic)
+ *   (scc_size weight 15)
+ *   (scc_size transform log10)
+ *   (scc_size max 30)
+ *   (high band 80)
+ *
+ * Feature properties:
+ *   - weight:    multiplier of the transformed value (required)
+ *   - transform: 'linear' (default), 'log10' (of values above 0, else 0) or
+ *                'percentile' (share of primes with a lower value, 0-1)
+ *   - max:       cap on the weighted contribution
+ *   - file:      word frequency list of the external_frequency feature, one
+ *                "word count" pair per line (relative to the configuration)
+ *
+ * Bands are named thresholds: a prime falls into the highest band whose
+ * threshold its score reaches; primes below every band are candidates.
+ *
+ * Custom scoring modules (loaded by path) may export `features`, an object of
+ * extra feature functions `(prime, context) => number` usable in the
+ * configuration, and `score(prime, context)`, which replaces the weighted sum.
+ */
+
+import { readFileSync } from 'fs';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { parseLinks } from './links-notation.mjs';
+
+/**
+ * Built-in features. Each maps a prime record from the discovery script
+ * (and the scoring context) to a number.
+ */
+export const SCORING_FEATURES = {
+  cycle: (prime) => (prime.isInCycle ? 1 : 0),
+  scc_size: (prime) => (prime.sccSize > 1 ? prime.sccSize : 0),
+  self_loop: (prime) => (prime.hasSelfLoop ? 1 : 0),
+  self_reference: (prime) => (prime.isSelfReference ? 1 : 0),
+  reference_count: (prime) => prime.referenceCount || 0,
+  pagerank: (prime) => prime.pageRank || 0,
+  weighted_in_degree: (prime) => prime.weightedInDegree || 0,
+  betweenness: (prime) => prime.betweenness || 0,
+  short_cycles: (prime) => prime.shortCycles || 0,
+  word_length: (prime) => prime.label.length,
+  short_word: (prime) => (prime.label.length <= 4 ? 1 : 0),
+  medium_word: (prime) => (prime.label.length > 4 && prime.label.length <= 6 ? 1 : 0),
+  external_frequency: (prime, context) => context.frequencies?.get(prime.label.toLowerCase()) || 0,
+};
+
+const TRANSFORMS = ['linear', 'log10', 'percentile'];
+
+/**
+ * Built-in scoring configurations, selectable by name.
+ */
+export const BUILTIN_SCORING_CONFIGS = {
+  // Hand-tuned heuristic: cycle membership, self-loops and self-references,
+  // SCC size and reference count, with bonuses for short words
+  heuristic: `
+(scoring name heuristic)
+(cycle weight 50)
+(scc_size weight 15)
+(scc_size transform log10)
+(scc_size max 30)
+(self_loop weight 30)
+(self_reference weight 20)
+(reference_count weight 8)
+(reference_count transform log10)
+(short_word weight 10)
+(medium_word weight 5)
+(high band 80)
+(medium band 50)
+(lower band 30)
+`,
+  pagerank: `
+(scoring name pagerank)
+(pagerank weight 100)
+(pagerank transform percentile)
+(high band 80)
+(medium band 50)
+(lower band 30)
+`,
+  'in-degree': `
+(scoring name in-degree)
+(weighted_in_degree weight 100)
+(weighted_in_degree transform percentile)
+(high band 80)
+(medium band 50)
+(lower band 30)
+`,
+  betweenness: `
+(scoring name betweenness)
+(betweenness weight 100)
+(betweenness transform percentile)
+(high band 80)
+(medium band 50)
+(lower band 30)
+`,
+};
+
+/**
+ * Read a word frequency list ("word count" per line, # comments).
+ * @param {string} filePath
+ * @returns {Map<string, number>}
+ */
+export function loadFrequencies(filePath) {
+  const frequencies = new Map();
+  for (const line of readFileSync(filePath, 'utf-8').split(/\r?\n/)) {
+    const trimmed = line.trim();
+    if (trimmed === '' || trimmed.startsWith('#')) continue;
+    const parts = trimmed.split(/\s+/);
+    const count = parseFloat(parts.pop());
+    if (parts.length === 0 || !Number.isFinite(count)) continue;
+    const word = parts.join(' ').toLowerCase();
+    frequencies.set(word, (frequencies.get(word) || 0) + count);
+  }
+  return frequencies;
+}
+
+/**
+ * Parse a scoring configuration.
+ * @param {string} text - Links Notation configuration
+ * @param {Object} [options]
+ * @param {string} [options.baseDir] - Directory that relative file paths are resolved against
+ * @param {Object} [options.features] - Feature functions by name (default SCORING_FEATURES)
+ * @returns {{name: string, features: Array<{name: string, weight: number, transform: string, max: number|null}>,
+ *            bands: Array<{label: string, threshold: number}>, frequencies: Map<string, number>|null}}
+ *   Bands are sorted by descending threshold
+ * @throws {Error} If the configuration is invalid
+ */
+export function readScoringConfig(text, { baseDir = process.cwd(), features = SCORING_FEATURES } = {}) {
+  let name = 'custom';
+  const declared = new Map();  // feature name -> properties
+  const bands = [];
+  let frequencyFile = null;
+
+  const number = (link, value) => {
+    const parsed = Number(value);
+    if (value === undefined || value === '' || !Number.isFinite(parsed)) {
+      throw new Error(`Expected a number in (${link.join(' ')})`);
+    }
+    return parsed;
+  };
+
+  for (const link of parseLinks(text)) {
+    const [subject, predicate, value] = link;
+    if (link.length !== 3) {
+      throw new Error(`Expected (subject property value), got (${link.join(' ')})`);
+    }
+
+    if (subject === 'scoring' && predicate === 'name') {
+      name = value;
+    } else if (predicate === 'band') {
+      bands.push({ label: subject, threshold: number(link, value) });
+    } else {
+      if (!features[subject]) {
+        throw new Error(`Unknown scoring feature "${subject}". Available: ${Object.keys(features).join(', ')}`);
+      }
+      if (!declared.has(subject)) {
+        declared.set(subject, { name: subject, weight: null, transform: 'linear', max: null });
+      }
+      const feature = declared.get(subject);
+      if (predicate === 'weight') {
+        feature.weight = number(link, value);
+      } else if (predicate === 'max') {
+        feature.max = number(link, value);
+      } else if (predicate === 'transform') {
+        if (!TRANSFORMS.includes(value)) {
+          throw new Error(`Unknown transform "${value}" for ${subject}. Available: ${TRANSFORMS.join(', ')}`);
+        }
+        feature.transform = value;
+      } else if (predicate === 'file' && subject === 'external_frequency') {
+        frequencyFile = path.resolve(baseDir, value);
+      } else {
+        throw new Error(`Unknown property "${predicate}" of feature ${subject}`);
+      }
+    }
+  }
+
+  for (const feature of declared.values()) {
+    if (feature.weight === null) {
+      throw new Error(`Scoring feature ${feature.name} has no weight`);
+    }
+  }
+  if (declared.has('external_frequency') && !frequencyFile) {
+    throw new Error('external_frequency needs a frequency list: (external_frequency file "path")');
+  }
+
+  return {
+    name,
+    features: [...declared.values()],
+    bands: bands.sort((a, b) => b.threshold - a.threshold),
+    frequencies: frequencyFile ? loadFrequencies(frequencyFile) : null,
+  };
+}
+
+/**
+ * Read a scoring configuration file; relative paths in it are resolved
+ * against the file's directory.
+ * @param {string} filePath
+ * @param {Object} [options] - Passed to readScoringConfig
+ */
+export function readScoringConfigFile(filePath, options = {}) {
+  return readScoringConfig(readFileSync(filePath, 'utf-8'), { baseDir: path.dirname(path.resolve(filePath)), ...options });
+}
+
+/**
+ * Import a custom scoring module by path.
+ * @param {string} modulePath - Path of an ES module
+ * @returns {Promise<{features: Object, score: Function|null}>}
+ * @throws {Error} If the module exports neither features nor score
+ */
+export async function loadScoringModule(modulePath) {
+  const module = await import(pathToFileURL(path.resolve(modulePath)).href);
+  const features = module.features || {};
+  const score = typeof module.score === 'function' ? module.score : null;
+  if (Object.keys(features).length === 0 && !score) {
+    throw new Error(`Scoring module ${modulePath} exports neither "features" nor "score"`);
+  }
+  for (const [name, feature] of Object.entries(features)) {
+    if (typeof feature !== 'function') {
+      throw new Error(`Scoring module feature "${name}" is not a function`);
+    }
+  }
+  return { features, score };
+}
+
+/**
+ * Describe a scoring configuration in one line (for output headers).
+ */
+export function describeScoringConfig(config) {
+  const features = config.features.map(f => {
+    const details = [f.transform !== 'linear' ? f.transform : null, f.max !== null ? `max ${f.max}` : null].filter(Boolean);
+    return `${f.name}*${f.weight}${details.length > 0 ? ` (${details.join(', ')})` : ''}`;
+  });
+  return `${config.name}: ${features.join(' + ') || 'custom score'}`;
+}
+
+/**
+ * Set `primeScore` on every prime, and `scoreBreakdown`: the value and
+ * weighted contribution of each configured feature.
+ * @param {Array<Object>} primes - Prime records from the discovery script
+ * @param {Object} config - Result of readScoringConfig
+ * @param {Object} [module] - Result of loadScoringModule
+ */
+export function scorePrimes(primes, config, module = { features: {}, score: null }) {
+  const features = { ...SCORING_FEATURES, ...module.features };
+  const context = { primes, frequencies: config.frequencies };
+
+  const scores = new Float64Array(primes.length);
+  const breakdowns = primes.map(() => []);
+  for (const feature of config.features) {
+    const values = primes.map(prime => features[feature.name](prime, context));
+    const sorted = feature.transform === 'percentile' ? [...values].sort((a, b) => a - b) : null;
+
+    values.forEach((value, i) => {
+      let x = value;
+      if (feature.transform === 'log10') {
+        x = value > 0 ? Math.log10(value) : 0;
+      } else if (sorted) {
+        x = primes.length > 1 ? countBelow(sorted, value) / (primes.length - 1) : 1;
+      }
+      let contribution = feature.weight * x;
+      if (feature.max !== null) contribution = Math.min(contribution, feature.max);
+      scores[i] += contribution;
+      breakdowns[i].push({ feature: feature.name, value, contribution });
+    });
+  }
+
+  primes.forEach((prime, i) => {
+    prime.scoreBreakdown = breakdowns[i];
+    prime.primeScore = module.score ? module.score(prime, { ...context, features, weightedScore: scores[i] }) : scores[i];
+  });
+}
+
+/**
+ * Number of values in a sorted array that are strictly below a value.
+ */
+function countBelow(sorted, value) {
+  let low = 0;
+  let high = sorted.length;
+  while (low < high) {
+    const mid = (low + high) >> 1;
+    if (sorted[mid] < value) low = mid + 1;
+    else high = mid;
+  }
+  return low;
+}
@@ -10,160 +10,345 @@
  *
  * The tilde (~) indicates "allolex" variants - alternative lexical
  * expressions with equivalent meanings within a language.
+ *
+ * The list has changed as the theory developed. SEMANTIC_PRIMES follows the
+ * current chart; PRIME_INVENTORIES names the published lists, which
+ * getAllPrimes selects and diffInventories compares.
+ *
+ * SEMANTIC_PRIMES holds the English exponents; getAllPrimes gives those of
+ * other languages from prime-exponents.mjs.
  */
 
+import { getExponents, PRIME_EXPONENTS } from './prime-exponents.mjs';
+
 /**
  * Semantic primes organized by category as defined in NSM theory.
  * Each entry contains:
  *   - prime: the canonical form
  *   - allolexes: alternative lexical forms (if any)
  *   - searchTerms: terms to search for in WordNet
+ *   - pos: WordNet parts of speech the prime can be expressed by ('a'
+ *     includes adjective satellites); other senses are never ranked
+ *   - canonical: curated ILI ids of the senses that express the prime in
+ *     Open English WordNet 2024 (empty for function words such as I, YOU,
+ *     THIS and IF, which WordNet does not list)
+ *   - keywords: gloss words that point to the intended sense, used to rank
+ *     senses when there is no curated one (optional)
+ *
+ * Some allolexes and search terms go beyond the chart (HAVE for MINE, EXIST
+ * for THERE IS) so that WordNet lemmas for them are found; the notes of
+ * the current inventory say where.
  */
 export const SEMANTIC_PRIMES = {
   // === SUBSTANTIVES ===
   substantives: [
-    { prime: 'I', allolexes: ['ME'], searchTerms: ['I', 'me', 'self'] },
-    { prime: 'YOU', allolexes: [], searchTerms: ['you'] },
-    { prime: 'SOMEONE', allolexes: ['PERSON'], searchTerms: ['someone', 'person', 'somebody'] },
-    { prime: 'PEOPLE', allolexes: [], searchTerms: ['people', 'persons'] },
-    { prime: 'SOMETHING', allolexes: ['THING'], searchTerms: ['something', 'thing'] },
-    { prime: 'BODY', allolexes: [], searchTerms: ['body'] },
+    { prime: 'I', allolexes: ['ME'], searchTerms: ['I', 'me', 'self'], pos: ['n'], canonical: [], keywords: ['identity', 'individual'] },
+    { prime: 'YOU', allolexes: [], searchTerms: ['you'], pos: ['n'], canonical: [] },
+    { prime: 'SOMEONE', allolexes: ['PERSON'], searchTerms: ['someone', 'person', 'somebody'], pos: ['n'], canonical: ['i35562'] },
+    { prime: 'PEOPLE', allolexes: [], searchTerms: ['people', 'persons'], pos: ['n'], canonical: ['i79059'] },
+    { prime: 'SOMETHING', allolexes: ['THING'], searchTerms: ['something', 'thing'], pos: ['n'], canonical: ['i60192', 'i35548'] },
+    { prime: 'BODY', allolexes: [], searchTerms: ['body'], pos: ['n'], canonical: ['i64381'] },
   ],
 
   // === RELATIONAL SUBSTANTIVES ===
   relationalSubstantives: [
-    { prime: 'KIND', allolexes: ['SORT'], searchTerms: ['kind', 'sort', 'type'] },
-    { prime: 'PART', allolexes: [], searchTerms: ['part'] },
+    { prime: 'KIND', allolexes: ['SORT'], searchTerms: ['kind', 'sort', 'type'], pos: ['n'], canonical: ['i67559'] },
+    { prime: 'PART', allolexes: [], searchTerms: ['part'], pos: ['n'], canonical: ['i109475'] },
   ],
 
   // === DETERMINERS ===
   determiners: [
-    { prime: 'THIS', allolexes: [], searchTerms: ['this'] },
-    { prime: 'THE SAME', allolexes: [], searchTerms: ['same', 'identical'] },
-    { prime: 'OTHER', allolexes: ['ELSE'], searchTerms: ['other', 'else', 'another'] },
+    { prime: 'THIS', allolexes: [], searchTerms: ['this'], pos: ['a', 'n'], canonical: [] },
+    { prime: 'THE SAME', allolexes: [], searchTerms: ['same', 'identical'], pos: ['a'], canonical: ['i11339', 'i11341'] },
+    { prime: 'OTHER', allolexes: ['ELSE'], searchTerms: ['other', 'else', 'another'], pos: ['a'], canonical: ['i11342'] },
   ],
 
   // === QUANTIFIERS ===
   quantifiers: [
-    { prime: 'ONE', allolexes: [], searchTerms: ['one'] },
-    { prime: 'TWO', allolexes: [], searchTerms: ['two'] },
-    { prime: 'SOME', allolexes: [], searchTerms: ['some'] },
-    { prime: 'ALL', allolexes: [], searchTerms: ['all', 'every'] },
-    { prime: 'MUCH', allolexes: ['MANY'], searchTerms: ['much', 'many'] },
-    { prime: 'LITTLE', allolexes: ['FEW'], searchTerms: ['little', 'few'] },
+    { prime: 'ONE', allolexes: [], searchTerms: ['one'], pos: ['a', 'n'], canonical: ['i12006', 'i109093'] },
+    { prime: 'TWO', allolexes: [], searchTerms: ['two'], pos: ['a', 'n'], canonical: ['i12007', 'i109097'] },
+    { prime: 'SOME', allolexes: [], searchTerms: ['some'], pos: ['a'], canonical: ['i12553'] },
+    { prime: 'ALL', allolexes: [], searchTerms: ['all', 'every'], pos: ['a'], canonical: ['i12561'] },
+    { prime: 'MUCH', allolexes: ['MANY'], searchTerms: ['much', 'many'], pos: ['a'], canonical: ['i8529', 'i8520'] },
+    { prime: 'LITTLE', allolexes: ['FEW'], searchTerms: ['little', 'few'], pos: ['a'], canonical: ['i8534', 'i8526'] },
   ],
 
   // === EVALUATORS ===
   evaluators: [
-    { prime: 'GOOD', allolexes: [], searchTerms: ['good'] },
-    { prime: 'BAD', allolexes: [], searchTerms: ['bad'] },
+    { prime: 'GOOD', allolexes: [], searchTerms: ['good'], pos: ['a'], canonical: ['i6163'] },
+    { prime: 'BAD', allolexes: [], searchTerms: ['bad'], pos: ['a'], canonical: ['i6173'] },
   ],
 
   // === DESCRIPTORS ===
   descriptors: [
-    { prime: 'BIG', allolexes: ['LARGE'], searchTerms: ['big', 'large'] },
-    { prime: 'SMALL', allolexes: [], searchTerms: ['small', 'little'] },
+    { prime: 'BIG', allolexes: ['LARGE'], searchTerms: ['big', 'large'], pos: ['a'], canonical: ['i7530'] },
+    { prime: 'SMALL', allolexes: [], searchTerms: ['small', 'little'], pos: ['a'], canonical: ['i7579'] },
   ],
 
   // === MENTAL PREDICATES ===
   mentalPredicates: [
-    { prime: 'THINK', allolexes: [], searchTerms: ['think'] },
-    { prime: 'KNOW', allolexes: [], searchTerms: ['know'] },
-    { prime: 'WANT', allolexes: [], searchTerms: ['want'] },
-    { prime: 'FEEL', allolexes: [], searchTerms: ['feel'] },
-    { prime: 'SEE', allolexes: [], searchTerms: ['see'] },
-    { prime: 'HEAR', allolexes: [], searchTerms: ['hear'] },
+    { prime: 'THINK', allolexes: [], searchTerms: ['think'], pos: ['v'], canonical: ['i24893', 'i24904'] },
+    { prime: 'KNOW', allolexes: [], searchTerms: ['know'], pos: ['v'], canonical: ['i24736'] },
+    { prime: 'WANT', allolexes: [], searchTerms: ['want'], pos: ['v'], canonical: ['i30852'] },
+    { prime: "DON'T WANT", allolexes: [], searchTerms: [], pos: ['v'], canonical: [] },
+    { prime: 'FEEL', allolexes: [], searchTerms: ['feel'], pos: ['v'], canonical: ['i30595', 'i22302'] },
+    { prime: 'SEE', allolexes: [], searchTerms: ['see'], pos: ['v'], canonical: ['i32402'] },
+    { prime: 'HEAR', allolexes: [], searchTerms: ['hear'], pos: ['v'], canonical: ['i32603'] },
   ],
 
   // === SPEECH ===
   speech: [
-    { prime: 'SAY', allolexes: [], searchTerms: ['say'] },
-    { prime: 'WORDS', allolexes: [], searchTerms: ['word', 'words'] },
-    { prime: 'TRUE', allolexes: [], searchTerms: ['true', 'truth'] },
+    { prime: 'SAY', allolexes: [], searchTerms: ['say'], pos: ['v'], canonical: ['i26632', 'i26659'] },
+    { prime: 'WORDS', allolexes: [], searchTerms: ['word', 'words'], pos: ['n'], canonical: ['i69544'] },
+    { prime: 'TRUE', allolexes: [], searchTerms: ['true', 'truth'], pos: ['a'], canonical: ['i13638'] },
   ],
 
   // === ACTIONS, EVENTS, MOVEMENT ===
   actionsEventsMovement: [
-    { prime: 'DO', allolexes: [], searchTerms: ['do'] },
-    { prime: 'HAPPEN', allolexes: [], searchTerms: ['happen', 'occur'] },
-    { prime: 'MOVE', allolexes: [], searchTerms: ['move'] },
+    { prime: 'DO', allolexes: [], searchTerms: ['do'], pos: ['v'], canonical: ['i30309'] },
+    { prime: 'HAPPEN', allolexes: [], searchTerms: ['happen', 'occur'], pos: ['v'], canonical: ['i23435', 'i23459'] },
+    { prime: 'MOVE', allolexes: [], searchTerms: ['move'], pos: ['v'], canonical: ['i30898', 'i30886'] },
   ],
 
   // === LOCATION, EXISTENCE, SPECIFICATION ===
   locationExistenceSpecification: [
-    { prime: 'BE (SOMEWHERE)', allolexes: ['BE AT'], searchTerms: ['be', 'exist', 'located'] },
-    { prime: 'THERE IS', allolexes: ['EXIST'], searchTerms: ['exist', 'existence'] },
-    { prime: 'BE (SOMEONE/SOMETHING)', allolexes: [], searchTerms: ['be', 'being'] },
+    { prime: 'BE (SOMEWHERE)', allolexes: ['BE AT'], searchTerms: ['be', 'exist', 'located'], pos: ['v'], canonical: ['i34943'] },
+    { prime: 'THERE IS', allolexes: ['EXIST'], searchTerms: ['exist', 'existence'], pos: ['v'], canonical: ['i34708'] },
+    { prime: 'BE (SOMEONE/SOMETHING)', allolexes: [], searchTerms: ['be', 'being'], pos: ['v'], canonical: ['i34756'] },
   ],
 
   // === POSSESSION ===
   possession: [
-    { prime: 'MINE', allolexes: ['HAVE'], searchTerms: ['have', 'possess', 'own'] },
+    { prime: 'MINE', allolexes: ['HAVE'], searchTerms: ['have', 'possess', 'own'], pos: ['v', 'a'], canonical: ['i32770', 'i9704'] },
   ],
 
   // === LIFE AND DEATH ===
   lifeAndDeath: [
-    { prime: 'LIVE', allolexes: [], searchTerms: ['live', 'alive', 'life'] },
-    { prime: 'DIE', allolexes: [], searchTerms: ['die', 'death'] },
+    { prime: 'LIVE', allolexes: [], searchTerms: ['live', 'alive', 'life'], pos: ['v'], canonical: ['i34743'] },
+    { prime: 'DIE', allolexes: [], searchTerms: ['die', 'death'], pos: ['v'], canonical: ['i23529'] },
   ],
 
   // === TIME ===
   time: [
-    { prime: 'WHEN', allolexes: ['TIME'], searchTerms: ['when', 'time'] },
-    { prime: 'NOW', allolexes: [], searchTerms: ['now', 'present'] },
-    { prime: 'BEFORE', allolexes: [], searchTerms: ['before'] },
-    { prime: 'AFTER', allolexes: [], searchTerms: ['after'] },
-    { prime: 'A LONG TIME', allolexes: [], searchTerms: ['long'] },
-    { prime: 'A SHORT TIME', allolexes: [], searchTerms: ['short', 'brief'] },
-    { prime: 'FOR SOME TIME', allolexes: [], searchTerms: ['while', 'duration'] },
-    { prime: 'MOMENT', allolexes: ['INSTANT'], searchTerms: ['moment', 'instant'] },
+    { prime: 'WHEN', allolexes: ['TIME'], searchTerms: ['when', 'time'], pos: ['n'], canonical: ['i75105'] },
+    { prime: 'NOW', allolexes: [], searchTerms: ['now', 'present'], pos: ['r'], canonical: ['i18426'] },
+    { prime: 'BEFORE', allolexes: [], searchTerms: ['before'], pos: ['r'], canonical: ['i18504'] },
+    { prime: 'AFTER', allolexes: [], searchTerms: ['after'], pos: ['r'], canonical: ['i18505'] },
+    { prime: 'A LONG TIME', allolexes: [], searchTerms: ['long'], pos: ['r', 'a'], canonical: ['i19264', 'i7859'] },
+    { prime: 'A SHORT TIME', allolexes: [], searchTerms: ['short', 'brief'], pos: ['a'], canonical: ['i7884'] },
+    { prime: 'FOR SOME TIME', allolexes: [], searchTerms: ['while', 'duration'], pos: ['n'], canonical: ['i117367'] },
+    { prime: 'MOMENT', allolexes: ['INSTANT'], searchTerms: ['moment', 'instant'], pos: ['n'], canonical: ['i117356', 'i117370'] },
   ],
 
   // === SPACE ===
   space: [
-    { prime: 'WHERE', allolexes: ['PLACE'], searchTerms: ['where', 'place'] },
-    { prime: 'HERE', allolexes: [], searchTerms: ['here'] },
-    { prime: 'ABOVE', allolexes: [], searchTerms: ['above', 'over'] },
-    { prime: 'BELOW', allolexes: [], searchTerms: ['below', 'under'] },
-    { prime: 'FAR', allolexes: [], searchTerms: ['far', 'distant'] },
-    { prime: 'NEAR', allolexes: ['CLOSE'], searchTerms: ['near', 'close'] },
-    { prime: 'SIDE', allolexes: [], searchTerms: ['side'] },
-    { prime: 'INSIDE', allolexes: [], searchTerms: ['inside', 'within'] },
-    { prime: 'TOUCH', allolexes: ['CONTACT'], searchTerms: ['touch', 'contact'] },
+    { prime: 'WHERE', allolexes: ['PLACE'], searchTerms: ['where', 'place'], pos: ['n'], canonical: ['i82501', 'i82294'] },
+    { prime: 'HERE', allolexes: [], searchTerms: ['here'], pos: ['r'], canonical: ['i18823'] },
+    { prime: 'ABOVE', allolexes: [], searchTerms: ['above', 'over'], pos: ['r'], canonical: ['i18624'] },
+    { prime: 'BELOW', allolexes: [], searchTerms: ['below', 'under'], pos: ['r'], canonical: ['i18623'] },
+    { prime: 'FAR', allolexes: [], searchTerms: ['far', 'distant'], pos: ['a', 'r'], canonical: ['i2492', 'i18771'] },
+    { prime: 'NEAR', allolexes: ['CLOSE'], searchTerms: ['near', 'close'], pos: ['a', 'r'], canonical: ['i2502', 'i20949'] },
+    { prime: 'SIDE', allolexes: [], searchTerms: ['side'], pos: ['n'], canonical: ['i82421'] },
+    { prime: 'INSIDE', allolexes: [], searchTerms: ['inside', 'within'], pos: ['n', 'r'], canonical: ['i82110', 'i18840'] },
+    { prime: 'TOUCH', allolexes: ['CONTACT'], searchTerms: ['touch', 'contact'], pos: ['v'], canonical: ['i27654', 'i27653'] },
   ],
 
   // === LOGICAL CONCEPTS ===
   logicalConcepts: [
-    { prime: 'NOT', allolexes: [], searchTerms: ['not', 'negation'] },
-    { prime: 'MAYBE', allolexes: ['PERHAPS'], searchTerms: ['maybe', 'perhaps', 'possible'] },
-    { prime: 'CAN', allolexes: ['POSSIBLE'], searchTerms: ['can', 'able', 'possible'] },
-    { prime: 'BECAUSE', allolexes: [], searchTerms: ['because', 'cause'] },
-    { prime: 'IF', allolexes: [], searchTerms: ['if', 'condition'] },
+    { prime: 'NOT', allolexes: [], searchTerms: ['not', 'negation'], pos: ['r'], canonical: ['i18280'] },
+    { prime: 'MAYBE', allolexes: ['PERHAPS'], searchTerms: ['maybe', 'perhaps', 'possible'], pos: ['r'], canonical: ['i20231'] },
+    { prime: 'CAN', allolexes: ['POSSIBLE'], searchTerms: ['can', 'able', 'possible'], pos: ['a'], canonical: ['i1', 'i10007'] },
+    { prime: 'BECAUSE', allolexes: [], searchTerms: ['because', 'cause'], pos: ['n'], canonical: ['i75195'] },
+    { prime: 'IF', allolexes: [], searchTerms: ['if', 'condition'], pos: ['n'], canonical: [], keywords: ['assumption', 'requirement'] },
   ],
 
   // === INTENSIFIER, AUGMENTOR ===
   intensifierAugmentor: [
-    { prime: 'VERY', allolexes: [], searchTerms: ['very', 'extremely'] },
-    { prime: 'MORE', allolexes: [], searchTerms: ['more'] },
+    { prime: 'VERY', allolexes: [], searchTerms: ['very', 'extremely'], pos: ['r'], canonical: ['i18320'] },
+    { prime: 'MORE', allolexes: [], searchTerms: ['more'], pos: ['a', 'r'], canonical: ['i8536', 'i18762'] },
   ],
 
   // === SIMILARITY ===
   similarity: [
-    { prime: 'LIKE', allolexes: ['AS', 'WAY'], searchTerms: ['like', 'similar', 'way'] },
+    { prime: 'LIKE', allolexes: ['AS', 'WAY'], searchTerms: ['like', 'similar', 'way'], pos: ['a', 'n'], canonical: ['i7691', 'i62886'] },
   ],
 };
 
+/**
+ * Primes of earlier inventories that the current chart names differently or
+ * no longer has, with the same fields as SEMANTIC_PRIMES. `current` names
+ * the prime of the current chart that took its place (null if none did).
+ */
+const HISTORICAL_PRIMES = {
+  'WORD': { allolexes: [], searchTerms: ['word'], pos: ['n'], canonical: ['i69544'], current: 'WORDS' },
+  'HAVE': { allolexes: [], searchTerms: ['have', 'possess', 'own'], pos: ['v'], canonical: ['i32770'], current: 'MINE' },
+  'KIND OF': { allolexes: [], searchTerms: ['kind', 'sort', 'type'], pos: ['n'], canonical: ['i67559'], current: 'KIND' },
+  'PART OF': { allolexes: [], searchTerms: ['part'], pos: ['n'], canonical: ['i109475'], current: 'PART' },
+  'IF... WOULD': { allolexes: [], searchTerms: [], pos: [], canonical: [], current: null },
+};
+
+/**
+ * Published NSM prime inventories by name. Each lists its primes by
+ * category as published, and notes on single primes.
+ */
+export const PRIME_INVENTORIES = {
+  'wierzbicka-1996': {
+    title: 'Wierzbicka (1996), Semantics: Primes and Universals',
+    primes: {
+      substantives: ['I', 'YOU', 'SOMEONE', 'PEOPLE', 'SOMETHING', 'BODY'],
+      determiners: ['THIS', 'THE SAME', 'OTHER'],
+      quantifiers: ['ONE', 'TWO', 'SOME', 'ALL', 'MUCH'],
+      evaluators: ['GOOD', 'BAD'],
+      descriptors: ['BIG', 'SMALL'],
+      mentalPredicates: ['THINK', 'KNOW', 'WANT', 'FEEL', 'SEE', 'HEAR'],
+      speech: ['SAY', 'WORD', 'TRUE'],
+      actionsEventsMovement: ['DO', 'HAPPEN', 'MOVE'],
+      existenceAndPossession: ['THERE IS', 'HAVE'],
+      lifeAndDeath: ['LIVE', 'DIE'],
+      logicalConcepts: ['NOT', 'MAYBE', 'CAN', 'BECAUSE', 'IF', 'IF... WOULD'],
+      time: ['WHEN', 'NOW', 'AFTER', 'BEFORE', 'A LONG TIME', 'A SHORT TIME', 'FOR SOME TIME'],
+      space: ['WHERE', 'HERE', 'ABOVE', 'BELOW', 'FAR', 'NEAR', 'SIDE', 'INSIDE'],
+      intensifierAugmentor: ['VERY', 'MORE'],
+      taxonomyPartonomy: ['KIND OF', 'PART OF'],
+      similarity: ['LIKE'],
+    },
+    notes: {
+      'WORD': 'singular; WORDS from 2002',
+      'HAVE': 'possession; replaced by MINE in the current chart',
+      'IF... WOULD': 'counterfactual; not in later lists',
+      'KIND OF': 'taxonomy; the relational substantive KIND from 2002',
+      'PART OF': 'partonomy; the relational substantive PART from 2002',
+    },
+  },
+  'goddard-wierzbicka-2002': {
+    title: 'Goddard & Wierzbicka (2002), Meaning and Universal Grammar',
+    primes: {
+      substantives: ['I', 'YOU', 'SOMEONE', 'PEOPLE', 'SOMETHING', 'BODY'],
+      relationalSubstantives: ['KIND', 'PART'],
+      determiners: ['THIS', 'THE SAME', 'OTHER'],
+      quantifiers: ['ONE', 'TWO', 'SOME', 'ALL', 'MUCH'],
+      evaluators: ['GOOD', 'BAD'],
+      descriptors: ['BIG', 'SMALL'],
+      mentalPredicates: ['THINK', 'KNOW', 'WANT', 'FEEL', 'SEE', 'HEAR'],
+      speech: ['SAY', 'WORDS', 'TRUE'],
+      actionsEventsMovementContact: ['DO', 'HAPPEN', 'MOVE', 'TOUCH'],
+      locationExistencePossessionSpecification: ['BE (SOMEWHERE)', 'THERE IS', 'HAVE', 'BE (SOMEONE/SOMETHING)'],
+      lifeAndDeath: ['LIVE', 'DIE'],
+      time: ['WHEN', 'NOW', 'BEFORE', 'AFTER', 'A LONG TIME', 'A SHORT TIME', 'FOR SOME TIME', 'MOMENT'],
+      space: ['WHERE', 'HERE', 'ABOVE', 'BELOW', 'FAR', 'NEAR', 'SIDE', 'INSIDE'],
+      logicalConcepts: ['NOT', 'MAYBE', 'CAN', 'BECAUSE', 'IF'],
+      intensifierAugmentor: ['VERY', 'MORE'],
+      similarity: ['LIKE'],
+    },
+    notes: {
+      'SOMEONE': 'allolex PERSON',
+      'THERE IS': 'allolex EXIST',
+      'HAVE': 'possession; replaced by MINE in the current chart',
+      'TOUCH': 'contact, grouped with actions and events',
+    },
+  },
+  'current': {
+    title: 'Goddard & Wierzbicka, current NSM chart',
+    primes: Object.fromEntries(Object.entries(SEMANTIC_PRIMES).map(([category, primes]) => [category, primes.map(p => p.prime)])),
+    notes: {
+      "DON'T WANT": 'a recent addition; WordNet has no lemma for it',
+      'LITTLE': 'LITTLE~FEW, not in the 1996 and 2002 lists',
+      'MINE': 'the chart has (IS) MINE; HAVE is kept as allolex and search term for WordNet',
+      'THERE IS': 'EXIST is kept from 2002 as allolex',
+      'BE (SOMEWHERE)': 'BE AT is an extra allolex',
+      'TOUCH': 'grouped with space; with actions and events in 2002',
+    },
+  },
+};
+
+export const DEFAULT_INVENTORY = 'current';
+
+/**
+ * Languages with exponents: English (SEMANTIC_PRIMES) and those of
+ * PRIME_EXPONENTS.
+ */
+export const PRIME_LANGUAGES = ['en', ...Object.keys(PRIME_EXPONENTS)];
+
+export const DEFAULT_LANGUAGE = 'en';
+
+/**
+ * ISO 639-3 codes that wordnets use for the languages of PRIME_LANGUAGES.
+ */
+const LANGUAGE_ALIASES = {
+  eng: 'en', rus: 'ru', spa: 'es', fra: 'fr', fre: 'fr', deu: 'de', ger: 'de',
+  pol: 'pl', cmn: 'zh', zho: 'zh', chi: 'zh', jpn: 'ja',
+};
+
+/**
+ * The language of PRIME_LANGUAGES that a language tag (the `language` of an
+ * LMF Lexicon, such as "en", "pl", "cmn-Hans" or "ja-JP") refers to.
+ * @param {string} tag - BCP 47 language tag
+ * @returns {string|null} Code in PRIME_LANGUAGES, or null if there are no
+ *   exponents for the language
+ */
+export function resolvePrimeLanguage(tag) {
+  const primary = (tag || '').toLowerCase().split(/[-_]/)[0];
+  const code = LANGUAGE_ALIASES[primary] || primary;
+  return PRIME_LANGUAGES.includes(code) ? code : null;
+}
+
+/**
+ * Look up a named inventory.
+ * @throws {Error} If there is no inventory of that name
+ */
+function getInventory(name) {
+  const inventory = PRIME_INVENTORIES[name];
+  if (!inventory) {
+    throw new Error(`Unknown NSM prime inventory "${name}". Available: ${Object.keys(PRIME_INVENTORIES).join(', ')}`);
+  }
+  return inventory;
+}
+
+/**
+ * Definitions of the current primes by name.
+ */
+function currentDefinitions() {
+  const definitions = new Map();
+  for (const primes of Object.values(SEMANTIC_PRIMES)) {
+    for (const prime of primes) definitions.set(prime.prime, prime);
+  }
+  return definitions;
+}
+
 /**
  * Get a flat list of all semantic primes with their categories.
- * @returns {Array} Array of prime objects with category info
+ *
+ * `prime` is always the English name, which identifies the prime across
+ * languages; `exponent`, `allolexes` and `searchTerms` are those of the
+ * language. Parts of speech, curated ILI ids and keywords do not depend on
+ * the language.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.inventory='current'] - Name in PRIME_INVENTORIES
+ * @param {string} [options.language='en'] - Code in PRIME_LANGUAGES
+ * @returns {Array} Array of prime objects with category info, the language
+ *   and its exponent (null if the language lists none), and the
+ *   inventory's note on the prime if it has one
+ * @throws {Error} If the inventory or the language is unknown
  */
-export function getAllPrimes() {
+export function getAllPrimes({ inventory = DEFAULT_INVENTORY, language = DEFAULT_LANGUAGE } = {}) {
+  const { primes, notes } = getInventory(inventory);
+  if (!PRIME_LANGUAGES.includes(language)) {
+    throw new Error(`Unknown NSM prime language "${language}". Available: ${PRIME_LANGUAGES.join(', ')}`);
+  }
+  const definitions = currentDefinitions();
   const result = [];
-  for (const [category, primes] of Object.entries(SEMANTIC_PRIMES)) {
-    for (const prime of primes) {
+  for (const [category, names] of Object.entries(primes)) {
+    for (const name of names) {
+      const { current, ...definition } = definitions.get(name) || HISTORICAL_PRIMES[name];
       result.push({
-        ...prime,
+        ...definition,
+        prime: name,
         category,
+        language,
+        exponent: name,
+        ...(language === DEFAULT_LANGUAGE ? {} : getExponents(language, name, current)),
+        ...(notes[name] ? { note: notes[name] } : {}),
       });
     }
   }
@@ -172,8 +357,43 @@ export function getAllPrimes() {
 
 /**
  * Get the total count of semantic primes.
+ * @param {Object} [options] - Passed to getAllPrimes
  * @returns {number} Total count
  */
-export function getPrimeCount() {
-  return getAllPrimes().length;
+export function getPrimeCount(options = {}) {
+  return getAllPrimes(options).length;
+}
+
+/**
+ * Compare two inventories. A prime that the current chart names differently
+ * (WORD, now WORDS) counts as renamed rather than removed and added.
+ * @param {string} from - Name of the older inventory
+ * @param {string} to - Name of the newer inventory
+ * @returns {{added: Array<string>, removed: Array<string>,
+ *            renamed: Array<{from: string, to: string}>,
+ *            moved: Array<{prime: string, from: string, to: string}>}}
+ *   Primes only in `to`, only in `from`, under another name, and in
+ *   another category
+ * @throws {Error} If an inventory is unknown
+ */
+export function diffInventories(from, to) {
+  const concept = (name) => (name in HISTORICAL_PRIMES ? HISTORICAL_PRIMES[name].current : name) ?? name;
+  const index = (name) => new Map(getAllPrimes({ inventory: name }).map(p => [concept(p.prime), p]));
+  const before = index(from);
+  const after = index(to);
+
+  const diff = { added: [], removed: [], renamed: [], moved: [] };
+  for (const [key, prime] of before) {
+    const match = after.get(key);
+    if (!match) {
+      diff.removed.push(prime.prime);
+      continue;
+    }
+    if (match.prime !== prime.prime) diff.renamed.push({ from: prime.prime, to: match.prime });
+    if (match.category !== prime.category) diff.moved.push({ prime: match.prime, from: prime.category, to: match.category });
+  }
+  for (const [key, prime] of after) {
+    if (!before.has(key)) diff.added.push(prime.prime);
+  }
+  return diff;
 }
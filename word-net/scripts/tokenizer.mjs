@@ -0,0 +1,238 @@
+/**
+ * Tokenizer Module
+ *
+ * Splits definitions into tokens according to a configuration object, and
+ * extracts the content words used as dependency graph edges. Shared by the
+ * discovery script and the experiments so that all of them tokenize the same
+ * way.
+ *
+ * Tokenizer configuration:
+ *   - minLength:   shortest token kept (1 keeps "i", "be", "do", "if", "me")
+ *   - characters:  characters that form words:
+ *                  'ascii' (a-z), 'letters' (any Unicode letter) or
+ *                  'alphanumeric' (Unicode letters and digits)
+ *   - hyphens:     'split' ("well-known" -> well, known), 'keep' (well-known)
+ *                  or 'join' (wellknown)
+ *   - apostrophes: 'strip-possessive' ("people's" -> people, "don't" -> don, t),
+ *                  'split' ("people's" -> people, s) or 'keep' (people's, don't)
+ *   - caseFolding: lowercase tokens before matching (WordNet lemmas are
+ *                  matched in lowercase). Without it, tokens are still looked
+ *                  up in lowercase and keep their case only when no lemma is
+ *                  known for them ("People" -> people; unknown names keep their case)
+ */
+
+/**
+ * Default English stop words that can optionally be excluded from analysis.
+ * These are function words that typically don't carry semantic content.
+ */
+export const DEFAULT_STOP_WORDS = [
+  'a', 'an', 'the', 'is', 'are', 'was', 'were', 'be', 'been', 'being',
+  'have', 'has', 'had', 'do', 'does', 'did', 'will', 'would', 'could', 'should',
+  'may', 'might', 'must', 'shall', 'can', 'need', 'dare', 'ought', 'used',
+  'to', 'of', 'in', 'for', 'on', 'with', 'at', 'by', 'from', 'up', 'about',
+  'into', 'over', 'after', 'and', 'but', 'or', 'if', 'as', 'that', 'which',
+  'what', 'when', 'where', 'who', 'whom', 'this', 'these', 'those', 'such',
+  'it', 'its', 'itself', 'they', 'their', 'them', 'we', 'our', 'us',
+  'he', 'his', 'him', 'she', 'her', 'hers', 'you', 'your', 'yours',
+  'i', 'me', 'my', 'mine', 'myself',
+  'not', 'no', 'nor', 'so', 'than', 'too', 'very', 'just', 'only',
+  'also', 'even', 'still', 'already', 'always', 'never', 'ever', 'often',
+  'any', 'all', 'each', 'every', 'both', 'few', 'more', 'most', 'other',
+  'some', 'one', 'two', 'first', 'new', 'now', 'way', 'well', 'then',
+  'usually', 'especially', 'particularly', 'generally', 'typically',
+  'sometimes', 'followed', 'something', 'someone', 'anything', 'anyone',
+];
+
+/**
+ * Regular expression character classes for each `characters` setting.
+ */
+const CHARACTER_CLASSES = {
+  ascii: 'a-zA-Z',
+  letters: '\\p{L}\\p{M}',
+  alphanumeric: '\\p{L}\\p{M}\\p{N}',
+};
+
+const HYPHEN_MODES = ['split', 'keep', 'join'];
+const APOSTROPHE_MODES = ['strip-possessive', 'split', 'keep'];
+
+/**
+ * Default tokenizer configuration. Short words are kept so that function
+ * words such as "i", "be" or "if" (several of them NSM primes) reach the
+ * graph; use stop words to exclude them explicitly.
+ */
+export const DEFAULT_TOKENIZER_CONFIG = {
+  minLength: 1,
+  characters: 'ascii',
+  hyphens: 'split',
+  apostrophes: 'strip-possessive',
+  caseFolding: true,
+};
+
+/**
+ * Merge a partial configuration with the defaults and validate it.
+ * @param {Object} [config] - Partial tokenizer configuration
+ * @returns {Object} Complete tokenizer configuration
+ * @throws {Error} If a setting has an unknown value
+ */
+export function normalizeTokenizerConfig(config = {}) {
+  const result = { ...DEFAULT_TOKENIZER_CONFIG, ...config };
+
+  if (!Number.isInteger(result.minLength) || result.minLength < 1) {
+    throw new Error(`Invalid tokenizer minLength: ${result.minLength} (expected an integer >= 1)`);
+  }
+  if (!CHARACTER_CLASSES[result.characters]) {
+    throw new Error(`Unknown tokenizer characters "${result.characters}". Available: ${Object.keys(CHARACTER_CLASSES).join(', ')}`);
+  }
+  if (!HYPHEN_MODES.includes(result.hyphens)) {
+    throw new Error(`Unknown tokenizer hyphens "${result.hyphens}". Available: ${HYPHEN_MODES.join(', ')}`);
+  }
+  if (!APOSTROPHE_MODES.includes(result.apostrophes)) {
+    throw new Error(`Unknown tokenizer apostrophes "${result.apostrophes}". Available: ${APOSTROPHE_MODES.join(', ')}`);
+  }
+  result.caseFolding = Boolean(result.caseFolding);
+
+  return result;
+}
+
+/**
+ * Describe a tokenizer configuration in one line (for output headers).
+ * @param {Object} config - Tokenizer configuration
+ * @returns {string}
+ */
+export function describeTokenizerConfig(config) {
+  const c = normalizeTokenizerConfig(config);
+  return `min_length=${c.minLength}, characters=${c.characters}, hyphens=${c.hyphens}, ` +
+    `apostrophes=${c.apostrophes}, case_folding=${c.caseFolding}`;
+}
+
+/**
+ * Compiled regular expressions per configuration object.
+ */
+const compiledTokenizers = new WeakMap();
+
+/**
+ * Build the regular expressions for a tokenizer configuration.
+ */
+function compileTokenizer(config) {
+  let compiled = compiledTokenizers.get(config);
+  if (compiled) return compiled;
+
+  const c = normalizeTokenizerConfig(config);
+  const cls = CHARACTER_CLASSES[c.characters];
+
+  const joiners = [];
+  if (c.hyphens === 'keep') joiners.push('-');
+  if (c.apostrophes === 'keep') joiners.push("'");
+
+  compiled = {
+    config: c,
+    possessive: new RegExp(`([${cls}])'s(?![${cls}])`, 'gu'),
+    pluralPossessive: new RegExp(`([sS])'(?![${cls}])`, 'gu'),
+    hyphen: new RegExp(`([${cls}])-(?=[${cls}])`, 'gu'),
+    word: new RegExp(joiners.length > 0
+      ? `[${cls}]+(?:[${joiners.join('')}][${cls}]+)*`
+      : `[${cls}]+`, 'gu'),
+  };
+  compiledTokenizers.set(config, compiled);
+  return compiled;
+}
+
+/**
+ * Split text into tokens.
+ * @param {string} text - Definition or other text
+ * @param {Object} [config] - Tokenizer configuration
+ * @returns {Array<string>} Tokens in order of appearance (with duplicates)
+ */
+export function tokenize(text, config = DEFAULT_TOKENIZER_CONFIG) {
+  const { config: c, possessive, pluralPossessive, hyphen, word } = compileTokenizer(config);
+
+  let source = c.caseFolding ? text.toLowerCase() : text;
+  source = source.replace(/[’‘]/g, "'");
+
+  if (c.apostrophes === 'strip-possessive') {
+    source = source.replace(possessive, '$1').replace(pluralPossessive, '$1');
+  }
+  if (c.hyphens === 'join') {
+    source = source.replace(hyphen, '$1');
+  }
+
+  const tokens = source.match(word) || [];
+  return c.minLength > 1 ? tokens.filter(token => [...token].length >= c.minLength) : tokens;
+}
+
+/**
+ * Lemmas of a token that are not stop words. Stop words, lemmas and graph
+ * nodes are lowercase, so without case folding the token is looked up in
+ * lowercase and keeps its case only if the lemmatizer knows no lemma for it.
+ */
+function tokenLemmas(token, caseFolding, stopWords, lemmatizer) {
+  if (!lemmatizer) return [token];
+  const lemmas = lemmatizer.lemmatize(caseFolding ? token : token.toLowerCase());
+  const known = caseFolding || lemmas.some(lemma => lemmatizer.isLemma(lemma));
+  return (known ? lemmas : [token]).filter(w => !stopWords.has(w));
+}
+
+/**
+ * Whether a token is a stop word (looked up in lowercase without case folding).
+ */
+function isStopWord(token, caseFolding, stopWords) {
+  return stopWords.has(caseFolding ? token : token.toLowerCase());
+}
+
+/**
+ * Extract content words from a definition.
+ * Returns unique tokens that are not stop words. With a lemmatizer, each
+ * token is replaced by its WordNet lemma(s) ("things" -> "thing"). With a
+ * multi-word expression recognizer, phrases such as "in front of" are kept
+ * as single tokens.
+ * @param {string} definition - Definition text
+ * @param {Object} [options]
+ * @param {Object} [options.tokenizer] - Tokenizer configuration
+ * @param {Set<string>} [options.stopWords] - Words to exclude
+ * @param {Object} [options.lemmatizer] - Lemmatizer from lemmatizer.mjs
+ * @param {Object} [options.mweRecognizer] - Recognizer from mwe-recognizer.mjs
+ *   (built with the same tokenizer configuration)
+ * @returns {Array<string>}
+ */
+export function extractContentWords(definition, { tokenizer = DEFAULT_TOKENIZER_CONFIG, stopWords = new Set(), lemmatizer = null, mweRecognizer = null } = {}) {
+  const { caseFolding } = compileTokenizer(tokenizer).config;
+  const tokens = (mweRecognizer ? mweRecognizer.segment(definition) : tokenize(definition, tokenizer))
+    .filter(w => !isStopWord(w, caseFolding, stopWords));
+  if (!lemmatizer) {
+    return [...new Set(tokens)];
+  }
+  const words = tokens.flatMap(token => tokenLemmas(token, caseFolding, stopWords, lemmatizer));
+  return [...new Set(words)];
+}
+
+/**
+ * Trace what extractContentWords does with each token of a definition.
+ * Tokens below the minimum length are listed first, since the tokenizer
+ * drops them before multi-word expressions are matched.
+ * @param {string} definition - Definition text
+ * @param {Object} [options] - Same options as extractContentWords
+ * @returns {Array<{token: string, lemmas: Array<string>, words: Array<string>, dropped: string|null}>}
+ *   The lemmas of each token that are not stop words, the content words it
+ *   contributes (lemmas not seen before), or why it contributes none:
+ *   'too_short', 'stop_word' (before or after lemmatization) or 'duplicate'
+ */
+export function explainTokens(definition, { tokenizer = DEFAULT_TOKENIZER_CONFIG, stopWords = new Set(), lemmatizer = null, mweRecognizer = null } = {}) {
+  const config = normalizeTokenizerConfig(tokenizer);
+  const trace = tokenize(definition, { ...config, minLength: 1 })
+    .filter(token => [...token].length < config.minLength)
+    .map(token => ({ token, lemmas: [], words: [], dropped: 'too_short' }));
+
+  const seen = new Set();
+  const tokens = mweRecognizer ? mweRecognizer.segment(definition) : tokenize(definition, tokenizer);
+  for (const token of tokens) {
+    if (isStopWord(token, config.caseFolding, stopWords)) {
+      trace.push({ token, lemmas: [], words: [], dropped: 'stop_word' });
+      continue;
+    }
+    const lemmas = tokenLemmas(token, config.caseFolding, stopWords, lemmatizer);
+    const words = lemmas.filter(w => !seen.has(w));
+    words.forEach(w => seen.add(w));
+    trace.push({ token, lemmas, words, dropped: lemmas.length === 0 ? 'stop_word' : words.length === 0 ? 'duplicate' : null });
+  }
+  return trace;
+}
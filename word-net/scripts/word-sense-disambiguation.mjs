@@ -0,0 +1,244 @@
+/**
+ * Word Sense Disambiguation Module
+ *
+ * Offline Lesk-style disambiguation of definition tokens. Given a synset and
+ * a content word from its definition, it picks the synset the word most
+ * likely refers to, using only the parsed WordNet lexicon.
+ *
+ * Each candidate synset of the word is scored by:
+ *   - gloss overlap: shared words between the candidate's signature and the
+ *     defining synset's signature (extended Lesk: a signature includes the
+ *     lemmas, definitions and examples of the synset and its hypernyms)
+ *   - POS agreement: the candidate has the same part of speech as the
+ *     defining synset (genus terms usually share the headword's POS)
+ *   - relation proximity: the candidate is reachable from the defining
+ *     synset within two synset relation hops
+ *   - sense rank: WordNet lists the most frequent senses first
+ *
+ * The confidence of a resolution is the margin between the best and the
+ * second-best score relative to the best. Below the threshold the resolver
+ * falls back to all senses of the word.
+ *
+ * Glosses are split into words by the tokenizer of the run, so that
+ * signatures work in any script; the gloss stop words are English and only
+ * dropped from English glosses.
+ *
+ * Reference: Lesk, M. (1986). Automatic sense disambiguation using machine
+ *            readable dictionaries. SIGDOC '86.
+ */
+
+import { DEFAULT_TOKENIZER_CONFIG, tokenize } from './tokenizer.mjs';
+
+/**
+ * Function words ignored when comparing English glosses.
+ */
+const GLOSS_STOP_WORDS = new Set([
+  'a', 'an', 'the', 'is', 'are', 'was', 'were', 'be', 'been', 'being',
+  'to', 'of', 'in', 'for', 'on', 'with', 'at', 'by', 'from', 'as', 'into',
+  'and', 'or', 'but', 'not', 'no', 'that', 'which', 'who', 'whom', 'this',
+  'it', 'its', 'their', 'his', 'her', 'one', 'some', 'any', 'something',
+  'someone', 'especially', 'usually', 'used', 'etc', 'e', 'g',
+]);
+
+/**
+ * Default weights of the scoring features, the fallback threshold, and the
+ * tokenizer configuration and language of the glosses.
+ */
+export const DEFAULT_WSD_OPTIONS = {
+  overlapWeight: 1,
+  posWeight: 0.5,
+  relationWeight: 2,
+  rankWeight: 0.5,
+  minConfidence: 0.3,
+  tokenizer: DEFAULT_TOKENIZER_CONFIG,
+  language: 'en',
+};
+
+/**
+ * Split text into lowercase gloss words, without stop words.
+ */
+function glossWords(text, tokenizer, stopWords) {
+  return tokenize(text, tokenizer)
+    .map(w => w.toLowerCase())
+    .filter(w => !stopWords.has(w));
+}
+
+/**
+ * Treat satellite adjectives (s) as adjectives (a).
+ */
+function normalizePos(pos) {
+  return pos === 's' ? 'a' : pos;
+}
+
+/**
+ * Lesk-style disambiguator over a lexicon from loadWordNet.
+ */
+export class LeskDisambiguator {
+  /**
+   * @param {{entries: Array, synsets: Map}} lexicon - Lexicon from loadWordNet
+   * @param {Object} [options] - Overrides for DEFAULT_WSD_OPTIONS
+   */
+  constructor(lexicon, options = {}) {
+    this.synsets = lexicon.synsets;
+    this.options = { ...DEFAULT_WSD_OPTIONS, ...options };
+    this.glossStopWords = this.options.language === 'en' ? GLOSS_STOP_WORDS : new Set();
+    this.signatures = new Map();  // synsetId -> Set of gloss words
+    this.neighborhoods = new Map();  // synsetId -> Set of synsets within two hops
+
+    // lemma -> [[synsetId, ...], ...] grouped per lexical entry, most frequent first
+    this.lemmaToSynsets = new Map();
+    this.synsetLemmas = new Map();
+    for (const entry of lexicon.entries) {
+      const synsetIds = entry.senses.map(sense => sense.synset);
+      for (const lemma of entry.lemmas) {
+        const key = lemma.writtenForm.toLowerCase();
+        if (synsetIds.length > 0) {
+          if (!this.lemmaToSynsets.has(key)) {
+            this.lemmaToSynsets.set(key, []);
+          }
+          this.lemmaToSynsets.get(key).push(synsetIds);
+        }
+        for (const synsetId of synsetIds) {
+          if (!this.synsetLemmas.has(synsetId)) {
+            this.synsetLemmas.set(synsetId, []);
+          }
+          this.synsetLemmas.get(synsetId).push(key);
+        }
+      }
+    }
+  }
+
+  /**
+   * Words describing a synset: its own gloss, examples and lemmas plus the
+   * glosses of its hypernyms. Computed lazily and cached.
+   * @param {string} synsetId
+   * @returns {Set<string>}
+   */
+  getSignature(synsetId) {
+    let signature = this.signatures.get(synsetId);
+    if (signature) return signature;
+
+    signature = new Set();
+    const synset = this.synsets.get(synsetId);
+    if (synset) {
+      const texts = [...synset.definitions, ...synset.examples, ...(this.synsetLemmas.get(synsetId) || [])];
+      for (const relation of synset.relations) {
+        if (relation.relType === 'hypernym' || relation.relType === 'instance_hypernym') {
+          const hypernym = this.synsets.get(relation.target);
+          if (hypernym) texts.push(...hypernym.definitions);
+        }
+      }
+      for (const text of texts) {
+        for (const word of glossWords(text, this.options.tokenizer, this.glossStopWords)) {
+          signature.add(word);
+        }
+      }
+    }
+
+    this.signatures.set(synsetId, signature);
+    return signature;
+  }
+
+  /**
+   * Synsets reachable from a synset within two relation hops.
+   * @param {string} synsetId
+   * @returns {Set<string>}
+   */
+  getNeighborhood(synsetId) {
+    let neighborhood = this.neighborhoods.get(synsetId);
+    if (neighborhood) return neighborhood;
+
+    neighborhood = new Set();
+    const first = this.synsets.get(synsetId)?.relations || [];
+    for (const relation of first) {
+      neighborhood.add(relation.target);
+      for (const second of this.synsets.get(relation.target)?.relations || []) {
+        neighborhood.add(second.target);
+      }
+    }
+    neighborhood.delete(synsetId);
+
+    this.neighborhoods.set(synsetId, neighborhood);
+    return neighborhood;
+  }
+
+  /**
+   * All candidate synsets of a word, in WordNet order, with their sense rank
+   * within their lexical entry.
+   * @param {string} word - Lowercase lemma
+   * @returns {Array<{synsetId: string, rank: number}>}
+   */
+  getCandidates(word) {
+    const groups = this.lemmaToSynsets.get(word) || [];
+    const candidates = [];
+    const seen = new Set();
+    for (const group of groups) {
+      group.forEach((synsetId, rank) => {
+        if (!seen.has(synsetId)) {
+          seen.add(synsetId);
+          candidates.push({ synsetId, rank });
+        }
+      });
+    }
+    return candidates;
+  }
+
+  /**
+   * Resolve a definition token of a synset to the synset(s) it refers to.
+   * @param {string} word - Lowercase content word from the definition
+   * @param {string} contextSynsetId - Synset whose definition contains the word
+   * @returns {{word: string, synsetIds: Array<string>, confidence: number,
+   *            fallback: boolean, scores: Array<{synsetId: string, score: number}>}}
+   */
+  disambiguate(word, contextSynsetId) {
+    const candidates = this.getCandidates(word);
+    if (candidates.length === 0) {
+      return { word, synsetIds: [], confidence: 0, fallback: false, scores: [] };
+    }
+    if (candidates.length === 1) {
+      const synsetId = candidates[0].synsetId;
+      return { word, synsetIds: [synsetId], confidence: 1, fallback: false, scores: [{ synsetId, score: 1 }] };
+    }
+
+    const { overlapWeight, posWeight, relationWeight, rankWeight, minConfidence } = this.options;
+    const context = this.synsets.get(contextSynsetId);
+    const contextSignature = this.getSignature(contextSynsetId);
+    const contextPos = normalizePos(context?.partOfSpeech || '');
+    const neighborhood = this.getNeighborhood(contextSynsetId);
+
+    const scores = candidates.map(({ synsetId, rank }) => {
+      let overlap = 0;
+      for (const w of this.getSignature(synsetId)) {
+        if (w !== word && contextSignature.has(w)) overlap++;
+      }
+      const candidatePos = normalizePos(this.synsets.get(synsetId)?.partOfSpeech || '');
+      const score =
+        overlapWeight * overlap +
+        (candidatePos === contextPos ? posWeight : 0) +
+        (neighborhood.has(synsetId) ? relationWeight : 0) +
+        rankWeight / (rank + 1);
+      return { synsetId, score };
+    });
+
+    scores.sort((a, b) => b.score - a.score);
+    const [best, second] = scores;
+    const confidence = best.score > 0 ? (best.score - second.score) / best.score : 0;
+
+    if (confidence < minConfidence) {
+      return { word, synsetIds: candidates.map(c => c.synsetId), confidence, fallback: true, scores };
+    }
+    return { word, synsetIds: [best.synsetId], confidence, fallback: false, scores };
+  }
+
+  /**
+   * Resolve every token of a synset's definition.
+   * @param {string} synsetId - Defining synset
+   * @param {Array<string>} words - Content words of its definition
+   * @returns {Array} One disambiguate() result per word with candidates
+   */
+  disambiguateDefinition(synsetId, words) {
+    return words
+      .map(word => this.disambiguate(word, synsetId))
+      .filter(result => result.synsetIds.length > 0);
+  }
+}
@@ -0,0 +1,386 @@
+/**
+ * WordNet LMF Parser Module
+ *
+ * Streaming parser for Global WordNet LMF (WN-LMF) XML files such as
+ * Open English WordNet. It is shared by every script in the pipeline so
+ * that conversion, extraction and discovery all see the same lexicon.
+ *
+ * The parser works on raw character chunks rather than lines, so tags
+ * that span several lines and attributes in any order are handled. All
+ * XML entities, including numeric character references, are decoded.
+ *
+ * Records produced:
+ *   - lexicon: { type, id, label, language, version }
+ *   - entry:   { type, id, lemmas, forms, senses }
+ *   - synset:  { type, id, ili, partOfSpeech, lexfile, members,
+ *                definitions, examples, relations }
+ *
+ * Usage:
+ *   import { readWordNetRecords, loadWordNet } from './wordnet-parser.mjs';
+ *
+ *   for await (const record of readWordNetRecords(file)) { ... }
+ *   const lexicon = await loadWordNet(file);
+ */
+
+import { createReadStream } from 'fs';
+
+/**
+ * Named entities predefined by XML.
+ */
+const NAMED_ENTITIES = {
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: "'",
+};
+
+/**
+ * Decode XML entities, including decimal (&#233;) and hexadecimal (&#xE9;)
+ * character references. Unknown named entities are left untouched.
+ * @param {string} str - Raw XML text or attribute value
+ * @returns {string} Decoded string
+ */
+export function decodeXmlEntities(str) {
+  if (!str.includes('&')) {
+    return str;
+  }
+  return str.replace(/&(#[xX][0-9a-fA-F]+|#[0-9]+|[A-Za-z][\w.-]*);/g, (match, entity) => {
+    if (entity[0] === '#') {
+      const isHex = entity[1] === 'x' || entity[1] === 'X';
+      const codePoint = parseInt(entity.slice(isHex ? 2 : 1), isHex ? 16 : 10);
+      try {
+        return String.fromCodePoint(codePoint);
+      } catch {
+        return match;
+      }
+    }
+    return Object.hasOwn(NAMED_ENTITIES, entity) ? NAMED_ENTITIES[entity] : match;
+  });
+}
+
+/**
+ * Parse the attributes of a start tag. Attribute order does not matter and
+ * both single and double quotes are accepted.
+ * @param {string} source - Tag content after the element name
+ * @returns {Object} Attribute name -> decoded value
+ */
+function parseAttributes(source) {
+  const attrs = {};
+  const pattern = /([^\s=/>]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+  let match;
+  while ((match = pattern.exec(source)) !== null) {
+    attrs[match[1]] = decodeXmlEntities(match[2] ?? match[3]);
+  }
+  return attrs;
+}
+
+/**
+ * Find the end of a tag starting at `start`, skipping '>' inside quoted
+ * attribute values.
+ * @returns {number} Index of the closing '>' or -1 if not in the buffer yet
+ */
+function findTagEnd(buffer, start) {
+  let quote = null;
+  for (let i = start; i < buffer.length; i++) {
+    const ch = buffer[i];
+    if (quote) {
+      if (ch === quote) quote = null;
+    } else if (ch === '"' || ch === "'") {
+      quote = ch;
+    } else if (ch === '>') {
+      return i;
+    }
+  }
+  return -1;
+}
+
+/**
+ * Split buffered XML into tokens. Returns the tokens found and the number of
+ * characters consumed; an incomplete trailing construct is left for the next
+ * chunk.
+ * @param {string} buffer - Buffered XML text
+ * @param {boolean} final - True when no more input will arrive
+ * @returns {{tokens: Array, consumed: number}}
+ */
+function tokenize(buffer, final) {
+  const tokens = [];
+  let pos = 0;
+
+  while (pos < buffer.length) {
+    const lt = buffer.indexOf('<', pos);
+
+    if (lt === -1) {
+      if (!final) break;
+      tokens.push({ kind: 'text', text: buffer.slice(pos) });
+      pos = buffer.length;
+      break;
+    }
+
+    if (lt > pos) {
+      tokens.push({ kind: 'text', text: buffer.slice(pos, lt) });
+      pos = lt;
+    }
+
+    if (buffer.startsWith('<!--', pos)) {
+      const end = buffer.indexOf('-->', pos + 4);
+      if (end === -1) break;
+      pos = end + 3;
+    } else if (buffer.startsWith('<![CDATA[', pos)) {
+      const end = buffer.indexOf(']]>', pos + 9);
+      if (end === -1) break;
+      tokens.push({ kind: 'cdata', text: buffer.slice(pos + 9, end) });
+      pos = end + 3;
+    } else if (buffer.startsWith('<?', pos)) {
+      const end = buffer.indexOf('?>', pos + 2);
+      if (end === -1) break;
+      pos = end + 2;
+    } else if (buffer.startsWith('<!', pos)) {
+      // DOCTYPE and other declarations, possibly with an internal subset
+      const bracket = buffer.indexOf('[', pos);
+      const close = findTagEnd(buffer, pos);
+      if (close === -1) break;
+      if (bracket !== -1 && bracket < close) {
+        const end = buffer.indexOf(']>', bracket);
+        if (end === -1) break;
+        pos = end + 2;
+      } else {
+        pos = close + 1;
+      }
+    } else {
+      const end = findTagEnd(buffer, pos + 1);
+      if (end === -1) break;
+      const body = buffer.slice(pos + 1, end);
+      if (body[0] === '/') {
+        tokens.push({ kind: 'close', name: body.slice(1).trim() });
+      } else {
+        const selfClosing = body.endsWith('/');
+        const inner = selfClosing ? body.slice(0, -1) : body;
+        const nameMatch = inner.match(/^\s*([^\s/>]+)/);
+        const name = nameMatch ? nameMatch[1] : '';
+        tokens.push({
+          kind: 'open',
+          name,
+          attrs: parseAttributes(inner.slice(nameMatch ? nameMatch[0].length : 0)),
+        });
+        if (selfClosing) {
+          tokens.push({ kind: 'close', name });
+        }
+      }
+      pos = end + 1;
+    }
+  }
+
+  return { tokens, consumed: pos };
+}
+
+/**
+ * Normalize whitespace in element text (definitions may be wrapped).
+ */
+function normalizeText(text) {
+  return text.replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Parse WN-LMF XML from an async iterable of string chunks.
+ * Yields one record per Lexicon, LexicalEntry and Synset element.
+ * @param {AsyncIterable<string>|Iterable<string>} chunks - XML text chunks
+ * @returns {AsyncGenerator<Object>}
+ */
+export async function* parseWordNetChunks(chunks) {
+  let buffer = '';
+  let entry = null;
+  let sense = null;
+  let synset = null;
+  let textTarget = null;   // 'definition' | 'example' while inside those elements
+  let text = '';
+
+  function* handle(token) {
+    if (token.kind === 'text' || token.kind === 'cdata') {
+      if (textTarget) {
+        text += token.kind === 'text' ? decodeXmlEntities(token.text) : token.text;
+      }
+      return;
+    }
+
+    const { name } = token;
+
+    if (token.kind === 'open') {
+      const attrs = token.attrs;
+      switch (name) {
+        case 'Lexicon':
+          yield {
+            type: 'lexicon',
+            id: attrs.id || '',
+            label: attrs.label || '',
+            language: attrs.language || '',
+            version: attrs.version || '',
+          };
+          break;
+        case 'LexicalEntry':
+          entry = { type: 'entry', id: attrs.id || '', lemmas: [], forms: [], senses: [] };
+          break;
+        case 'Lemma':
+          if (entry && attrs.writtenForm) {
+            entry.lemmas.push({
+              writtenForm: attrs.writtenForm,
+              partOfSpeech: attrs.partOfSpeech || '',
+            });
+          }
+          break;
+        case 'Form':
+          if (entry && attrs.writtenForm) {
+            entry.forms.push(attrs.writtenForm);
+          }
+          break;
+        case 'Sense':
+          if (entry) {
+            sense = { id: attrs.id || '', synset: attrs.synset || '', relations: [], examples: [] };
+          }
+          break;
+        case 'SenseRelation':
+          if (sense && attrs.target) {
+            sense.relations.push({ relType: attrs.relType || 'other', target: attrs.target });
+          }
+          break;
+        case 'Synset':
+          synset = {
+            type: 'synset',
+            id: attrs.id || '',
+            ili: attrs.ili || '',
+            partOfSpeech: attrs.partOfSpeech || '',
+            lexfile: attrs.lexfile || '',
+            members: attrs.members ? attrs.members.split(/\s+/).filter(Boolean) : [],
+            definitions: [],
+            examples: [],
+            relations: [],
+          };
+          break;
+        case 'SynsetRelation':
+          if (synset && attrs.target) {
+            synset.relations.push({ relType: attrs.relType || 'other', target: attrs.target });
+          }
+          break;
+        case 'Definition':
+          textTarget = 'definition';
+          text = '';
+          break;
+        case 'Example':
+          textTarget = 'example';
+          text = '';
+          break;
+      }
+      return;
+    }
+
+    // Close tags
+    switch (name) {
+      case 'Definition':
+        if (synset && textTarget === 'definition') {
+          synset.definitions.push(normalizeText(text));
+        }
+        textTarget = null;
+        break;
+      case 'Example':
+        if (textTarget === 'example') {
+          const owner = sense || synset;
+          if (owner) owner.examples.push(normalizeText(text));
+        }
+        textTarget = null;
+        break;
+      case 'Sense':
+        if (entry && sense) entry.senses.push(sense);
+        sense = null;
+        break;
+      case 'LexicalEntry':
+        if (entry) yield entry;
+        entry = null;
+        break;
+      case 'Synset':
+        if (synset) yield synset;
+        synset = null;
+        break;
+    }
+  }
+
+  for await (const chunk of chunks) {
+    buffer += chunk;
+    const { tokens, consumed } = tokenize(buffer, false);
+    buffer = buffer.slice(consumed);
+    for (const token of tokens) {
+      yield* handle(token);
+    }
+  }
+
+  const { tokens } = tokenize(buffer, true);
+  for (const token of tokens) {
+    yield* handle(token);
+  }
+}
+
+/**
+ * Stream records from a WN-LMF XML file.
+ * @param {string} filePath - Path to the XML file
+ * @returns {AsyncGenerator<Object>}
+ */
+export function readWordNetRecords(filePath) {
+  return parseWordNetChunks(createReadStream(filePath, { encoding: 'utf8' }));
+}
+
+/**
+ * Collect all records of a WN-LMF source into an in-memory lexicon.
+ * @param {string|AsyncIterable<string>} source - File path or XML text chunks
+ * @returns {Promise<{lexicons: Array, entries: Array, synsets: Map}>}
+ */
+export async function loadWordNet(source) {
+  console.log('Parsing WordNet XML...');
+
+  const records = typeof source === 'string'
+    ? readWordNetRecords(source)
+    : parseWordNetChunks(source);
+
+  const lexicons = [];
+  const entries = [];
+  const synsets = new Map();
+  let recordCount = 0;
+
+  for await (const record of records) {
+    if (record.type === 'entry') {
+      entries.push(record);
+    } else if (record.type === 'synset') {
+      synsets.set(record.id, record);
+    } else if (record.type === 'lexicon') {
+      lexicons.push(record);
+    }
+
+    recordCount++;
+    if (recordCount % 100000 === 0) {
+      console.log(`  Parsed ${recordCount} records...`);
+    }
+  }
+
+  console.log(`  Lexical entries: ${entries.length}`);
+  console.log(`  Synsets: ${synsets.size}`);
+
+  return { lexicons, entries, synsets };
+}
+
+/**
+ * Map each synset to the lowercased lemmas of its member entries.
+ * @param {{entries: Array}} lexicon - Lexicon from loadWordNet
+ * @returns {Map<string, Set<string>>} synsetId -> Set of lemmas
+ */
+export function getSynsetLemmas(lexicon) {
+  const synsetToLemmas = new Map();
+  for (const entry of lexicon.entries) {
+    for (const sense of entry.senses) {
+      if (!synsetToLemmas.has(sense.synset)) {
+        synsetToLemmas.set(sense.synset, new Set());
+      }
+      for (const lemma of entry.lemmas) {
+        synsetToLemmas.get(sense.synset).add(lemma.writtenForm.toLowerCase());
+      }
+    }
+  }
+  return synsetToLemmas;
+}
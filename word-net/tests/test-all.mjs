@@ -15,7 +15,28 @@ import { fileURLToPath } from 'url';
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+// Tests before Source Data use inline fixtures; Source Data, NSM Primes and
+// Discovery check the generated data files and need the downloaded WordNet data
 const tests = [
+  { name: 'WordNet Parser', script: 'test-wordnet-parser.mjs' },
+  { name: 'Conversion', script: 'test-conversion.mjs' },
+  { name: 'Edge Sources', script: 'test-edge-sources.mjs' },
+  { name: 'Disambiguation', script: 'test-disambiguation.mjs' },
+  { name: 'Lemmatizer', script: 'test-lemmatizer.mjs' },
+  { name: 'Tokenizer', script: 'test-tokenizer.mjs' },
+  { name: 'Multi-Word Expressions', script: 'test-mwe-recognizer.mjs' },
+  { name: 'Compact Graph', script: 'test-graph.mjs' },
+  { name: 'Cycles', script: 'test-cycles.mjs' },
+  { name: 'Dictionary Structure', script: 'test-dictionary-structure.mjs' },
+  { name: 'Centrality', script: 'test-centrality.mjs' },
+  { name: 'Scoring', script: 'test-scoring.mjs' },
+  { name: 'Paraphrase', script: 'test-paraphrase.mjs' },
+  { name: 'Prime Senses', script: 'test-prime-senses.mjs' },
+  { name: 'Prime Inventories', script: 'test-semantic-primes.mjs' },
+  { name: 'Prime Comparison', script: 'test-prime-comparison.mjs' },
+  { name: 'Sense Mode', script: 'test-sense-mode.mjs' },
+  { name: 'Explain', script: 'test-explain.mjs' },
+  { name: 'WordNet Option', script: 'test-wordnet-option.mjs' },
   { name: 'Source Data', script: 'test-source-data.mjs' },
   { name: 'NSM Primes', script: 'test-nsm-primes.mjs' },
   { name: 'Discovery', script: 'test-discovery.mjs' },
@@ -0,0 +1,107 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for the centrality metrics
+ *
+ * This script builds small graphs with known centrality values and verifies
+ * weighted in-degree, PageRank (weights, self-loops, dangling nodes) and
+ * betweenness, both exact and estimated from sampled sources.
+ *
+ * Usage: node test-centrality.mjs
+ */
+
+import { GraphBuilder } from '../scripts/graph.mjs';
+import { weightedInDegree, pageRank, approximateBetweenness } from '../scripts/centrality.mjs';
+
+/**
+ * Build a graph from [from, to, weight?] triples of node names.
+ */
+function buildGraph(edges) {
+  const builder = new GraphBuilder();
+  for (const [from, to, weight = 1] of edges) {
+    builder.addEdge(builder.addNode(from), builder.addNode(to), weight);
+  }
+  return builder.build();
+}
+
+function near(a, b, tolerance = 1e-6) {
+  return Math.abs(a - b) < tolerance;
+}
+
+async function main() {
+  console.log('=== Centrality Test ===\n');
+
+  let failed = 0;
+  let total = 0;
+  function check(description, passed, detail = '') {
+    total++;
+    if (!passed) failed++;
+    console.log(`  ${passed ? '✓' : '✗'} ${description}${detail ? `: ${detail}` : ''}`);
+  }
+
+  console.log('=== WEIGHTED IN-DEGREE ===');
+  const weighted = buildGraph([
+    ['dog', 'animal'], ['cat', 'animal', 0.5], ['animal', 'animal'], ['animal', 'thing', 2],
+  ]);
+  const inDegree = weightedInDegree(weighted);
+  check('Edge weights are summed', inDegree[weighted.id('animal')] === 1.5 && inDegree[weighted.id('thing')] === 2,
+    `${inDegree[weighted.id('animal')]}`);
+  check('Unused words score 0', inDegree[weighted.id('dog')] === 0);
+
+  console.log('\n=== PAGERANK ===');
+  const cycle = buildGraph([['a', 'b'], ['b', 'c'], ['c', 'a']]);
+  const cycleRank = pageRank(cycle);
+  check('Uniform on a directed cycle', cycleRank.every(r => near(r, 1 / 3)));
+
+  const hub = buildGraph([['a', 'hub'], ['b', 'hub'], ['c', 'hub'], ['hub', 'a'], ['d', 'd']]);
+  const hubRank = pageRank(hub);
+  const hubId = hub.id('hub');
+  check('Ranks sum to 1 with dangling nodes', near(hubRank.reduce((sum, r) => sum + r, 0), 1));
+  check('Most used word ranks highest', hubRank.every((r, v) => v === hubId || r < hubRank[hubId]));
+  check('Self-loops do not raise a rank', hubRank[hub.id('d')] < hubRank[hub.id('b')] + 1e-9,
+    `${hubRank[hub.id('d')].toFixed(4)}`);
+
+  const split = buildGraph([['a', 'b', 3], ['a', 'c', 1], ['b', 'a'], ['c', 'a']]);
+  const splitRank = pageRank(split);
+  check('Rank follows edge weights', splitRank[split.id('b')] > 2 * splitRank[split.id('c')]);
+
+  console.log('\n=== BETWEENNESS ===');
+  const path = buildGraph([['a', 'b'], ['b', 'c']]);
+  const pathScores = approximateBetweenness(path, { samples: Infinity });
+  check('Middle of a chain', pathScores[path.id('b')] === 1 && pathScores[path.id('a')] === 0 && pathScores[path.id('c')] === 0);
+
+  const diamond = buildGraph([['a', 'b'], ['a', 'c'], ['b', 'd'], ['c', 'd'], ['d', 'e']]);
+  const diamondScores = approximateBetweenness(diamond, { samples: Infinity });
+  check('Shortest paths are split evenly', near(diamondScores[diamond.id('b')], 1) &&
+    near(diamondScores[diamond.id('c')], 1) && near(diamondScores[diamond.id('d')], 3),
+    Array.from(diamondScores).join(', '));
+
+  // On a directed cycle of n nodes each node lies on (n-1)(n-2)/2 shortest
+  // paths, and every source adds the same total, so the scaled sum of a
+  // sample is exact
+  const n = 12;
+  const ring = buildGraph(Array.from({ length: n }, (_, i) => [`w${i}`, `w${(i + 1) % n}`]));
+  const exactRing = approximateBetweenness(ring, { samples: Infinity });
+  const sampled = approximateBetweenness(ring, { samples: 4, seed: 3 });
+  const sum = (scores) => scores.reduce((total, x) => total + x, 0);
+  check('Exact betweenness on a cycle', exactRing.every(x => x === (n - 1) * (n - 2) / 2));
+  check('Sampled estimate is scaled to the whole graph', near(sum(sampled), sum(exactRing)), `${sum(sampled)}`);
+  const again = approximateBetweenness(diamond, { samples: 2, seed: 5 });
+  check('Sampling is deterministic', approximateBetweenness(diamond, { samples: 2, seed: 5 }).every((x, v) => x === again[v]));
+
+  console.log('\n=== SUMMARY ===');
+  console.log(`Checks passed: ${total - failed}/${total}`);
+
+  if (failed > 0) {
+    console.log('\n❌ TESTS FAILED: Centrality metrics are incorrect');
+    process.exit(1);
+  }
+
+  console.log('\n✓ All centrality tests passed!');
+  process.exit(0);
+}
+
+main().catch((error) => {
+  console.error('Error:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,154 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for the conversion of WordNet XML to Links Notation
+ *
+ * This script writes a tiny English WN-LMF file with a hypernym
+ * SynsetRelation and an antonym SenseRelation, and runs
+ * convert-wordnet-to-lino.mjs with --wordnet on it. It verifies the exact
+ * links emitted for synsets, lexical entries and both kinds of relations,
+ * and that only senses taking part in a sense relation are listed in the
+ * SENSE RELATIONS section. Output files of the test wordnet that exist
+ * before the test are restored.
+ *
+ * Usage: node test-conversion.mjs
+ */
+
+import { spawnSync } from 'child_process';
+import { existsSync, mkdtempSync, readFileSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const SCRIPT = path.join(__dirname, '..', 'scripts', 'convert-wordnet-to-lino.mjs');
+const OUTPUT_FILE = path.join(__dirname, '..', 'data', 'wordnet-source-en.lino');
+
+const WORDNET = [
+  '<?xml version="1.0" encoding="UTF-8"?>',
+  '<LexicalResource xmlns:dc="https://globalwordnet.github.io/schemas/dc/">',
+  '  <Lexicon id="test-en" label="Conversion Test WordNet" language="en" email="x" license="x" version="1">',
+  '    <LexicalEntry id="t-hot-a">',
+  '      <Lemma writtenForm="hot" partOfSpeech="a"/>',
+  '      <Sense id="t-hot-a-1" synset="t-hot-a-s">',
+  '        <SenseRelation relType="antonym" target="t-cold-a-1"/>',
+  '      </Sense>',
+  '    </LexicalEntry>',
+  '    <LexicalEntry id="t-cold-a">',
+  '      <Lemma writtenForm="cold" partOfSpeech="a"/>',
+  '      <Sense id="t-cold-a-1" synset="t-cold-a-s"/>',
+  '    </LexicalEntry>',
+  '    <LexicalEntry id="t-Dog-n">',
+  '      <Lemma writtenForm="Dog" partOfSpeech="n"/>',
+  '      <Sense id="t-Dog-n-1" synset="t-dog-n-s"/>',
+  '    </LexicalEntry>',
+  '    <LexicalEntry id="t-animal-n">',
+  '      <Lemma writtenForm="animal" partOfSpeech="n"/>',
+  '      <Sense id="t-animal-n-1" synset="t-animal-n-s"/>',
+  '    </LexicalEntry>',
+  '    <Synset id="t-hot-a-s" ili="i1" partOfSpeech="a">',
+  '      <Definition>having a high temperature</Definition>',
+  '    </Synset>',
+  '    <Synset id="t-cold-a-s" partOfSpeech="a">',
+  '      <Definition>having a low temperature</Definition>',
+  '    </Synset>',
+  '    <Synset id="t-dog-n-s" partOfSpeech="n">',
+  '      <Definition>a "domestic" animal</Definition>',
+  '      <Example>the dog barked</Example>',
+  '      <SynsetRelation relType="hypernym" target="t-animal-n-s"/>',
+  '    </Synset>',
+  '    <Synset id="t-animal-n-s" partOfSpeech="n">',
+  '      <Definition>a living organism</Definition>',
+  '      <SynsetRelation relType="hyponym" target="t-dog-n-s"/>',
+  '    </Synset>',
+  '  </Lexicon>',
+  '</LexicalResource>',
+  '',
+].join('\n');
+
+async function main() {
+  console.log('=== Conversion Test ===\n');
+
+  let failed = 0;
+  let total = 0;
+  function check(description, passed, detail = '') {
+    total++;
+    if (!passed) failed++;
+    console.log(`  ${passed ? '✓' : '✗'} ${description}${detail ? `: ${detail}` : ''}`);
+  }
+
+  const tempDir = mkdtempSync(path.join(tmpdir(), 'conversion-'));
+  const wordnetFile = path.join(tempDir, 'wordnet.xml');
+  writeFileSync(wordnetFile, WORDNET);
+  const existing = existsSync(OUTPUT_FILE) ? readFileSync(OUTPUT_FILE, 'utf-8') : null;
+
+  try {
+    const result = spawnSync(process.execPath, [SCRIPT, `--wordnet=${wordnetFile}`], {
+      encoding: 'utf-8',
+      timeout: 120000,
+    });
+    check('Conversion runs', result.status === 0, result.status !== 0 ? result.stderr : '');
+    const output = existsSync(OUTPUT_FILE) ? readFileSync(OUTPUT_FILE, 'utf-8') : '';
+    const [header, rest = ''] = output.split('// === SYNSETS ===');
+    const [synsets, rest2 = ''] = rest.split('// === LEXICAL ENTRIES ===');
+    const [entries, senseRelations = ''] = rest2.split('// === SENSE RELATIONS ===');
+    const links = (section) => section.split('\n').filter(line => line.startsWith('('));
+
+    console.log('\n=== HEADER ===');
+    check('Header names the wordnet', header.includes('// Conversion Test WordNet 1 - Source Data') &&
+      !header.includes('en-word.net'));
+    check('Header counts both kinds of relations', header.includes('// Total synset relations: 2') &&
+      header.includes('// Total sense relations: 1'));
+
+    console.log('\n=== SYNSETS ===');
+    const dog = links(synsets).filter(line => line.startsWith('(t_dog_n_s '));
+    check('Synset links are emitted in order', dog.join('\n') === [
+      '(t_dog_n_s isa synset)',
+      '(t_dog_n_s pos n)',
+      '(t_dog_n_s definition "a \\"domestic\\" animal")',
+      '(t_dog_n_s example "the dog barked")',
+      '(t_dog_n_s hypernym t_animal_n_s)',
+    ].join('\n'), dog.join(' '));
+    check('SynsetRelation becomes a typed link', links(synsets).includes('(t_animal_n_s hyponym t_dog_n_s)'));
+    check('ILI is emitted', links(synsets).includes('(t_hot_a_s ili "i1")'));
+
+    console.log('\n=== LEXICAL ENTRIES ===');
+    check('Lemmas link to their synsets', links(entries).includes('(hot sense t_hot_a_s)') &&
+      links(entries).includes('(dog sense t_dog_n_s)'));
+    check('Written form is kept when it differs from the lemma id',
+      links(entries).includes('(dog written_form "Dog")') && !links(entries).includes('(hot written_form "hot")'));
+
+    console.log('\n=== SENSE RELATIONS ===');
+    check('SenseRelation becomes a typed link between sense ids', links(senseRelations).join('\n') === [
+      '(t_hot_a_1 isa sense)',
+      '(t_hot_a_1 lemma hot)',
+      '(t_hot_a_1 synset t_hot_a_s)',
+      '(t_hot_a_1 antonym t_cold_a_1)',
+      '(t_cold_a_1 isa sense)',
+      '(t_cold_a_1 lemma cold)',
+      '(t_cold_a_1 synset t_cold_a_s)',
+    ].join('\n'), links(senseRelations).join(' '));
+  } finally {
+    if (existing !== null) writeFileSync(OUTPUT_FILE, existing);
+    else rmSync(OUTPUT_FILE, { force: true });
+    rmSync(tempDir, { recursive: true, force: true });
+  }
+
+  console.log('\n=== SUMMARY ===');
+  console.log(`Checks passed: ${total - failed}/${total}`);
+
+  if (failed > 0) {
+    console.log('\n❌ TESTS FAILED: The Links Notation conversion is incorrect');
+    process.exit(1);
+  }
+
+  console.log('\n✓ All conversion tests passed!');
+  process.exit(0);
+}
+
+main().catch((error) => {
+  console.error('Error:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,212 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for explicit definitional cycles
+ *
+ * This script builds small graphs with known cycles and verifies that the
+ * shortest cycle through a word is found, that it is a real cycle of the
+ * graph and as short as any other (compared with a brute-force search on
+ * random graphs), and that buffers are reset between searches. It also
+ * checks that the bounded enumeration reports every elementary cycle up to
+ * the length bound exactly once, with per-word counts and the result cap.
+ *
+ * Usage: node test-cycles.mjs
+ */
+
+import { GraphBuilder, findStronglyConnectedComponents } from '../scripts/graph.mjs';
+import { ShortestCycleFinder, enumerateCycles } from '../scripts/cycles.mjs';
+
+/**
+ * Build a graph from "word: definition words" lines.
+ */
+function buildGraph(lines) {
+  const builder = new GraphBuilder();
+  for (const line of lines) {
+    const [word, definition] = line.split(':');
+    const from = builder.addNode(word.trim());
+    for (const dependency of definition.trim().split(/\s+/).filter(Boolean)) {
+      builder.addEdge(from, builder.addNode(dependency));
+    }
+  }
+  return builder.build();
+}
+
+/**
+ * Length of the shortest cycle through a node by breadth-first distances
+ * (reference implementation without early exit or component limits).
+ */
+function shortestCycleLength(graph, start) {
+  const distance = new Map([[start, 0]]);
+  const queue = [start];
+  let best = Infinity;
+  while (queue.length > 0) {
+    const v = queue.shift();
+    for (const w of graph.neighbors(v)) {
+      if (w === start) best = Math.min(best, distance.get(v) + 1);
+      if (!distance.has(w)) {
+        distance.set(w, distance.get(v) + 1);
+        queue.push(w);
+      }
+    }
+  }
+  return best;
+}
+
+/**
+ * All elementary cycles up to a length by depth-first search from every
+ * node over larger node ids (reference implementation without locks), as
+ * sorted "a b c" keys.
+ */
+function allCycles(graph, maxLength) {
+  const keys = [];
+  const path = [];
+  const onPath = new Set();
+  function visit(start, v) {
+    for (const w of graph.neighbors(v)) {
+      if (w === start) keys.push(path.join(' '));
+      else if (w > start && !onPath.has(w) && path.length < maxLength) {
+        path.push(w);
+        onPath.add(w);
+        visit(start, w);
+        path.pop();
+        onPath.delete(w);
+      }
+    }
+  }
+  for (let s = 0; s < graph.size; s++) {
+    path.push(s);
+    onPath.add(s);
+    visit(s, s);
+    path.pop();
+    onPath.delete(s);
+  }
+  return keys.sort();
+}
+
+function isCycleOf(graph, cycle, start) {
+  if (cycle[0] !== start || cycle[cycle.length - 1] !== start) return false;
+  return cycle.every((v, i) => i === 0 || graph.hasEdge(cycle[i - 1], v));
+}
+
+async function main() {
+  console.log('=== Cycles Test ===\n');
+
+  let failed = 0;
+  let total = 0;
+  function check(description, passed, detail = '') {
+    total++;
+    if (!passed) failed++;
+    console.log(`  ${passed ? '✓' : '✗'} ${description}${detail ? `: ${detail}` : ''}`);
+  }
+
+  console.log('=== SHORTEST CYCLE ===');
+  // "entity" is on a long and a short cycle; "make" defines itself; "dog"
+  // only points into the cycles
+  const graph = buildGraph([
+    'entity: thing existence',
+    'thing: object',
+    'object: whole',
+    'whole: entity',
+    'existence: being',
+    'being: entity',
+    'make: make cause',
+    'cause: make',
+    'dog: animal',
+    'animal: entity',
+  ]);
+  const { componentOf } = findStronglyConnectedComponents(graph);
+  const finder = new ShortestCycleFinder(graph, componentOf);
+  const names = (cycle) => (cycle ? cycle.map(v => graph.name(v)).join(' ') : 'none');
+
+  const entityCycle = finder.find(graph.id('entity'));
+  check('Shortest of several cycles', names(entityCycle) === 'entity existence being entity', names(entityCycle));
+  check('Self-loop is a cycle of length one', names(finder.find(graph.id('make'))) === 'make make');
+  check('Cycle through a word that defines another prime', names(finder.find(graph.id('cause'))) === 'cause make cause');
+  check('Words on no cycle have no witness', finder.find(graph.id('dog')) === null && finder.find(graph.id('animal')) === null);
+  check('Buffers are reset between searches', names(finder.find(graph.id('entity'))) === names(entityCycle));
+
+  const unrestricted = new ShortestCycleFinder(graph);
+  check('Works without component limits', names(unrestricted.find(graph.id('whole'))) === 'whole entity thing object whole',
+    names(unrestricted.find(graph.id('whole'))));
+
+  console.log('\n=== RANDOM GRAPHS ===');
+  let seed = 11;
+  const random = () => {
+    seed = (seed * 48271) % 2147483647;
+    return seed / 2147483647;
+  };
+  let valid = true;
+  let shortest = true;
+  for (let t = 0; t < 40; t++) {
+    const builder = new GraphBuilder();
+    const n = 30;
+    for (let i = 0; i < n; i++) builder.addNode(`w${i}`);
+    for (let k = 0; k < 45; k++) builder.addEdge(Math.floor(random() * n), Math.floor(random() * n));
+    const small = builder.build();
+    const smallFinder = new ShortestCycleFinder(small, findStronglyConnectedComponents(small).componentOf);
+    for (let v = 0; v < n; v++) {
+      const cycle = smallFinder.find(v);
+      const expected = shortestCycleLength(small, v);
+      if (cycle === null) {
+        if (expected !== Infinity) shortest = false;
+        continue;
+      }
+      if (!isCycleOf(small, cycle, v)) valid = false;
+      if (cycle.length - 1 !== expected) shortest = false;
+    }
+  }
+  check('Witnesses are cycles of the graph', valid);
+  check('Witnesses are as short as any cycle', shortest);
+
+  console.log('\n=== BOUNDED ENUMERATION ===');
+  const enumeration = enumerateCycles(graph, { maxLength: 4 });
+  const cycleNames = enumeration.cycles.map(cycle => cycle.map(v => graph.name(v)).join(' ')).sort();
+  check('All cycles up to length 4', cycleNames.join(', ') === 'entity existence being, entity thing object whole, make cause',
+    cycleNames.join(', '));
+  check('Counts per length', enumeration.lengthCounts.join(',') === '0,0,1,1,1', enumeration.lengthCounts.join(','));
+  check('Per-word participation',
+    enumeration.participation[3][graph.id('being')] === 1 && enumeration.participation[4][graph.id('being')] === 0 &&
+    enumeration.participation[4][graph.id('entity')] === 1 && enumeration.participation[1] === null);
+  check('Length bound excludes longer cycles', enumerateCycles(graph, { maxLength: 3 }).cycles.length === 2);
+  check('Self-loops with minLength 1', enumerateCycles(graph, { maxLength: 2, minLength: 1 }).lengthCounts[1] === 1);
+  const capped = enumerateCycles(graph, { maxLength: 4, limit: 2 });
+  check('Result cap', capped.cycles.length === 2 && capped.truncated && !enumeration.truncated);
+  check('Capped enumeration has no participation', capped.participation === null);
+  let invalidBound = false;
+  try {
+    enumerateCycles(graph, { maxLength: 0 });
+  } catch {
+    invalidBound = true;
+  }
+  check('Invalid length bound is rejected', invalidBound);
+
+  let complete = true;
+  for (let t = 0; t < 60; t++) {
+    const builder = new GraphBuilder();
+    const n = 12;
+    for (let i = 0; i < n; i++) builder.addNode(`w${i}`);
+    for (let k = 0; k < 30; k++) builder.addEdge(Math.floor(random() * n), Math.floor(random() * n));
+    const small = builder.build();
+    const maxLength = 2 + (t % 5);
+    const expected = allCycles(small, maxLength).filter(key => key.includes(' ')).join('|');
+    const found = enumerateCycles(small, { maxLength }).cycles.map(cycle => cycle.join(' ')).sort().join('|');
+    if (found !== expected) complete = false;
+  }
+  check('Same cycles as a brute-force search on random graphs', complete);
+
+  console.log('\n=== SUMMARY ===');
+  console.log(`Checks passed: ${total - failed}/${total}`);
+
+  if (failed > 0) {
+    console.log('\n❌ TESTS FAILED: Cycle search is incorrect');
+    process.exit(1);
+  }
+
+  console.log('\n✓ All cycle tests passed!');
+  process.exit(0);
+}
+
+main().catch((error) => {
+  console.error('Error:', error.message);
+  process.exit(1);
+});
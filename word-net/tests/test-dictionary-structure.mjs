@@ -0,0 +1,241 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for the kernel, core and MinSet extraction
+ *
+ * This script builds small definition graphs with a known structure and
+ * verifies the kernel (words used to define others), the core (largest SCC
+ * of the kernel), that every approximate MinSet breaks all definitional
+ * cycles while staying minimal on small graphs, the definitional depth
+ * of words over the condensation DAG, the layered prime hierarchy, and the
+ * rounds in which peeling takes words out of circularity.
+ *
+ * Usage: node test-dictionary-structure.mjs
+ */
+
+import { GraphBuilder, findStronglyConnectedComponents } from '../scripts/graph.mjs';
+import {
+  computeKernel,
+  computeCore,
+  computeDefinitionalDepth,
+  computePrimeLevels,
+  approximateFeedbackVertexSet,
+  isAcyclicWithout,
+  peelCycles,
+  FVS_STRATEGIES,
+  PEEL_STRATEGIES,
+} from '../scripts/dictionary-structure.mjs';
+
+/**
+ * Build a graph from "word: definition words" lines.
+ */
+function buildGraph(lines) {
+  const builder = new GraphBuilder();
+  for (const line of lines) {
+    const [word, definition] = line.split(':');
+    const from = builder.addNode(word.trim());
+    for (const dependency of definition.trim().split(/\s+/).filter(Boolean)) {
+      builder.addEdge(from, builder.addNode(dependency));
+    }
+  }
+  return builder.build();
+}
+
+function names(graph, mask) {
+  return graph.nodes.filter((_, v) => mask[v]).sort();
+}
+
+// "puppy" and "kitten" are never used in definitions, so they are not in the
+// kernel; neither is "young", once they are gone. "thing", "entity" and
+// "exist" define each other (the core); "animal" and "dog" form a second,
+// smaller cycle that depends on the core.
+const DICTIONARY = [
+  'puppy: young dog',
+  'kitten: young cat',
+  'young: animal',
+  'dog: animal thing',
+  'cat: animal',
+  'animal: dog entity',
+  'thing: entity',
+  'entity: thing exist',
+  'exist: entity',
+];
+
+async function main() {
+  console.log('=== Dictionary Structure Test ===\n');
+
+  let failed = 0;
+  let total = 0;
+  function check(description, passed, detail = '') {
+    total++;
+    if (!passed) failed++;
+    console.log(`  ${passed ? '✓' : '✗'} ${description}${detail ? `: ${detail}` : ''}`);
+  }
+
+  const graph = buildGraph(DICTIONARY);
+
+  console.log('=== KERNEL AND CORE ===');
+  const kernel = computeKernel(graph);
+  const kernelWords = names(graph, kernel);
+  check('Kernel drops words never used to define others', JSON.stringify(kernelWords) ===
+    JSON.stringify(['animal', 'dog', 'entity', 'exist', 'thing']), kernelWords.join(', '));
+  const core = computeCore(graph, kernel);
+  const coreWords = names(graph, core);
+  check('Core is the largest SCC of the kernel', JSON.stringify(coreWords) ===
+    JSON.stringify(['entity', 'exist', 'thing']), coreWords.join(', '));
+
+  const selfDefined = buildGraph(['word: word', 'term: word']);
+  check('Word used only in its own definition is not in the kernel', names(selfDefined, computeKernel(selfDefined)).length === 0);
+
+  console.log('\n=== MINSETS ===');
+  for (const strategy of Object.keys(FVS_STRATEGIES)) {
+    const minSet = approximateFeedbackVertexSet(graph, { strategy });
+    const removed = new Uint8Array(graph.size);
+    minSet.forEach(v => { removed[v] = 1; });
+    check(`MinSet (${strategy}) breaks all cycles with 2 words`, minSet.length === 2 && isAcyclicWithout(graph, removed),
+      minSet.map(v => graph.name(v)).sort().join(', '));
+  }
+
+  const loops = buildGraph(['good: good', 'bad: good']);
+  const loopSet = approximateFeedbackVertexSet(loops);
+  check('Self-defined word is in the MinSet', loopSet.length === 1 && loops.name(loopSet[0]) === 'good');
+
+  // Every greedy strategy must give a valid set, and on small graphs it
+  // should match the exhaustive minimum most of the time
+  let seed = 7;
+  const random = () => {
+    seed = (seed * 48271) % 2147483647;
+    return seed / 2147483647;
+  };
+  let valid = true;
+  let optimal = 0;
+  const trials = 50;
+  for (let t = 0; t < trials; t++) {
+    const builder = new GraphBuilder();
+    const n = 8;
+    for (let i = 0; i < n; i++) builder.addNode(`w${i}`);
+    for (let k = 0; k < 16; k++) builder.addEdge(Math.floor(random() * n), Math.floor(random() * n));
+    const small = builder.build();
+
+    let minimum = n;
+    for (let subset = 0; subset < (1 << n); subset++) {
+      const removed = new Uint8Array(n);
+      let size = 0;
+      for (let i = 0; i < n; i++) {
+        if (subset & (1 << i)) {
+          removed[i] = 1;
+          size++;
+        }
+      }
+      if (size < minimum && isAcyclicWithout(small, removed)) minimum = size;
+    }
+
+    const minSet = approximateFeedbackVertexSet(small);
+    const removed = new Uint8Array(n);
+    minSet.forEach(v => { removed[v] = 1; });
+    if (!isAcyclicWithout(small, removed)) valid = false;
+    if (minSet.length === minimum) optimal++;
+  }
+  check('Approximate MinSets are valid on random graphs', valid);
+  check('Approximate MinSets are minimum on most random graphs', optimal >= trials * 0.9, `${optimal}/${trials}`);
+
+  console.log('\n=== DEFINITIONAL DEPTH ===');
+  const depthGraph = buildGraph([...DICTIONARY, 'pet: dog thing', 'leaf:', 'green: leaf']);
+  const components = findStronglyConnectedComponents(depthGraph);
+  const depth = computeDefinitionalDepth(depthGraph, components);
+  const depthOf = (word) => {
+    const c = components.componentOf[depthGraph.id(word)];
+    const grounding = depth.groundedIn[c]?.map(prime => {
+      const members = [];
+      for (let v = 0; v < depthGraph.size; v++) {
+        if (components.componentOf[v] === prime) members.push(depthGraph.name(v));
+      }
+      return members.sort().join('+');
+    });
+    return `${depth.longest[c]}/${depth.shortest[c]} ${(grounding || []).sort().join(' ')}`.trim();
+  };
+  check('Condensation is a DAG of components', depth.condensation.size === components.count &&
+    findStronglyConnectedComponents(depth.condensation).count === components.count);
+  check('Prime words have depth 0 in their own component', depthOf('thing') === '0/0 entity+exist+thing', depthOf('thing'));
+  check('Prime cycle above the core stops at itself', depthOf('dog') === '0/0 animal+dog', depthOf('dog'));
+  check('One step from a prime component', depthOf('cat') === '1/1 animal+dog', depthOf('cat'));
+  check('Longest and shortest paths differ', depthOf('puppy') === '2/1 animal+dog', depthOf('puppy'));
+  check('Grounded in every prime component reached', depthOf('pet') === '1/1 animal+dog entity+exist+thing', depthOf('pet'));
+  check('Ungrounded words have no depth', depthOf('green') === '-1/-1' && depthOf('leaf') === '-1/-1', depthOf('green'));
+
+  console.log('\n=== PRIME LEVELS ===');
+  const cyclic = new Uint8Array(depthGraph.size);
+  for (let v = 0; v < depthGraph.size; v++) {
+    cyclic[v] = depth.isPrime[components.componentOf[v]];
+  }
+  const { level, levels } = computePrimeLevels(depthGraph, cyclic);
+  const levelOf = (word) => level[depthGraph.id(word)];
+  check('Primes are level 0', ['thing', 'entity', 'exist', 'animal', 'dog'].every(w => levelOf(w) === 0));
+  check('Words defined by primes only are level 1', levelOf('cat') === 1 && levelOf('young') === 1 && levelOf('pet') === 1);
+  check('Level is one above the highest defining level', levelOf('puppy') === 2 && levelOf('kitten') === 2 && levels === 3,
+    `${levels} levels`);
+  check('Words not definable from primes have no level', levelOf('leaf') === -1 && levelOf('green') === -1);
+
+  const minSetBase = new Uint8Array(depthGraph.size);
+  approximateFeedbackVertexSet(depthGraph).forEach(v => { minSetBase[v] = 1; });
+  const fromMinSet = computePrimeLevels(depthGraph, minSetBase).level;
+  const layered = depthGraph.nodes.every((_, v) => {
+    if (fromMinSet[v] === -1) return true;
+    if (fromMinSet[v] === 0) return minSetBase[v] === 1;
+    const highest = Math.max(...Array.from(depthGraph.neighbors(v), w => fromMinSet[w]));
+    return highest === fromMinSet[v] - 1;
+  });
+  check('Every word outside a MinSet is layered above it', layered &&
+    depthGraph.nodes.filter((_, v) => fromMinSet[v] === -1).sort().join(' ') === 'green leaf');
+
+  console.log('\n=== PEELING ===');
+  // "hub" is used by every other word of the component; once it is removed,
+  // the cycles a-b and c-d are left, and "leaf" is never in a cycle
+  const peelGraph = buildGraph(['hub: a c', 'a: hub b', 'c: hub d', 'b: a hub', 'd: c hub', 'leaf:', 'green: leaf hub']);
+  const peeling = peelCycles(peelGraph, { batch: 1 });
+  const roundOf = (word) => peeling.dropoutRound[peelGraph.id(word)];
+  check('Central word is removed in the first round', roundOf('hub') === 1 && peeling.removed[peelGraph.id('hub')] === 1);
+  check('Sub-cycles drop out in a later round', ['a', 'b', 'c', 'd'].every(w => roundOf(w) === 2), `${peeling.rounds} rounds`);
+  check('Words in no cycle are not ranked', roundOf('leaf') === -1 && roundOf('green') === -1 &&
+    peeling.order.length === 5);
+  check('Order starts with the most deeply embedded words',
+    peeling.order.map(v => peelGraph.name(v)).join(' ') === 'a c b d hub',
+    peeling.order.map(v => peelGraph.name(v)).join(' '));
+
+  let peelValid = true;
+  for (const strategy of Object.keys(PEEL_STRATEGIES)) {
+    for (const batch of [1, 3, 0.5]) {
+      const result = peelCycles(depthGraph, { strategy, batch });
+      const cyclic = components.componentOf.filter((c, v) =>
+        depthGraph.hasSelfLoop(v) || components.componentOffsets[c + 1] - components.componentOffsets[c] > 1).length;
+      if (!isAcyclicWithout(depthGraph, result.removed) || result.order.length !== cyclic) peelValid = false;
+    }
+  }
+  check('Removed words break every cycle for all strategies', peelValid);
+
+  let rejected = 0;
+  for (const options of [{ strategy: 'nope' }, { batch: 0 }, { batch: 2.5 }]) {
+    try {
+      peelCycles(peelGraph, options);
+    } catch {
+      rejected++;
+    }
+  }
+  check('Unknown strategies, empty and fractional counts are rejected', rejected === 3);
+
+  console.log('\n=== SUMMARY ===');
+  console.log(`Checks passed: ${total - failed}/${total}`);
+
+  if (failed > 0) {
+    console.log('\n❌ TESTS FAILED: Dictionary structure is incorrect');
+    process.exit(1);
+  }
+
+  console.log('\n✓ All dictionary structure tests passed!');
+  process.exit(0);
+}
+
+main().catch((error) => {
+  console.error('Error:', error.message);
+  process.exit(1);
+});
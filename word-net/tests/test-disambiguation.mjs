@@ -0,0 +1,127 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for Lesk-style word sense disambiguation
+ *
+ * This script builds a tiny in-memory lexicon in which "bank" has a river
+ * sense and a money sense, and verifies that definition tokens are resolved
+ * to the sense that fits the defining synset, with confidence scores and a
+ * fallback to all senses. A Russian lexicon checks that glosses in other
+ * scripts are compared with the tokenizer of the run.
+ *
+ * Usage: node test-disambiguation.mjs
+ */
+
+import { LeskDisambiguator } from '../scripts/word-sense-disambiguation.mjs';
+
+function synset(id, partOfSpeech, definition, relations = []) {
+  return [id, { id, partOfSpeech, definitions: [definition], examples: [], relations }];
+}
+
+function entry(lemma, partOfSpeech, synsetIds) {
+  return {
+    lemmas: [{ writtenForm: lemma, partOfSpeech }],
+    forms: [],
+    senses: synsetIds.map(id => ({ id: `${lemma}-${id}`, synset: id, relations: [] })),
+  };
+}
+
+const LEXICON = {
+  synsets: new Map([
+    synset('bank-money', 'n', 'a financial institution that accepts deposits of money'),
+    synset('bank-river', 'n', 'sloping land beside a body of water such as a river'),
+    synset('deposit', 'n', 'money placed in a financial institution such as a bank'),
+    synset('shore', 'n', 'the land along the edge of a river or lake'),
+    synset('levee', 'n', 'an embankment built to prevent a river from overflowing', [
+      { relType: 'hypernym', target: 'bank-river' },
+    ]),
+    synset('spring-season', 'n', 'the season of growth'),
+    synset('spring-coil', 'n', 'a metal elastic device'),
+    synset('thing', 'n', 'an entity that is not a spring'),
+  ]),
+  entries: [
+    entry('bank', 'n', ['bank-money', 'bank-river']),
+    entry('deposit', 'n', ['deposit']),
+    entry('shore', 'n', ['shore']),
+    entry('levee', 'n', ['levee']),
+    entry('spring', 'n', ['spring-season', 'spring-coil']),
+    entry('thing', 'n', ['thing']),
+  ],
+};
+
+// "коса" is a braid of hair or a scythe
+const RUSSIAN_LEXICON = {
+  synsets: new Map([
+    synset('kosa-hair', 'n', 'волосы, заплетённые в одну прядь'),
+    synset('kosa-tool', 'n', 'инструмент, чтобы косить траву'),
+    synset('pricheska', 'n', 'волосы, уложенные на голове'),
+    synset('senokos', 'n', 'время, когда косят траву'),
+  ]),
+  entries: [
+    entry('коса', 'n', ['kosa-hair', 'kosa-tool']),
+    entry('причёска', 'n', ['pricheska']),
+    entry('сенокос', 'n', ['senokos']),
+  ],
+};
+
+async function main() {
+  console.log('=== Word Sense Disambiguation Test ===\n');
+
+  const checks = [];
+  function check(name, condition) {
+    checks.push({ name, passed: Boolean(condition) });
+    console.log(`  ${condition ? '✓' : '✗'} ${name}`);
+  }
+
+  const wsd = new LeskDisambiguator(LEXICON);
+
+  const money = wsd.disambiguate('bank', 'deposit');
+  console.log(`"bank" in deposit -> ${money.synsetIds.join(', ')} (confidence ${money.confidence.toFixed(2)})`);
+  check('Gloss overlap selects the money sense', money.synsetIds.length === 1 && money.synsetIds[0] === 'bank-money');
+
+  const river = wsd.disambiguate('bank', 'shore');
+  console.log(`"bank" in shore -> ${river.synsetIds.join(', ')} (confidence ${river.confidence.toFixed(2)})`);
+  check('Gloss overlap selects the river sense', river.synsetIds.length === 1 && river.synsetIds[0] === 'bank-river');
+
+  const related = wsd.disambiguate('bank', 'levee');
+  check('Relation proximity supports the river sense', related.synsetIds[0] === 'bank-river' && !related.fallback);
+  check('Confidence is between 0 and 1', money.confidence > 0 && money.confidence <= 1);
+
+  const unclear = wsd.disambiguate('spring', 'thing');
+  console.log(`"spring" in thing -> ${unclear.synsetIds.join(', ')} (confidence ${unclear.confidence.toFixed(2)})`);
+  check('Low confidence falls back to all senses', unclear.fallback && unclear.synsetIds.length === 2);
+
+  const strict = new LeskDisambiguator(LEXICON, { minConfidence: 1 });
+  check('Threshold is configurable', strict.disambiguate('bank', 'deposit').fallback);
+
+  const single = wsd.disambiguate('shore', 'bank-river');
+  check('Single candidate has full confidence', single.confidence === 1 && single.synsetIds[0] === 'shore');
+
+  const unknown = wsd.disambiguate('zebra', 'shore');
+  check('Unknown words resolve to nothing', unknown.synsetIds.length === 0);
+
+  const resolved = wsd.disambiguateDefinition('deposit', ['money', 'bank', 'zebra']);
+  check('Definition resolution skips words without synsets', resolved.length === 1 && resolved[0].word === 'bank');
+
+  const russian = new LeskDisambiguator(RUSSIAN_LEXICON, { tokenizer: { characters: 'letters' }, language: 'ru' });
+  check('Cyrillic glosses select the hair sense', russian.disambiguate('коса', 'pricheska').synsetIds.join() === 'kosa-hair');
+  check('Cyrillic glosses select the scythe sense', russian.disambiguate('коса', 'senokos').synsetIds.join() === 'kosa-tool');
+
+  const failed = checks.filter(c => !c.passed).length;
+
+  console.log('\n=== SUMMARY ===');
+  console.log(`Checks passed: ${checks.length - failed}/${checks.length}`);
+
+  if (failed > 0) {
+    console.log('\n❌ TESTS FAILED: Disambiguation results are incorrect');
+    process.exit(1);
+  }
+
+  console.log('\n✓ All disambiguation tests passed!');
+  process.exit(0);
+}
+
+main().catch((error) => {
+  console.error('Error:', error.message);
+  process.exit(1);
+});
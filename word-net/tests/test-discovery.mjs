@@ -18,6 +18,7 @@ const __dirname = path.dirname(__filename);
 
 const DATA_DIR = path.join(__dirname, '..', 'data');
 const DISCOVERED_PRIMES_FILE = path.join(DATA_DIR, 'discovered-primes.lino');
+const SENSE_PRIMES_FILE = path.join(DATA_DIR, 'discovered-sense-primes.lino');
 
 // Key words that MUST be discovered as semantic primes
 // These are fundamental concepts that should be part of circular definition chains
@@ -63,6 +64,23 @@ function parseLinoForWords(content) {
   return words;
 }
 
+/**
+ * Check that every sense-level prime can be traced back to at least one lemma.
+ * Returns the number of primes and the ids of primes without lemma links.
+ */
+function checkSensePrimes(content) {
+  const primeIds = parseLinoForWords(content);
+  const withLemmas = new Set();
+  for (const line of content.split('\n')) {
+    const match = line.match(/^\(([a-z0-9_]+)\s+lemma\s+\S+\)/);
+    if (match) {
+      withLemmas.add(match[1]);
+    }
+  }
+  const untraced = [...primeIds].filter(id => !withLemmas.has(id));
+  return { total: primeIds.size, untraced };
+}
+
 function getWordScore(content, word) {
   const wordId = word.replace(/[^a-z0-9]/gi, '_');
   const pattern = new RegExp(`\\(${wordId}\\s+prime_score\\s+([0-9.]+)\\)`);
@@ -112,6 +130,16 @@ async function main() {
     }
   }
 
+  // Sense-level output is optional (discover-semantic-primes.mjs --mode=sense)
+  let sensePassed = true;
+  if (existsSync(SENSE_PRIMES_FILE)) {
+    console.log('\n=== SENSE-LEVEL PRIMES ===');
+    const { total, untraced } = checkSensePrimes(readFileSync(SENSE_PRIMES_FILE, 'utf-8'));
+    sensePassed = total > 0 && untraced.length === 0;
+    console.log(`  ${total > 0 ? '✓' : '✗'} Sense-level primes: ${total}`);
+    console.log(`  ${untraced.length === 0 ? '✓' : '✗'} All synsets traced to lemmas${untraced.length ? ` (missing: ${untraced.slice(0, 5).join(', ')})` : ''}`);
+  }
+
   // Summary
   console.log('\n=== SUMMARY ===');
   console.log(`MUST FIND: ${MUST_FIND.filter(w => discoveredWords.has(w)).length}/${MUST_FIND.length}`);
@@ -123,6 +151,11 @@ async function main() {
     process.exit(1);
   }
 
+  if (!sensePassed) {
+    console.log('\n❌ TESTS FAILED: Sense-level primes cannot be traced to lemmas');
+    process.exit(1);
+  }
+
   console.log('\n✓ All critical tests passed!');
   process.exit(0);
 }
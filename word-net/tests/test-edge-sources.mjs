@@ -0,0 +1,145 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for the edge sources of the dependency graph
+ *
+ * This script builds a tiny in-memory lexicon with hypernym, derivation
+ * and similar-to relations and verifies that edge source specifications
+ * are parsed and validated, that relation edges link every lemma of one
+ * synset to every lemma of the other (or the synsets themselves at sense
+ * level), that sense relations link the lemmas or synsets of their senses,
+ * and that edges produced by several sources sum their weights before the
+ * minimum edge weight is applied.
+ *
+ * Usage: node test-edge-sources.mjs
+ */
+
+import { addSourceEdges, collectRelationEdges, parseEdgeSources } from '../scripts/edge-sources.mjs';
+import { GraphBuilder } from '../scripts/graph.mjs';
+
+function synset(id, partOfSpeech, definition, relations = []) {
+  return [id, { id, partOfSpeech, definitions: [definition], examples: [], relations }];
+}
+
+function entry(lemma, partOfSpeech, senses) {
+  return {
+    lemmas: [{ writtenForm: lemma, partOfSpeech }],
+    forms: [],
+    senses: senses.map(([id, synsetId, relations = []]) => ({ id, synset: synsetId, relations })),
+  };
+}
+
+// "dog" and "Domestic_Dog" share a synset below "canine"/"canid"; the verb
+// "run" derives "runner"; "big" is similar to "large"
+const LEXICON = {
+  synsets: new Map([
+    synset('dog-n', 'n', 'a domesticated canine', [{ relType: 'hypernym', target: 'canine-n' }]),
+    synset('canine-n', 'n', 'a mammal with long jaws'),
+    synset('run-v', 'v', 'move fast on foot'),
+    synset('runner-n', 'n', 'someone who runs'),
+    synset('big-a', 'a', 'above average in size', [{ relType: 'similar', target: 'large-a' }]),
+    synset('large-a', 'a', 'of great size'),
+  ]),
+  entries: [
+    entry('dog', 'n', [['dog-1', 'dog-n']]),
+    entry('Domestic_Dog', 'n', [['domestic_dog-1', 'dog-n']]),
+    entry('canine', 'n', [['canine-1', 'canine-n']]),
+    entry('canid', 'n', [['canid-1', 'canine-n']]),
+    entry('run', 'v', [['run-1', 'run-v', [{ relType: 'derivation', target: 'runner-1' }]]]),
+    entry('runner', 'n', [['runner-1', 'runner-n']]),
+    entry('big', 'a', [['big-1', 'big-a']]),
+    entry('large', 'a', [['large-1', 'large-a']]),
+  ],
+};
+
+/**
+ * Edges as sorted "from>to" strings for comparison.
+ */
+function edgeKeys(edges) {
+  return edges.map(([from, to]) => `${from}>${to}`).sort().join(' ');
+}
+
+async function main() {
+  console.log('=== Edge Sources Test ===\n');
+
+  let failed = 0;
+  let total = 0;
+  function check(description, passed, detail = '') {
+    total++;
+    if (!passed) failed++;
+    console.log(`  ${passed ? '✓' : '✗'} ${description}${detail ? `: ${detail}` : ''}`);
+  }
+
+  function throws(fn) {
+    try {
+      fn();
+      return false;
+    } catch {
+      return true;
+    }
+  }
+
+  console.log('=== SPECIFICATION ===');
+  const sources = parseEdgeSources('definition, hypernym:0.5,similar:2');
+  check('Sources are parsed with default and given weights',
+    sources.map(s => `${s.source}=${s.weight}`).join(',') === 'definition=1,hypernym=0.5,similar=2');
+  check('Unknown source is rejected', throws(() => parseEdgeSources('definition,synonym')));
+  check('Weight with trailing characters is rejected', throws(() => parseEdgeSources('hypernym:2x')));
+  check('Empty, zero and negative weights are rejected',
+    throws(() => parseEdgeSources('hypernym:')) && throws(() => parseEdgeSources('hypernym:0')) &&
+    throws(() => parseEdgeSources('hypernym:-1')));
+  check('Empty specification is rejected', throws(() => parseEdgeSources(' , ')));
+
+  console.log('\n=== RELATION EDGES ===');
+  const hypernyms = collectRelationEdges(LEXICON, 'hypernym');
+  check('Synset relations link every lemma to every lemma', edgeKeys(hypernyms) ===
+    'dog>canid dog>canine domestic_dog>canid domestic_dog>canine', edgeKeys(hypernyms));
+  check('Sense relations link the lemmas of their senses',
+    edgeKeys(collectRelationEdges(LEXICON, 'derivation')) === 'run>runner');
+  check('Each source follows its own relation types',
+    edgeKeys(collectRelationEdges(LEXICON, 'similar')) === 'big>large');
+  check('Sense level links synsets', edgeKeys(collectRelationEdges(LEXICON, 'hypernym', 'sense')) === 'dog-n>canine-n' &&
+    edgeKeys(collectRelationEdges(LEXICON, 'derivation', 'sense')) === 'run-v>runner-n');
+
+  console.log('\n=== WEIGHTS ===');
+  const definitionEdges = [['dog', 'canine'], ['dog', 'canine'], ['canine', 'dog'], ['dog', 'mammal']];
+  function build(spec, minEdgeWeight = 0) {
+    const builder = new GraphBuilder();
+    for (const name of ['dog', 'domestic_dog', 'canine', 'canid']) builder.addNode(name);
+    const counts = addSourceEdges(builder, parseEdgeSources(spec), source =>
+      (source === 'definition' ? definitionEdges : collectRelationEdges(LEXICON, source)));
+    const graph = builder.build({ minEdgeWeight });
+    const weight = (from, to) => (graph.hasEdge(graph.id(from), graph.id(to))
+      ? graph.weights[graph.edgeIndex(graph.id(from), graph.id(to))] : null);
+    return { graph, counts, weight };
+  }
+
+  const merged = build('definition:0.4,hypernym:0.5');
+  check('Repeated edges of one source count once', merged.counts.get('definition') === 2,
+    String(merged.counts.get('definition')));
+  check('Edges to names that are not nodes are skipped', merged.weight('dog', 'mammal') === null);
+  check('Weights of several sources are summed', merged.weight('dog', 'canine') === 0.9 &&
+    merged.weight('dog', 'canid') === 0.5 && merged.weight('canine', 'dog') === 0.4,
+    `${merged.weight('dog', 'canine')} ${merged.weight('dog', 'canid')}`);
+
+  const pruned = build('definition:0.4,hypernym:0.5', 0.5);
+  check('Minimum edge weight applies to the summed weight', pruned.weight('dog', 'canine') === 0.9 &&
+    pruned.weight('dog', 'canid') === 0.5 && pruned.weight('canine', 'dog') === null,
+    `${pruned.graph.edgeCount} edges`);
+
+  console.log('\n=== SUMMARY ===');
+  console.log(`Checks passed: ${total - failed}/${total}`);
+
+  if (failed > 0) {
+    console.log('\n❌ TESTS FAILED: Edge sources are incorrect');
+    process.exit(1);
+  }
+
+  console.log('\n✓ All edge source tests passed!');
+  process.exit(0);
+}
+
+main().catch((error) => {
+  console.error('Error:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,137 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for the --explain option of the discovery script
+ *
+ * This script writes a tiny English WN-LMF file in which "thing" and
+ * "entity" define each other and "dog" is defined through "thing", and runs
+ * discover-semantic-primes.mjs with --explain on it. It verifies the printed
+ * explanation of a prime and of a word that is not a prime, the inflected
+ * form of a lemma, the data/explain-<word>.lino output, and that peeling,
+ * cycle enumeration and unused graph metrics are skipped. Output files of
+ * the test wordnet that exist before the test are restored.
+ *
+ * Usage: node test-explain.mjs
+ */
+
+import { spawnSync } from 'child_process';
+import { existsSync, mkdtempSync, readdirSync, readFileSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const SCRIPT = path.join(__dirname, '..', 'scripts', 'discover-semantic-primes.mjs');
+const DATA_DIR = path.join(__dirname, '..', 'data');
+
+const WORDNET = [
+  '<?xml version="1.0" encoding="UTF-8"?>',
+  '<LexicalResource xmlns:dc="https://globalwordnet.github.io/schemas/dc/">',
+  '  <Lexicon id="test-en" label="Explain Test WordNet" language="en" email="x" license="x" version="1">',
+  ...[['thing', 'a separate entity'], ['entity', 'a thing that exists'], ['dog', 'a domesticated thing that barks']]
+    .map(([lemma, definition]) => [
+      `    <LexicalEntry id="t-${lemma}-n">`,
+      `      <Lemma writtenForm="${lemma}" partOfSpeech="n"/>`,
+      `      <Sense id="t-${lemma}-n-1" synset="t-${lemma}-n-s"/>`,
+      '    </LexicalEntry>',
+      `    <Synset id="t-${lemma}-n-s" partOfSpeech="n">`,
+      `      <Definition>${definition}</Definition>`,
+      '    </Synset>',
+    ].join('\n')),
+  '  </Lexicon>',
+  '</LexicalResource>',
+  '',
+].join('\n');
+
+/**
+ * Explanation files of the test wordnet in the data directory, with their contents.
+ */
+function explainOutputs() {
+  return new Map(readdirSync(DATA_DIR).filter(name => name.startsWith('explain-') && name.endsWith('-en.lino'))
+    .map(name => [name, readFileSync(path.join(DATA_DIR, name), 'utf-8')]));
+}
+
+/**
+ * Contents of an explanation file, or '' if it was not written.
+ */
+function readExplanation(word) {
+  const file = path.join(DATA_DIR, `explain-${word}-en.lino`);
+  return existsSync(file) ? readFileSync(file, 'utf-8') : '';
+}
+
+async function main() {
+  console.log('=== Explain Test ===\n');
+
+  let failed = 0;
+  let total = 0;
+  function check(description, passed, detail = '') {
+    total++;
+    if (!passed) failed++;
+    console.log(`  ${passed ? '✓' : '✗'} ${description}${detail ? `: ${detail}` : ''}`);
+  }
+
+  const tempDir = mkdtempSync(path.join(tmpdir(), 'explain-'));
+  const wordnetFile = path.join(tempDir, 'wordnet.xml');
+  writeFileSync(wordnetFile, WORDNET);
+  const existing = explainOutputs();
+
+  try {
+    const args = [`--wordnet=${wordnetFile}`, '--explain=thing,dog,things', '--cycles', '--peel'];
+    const result = spawnSync(process.execPath, [SCRIPT, ...args], { encoding: 'utf-8', timeout: 120000 });
+    const stdout = result.stdout || '';
+    const section = (word) => stdout.split(`=== ${word} ===`)[1]?.split('\n===')[0] || '';
+    check('Explanation runs', result.status === 0, result.status !== 0 ? result.stderr : '');
+
+    console.log('\n=== PRINTED EXPLANATION ===');
+    const thing = section('thing');
+    check('Prime is explained by its cycle', thing.includes('PRIME (') &&
+      thing.includes('Why: in a definition cycle: its SCC has 2 words'));
+    check('Prime shows its shortest cycle and score', thing.includes('Shortest cycle: thing -> entity -> thing') &&
+      /Score: [\d.]+ = cycle 50\.0/.test(thing));
+    const dog = section('dog');
+    check('Word outside the cycles is not a prime', dog.includes('NOT A PRIME') &&
+      dog.includes('Why: no definition chain leads back to it (depends on 1 word, 1 of them primes)'));
+    check('Kept and dropped tokens are listed', dog.includes('Content words: thing') &&
+      dog.includes('barks (not a lemma)'));
+    check('Inflected form is explained through its lemma', section('things').includes('Inflected form of "thing"'));
+    check('Peeling, cycle enumeration and unused metrics are skipped', !stdout.includes('Peeling cyclic components') &&
+      !stdout.includes('Enumerating elementary cycles') && !stdout.includes('Computing centrality metrics'));
+
+    console.log('\n=== LINKS NOTATION ===');
+    const thingLino = readExplanation('thing');
+    check('Prime is written with its score', thingLino.includes('(thing is_prime true)') &&
+      /^\(thing prime_score [\d.]+\)$/m.test(thingLino) && thingLino.includes('(thing score_feature (cycle 1 50))'));
+    check('Prime is written with its SCC and cycle', thingLino.includes('(thing scc_size 2)') &&
+      thingLino.includes('(thing cycle_witness (thing entity thing))') && thingLino.includes('(thing depends_on entity)'));
+    const dogLino = readExplanation('dog');
+    check('Word that is not a prime is written with its reason', dogLino.includes('(dog is_prime false)') &&
+      dogLino.includes('(dog reason "no definition chain leads back to it'));
+    check('Definition tokens are written', dogLino.includes('(dog_definition_1 content_word thing)') &&
+      dogLino.includes('(dog_definition_1 dropped_token (barks not_a_lemma))') && !dogLino.includes('cycle_witness'));
+    check('Inflected form links to its lemma', readExplanation('things').includes('(things inflected_form_of thing)'));
+  } finally {
+    for (const name of explainOutputs().keys()) {
+      if (existing.has(name)) writeFileSync(path.join(DATA_DIR, name), existing.get(name));
+      else rmSync(path.join(DATA_DIR, name));
+    }
+    rmSync(tempDir, { recursive: true, force: true });
+  }
+
+  console.log('\n=== SUMMARY ===');
+  console.log(`Checks passed: ${total - failed}/${total}`);
+
+  if (failed > 0) {
+    console.log('\n❌ TESTS FAILED: The --explain option is incorrect');
+    process.exit(1);
+  }
+
+  console.log('\n✓ All --explain tests passed!');
+  process.exit(0);
+}
+
+main().catch((error) => {
+  console.error('Error:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,114 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for the compact graph and iterative SCC search
+ *
+ * This script builds small graphs with known strongly connected components
+ * and verifies CSR packing (merged duplicate edges, weight threshold,
+ * reversal) and Tarjan's algorithm, including a long definition chain that
+ * would overflow the call stack of a recursive implementation.
+ *
+ * Usage: node test-graph.mjs
+ */
+
+import { GraphBuilder, findStronglyConnectedComponents } from '../scripts/graph.mjs';
+
+/**
+ * Build a graph from [from, to, weight?] triples of node names.
+ */
+function buildGraph(edges, options) {
+  const builder = new GraphBuilder();
+  for (const [from, to, weight = 1] of edges) {
+    builder.addEdge(builder.addNode(from), builder.addNode(to), weight);
+  }
+  return builder.build(options);
+}
+
+/**
+ * Components as sorted arrays of node names, sorted by their first name.
+ */
+function componentNames(graph) {
+  const { count, componentOffsets, componentNodes } = findStronglyConnectedComponents(graph);
+  const components = [];
+  for (let c = 0; c < count; c++) {
+    const members = Array.from(componentNodes.subarray(componentOffsets[c], componentOffsets[c + 1]));
+    components.push(members.map(v => graph.name(v)).sort());
+  }
+  return components.sort((a, b) => a[0].localeCompare(b[0]));
+}
+
+async function main() {
+  console.log('=== Compact Graph Test ===\n');
+
+  let failed = 0;
+  let total = 0;
+  function check(description, passed, detail = '') {
+    total++;
+    if (!passed) failed++;
+    console.log(`  ${passed ? '✓' : '✗'} ${description}${detail ? `: ${detail}` : ''}`);
+  }
+
+  console.log('=== CSR PACKING ===');
+  const graph = buildGraph([
+    ['thing', 'entity'], ['entity', 'thing'], ['thing', 'entity', 0.5],
+    ['person', 'being'], ['being', 'person'], ['being', 'thing'],
+    ['good', 'good'], ['big', 'good', 0.2],
+  ]);
+  const thing = graph.id('thing');
+  const entity = graph.id('entity');
+  check('Nodes interned', graph.size === 6 && graph.name(thing) === 'thing' && graph.id('missing') === -1);
+  check('Duplicate edges merged', graph.edgeCount === 7 && graph.weights[graph.edgeIndex(thing, entity)] === 1.5);
+  check('Rows sorted by target', graph.nodes.every((_, v) => graph.neighbors(v).every((w, i, row) => i === 0 || row[i - 1] < w)));
+  check('Self-loop detected', graph.hasSelfLoop(graph.id('good')) && !graph.hasSelfLoop(thing));
+  const reversed = graph.reverse();
+  check('Reversed edges', reversed.hasEdge(entity, thing) && reversed.hasEdge(graph.id('thing'), graph.id('being')) &&
+    reversed.edgeCount === graph.edgeCount);
+  const induced = graph.induced([graph.id('being'), thing, entity]);
+  check('Induced subgraph renumbers nodes and keeps inner edges', induced.size === 3 &&
+    induced.nodes.join(' ') === 'being thing entity' && induced.edgeCount === 3 &&
+    induced.hasEdge(0, 1) && induced.weights[induced.edgeIndex(1, 2)] === 1.5);
+  const pruned = buildGraph([['a', 'b', 0.3], ['a', 'b', 0.3], ['a', 'c', 0.4], ['c', 'a', 1]], { minEdgeWeight: 0.5 });
+  check('Weight threshold applied after merging', pruned.edgeCount === 2 &&
+    pruned.hasEdge(pruned.id('a'), pruned.id('b')) && !pruned.hasEdge(pruned.id('a'), pruned.id('c')));
+
+  console.log('\n=== STRONGLY CONNECTED COMPONENTS ===');
+  const components = componentNames(graph);
+  check('Components found', JSON.stringify(components) ===
+    JSON.stringify([['being', 'person'], ['big'], ['entity', 'thing'], ['good']]), components.map(c => c.join('+')).join(', '));
+
+  const { componentOf } = findStronglyConnectedComponents(graph);
+  let ordered = true;
+  for (let v = 0; v < graph.size; v++) {
+    for (const w of graph.neighbors(v)) {
+      if (componentOf[w] > componentOf[v]) ordered = false;
+    }
+  }
+  check('Components numbered in reverse topological order', ordered);
+
+  const length = 200000;
+  const chain = new GraphBuilder();
+  for (let i = 0; i < length; i++) {
+    chain.addNode(`word${i}`);
+  }
+  for (let i = 0; i < length; i++) {
+    chain.addEdge(i, (i + 1) % length);
+  }
+  const chainResult = findStronglyConnectedComponents(chain.build());
+  check(`Definition chain of ${length} words is one SCC`, chainResult.count === 1);
+
+  console.log('\n=== SUMMARY ===');
+  console.log(`Checks passed: ${total - failed}/${total}`);
+
+  if (failed > 0) {
+    console.log('\n❌ TESTS FAILED: Graph or SCC output is incorrect');
+    process.exit(1);
+  }
+
+  console.log('\n✓ All graph tests passed!');
+  process.exit(0);
+}
+
+main().catch((error) => {
+  console.error('Error:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,81 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for the Morphy-style lemmatizer
+ *
+ * This script builds a tiny in-memory lexicon and verifies that inflected
+ * definition tokens are mapped to their WordNet lemmas through detachment
+ * rules, LMF <Form> variants and the exception list.
+ *
+ * Usage: node test-lemmatizer.mjs
+ */
+
+import { Lemmatizer } from '../scripts/lemmatizer.mjs';
+
+function entry(writtenForm, partOfSpeech, forms = []) {
+  return { lemmas: [{ writtenForm, partOfSpeech }], forms, senses: [] };
+}
+
+const LEXICON = {
+  entries: [
+    entry('word', 'n'),
+    entry('thing', 'n'),
+    entry('define', 'v'),
+    entry('people', 'n'),
+    entry('be', 'v'),
+    entry('go', 'v', ['went', 'gone']),
+    entry('box', 'n'),
+    entry('city', 'n'),
+    entry('large', 'a'),
+    entry('as', 'r'),
+    entry('a', 'n'),
+    entry('mouse', 'n', ['mice']),
+  ],
+};
+
+const CASES = [
+  ['words', ['word'], 'Plural noun (-s)'],
+  ['things', ['thing'], 'Plural noun (-s)'],
+  ['boxes', ['box'], 'Plural noun (-xes)'],
+  ['cities', ['city'], 'Plural noun (-ies)'],
+  ['defined', ['define'], 'Past tense verb (-ed -> -e)'],
+  ['defining', ['define'], 'Present participle (-ing -> -e)'],
+  ['larger', ['large'], 'Comparative adjective (-er -> -e)'],
+  ["people's", ['people'], 'Possessive'],
+  ['went', ['go'], 'Irregular verb from LMF <Form>'],
+  ['mice', ['mouse'], 'Irregular plural from LMF <Form>'],
+  ['was', ['be'], 'Irregular verb from exception list'],
+  ['as', ['as'], 'Lemma is kept as is (no "a")'],
+  ['word', ['word'], 'Lemma is kept as is'],
+  ['zebras', ['zebras'], 'Unknown token is returned unchanged'],
+];
+
+async function main() {
+  console.log('=== Lemmatizer Test ===\n');
+
+  const lemmatizer = new Lemmatizer(LEXICON);
+  let failed = 0;
+
+  for (const [token, expected, description] of CASES) {
+    const actual = lemmatizer.lemmatize(token).sort();
+    const passed = JSON.stringify(actual) === JSON.stringify([...expected].sort());
+    if (!passed) failed++;
+    console.log(`  ${passed ? '✓' : '✗'} ${description}: ${token} -> ${actual.join(', ')}`);
+  }
+
+  console.log('\n=== SUMMARY ===');
+  console.log(`Checks passed: ${CASES.length - failed}/${CASES.length}`);
+
+  if (failed > 0) {
+    console.log('\n❌ TESTS FAILED: Lemmatizer output is incorrect');
+    process.exit(1);
+  }
+
+  console.log('\n✓ All lemmatizer tests passed!');
+  process.exit(0);
+}
+
+main().catch((error) => {
+  console.error('Error:', error.message);
+  process.exit(1);
+});
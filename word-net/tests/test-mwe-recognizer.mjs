@@ -0,0 +1,109 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for the multi-word expression recognizer
+ *
+ * This script builds a tiny in-memory lexicon with multi-word lemmas and
+ * verifies that definitions are segmented with longest-match phrases,
+ * including inflected and hyphenated phrases, and that only words starting
+ * a phrase are matched further.
+ *
+ * Usage: node test-mwe-recognizer.mjs
+ */
+
+import { MweRecognizer } from '../scripts/mwe-recognizer.mjs';
+import { extractContentWords, normalizeTokenizerConfig } from '../scripts/tokenizer.mjs';
+
+function entry(writtenForm, partOfSpeech) {
+  return { lemmas: [{ writtenForm, partOfSpeech }], forms: [], senses: [] };
+}
+
+const LEXICON = {
+  entries: [
+    entry('in front', 'r'),
+    entry('in front of', 'r'),
+    entry('a lot', 'n'),
+    entry('there is', 'v'),
+    entry('at least', 'r'),
+    entry('take place', 'v'),
+    entry('well-known', 'a'),
+    entry('house', 'n'),
+    entry('front', 'n'),
+  ],
+};
+
+// Minimal lemmatizer: only knows the inflections used below
+const LEMMATIZER = {
+  lemmatize: (token) => ({ took: ['take'], takes: ['take'] })[token] || [token],
+};
+
+const CASES = [
+  ['in front of the house', ['in front of', 'the', 'house'], 'Longest match wins over a shorter phrase'],
+  ['the front in front', ['the', 'front', 'in front'], 'Shorter phrase when the longer one does not continue'],
+  ['there is a lot of it', ['there is', 'a lot', 'of', 'it'], 'Several phrases in one definition'],
+  ['At least one', ['at least', 'one'], 'Case folding applies to phrases'],
+  ['it took place at night', ['it', 'take place', 'at', 'night'], 'Inflected phrase matched through the lemmatizer'],
+  ['a well-known house', ['a', 'well-known', 'house'], 'Hyphenated lemma matched when hyphens are split'],
+  ['in the front', ['in', 'the', 'front'], 'No phrase across unrelated words'],
+];
+
+async function main() {
+  console.log('=== Multi-Word Expression Recognizer Test ===\n');
+
+  const recognizer = new MweRecognizer(LEXICON, { lemmatizer: LEMMATIZER });
+  let failed = 0;
+  let total = 0;
+  function check(description, passed, detail = '') {
+    total++;
+    if (!passed) failed++;
+    console.log(`  ${passed ? '✓' : '✗'} ${description}${detail ? `: ${detail}` : ''}`);
+  }
+
+  console.log('=== SEGMENTATION ===');
+  check('Multi-word lemmas indexed', recognizer.size === 7 && recognizer.maxWords === 3, `${recognizer.size} phrases`);
+  for (const [text, expected, description] of CASES) {
+    const actual = recognizer.segment(text);
+    check(description, JSON.stringify(actual) === JSON.stringify(expected), actual.join(' | '));
+  }
+
+  const gated = new MweRecognizer(LEXICON, { lemmatizer: LEMMATIZER });
+  const matchAt = gated.matchAt.bind(gated);
+  const starts = [];
+  gated.matchAt = (words, start) => {
+    starts.push(words[start]);
+    return matchAt(words, start);
+  };
+  const gatedTokens = gated.segment('the house took place');
+  check('Only words whose form or lemma starts a phrase are matched',
+    JSON.stringify(gatedTokens) === JSON.stringify(['the', 'house', 'take place']) && starts.join(' ') === 'took',
+    `matched at: ${starts.join(', ')}`);
+
+  console.log('\n=== TOKENIZER SETTINGS ===');
+  const keepHyphens = normalizeTokenizerConfig({ hyphens: 'keep' });
+  const hyphenRecognizer = new MweRecognizer(LEXICON, { tokenizer: keepHyphens });
+  const kept = hyphenRecognizer.segment('a well-known house in front of it');
+  check('Hyphenated lemma is a single word when hyphens are kept', JSON.stringify(kept) === JSON.stringify(['a', 'well-known', 'house', 'in front of', 'it']), kept.join(' | '));
+
+  console.log('\n=== CONTENT WORDS ===');
+  const words = extractContentWords('there is a lot in front of the house', {
+    stopWords: new Set(['the', 'a']),
+    mweRecognizer: recognizer,
+  });
+  check('Phrases become content words', JSON.stringify(words) === JSON.stringify(['there is', 'a lot', 'in front of', 'house']), words.join(', '));
+
+  console.log('\n=== SUMMARY ===');
+  console.log(`Checks passed: ${total - failed}/${total}`);
+
+  if (failed > 0) {
+    console.log('\n❌ TESTS FAILED: Multi-word expression recognition is incorrect');
+    process.exit(1);
+  }
+
+  console.log('\n✓ All multi-word expression tests passed!');
+  process.exit(0);
+}
+
+main().catch((error) => {
+  console.error('Error:', error.message);
+  process.exit(1);
+});
@@ -116,10 +116,12 @@ async function main() {
   const hasHeader = content.includes('// NSM Semantic Primes');
   const hasCategories = content.includes('// === ');
   const hasAllolexes = content.includes('allolex_of');
+  const hasCanonical = /^\(\S+ canonical_synset \S+\)$/m.test(content);
 
   console.log(`  ${hasHeader ? '✓' : '✗'} Has header comment`);
   console.log(`  ${hasCategories ? '✓' : '✗'} Has category sections`);
   console.log(`  ${hasAllolexes ? '✓' : '✗'} Has allolex relationships`);
+  console.log(`  ${hasCanonical ? '✓' : '✗'} Has canonical sense mappings`);
 
   // Summary
   console.log('\n=== SUMMARY ===');
@@ -132,6 +134,11 @@ async function main() {
     process.exit(1);
   }
 
+  if (!hasCanonical) {
+    console.log('\n❌ TESTS FAILED: Curated senses are not marked as canonical_synset');
+    process.exit(1);
+  }
+
   if (!hasHeader || !hasCategories) {
     console.log('\n⚠️  WARNING: File structure issues detected');
   }
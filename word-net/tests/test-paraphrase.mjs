@@ -0,0 +1,134 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for reductive paraphrase into NSM primes
+ *
+ * This script expands words over a small hand-written dictionary and
+ * verifies that definitions are replaced until primes remain, that words
+ * without a definition, words that lead back to themselves and words cut
+ * off by the depth and size limits end up as residue, and that the
+ * reducibility and the explication follow from the leaves. It also checks
+ * the mapping of prime and allolex forms to primes and the prime coverage
+ * of a definition after each expansion step.
+ *
+ * Usage: node test-paraphrase.mjs
+ */
+
+import { buildPrimeExponents, coverageByStep, expandToPrimes, explicationLeaves } from '../scripts/paraphrase.mjs';
+
+// "entity" reduces fully to primes; "animal" goes through "creature", which
+// leads back to "animal"; "sound" has no definition
+const DICTIONARY = new Map([
+  ['entity', 'something that exists'],
+  ['exists', 'be at a place'],
+  ['animal', 'a living creature'],
+  ['creature', 'an animal that can move'],
+  ['living', 'alive'],
+  ['alive', 'not dead'],
+  ['dead', 'not living'],
+  ['bark', 'the sound of a dog'],
+  ['dog', 'a domestic animal'],
+  ['domestic', 'kept at home'],
+]);
+const STOP_WORDS = new Set(['a', 'an', 'that', 'the', 'of', 'at']);
+
+function options(overrides = {}) {
+  const exponents = buildPrimeExponents();
+  return {
+    definitionOf: (word) => DICTIONARY.get(word) ?? null,
+    contentWords: (text) => text.split(/\s+/).filter(word => !STOP_WORDS.has(word)),
+    primeOf: (word) => exponents.get(word) ?? null,
+    ...overrides,
+  };
+}
+
+async function main() {
+  console.log('=== Paraphrase Test ===\n');
+
+  let failed = 0;
+  let total = 0;
+  function check(description, passed, detail = '') {
+    total++;
+    if (!passed) failed++;
+    console.log(`  ${passed ? '✓' : '✗'} ${description}${detail ? `: ${detail}` : ''}`);
+  }
+
+  console.log('=== PRIME EXPONENTS ===');
+  const exponents = buildPrimeExponents();
+  check('Prime names map to themselves', exponents.get('good') === 'GOOD' && exponents.get('someone') === 'SOMEONE');
+  check('Multi-word primes keep their words', exponents.get('the same') === 'THE SAME');
+  check('Parentheticals are dropped', exponents.get('be') !== undefined, exponents.get('be'));
+  check('Allolexes map to their prime', exponents.get('thing') === 'SOMETHING', exponents.get('thing'));
+  const lemmatizer = { lemmatize: (word) => (word === 'words' ? ['word'] : [word]) };
+  check('Lemmas of the forms are added with a lemmatizer',
+    buildPrimeExponents(undefined, { lemmatizer }).get('word') === 'WORDS' && !exponents.has('word'));
+
+  console.log('\n=== EXPANSION ===');
+  const entity = expandToPrimes('entity', options());
+  const entityLeaves = explicationLeaves(entity.tree);
+  check('Definitions are expanded down to primes', entityLeaves.join(' ') === 'SOMETHING BE (SOMEWHERE) WHERE',
+    entityLeaves.join(' '));
+  check('Fully reduced word has reducibility 1', entity.reducibility === 1 && entity.residue.size === 0,
+    entity.reducibility.toFixed(3));
+  check('Expanded nodes keep their definition', entity.tree.status === 'expanded' &&
+    entity.tree.definition === 'something that exists');
+
+  const animal = expandToPrimes('animal', options());
+  const circular = animal.residue.get('animal');
+  check('Word leading back to an ancestor is circular', circular?.reason === 'circular', JSON.stringify(circular));
+  const living = expandToPrimes('living', options());
+  check('Circularity is detected through several steps', living.residue.get('living')?.reason === 'circular');
+
+  const bark = expandToPrimes('bark', options());
+  check('Word without a definition is undefined residue', bark.residue.get('sound')?.reason === 'undefined');
+  check('Reducibility is the share of prime leaves',
+    bark.reducibility === bark.primeLeaves / bark.leaves && bark.primeLeaves < bark.leaves,
+    `${bark.primeLeaves}/${bark.leaves}`);
+
+  const shallow = expandToPrimes('bark', options({ maxDepth: 1 }));
+  check('Depth limit stops expansion', shallow.residue.get('dog')?.reason === 'depth_limit' &&
+    shallow.tree.children.every(child => child.children.length === 0));
+
+  const small = expandToPrimes('bark', options({ maxNodes: 4 }));
+  check('Size limit stops expansion', small.nodes <= 4 && [...small.residue.values()].some(r => r.reason === 'size_limit'),
+    `${small.nodes} nodes`);
+
+  const prime = expandToPrimes('good', options());
+  check('A prime is its own explication', prime.tree.status === 'prime' && prime.reducibility === 1 &&
+    explicationLeaves(prime.tree).join(' ') === 'GOOD');
+
+  check('Explication lists leaves in definition order',
+    explicationLeaves(bark.tree)[0] === 'sound', explicationLeaves(bark.tree).join(' '));
+  check('Parent links are removed from the tree', !('parent' in entity.tree) &&
+    entity.tree.children.every(child => !('parent' in child)));
+
+  console.log('\n=== COVERAGE ===');
+  const { contentWords, primeOf } = options();
+  const coverageOptions = {
+    isPrime: (word) => primeOf(word) !== null,
+    expansionOf: (word) => (DICTIONARY.has(word) ? contentWords(DICTIONARY.get(word)) : null),
+  };
+  // "something exists": SOMETHING, then "exists" -> BE (SOMEWHERE) WHERE
+  const entityCoverage = coverageByStep(contentWords(DICTIONARY.get('entity')), coverageOptions);
+  check('Coverage as written and after each step', entityCoverage.join(' ') === '0.5 1 1', entityCoverage.join(' '));
+  const barkCoverage = coverageByStep(['sound', 'dog'], { ...coverageOptions, steps: 1 });
+  check('Undefined words stay uncovered; steps are configurable',
+    barkCoverage.length === 2 && barkCoverage[0] === 0 && barkCoverage[1] === 0, barkCoverage.join(' '));
+  check('No tokens give no coverage', coverageByStep([], coverageOptions)[0] === null);
+
+  console.log('\n=== SUMMARY ===');
+  console.log(`Checks passed: ${total - failed}/${total}`);
+
+  if (failed > 0) {
+    console.log('\n❌ TESTS FAILED: Reductive paraphrase is incorrect');
+    process.exit(1);
+  }
+
+  console.log('\n✓ All paraphrase tests passed!');
+  process.exit(0);
+}
+
+main().catch((error) => {
+  console.error('Error:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,138 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for the cross-lingual comparison of discovered primes
+ *
+ * This script reads hand-written discovered primes files of three
+ * languages and verifies that their primes are read with score, part of
+ * speech, ILI id and lemmas, that concepts are sorted into universal,
+ * partial and unique by ILI id, that the Jaccard index of every pair of
+ * languages and the breakdowns by category are right, and that the
+ * curated senses of the NSM primes are indexed by category.
+ *
+ * Usage: node test-prime-comparison.mjs
+ */
+
+import {
+  buildNsmCategoryIndex,
+  categoryBreakdown,
+  compareDiscoveredPrimes,
+  readDiscoveredPrimes,
+} from '../scripts/prime-comparison.mjs';
+
+/**
+ * A discovered primes file in the layout of discover-semantic-primes.mjs.
+ */
+function discoveredFile(language, primes) {
+  const lines = [`// Semantic Primes discovered algorithmically from Test WordNet (${language})`, `// Language: ${language}`, ''];
+  for (const [id, score, pos, ili, lemma] of primes) {
+    lines.push(`(${id} isa discovered_semantic_prime)`);
+    lines.push(`(${id} prime_score ${score})`);
+    lines.push(`(${id} cycle_witness (${id} ${id}))`);
+    lines.push(`(${id} pos ${pos})`);
+    if (ili) lines.push(`(${id} ili "${ili}")`);
+    lines.push(`(${id} lemma ${lemma})`);
+    lines.push('');
+  }
+  return lines.join('\n');
+}
+
+// i35548 (SOMETHING) is primitive everywhere, i6163 (GOOD) in en and pl,
+// i64381 (BODY) in pl and ru and i4 in en only; the en prime without an ILI
+// id and the proposed ILI "in" are left out
+const FILES = {
+  en: discoveredFile('en', [
+    ['en_1', 60, 'n', 'i35548', 'thing'],
+    ['en_2', 40, 'a', 'i6163', 'good'],
+    ['en_4', 20, 'v', 'i4', 'move'],
+    ['en_5', 10, 'n', null, 'stuff'],
+    ['en_6', 10, 'n', 'in', 'gadget'],
+  ]),
+  pl: discoveredFile('pl', [
+    ['pl_1', 50, 'n', 'i35548', 'rzecz'],
+    ['pl_2', 30, 'a', 'i6163', 'dobry'],
+    ['pl_3', 30, 'n', 'i64381', 'ciało'],
+  ]),
+  ru: discoveredFile('ru', [
+    ['ru_1', 55, 'n', 'i35548', 'вещь'],
+    ['ru_3', 25, 'n', 'i64381', 'тело'],
+  ]),
+};
+
+async function main() {
+  console.log('=== Prime Comparison Test ===\n');
+
+  let failed = 0;
+  let total = 0;
+  function check(description, passed, detail = '') {
+    total++;
+    if (!passed) failed++;
+    console.log(`  ${passed ? '✓' : '✗'} ${description}${detail ? `: ${detail}` : ''}`);
+  }
+
+  console.log('=== READING ===');
+  const read = Object.fromEntries(Object.entries(FILES).map(([language, text]) => [language, readDiscoveredPrimes(text)]));
+  check('Language is read from the header', read.en.language === 'en' && read.ru.language === 'ru');
+  check('Every prime is read once', read.en.primes.length === 5, String(read.en.primes.length));
+  const [thing] = read.en.primes;
+  check('Score, part of speech, ILI id and lemmas are read',
+    thing.score === 60 && thing.pos === 'n' && thing.ili === 'i35548' && thing.lemmas.join() === 'thing',
+    JSON.stringify(thing));
+  check('Nested links and non-Latin lemmas do not break reading', read.ru.primes[1].lemmas[0] === 'тело');
+  check('File without a language header has a null language',
+    readDiscoveredPrimes('(x isa discovered_semantic_prime)').language === null);
+
+  console.log('\n=== ALIGNMENT ===');
+  const comparison = compareDiscoveredPrimes(Object.fromEntries(Object.entries(read).map(([l, r]) => [l, r.primes])));
+  check('Primes without an ILI id or with a proposed one are left out',
+    comparison.concepts.size === 4 && !comparison.concepts.has('in'), [...comparison.concepts.keys()].join(','));
+  check('Concept primitive in every language is universal', comparison.universal.join() === 'i35548');
+  check('Concepts primitive in several languages are partial', comparison.partial.sort().join() === 'i6163,i64381',
+    comparison.partial.join());
+  check('Concepts primitive in one language are unique to it',
+    comparison.unique.en.join() === 'i4' && comparison.unique.pl.length === 0 && comparison.unique.ru.length === 0);
+  check('Concepts keep the languages landing on them',
+    comparison.concepts.get('i64381').languages.join() === 'pl,ru');
+
+  const pair = (a, b) => comparison.pairs.find(p => p.languages.join() === `${a},${b}`);
+  check('Every pair of languages is compared', comparison.pairs.length === 3);
+  check('Jaccard index is shared over either', pair('en', 'pl').shared === 2 && pair('en', 'pl').union === 4 &&
+    pair('en', 'pl').jaccard === 0.5, JSON.stringify(pair('en', 'pl')));
+  check('Jaccard index of languages with one shared concept', pair('en', 'ru').jaccard === 1 / 4,
+    JSON.stringify(pair('en', 'ru')));
+  const empty = compareDiscoveredPrimes({ en: [], pl: [] });
+  check('Languages without concepts have no Jaccard index', empty.pairs[0].jaccard === null);
+
+  console.log('\n=== CATEGORIES ===');
+  const byPos = categoryBreakdown(comparison, (ili, concept) => concept.pos);
+  check('Categories are sorted by size', byPos.map(row => row.category).join() === 'n,a,v',
+    byPos.map(row => row.category).join());
+  const nouns = byPos[0];
+  check('Category counts universal, partial and unique concepts',
+    nouns.concepts === 2 && nouns.universal === 1 && nouns.partial === 1 && nouns.jaccard === 0.5,
+    JSON.stringify(nouns));
+  check('Unique concepts are counted per language', byPos[2].unique.en === 1 && byPos[2].jaccard === 0);
+
+  const nsmIndex = buildNsmCategoryIndex();
+  check('Curated senses are indexed by ILI id', nsmIndex.get('i35548')?.prime === 'SOMETHING' &&
+    nsmIndex.get('i6163')?.category === 'evaluators', JSON.stringify(nsmIndex.get('i35548')));
+  const byNsm = categoryBreakdown(comparison, ili => nsmIndex.get(ili)?.category ?? null);
+  check('Concepts that are no curated sense are left out of a category',
+    byNsm.reduce((sum, row) => sum + row.concepts, 0) === 3, byNsm.map(row => `${row.category} ${row.concepts}`).join(', '));
+
+  console.log('\n=== SUMMARY ===');
+  console.log(`Checks passed: ${total - failed}/${total}`);
+
+  if (failed > 0) {
+    console.log('\n❌ TESTS FAILED: Prime comparison is incorrect');
+    process.exit(1);
+  }
+
+  console.log('\n✓ All prime comparison tests passed!');
+  process.exit(0);
+}
+
+main().catch((error) => {
+  console.error('Error:', error.message);
+  process.exit(1);
+});
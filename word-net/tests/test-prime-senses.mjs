@@ -0,0 +1,131 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for the canonical sense mapping of NSM primes
+ *
+ * This script ranks the senses of a small hand-written lexicon and verifies
+ * that curated senses are marked canonical (found by ILI or synset id, even
+ * when no search term is among their lemmas), that the heuristic filters by
+ * part of speech and prefers gloss keywords over letters, elements and
+ * proper names (reading glosses in English wordnets only), that every
+ * entry of SEMANTIC_PRIMES carries a part of speech filter and well-formed
+ * curated ids, and that the senses of the primes in several languages are
+ * aligned by ILI.
+ *
+ * Usage: node test-prime-senses.mjs
+ */
+
+import { getAllPrimes } from '../scripts/semantic-primes.mjs';
+import { alignPrimeSenses, buildIliIndex, mapPrimeSenses, scorePrimeSense } from '../scripts/prime-senses.mjs';
+
+function synset(id, ili, partOfSpeech, definition, relations = []) {
+  return { id, ili, partOfSpeech, definitions: [definition], examples: [], relations };
+}
+
+// The senses of "i" and "good" in miniature
+const SYNSETS = new Map([
+  synset('iodine-n', 'i10', 'n', 'a nonmetallic element belonging to the halogens'),
+  synset('letter-i-n', 'i11', 'n', 'the 9th letter of the Roman alphabet'),
+  synset('maine-n', 'i12', 'n', 'a state in New England with capital Augusta', [{ relType: 'instance_hypernym', target: 'state-n' }]),
+  synset('self-n', 'i13', 'n', 'your consciousness of your own identity'),
+  synset('one-s', 'i14', 's', 'used of a single unit or thing; not two or more'),
+  synset('good-a', 'i20', 'a', 'having desirable or positive qualities'),
+  synset('good-n', 'i21', 'n', 'benefit'),
+  synset('goodness-n', 'i22', 'n', 'moral excellence or admirableness'),
+].map(s => [s.id, s]));
+
+function candidates(ids) {
+  return ids.map((id, i) => ({ synset: SYNSETS.get(id), senseRank: i + 1 }));
+}
+
+async function main() {
+  console.log('=== Prime Senses Test ===\n');
+
+  let failed = 0;
+  let total = 0;
+  function check(description, passed, detail = '') {
+    total++;
+    if (!passed) failed++;
+    console.log(`  ${passed ? '✓' : '✗'} ${description}${detail ? `: ${detail}` : ''}`);
+  }
+
+  const lookup = { synsets: SYNSETS, iliIndex: buildIliIndex(SYNSETS) };
+  const describe = (senses) => senses.map(s => `${s.synset.id}:${s.mapping}`).join(' ');
+
+  console.log('=== RANKING ===');
+  const i = { prime: 'I', pos: ['n'], canonical: [], keywords: ['identity'] };
+  const iSenses = mapPrimeSenses(i, candidates(['iodine-n', 'letter-i-n', 'maine-n', 'self-n', 'one-s']), lookup).senses;
+  check('Best-ranked sense is marked ranked', iSenses[0].synset.id === 'self-n' && iSenses[0].mapping === 'ranked', describe(iSenses));
+  check('Other senses stay lexical', iSenses.slice(1).every(s => s.mapping === 'lexical'));
+  check('Part of speech filter excludes senses from ranking', scorePrimeSense(i, { synset: SYNSETS.get('one-s') }) === null);
+  check('Letters and elements rank below the first sense',
+    scorePrimeSense(i, { synset: SYNSETS.get('letter-i-n') }) < 0 && scorePrimeSense(i, { synset: SYNSETS.get('iodine-n') }) < 0);
+  check('Proper names rank below letters',
+    scorePrimeSense(i, { synset: SYNSETS.get('maine-n') }) < scorePrimeSense(i, { synset: SYNSETS.get('letter-i-n'), senseRank: 2 }));
+  check('Gloss keywords and distractors only count in English',
+    scorePrimeSense(i, { synset: SYNSETS.get('self-n') }, { language: 'pl' }) === 1 &&
+    scorePrimeSense(i, { synset: SYNSETS.get('letter-i-n'), senseRank: 2 }, { language: 'pl' }) === 0.5 &&
+    scorePrimeSense(i, { synset: SYNSETS.get('maine-n') }, { language: 'pl' }) < 0);
+  const bare = mapPrimeSenses({ prime: 'I', pos: ['n'], canonical: [] }, candidates(['iodine-n', 'maine-n']), lookup).senses;
+  check('No sense is ranked when every candidate scores below zero', bare.every(s => s.mapping === 'lexical'), describe(bare));
+
+  console.log('\n=== CURATED SENSES ===');
+  const good = { prime: 'GOOD', pos: ['a'], canonical: ['i20', 'goodness-n'] };
+  const { senses: goodSenses, unresolved } = mapPrimeSenses(good, candidates(['good-n', 'good-a']), lookup);
+  check('Curated ILI ids are canonical', goodSenses[0].synset.id === 'good-a' && goodSenses[0].mapping === 'canonical', describe(goodSenses));
+  check('Curated synset ids are added when no search term matched them',
+    goodSenses.some(s => s.synset.id === 'goodness-n' && s.mapping === 'canonical'), describe(goodSenses));
+  check('No sense is ranked when there are canonical ones', !goodSenses.some(s => s.mapping === 'ranked'));
+  check('Uncurated senses stay lexical', goodSenses.find(s => s.synset.id === 'good-n').mapping === 'lexical');
+  const missing = mapPrimeSenses({ ...good, canonical: ['i99'] }, candidates(['good-n', 'good-a']), lookup);
+  check('Curated ids missing from the WordNet are reported', missing.unresolved.join(',') === 'i99' && unresolved.length === 0);
+  check('Unresolved curated ids fall back to ranking', missing.senses.some(s => s.mapping === 'ranked'), describe(missing.senses));
+
+  console.log('\n=== PRIME INVENTORY ===');
+  const primes = getAllPrimes();
+  const badPos = primes.filter(p => !Array.isArray(p.pos) || p.pos.length === 0 || p.pos.some(pos => !'nvar'.includes(pos)));
+  check('Every prime has a part of speech filter', badPos.length === 0, badPos.map(p => p.prime).join(', '));
+  const badIds = primes.filter(p => !Array.isArray(p.canonical) || p.canonical.some(id => !/^i\d+$/.test(id)));
+  check('Curated senses are ILI ids', badIds.length === 0, badIds.map(p => p.prime).join(', '));
+  const uncurated = primes.filter(p => p.canonical.length === 0).map(p => p.prime);
+  check("Only function words and DON'T WANT lack curated senses", uncurated.join(',') === "I,YOU,THIS,DON'T WANT,IF", uncurated.join(', '));
+
+  console.log('\n=== ALIGNMENT ===');
+  const sense = (ili, mapping, senseRank = 1) => ({ ili, mapping, senseRank });
+  const alignment = alignPrimeSenses({
+    en: [
+      { prime: 'GOOD', senses: [sense('i20', 'canonical'), sense('i21', 'lexical')] },
+      { prime: 'BODY', senses: [sense('i30', 'canonical')] },
+      { prime: 'I', senses: [sense('i13', 'ranked')] },
+    ],
+    pl: [
+      { prime: 'GOOD', senses: [sense('i20', 'canonical'), sense('i21', 'canonical')] },
+      { prime: 'BODY', senses: [sense('i30', 'canonical', null), sense('i31', 'lexical')] },
+      { prime: 'I', senses: [sense('i14', 'ranked')] },
+    ],
+  });
+  const [goodAligned, bodyAligned, selfAligned] = alignment;
+  check('Primes on the same concept in every language are shared', goodAligned.shared.join() === 'i20' &&
+    goodAligned.concepts.get('i21').join() === 'pl' && goodAligned.missing.length === 0,
+    JSON.stringify([...goodAligned.concepts]));
+  check('Curated senses no exponent matched do not count', bodyAligned.shared.length === 0 && bodyAligned.missing.join() === 'pl',
+    JSON.stringify([...bodyAligned.concepts]));
+  check('Ranked senses on different concepts are not shared', selfAligned.shared.length === 0 && selfAligned.missing.length === 0 &&
+    selfAligned.concepts.size === 2);
+
+  console.log('\n=== SUMMARY ===');
+  console.log(`Checks passed: ${total - failed}/${total}`);
+
+  if (failed > 0) {
+    console.log('\n❌ TESTS FAILED: Prime sense mapping is incorrect');
+    process.exit(1);
+  }
+
+  console.log('\n✓ All prime sense tests passed!');
+  process.exit(0);
+}
+
+main().catch((error) => {
+  console.error('Error:', error.message);
+  process.exit(1);
+});
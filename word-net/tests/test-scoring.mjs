@@ -0,0 +1,171 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for the configurable prime scoring
+ *
+ * This script reads scoring configurations in Links Notation and verifies
+ * that the built-in heuristic reproduces the hand-tuned scores, that
+ * transforms, caps and bands work, that invalid configurations are
+ * rejected, and that the example configurations and custom scoring module
+ * load.
+ *
+ * Usage: node test-scoring.mjs
+ */
+
+import { mkdtempSync, writeFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { parseLinks } from '../scripts/links-notation.mjs';
+import {
+  BUILTIN_SCORING_CONFIGS,
+  SCORING_FEATURES,
+  readScoringConfig,
+  readScoringConfigFile,
+  loadScoringModule,
+  scorePrimes,
+} from '../scripts/scoring.mjs';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const EXAMPLES_DIR = path.join(__dirname, '..', 'examples');
+
+/**
+ * Prime record with the fields the discovery script fills in.
+ */
+function prime(label, fields = {}) {
+  return {
+    word: label,
+    label,
+    isInCycle: true,
+    sccSize: 1,
+    hasSelfLoop: false,
+    isSelfReference: false,
+    referenceCount: 0,
+    pageRank: 0,
+    weightedInDegree: 0,
+    betweenness: 0,
+    definition: '',
+    ...fields,
+  };
+}
+
+async function main() {
+  console.log('=== Prime Scoring Test ===\n');
+
+  let failed = 0;
+  let total = 0;
+  function check(description, passed, detail = '') {
+    total++;
+    if (!passed) failed++;
+    console.log(`  ${passed ? '✓' : '✗'} ${description}${detail ? `: ${detail}` : ''}`);
+  }
+
+  console.log('=== LINKS NOTATION ===');
+  const links = parseLinks('// comment\n(entity definition "that which \\"is\\"")\n\n( a  b 3 )');
+  check('Flat links are read with quoted strings', links.length === 2 &&
+    links[0][2] === 'that which "is"' && links[1].join(' ') === 'a b 3', JSON.stringify(links));
+  let malformed = 0;
+  for (const text of ['(a "b)', 'a b c', '(a (b c))', '()']) {
+    try {
+      parseLinks(text);
+    } catch {
+      malformed++;
+    }
+  }
+  check('Malformed links are rejected', malformed === 4);
+
+  console.log('\n=== HEURISTIC ===');
+  const heuristic = readScoringConfig(BUILTIN_SCORING_CONFIGS.heuristic);
+  const primes = [
+    // 50 + min(15 * log10(15000), 30) + 30 + 20 + 8 * log10(100) + 10
+    prime('be', { sccSize: 15000, hasSelfLoop: true, isSelfReference: true, referenceCount: 100 }),
+    // 50 + 15 * log10(10) + 5
+    prime('entity', { sccSize: 10 }),
+    // 50 + 8 * log10(1)
+    prime('existence', { referenceCount: 1 }),
+  ];
+  scorePrimes(primes, heuristic);
+  check('Reproduces the hand-tuned scores', primes.map(p => p.primeScore.toFixed(1)).join(' ') === '156.0 70.0 50.0',
+    primes.map(p => p.primeScore.toFixed(1)).join(' '));
+  const entityParts = primes[1].scoreBreakdown.filter(part => part.contribution !== 0)
+    .map(part => `${part.feature}=${part.contribution.toFixed(1)}`).join(' ');
+  check('Score breakdown per feature', entityParts === 'cycle=50.0 scc_size=15.0 medium_word=5.0', entityParts);
+  check('Bands sorted from the highest threshold',
+    heuristic.bands.map(b => `${b.label}=${b.threshold}`).join(' ') === 'high=80 medium=50 lower=30');
+
+  console.log('\n=== TRANSFORMS ===');
+  const ranked = [prime('a', { pageRank: 0.5 }), prime('b', { pageRank: 0.1 }), prime('c', { pageRank: 0.3 })];
+  scorePrimes(ranked, readScoringConfig(BUILTIN_SCORING_CONFIGS.pagerank));
+  check('Percentile among primes', ranked.map(p => p.primeScore).join(' ') === '100 0 50',
+    ranked.map(p => p.primeScore).join(' '));
+  const capped = [prime('word', { referenceCount: 1000 })];
+  scorePrimes(capped, readScoringConfig('(reference_count weight 10)\n(reference_count max 500)'));
+  check('Contribution capped by max', capped[0].primeScore === 500);
+
+  console.log('\n=== VALIDATION ===');
+  const invalid = [
+    '(unknown_feature weight 1)',
+    '(cycle transform log10)',
+    '(cycle weight heavy)',
+    '(cycle transform cube)\n(cycle weight 1)',
+    '(cycle colour red)',
+    '(high band)',
+    '(external_frequency weight 1)',
+  ];
+  let rejected = 0;
+  for (const text of invalid) {
+    try {
+      readScoringConfig(text);
+    } catch {
+      rejected++;
+    }
+  }
+  check('Invalid configurations are rejected', rejected === invalid.length, `${rejected}/${invalid.length}`);
+
+  console.log('\n=== FILES AND MODULES ===');
+  const tempDir = mkdtempSync(path.join(tmpdir(), 'scoring-'));
+  try {
+    writeFileSync(path.join(tempDir, 'frequencies.txt'), '# word count\nbe 1000\nin front of 10\n');
+    writeFileSync(path.join(tempDir, 'config.lino'),
+      '(external_frequency weight 1)\n(external_frequency transform log10)\n(external_frequency file "frequencies.txt")\n');
+    const frequent = [prime('be'), prime('in front of'), prime('rare')];
+    scorePrimes(frequent, readScoringConfigFile(path.join(tempDir, 'config.lino')));
+    check('External frequencies resolved next to the configuration',
+      frequent.map(p => p.primeScore).join(' ') === '3 1 0', frequent.map(p => p.primeScore).join(' '));
+  } finally {
+    rmSync(tempDir, { recursive: true, force: true });
+  }
+
+  const example = readScoringConfigFile(path.join(EXAMPLES_DIR, 'scoring-config.lino'));
+  check('Example configuration loads', example.name === 'structural' && example.features.length === 4);
+
+  const module = await loadScoringModule(path.join(EXAMPLES_DIR, 'custom-scoring.mjs'));
+  const custom = readScoringConfigFile(path.join(EXAMPLES_DIR, 'custom-scoring.lino'),
+    { features: { ...SCORING_FEATURES, ...module.features } });
+  const defined = [prime('be', { definition: 'have the quality of being' }), prime('thing', { definition: 'an entity' })];
+  scorePrimes(defined, custom, module);
+  check('Custom module features are scored', defined[1].primeScore > defined[0].primeScore,
+    defined.map(p => p.primeScore.toFixed(1)).join(' '));
+
+  const overridden = [prime('be'), prime('entity')];
+  scorePrimes(overridden, heuristic, { features: {}, score: (p, context) => context.weightedScore + p.label.length });
+  check('Custom score function replaces the weighted sum', overridden.map(p => p.primeScore).join(' ') === '62 61',
+    overridden.map(p => p.primeScore).join(' '));
+
+  console.log('\n=== SUMMARY ===');
+  console.log(`Checks passed: ${total - failed}/${total}`);
+
+  if (failed > 0) {
+    console.log('\n❌ TESTS FAILED: Prime scoring is incorrect');
+    process.exit(1);
+  }
+
+  console.log('\n✓ All scoring tests passed!');
+  process.exit(0);
+}
+
+main().catch((error) => {
+  console.error('Error:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,137 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for the NSM prime inventories
+ *
+ * This script verifies that each named inventory lists the primes of its
+ * publication with categories and notes, that the current chart is the
+ * default and matches SEMANTIC_PRIMES, that diffing two inventories finds
+ * the added, removed, renamed and moved primes, and that every language
+ * has exponents for the primes while English stays as it was.
+ *
+ * Usage: node test-semantic-primes.mjs
+ */
+
+import { buildPrimeExponents } from '../scripts/paraphrase.mjs';
+import {
+  DEFAULT_INVENTORY,
+  diffInventories,
+  getAllPrimes,
+  getPrimeCount,
+  PRIME_INVENTORIES,
+  PRIME_LANGUAGES,
+  resolvePrimeLanguage,
+  SEMANTIC_PRIMES,
+} from '../scripts/semantic-primes.mjs';
+
+async function main() {
+  console.log('=== Prime Inventories Test ===\n');
+
+  let failed = 0;
+  let total = 0;
+  function check(description, passed, detail = '') {
+    total++;
+    if (!passed) failed++;
+    console.log(`  ${passed ? '✓' : '✗'} ${description}${detail ? `: ${detail}` : ''}`);
+  }
+
+  console.log('=== INVENTORIES ===');
+  const counts = Object.keys(PRIME_INVENTORIES).map(name => `${name} ${getPrimeCount({ inventory: name })}`);
+  check('Inventories have their published sizes', counts.join(', ') ===
+    'wierzbicka-1996 60, goddard-wierzbicka-2002 63, current 65', counts.join(', '));
+  check('The current chart is the default', DEFAULT_INVENTORY === 'current' && getPrimeCount() === 65);
+
+  const current = getAllPrimes();
+  const chart = Object.entries(SEMANTIC_PRIMES).flatMap(([category, primes]) => primes.map(p => `${category}/${p.prime}`));
+  check('Current inventory follows SEMANTIC_PRIMES', current.map(p => `${p.category}/${p.prime}`).join() === chart.join());
+  check('Every prime name is unique', new Set(current.map(p => p.prime)).size === current.length);
+
+  const old = getAllPrimes({ inventory: 'wierzbicka-1996' });
+  const word = old.find(p => p.prime === 'WORD');
+  check('Earlier names have their own definitions', word?.searchTerms.includes('word') &&
+    word.category === 'speech' && !('current' in word), JSON.stringify(word));
+  check('Primes carry the notes of their inventory',
+    current.find(p => p.prime === 'MINE')?.note?.includes('HAVE') && !('note' in current.find(p => p.prime === 'GOOD')));
+
+  let error = null;
+  try {
+    getAllPrimes({ inventory: 'wierzbicka-1972' });
+  } catch (e) {
+    error = e;
+  }
+  check('Unknown inventory is an error', error?.message.includes('Unknown NSM prime inventory "wierzbicka-1972"'),
+    error?.message);
+
+  console.log('\n=== DIFF ===');
+  const diff = diffInventories('wierzbicka-1996', 'current');
+  for (const prime of ['TOUCH', 'MOMENT', 'LITTLE', "DON'T WANT", 'BE (SOMEWHERE)']) {
+    check(`${prime} was added since 1996`, diff.added.includes(prime));
+  }
+  check('IF... WOULD was removed', diff.removed.join() === 'IF... WOULD', diff.removed.join(', '));
+  const renamed = diff.renamed.map(r => `${r.from}->${r.to}`);
+  check('Renamed primes are not added or removed', renamed.join(', ') === 'WORD->WORDS, HAVE->MINE, KIND OF->KIND, PART OF->PART',
+    renamed.join(', '));
+  const moved = diffInventories('goddard-wierzbicka-2002', 'current').moved.find(m => m.prime === 'TOUCH');
+  check('Moved primes keep both categories', moved?.from === 'actionsEventsMovementContact' && moved?.to === 'space',
+    JSON.stringify(moved));
+  const same = diffInventories('current', 'current');
+  check('An inventory has no diff with itself', Object.values(same).every(list => list.length === 0));
+  const back = diffInventories('current', 'wierzbicka-1996');
+  check('Diffing backwards swaps added and removed', back.removed.includes('TOUCH') && back.added.includes('IF... WOULD') &&
+    back.renamed.some(r => r.from === 'WORDS' && r.to === 'WORD'));
+
+  console.log('\n=== LANGUAGES ===');
+  check('Published charts are available', ['ru', 'es', 'fr', 'de', 'pl', 'zh', 'ja'].every(l => PRIME_LANGUAGES.includes(l)),
+    PRIME_LANGUAGES.join(', '));
+  const english = getAllPrimes({ language: 'en' });
+  check('English fields are unchanged', english.every((p, i) => p.prime === current[i].prime &&
+    p.exponent === p.prime && p.allolexes === SEMANTIC_PRIMES[p.category].find(e => e.prime === p.prime).allolexes));
+  // English has no lemma to search for DON'T WANT; the charts have one
+  const incomplete = PRIME_LANGUAGES.filter(language => getAllPrimes({ language })
+    .some(p => !p.exponent || (language !== 'en' && p.searchTerms.length === 0)));
+  check('Every language has an exponent for every current prime', incomplete.length === 0, incomplete.join(', '));
+
+  const russian = getAllPrimes({ language: 'ru' });
+  const something = russian.find(p => p.prime === 'SOMETHING');
+  check('Chart entries split into exponent and allolexes', something.exponent === 'ЧТО-ТО' &&
+    something.allolexes.join() === 'ВЕЩЬ' && something.language === 'ru', JSON.stringify(something));
+  const words = russian.find(p => p.prime === 'WORDS');
+  check('Search terms are lowercase and add citation forms', words.searchTerms.join() === 'слова,слово', words.searchTerms.join(', '));
+  check('Parentheses are left out of search terms',
+    russian.find(p => p.prime === 'BE (SOMEWHERE)').searchTerms.join() === 'быть');
+  check('Curated senses are shared across languages',
+    russian.every((p, i) => p.canonical === english[i].canonical && p.category === english[i].category));
+  const earlier = getAllPrimes({ language: 'de', inventory: 'wierzbicka-1996' });
+  check('Earlier primes fall back to the current row', earlier.find(p => p.prime === 'WORD')?.exponent === 'WÖRTER' &&
+    earlier.find(p => p.prime === 'HAVE')?.exponent === 'HABEN' && earlier.find(p => p.prime === 'IF... WOULD')?.exponent === null);
+  const spanish = buildPrimeExponents(getAllPrimes({ language: 'es' }));
+  check('Exponents map to the English prime names', spanish.get('cosa') === 'SOMETHING' && spanish.get('estar') === 'BE (SOMEWHERE)' &&
+    !spanish.has('something'));
+
+  const tags = ['en', 'pl', 'cmn-Hans', 'ja-JP', 'jpn', 'fa'].map(resolvePrimeLanguage);
+  check('Wordnet language tags resolve to charts', tags.join() === 'en,pl,zh,ja,ja,', tags.join(', '));
+
+  error = null;
+  try {
+    getAllPrimes({ language: 'xx' });
+  } catch (e) {
+    error = e;
+  }
+  check('Unknown language is an error', error?.message.includes('Unknown NSM prime language "xx"'), error?.message);
+
+  console.log('\n=== SUMMARY ===');
+  console.log(`Checks passed: ${total - failed}/${total}`);
+
+  if (failed > 0) {
+    console.log('\n❌ TESTS FAILED: Prime inventories or exponents are incorrect');
+    process.exit(1);
+  }
+
+  console.log('\n✓ All prime inventory tests passed!');
+  process.exit(0);
+}
+
+main().catch((error) => {
+  console.error('Error:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,147 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for the sense-level (synset) discovery mode
+ *
+ * This script writes a tiny English WN-LMF file in which "bank" has a river
+ * sense defined with "water" and a money sense defined with "money", each of
+ * which is defined with "bank" in turn, and runs discover-semantic-primes.mjs
+ * with --mode=sense on it. It verifies that the two senses of "bank" are
+ * separate synset nodes, that --sense-resolution decides which of them close
+ * a cycle, and that every sense-level prime traces back to a lemma. Output
+ * files of the test wordnet that exist before the test are restored.
+ *
+ * Usage: node test-sense-mode.mjs
+ */
+
+import { spawnSync } from 'child_process';
+import { existsSync, mkdtempSync, readdirSync, readFileSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const SCRIPT = path.join(__dirname, '..', 'scripts', 'discover-semantic-primes.mjs');
+const DATA_DIR = path.join(__dirname, '..', 'data');
+const SENSE_PRIMES_FILE = path.join(DATA_DIR, 'discovered-sense-primes-en.lino');
+
+// [lemma, [[synset id, definition], ...]] with the senses in WordNet order
+const ENTRIES = [
+  ['bank', [['t-bank-river', 'sloping land beside water'], ['t-bank-money', 'an institution that keeps money']]],
+  ['water', [['t-water', 'the liquid of a river bank']]],
+  ['money', [['t-money', 'what a bank keeps']]],
+];
+
+const WORDNET = [
+  '<?xml version="1.0" encoding="UTF-8"?>',
+  '<LexicalResource xmlns:dc="https://globalwordnet.github.io/schemas/dc/">',
+  '  <Lexicon id="test-en" label="Sense Mode Test WordNet" language="en" email="x" license="x" version="1">',
+  ...ENTRIES.map(([lemma, senses]) => [
+    `    <LexicalEntry id="t-${lemma}-n">`,
+    `      <Lemma writtenForm="${lemma}" partOfSpeech="n"/>`,
+    ...senses.map(([synsetId], i) => `      <Sense id="t-${lemma}-n-${i + 1}" synset="${synsetId}"/>`),
+    '    </LexicalEntry>',
+  ].join('\n')),
+  ...ENTRIES.flatMap(([, senses]) => senses).map(([synsetId, definition]) => [
+    `    <Synset id="${synsetId}" partOfSpeech="n">`,
+    `      <Definition>${definition}</Definition>`,
+    '    </Synset>',
+  ].join('\n')),
+  '  </Lexicon>',
+  '</LexicalResource>',
+  '',
+].join('\n');
+
+/**
+ * Output files of the test wordnet in the data directory, with their contents.
+ */
+function testOutputs() {
+  return new Map(readdirSync(DATA_DIR).filter(name => name.endsWith('-en.lino'))
+    .map(name => [name, readFileSync(path.join(DATA_DIR, name), 'utf-8')]));
+}
+
+/**
+ * Run sense-level discovery on the test wordnet; returns the exit status
+ * and the primes file.
+ */
+function discover(wordnetFile, resolution) {
+  rmSync(SENSE_PRIMES_FILE, { force: true });
+  const result = spawnSync(process.execPath, [SCRIPT, `--wordnet=${wordnetFile}`, '--mode=sense',
+    `--sense-resolution=${resolution}`], { encoding: 'utf-8', timeout: 120000 });
+  const content = existsSync(SENSE_PRIMES_FILE) ? readFileSync(SENSE_PRIMES_FILE, 'utf-8') : '';
+  return { status: result.status, content };
+}
+
+/**
+ * Ids of the primes in a primes file.
+ */
+function primeIds(content) {
+  return [...content.matchAll(/^\((\S+) isa discovered_semantic_prime\)$/gm)].map(match => match[1]).sort();
+}
+
+async function main() {
+  console.log('=== Sense Mode Test ===\n');
+
+  let failed = 0;
+  let total = 0;
+  function check(description, passed, detail = '') {
+    total++;
+    if (!passed) failed++;
+    console.log(`  ${passed ? '✓' : '✗'} ${description}${detail ? `: ${detail}` : ''}`);
+  }
+
+  const tempDir = mkdtempSync(path.join(tmpdir(), 'sense-mode-'));
+  const wordnetFile = path.join(tempDir, 'wordnet.xml');
+  writeFileSync(wordnetFile, WORDNET);
+  const existing = testOutputs();
+
+  try {
+    console.log('=== ALL SENSES ===');
+    const all = discover(wordnetFile, 'all');
+    check('Discovery runs', all.status === 0);
+    const allPrimes = primeIds(all.content);
+    check('Each sense of a polysemous lemma is its own node',
+      allPrimes.join(' ') === 't_bank_money t_bank_river t_money t_water', allPrimes.join(' '));
+    check('Each sense keeps its own definition',
+      all.content.includes('(t_bank_river definition "sloping land beside water")') &&
+      all.content.includes('(t_bank_money definition "an institution that keeps money")'));
+    check('Each sense has its own shortest cycle',
+      all.content.includes('(t_bank_river cycle_witness (t_bank_river t_water t_bank_river))') &&
+      all.content.includes('(t_bank_money cycle_witness (t_bank_money t_money t_bank_money))'));
+    const untraced = allPrimes.filter(id => !new RegExp(`^\\(${id} lemma \\S+\\)$`, 'm').test(all.content));
+    check('Every sense prime traces back to a lemma', untraced.length === 0, untraced.join(', '));
+    check('Both senses trace back to the polysemous lemma',
+      all.content.includes('(t_bank_river lemma bank)') && all.content.includes('(t_bank_money lemma bank)'));
+
+    console.log('\n=== FIRST SENSE ===');
+    const first = discover(wordnetFile, 'first');
+    check('Discovery runs', first.status === 0);
+    const firstPrimes = primeIds(first.content);
+    check('Only the first sense is reached from other definitions',
+      firstPrimes.join(' ') === 't_bank_river t_water', firstPrimes.join(' '));
+  } finally {
+    for (const name of testOutputs().keys()) {
+      if (existing.has(name)) writeFileSync(path.join(DATA_DIR, name), existing.get(name));
+      else rmSync(path.join(DATA_DIR, name));
+    }
+    rmSync(tempDir, { recursive: true, force: true });
+  }
+
+  console.log('\n=== SUMMARY ===');
+  console.log(`Checks passed: ${total - failed}/${total}`);
+
+  if (failed > 0) {
+    console.log('\n❌ TESTS FAILED: Sense-level discovery is incorrect');
+    process.exit(1);
+  }
+
+  console.log('\n✓ All sense mode tests passed!');
+  process.exit(0);
+}
+
+main().catch((error) => {
+  console.error('Error:', error.message);
+  process.exit(1);
+});
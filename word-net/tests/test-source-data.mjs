@@ -23,6 +23,7 @@ const SOURCE_FILE = path.join(DATA_DIR, 'wordnet-source.lino');
 const MIN_FILE_SIZE_MB = 30;  // Should be ~38MB
 const MIN_SYNSETS = 100000;   // WordNet has ~117k synsets
 const MIN_ENTRIES = 100000;   // Should have many lexical entries
+const MIN_HYPERNYMS = 50000;  // WordNet has ~90k hypernym links
 
 function countMatches(content, pattern) {
   const matches = content.match(pattern);
@@ -62,12 +63,16 @@ async function main() {
   const definitionCount = countMatches(content, /\(\w+ definition "/g);
   const senseCount = countMatches(content, /\(\w+ sense \w+\)/g);
   const posCount = countMatches(content, /\(\w+ pos [a-z]+\)/g);
+  const hypernymCount = countMatches(content, /\(\w+ hypernym \w+\)/g);
+  const antonymCount = countMatches(content, /\(\w+ antonym \w+\)/g);
 
   console.log(`\nData counts:`);
   console.log(`  Synsets (isa synset): ${synsetCount}`);
   console.log(`  Definitions: ${definitionCount}`);
   console.log(`  Sense relations: ${senseCount}`);
   console.log(`  Part of speech tags: ${posCount}`);
+  console.log(`  Hypernym links: ${hypernymCount}`);
+  console.log(`  Antonym links: ${antonymCount}`);
 
   // Verify structure
   console.log('\n=== STRUCTURE VERIFICATION ===');
@@ -76,11 +81,13 @@ async function main() {
   const hasSynsetSection = content.includes('// === SYNSETS ===');
   const hasEntriesSection = content.includes('// === LEXICAL ENTRIES ===');
   const hasILI = content.includes('ili "i');
+  const hasSenseRelationsSection = content.includes('// === SENSE RELATIONS ===');
 
   console.log(`  ${hasHeader ? '✓' : '✗'} Has header comment`);
   console.log(`  ${hasSynsetSection ? '✓' : '✗'} Has synsets section`);
   console.log(`  ${hasEntriesSection ? '✓' : '✗'} Has lexical entries section`);
   console.log(`  ${hasILI ? '✓' : '✗'} Has ILI (Inter-Lingual Index) references`);
+  console.log(`  ${hasSenseRelationsSection ? '✓' : '✗'} Has sense relations section`);
 
   // Sample entries
   console.log('\n=== SAMPLE ENTRIES ===');
@@ -96,20 +103,26 @@ async function main() {
   const senseSamples = getSampleLines(content, /^\(\w+ sense \w+\)/);
   senseSamples.forEach(s => console.log(`  ${s}`));
 
+  console.log('\nRelation samples:');
+  const relationSamples = getSampleLines(content, /^\(\w+ (hypernym|antonym) \w+\)/);
+  relationSamples.forEach(s => console.log(`  ${s}`));
+
   // Validation
   console.log('\n=== VALIDATION ===');
 
   const sizeOk = fileSizeMB >= MIN_FILE_SIZE_MB;
   const synsetOk = synsetCount >= MIN_SYNSETS;
   const entriesOk = senseCount >= MIN_ENTRIES;
-  const structureOk = hasHeader && hasSynsetSection && hasEntriesSection;
+  const relationsOk = hypernymCount >= MIN_HYPERNYMS && antonymCount > 0;
+  const structureOk = hasHeader && hasSynsetSection && hasEntriesSection && hasSenseRelationsSection;
 
   console.log(`  ${sizeOk ? '✓' : '✗'} File size >= ${MIN_FILE_SIZE_MB}MB (actual: ${fileSizeMB.toFixed(2)}MB)`);
   console.log(`  ${synsetOk ? '✓' : '✗'} Synsets >= ${MIN_SYNSETS} (actual: ${synsetCount})`);
   console.log(`  ${entriesOk ? '✓' : '✗'} Sense relations >= ${MIN_ENTRIES} (actual: ${senseCount})`);
+  console.log(`  ${relationsOk ? '✓' : '✗'} Hypernyms >= ${MIN_HYPERNYMS} (actual: ${hypernymCount}) and antonyms present`);
   console.log(`  ${structureOk ? '✓' : '✗'} File structure is correct`);
 
-  const allPassed = sizeOk && synsetOk && entriesOk && structureOk;
+  const allPassed = sizeOk && synsetOk && entriesOk && relationsOk && structureOk;
 
   if (!allPassed) {
     console.log('\n❌ TESTS FAILED: Source data validation issues');
@@ -0,0 +1,120 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for the configurable definition tokenizer
+ *
+ * This script tokenizes short sample definitions under different tokenizer
+ * configurations and verifies that short function words are kept by default
+ * and that hyphen, apostrophe, character class and case settings behave as
+ * documented.
+ *
+ * Usage: node test-tokenizer.mjs
+ */
+
+import { tokenize, extractContentWords, explainTokens, normalizeTokenizerConfig } from '../scripts/tokenizer.mjs';
+import { Lemmatizer } from '../scripts/lemmatizer.mjs';
+import { MweRecognizer } from '../scripts/mwe-recognizer.mjs';
+
+const CASES = [
+  ['if i do it, be good to me', {}, ['if', 'i', 'do', 'it', 'be', 'good', 'to', 'me'], 'Short function words are kept by default'],
+  ['if i do it, be good to me', { minLength: 3 }, ['good'], 'Minimum token length'],
+  ['a well-known fact', {}, ['a', 'well', 'known', 'fact'], 'Hyphens split by default'],
+  ['a well-known fact', { hyphens: 'keep' }, ['a', 'well-known', 'fact'], 'Hyphenated compounds kept'],
+  ['a well-known fact', { hyphens: 'join' }, ['a', 'wellknown', 'fact'], 'Hyphenated compounds joined'],
+  ["the people's parents' house", {}, ['the', 'people', 'parents', 'house'], 'Possessives stripped by default'],
+  ["the people’s choice", {}, ['the', 'people', 'choice'], 'Typographic apostrophe'],
+  ["don't", {}, ['don', 't'], 'Contractions split when stripping possessives'],
+  ["people's don't", { apostrophes: 'split' }, ['people', 's', 'don', 't'], 'Apostrophes split'],
+  ["people's don't", { apostrophes: 'keep' }, ["people's", "don't"], 'Apostrophes kept'],
+  ['a café in 1950s Paris', {}, ['a', 'caf', 'in', 's', 'paris'], 'ASCII characters only by default'],
+  ['a café in 1950s Paris', { characters: 'letters' }, ['a', 'café', 'in', 's', 'paris'], 'Unicode letters'],
+  ['a café in 1950s Paris', { characters: 'alphanumeric' }, ['a', 'café', 'in', '1950s', 'paris'], 'Unicode letters and digits'],
+  ['A Person in Paris', { caseFolding: false }, ['A', 'Person', 'in', 'Paris'], 'Case preserved'],
+];
+
+async function main() {
+  console.log('=== Tokenizer Test ===\n');
+
+  let failed = 0;
+  let total = 0;
+  function check(description, passed, detail = '') {
+    total++;
+    if (!passed) failed++;
+    console.log(`  ${passed ? '✓' : '✗'} ${description}${detail ? `: ${detail}` : ''}`);
+  }
+
+  console.log('=== TOKENIZATION ===');
+  for (const [text, config, expected, description] of CASES) {
+    const actual = tokenize(text, normalizeTokenizerConfig(config));
+    check(description, JSON.stringify(actual) === JSON.stringify(expected), actual.join(' | '));
+  }
+
+  console.log('\n=== CONTENT WORDS ===');
+  const lemmatizer = { lemmatize: (token) => (token === 'things' ? ['thing'] : [token]) };
+  const words = extractContentWords('the things of the world', { stopWords: new Set(['the']), lemmatizer });
+  check('Stop words removed, lemmas applied, duplicates merged', JSON.stringify(words) === JSON.stringify(['thing', 'of', 'world']), words.join(', '));
+
+  // Without case folding, tokens are looked up in lowercase and keep their
+  // case only when WordNet does not know them
+  const lexicon = {
+    entries: ['thing', 'people', 'in front of'].map(writtenForm => ({
+      lemmas: [{ writtenForm, partOfSpeech: 'n' }], forms: [], senses: [],
+    })),
+  };
+  const caseOptions = {
+    tokenizer: { caseFolding: false },
+    stopWords: new Set(['that', 'do', 'the']),
+    lemmatizer: new Lemmatizer(lexicon, { exceptions: {} }),
+  };
+  const cased = extractContentWords('Things that People do', caseOptions);
+  check('Capitalised tokens link to their lowercase lemmas', cased.join() === 'thing,people', cased.join(', '));
+  const names = extractContentWords('The Zorblax', caseOptions);
+  check('Stop words match in lowercase; unknown words keep their case', names.join() === 'Zorblax', names.join(', '));
+  const mweRecognizer = new MweRecognizer(lexicon, { tokenizer: caseOptions.tokenizer, lemmatizer: caseOptions.lemmatizer });
+  const phrases = extractContentWords('In Front Of People', { ...caseOptions, mweRecognizer });
+  check('Multi-word expressions match in lowercase', phrases.join() === 'in front of,people', phrases.join(', '));
+  const casedTrace = explainTokens('Things that People do', caseOptions).map(t => t.dropped || t.words.join('+'));
+  check('Token trace looks up tokens in lowercase', casedTrace.join() === 'thing,stop_word,people,stop_word',
+    casedTrace.join(', '));
+
+  console.log('\n=== TOKEN TRACE ===');
+  const traceOptions = { tokenizer: { minLength: 2 }, stopWords: new Set(['of', 'the', 'be']), lemmatizer: {
+    lemmatize: (token) => ({ things: ['thing'], is: ['be'] })[token] || [token],
+  } };
+  const definition = 'a thing is a part of the things of a world';
+  const trace = explainTokens(definition, traceOptions);
+  const fates = trace.map(t => `${t.token}:${t.dropped || t.words.join('+')}`).join(' ');
+  check('Each token traced with its fate',
+    fates === 'a:too_short a:too_short a:too_short thing:thing is:stop_word part:part of:stop_word the:stop_word ' +
+      'things:duplicate of:stop_word world:world', fates);
+  const traced = trace.flatMap(t => t.words);
+  check('Traced content words match extractContentWords',
+    JSON.stringify(traced) === JSON.stringify(extractContentWords(definition, traceOptions)), traced.join(', '));
+
+  console.log('\n=== VALIDATION ===');
+  for (const config of [{ minLength: 0 }, { characters: 'digits' }, { hyphens: 'drop' }, { apostrophes: 'remove' }]) {
+    let threw = false;
+    try {
+      normalizeTokenizerConfig(config);
+    } catch {
+      threw = true;
+    }
+    check(`Rejects ${JSON.stringify(config)}`, threw);
+  }
+
+  console.log('\n=== SUMMARY ===');
+  console.log(`Checks passed: ${total - failed}/${total}`);
+
+  if (failed > 0) {
+    console.log('\n❌ TESTS FAILED: Tokenizer output is incorrect');
+    process.exit(1);
+  }
+
+  console.log('\n✓ All tokenizer tests passed!');
+  process.exit(0);
+}
+
+main().catch((error) => {
+  console.error('Error:', error.message);
+  process.exit(1);
+});
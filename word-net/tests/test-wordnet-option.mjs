@@ -0,0 +1,145 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for the --wordnet option of the extraction and discovery scripts
+ *
+ * This script writes two tiny Polish WN-LMF files (language "pol" and
+ * "pl-PL") and runs extract-nsm-primes.mjs and discover-semantic-primes.mjs
+ * on them. It verifies that both scripts resolve the language tags to the
+ * code of the NSM exponents, suffix their output files with it, write the
+ * language header, search the Polish exponents of the primes, and refuse a
+ * second wordnet of the same language without overwriting the first output.
+ * Output files of that language that exist before the test are restored.
+ *
+ * Usage: node test-wordnet-option.mjs
+ */
+
+import { spawnSync } from 'child_process';
+import { existsSync, mkdtempSync, readdirSync, readFileSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const SCRIPTS_DIR = path.join(__dirname, '..', 'scripts');
+const DATA_DIR = path.join(__dirname, '..', 'data');
+
+/**
+ * A WN-LMF file in which "rzecz" and "coś" define each other and "dobry"
+ * is the curated sense of GOOD (ILI i6163).
+ */
+function polishWordNet(label, language) {
+  const entries = [['rzecz', 'n'], ['coś', 'n'], ['dobry', 'a'], ['ciało', 'n']];
+  const synsets = [
+    ['rzecz', 'n', 'i35548', 'coś, co jest'],
+    ['coś', 'n', 'i60192', 'jakaś rzecz'],
+    ['dobry', 'a', 'i6163', 'taki, jaki powinien być'],
+    ['ciało', 'n', 'i64381', 'fizyczna część człowieka'],
+  ];
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<LexicalResource xmlns:dc="https://globalwordnet.github.io/schemas/dc/">',
+    `  <Lexicon id="test-pl" label="${label}" language="${language}" email="x" license="x" version="1">`,
+    ...entries.map(([lemma, pos]) => [
+      `    <LexicalEntry id="pl-${lemma}-${pos}">`,
+      `      <Lemma writtenForm="${lemma}" partOfSpeech="${pos}"/>`,
+      `      <Sense id="pl-${lemma}-${pos}-1" synset="pl-${lemma}-${pos}-s"/>`,
+      '    </LexicalEntry>',
+    ].join('\n')),
+    ...synsets.map(([lemma, pos, ili, definition]) => [
+      `    <Synset id="pl-${lemma}-${pos}-s" ili="${ili}" members="pl-${lemma}-${pos}" partOfSpeech="${pos}">`,
+      `      <Definition>${definition}</Definition>`,
+      '    </Synset>',
+    ].join('\n')),
+    '  </Lexicon>',
+    '</LexicalResource>',
+    '',
+  ].join('\n');
+}
+
+/**
+ * Run a script of the repository; returns its exit status.
+ */
+function run(script, args) {
+  const result = spawnSync(process.execPath, [path.join(SCRIPTS_DIR, script), ...args], {
+    encoding: 'utf-8',
+    timeout: 120000,
+  });
+  return result.status;
+}
+
+/**
+ * Polish output files in the data directory, with their contents.
+ */
+function polishOutputs() {
+  return new Map(readdirSync(DATA_DIR).filter(name => name.endsWith('-pl.lino'))
+    .map(name => [name, readFileSync(path.join(DATA_DIR, name), 'utf-8')]));
+}
+
+async function main() {
+  console.log('=== WordNet Option Test ===\n');
+
+  let failed = 0;
+  let total = 0;
+  function check(description, passed, detail = '') {
+    total++;
+    if (!passed) failed++;
+    console.log(`  ${passed ? '✓' : '✗'} ${description}${detail ? `: ${detail}` : ''}`);
+  }
+
+  const tempDir = mkdtempSync(path.join(tmpdir(), 'wordnet-option-'));
+  const first = path.join(tempDir, 'first.xml');
+  const second = path.join(tempDir, 'second.xml');
+  writeFileSync(first, polishWordNet('First Polish WordNet', 'pol'));
+  writeFileSync(second, polishWordNet('Second Polish WordNet', 'pl-PL'));
+  const existing = polishOutputs();
+  const nsmFile = path.join(DATA_DIR, 'nsm-primes-pl.lino');
+  const discoveredFile = path.join(DATA_DIR, 'discovered-primes-pl.lino');
+
+  try {
+    console.log('=== EXTRACTION ===');
+    check('Extraction runs', run('extract-nsm-primes.mjs', [`--wordnet=${first}`]) === 0);
+    const nsm = existsSync(nsmFile) ? readFileSync(nsmFile, 'utf-8') : '';
+    check('Output is suffixed with the resolved language', nsm.length > 0);
+    check('Language header', nsm.includes('// Language: pl'));
+    check('Polish exponents are searched', nsm.includes('(good exponent "DOBRY")') &&
+      nsm.includes('(good canonical_synset pl_dobry_a_s)') && nsm.includes('(something canonical_synset pl_rzecz_n_s)'));
+
+    const duplicate = run('extract-nsm-primes.mjs', [`--wordnet=${first}`, `--wordnet=${second}`]);
+    const kept = existsSync(nsmFile) ? readFileSync(nsmFile, 'utf-8') : '';
+    check('Second wordnet of a language is refused', duplicate === 1);
+    check('Output of the first wordnet is kept', kept.includes('First Polish WordNet') && !kept.includes('Second Polish WordNet'));
+
+    console.log('\n=== DISCOVERY ===');
+    check('Discovery runs', run('discover-semantic-primes.mjs', [`--wordnet=${first}`, '--token-chars=letters']) === 0);
+    const discovered = existsSync(discoveredFile) ? readFileSync(discoveredFile, 'utf-8') : '';
+    check('Output is suffixed with the resolved language', discovered.length > 0);
+    check('Language header', discovered.includes('// Language: pl'));
+    check('Words defining each other are primes', discovered.includes('(rzecz isa discovered_semantic_prime)') &&
+      discovered.includes('(coś isa discovered_semantic_prime)') && !discovered.includes('(dobry isa discovered_semantic_prime)'));
+  } finally {
+    for (const name of polishOutputs().keys()) {
+      if (existing.has(name)) writeFileSync(path.join(DATA_DIR, name), existing.get(name));
+      else rmSync(path.join(DATA_DIR, name));
+    }
+    rmSync(tempDir, { recursive: true, force: true });
+  }
+
+  console.log('\n=== SUMMARY ===');
+  console.log(`Checks passed: ${total - failed}/${total}`);
+
+  if (failed > 0) {
+    console.log('\n❌ TESTS FAILED: The --wordnet option is incorrect');
+    process.exit(1);
+  }
+
+  console.log('\n✓ All --wordnet option tests passed!');
+  process.exit(0);
+}
+
+main().catch((error) => {
+  console.error('Error:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,111 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for the shared WordNet LMF parser
+ *
+ * This script parses a small inline WN-LMF document and verifies that
+ * entries, synsets, definitions, examples and relations are extracted
+ * correctly, including tags spanning lines, attributes in any order and
+ * numeric XML entities.
+ *
+ * Usage: node test-wordnet-parser.mjs
+ */
+
+import { loadWordNet, decodeXmlEntities, getSynsetLemmas } from '../scripts/wordnet-parser.mjs';
+
+const SAMPLE_XML = `<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE LexicalResource SYSTEM "http://globalwordnet.github.io/schemas/WN-LMF-1.3.dtd">
+<LexicalResource xmlns:dc="https://globalwordnet.github.io/schemas/dc/">
+  <Lexicon id="oewn" label="Open English WordNet" language="en" email="x@example.org" license="CC BY 4.0" version="2024">
+    <!-- a comment with <Synset> inside -->
+    <LexicalEntry id="oewn-caf&#xE9;-n">
+      <Lemma partOfSpeech="n"
+             writtenForm="caf&#233;"/>
+      <Form writtenForm="caf&#xe9;s"/>
+      <Sense synset="oewn-00000002-n" id="oewn-caf&#xE9;__1.06.00">
+        <SenseRelation relType="derivation" target="oewn-serve__2.34.00"/>
+      </Sense>
+    </LexicalEntry>
+    <LexicalEntry id="oewn-rock_&apos;n&apos;_roll-n">
+      <Lemma writtenForm="rock &apos;n&apos; roll" partOfSpeech="n"/>
+      <Sense id="oewn-rock_n_roll__1.10.00" synset="oewn-00000001-n"/>
+    </LexicalEntry>
+    <Synset
+        members="oewn-rock_&apos;n&apos;_roll-n"
+        partOfSpeech="n" ili="i1" id="oewn-00000001-n" lexfile="noun.communication">
+      <Definition>a genre of popular music
+        originating in the 1950s &amp; &lt;later&gt;</Definition>
+      <Example>&quot;rock &#39;n&#39; roll&quot; is here to stay</Example>
+      <SynsetRelation relType="hypernym" target="oewn-00000002-n"/>
+    </Synset>
+    <Synset id="oewn-00000002-n" ili="i2" partOfSpeech="n">
+      <Definition><![CDATA[a small <restaurant>]]></Definition>
+      <SynsetRelation target="oewn-00000001-n" relType="hyponym"/>
+    </Synset>
+  </Lexicon>
+</LexicalResource>
+`;
+
+/**
+ * Split the sample into small chunks so tags cross chunk boundaries.
+ */
+function* chunked(text, size) {
+  for (let i = 0; i < text.length; i += size) {
+    yield text.slice(i, i + size);
+  }
+}
+
+async function main() {
+  console.log('=== WordNet Parser Test ===\n');
+
+  const checks = [];
+  function check(name, condition) {
+    checks.push({ name, passed: Boolean(condition) });
+    console.log(`  ${condition ? '✓' : '✗'} ${name}`);
+  }
+
+  console.log('=== ENTITY DECODING ===');
+  check('Named entities', decodeXmlEntities('&lt;a&gt; &amp; &quot;b&quot; &apos;c&apos;') === '<a> & "b" \'c\'');
+  check('Numeric entities', decodeXmlEntities('&#233;&#xE9;&#x1F600;') === 'éé😀');
+  check('No double decoding', decodeXmlEntities('&amp;lt;') === '&lt;');
+
+  for (const size of [7, 64, 100000]) {
+    console.log(`\n=== PARSE (chunk size ${size}) ===`);
+    const lexicon = await loadWordNet(chunked(SAMPLE_XML, size));
+    const [cafe, rock] = lexicon.entries;
+    const music = lexicon.synsets.get('oewn-00000001-n');
+    const restaurant = lexicon.synsets.get('oewn-00000002-n');
+
+    check('Lexicon metadata', lexicon.lexicons.length === 1 && lexicon.lexicons[0].language === 'en');
+    check('Two entries and two synsets', lexicon.entries.length === 2 && lexicon.synsets.size === 2);
+    check('Lemma spanning lines decoded', cafe?.lemmas[0]?.writtenForm === 'café' && cafe.lemmas[0].partOfSpeech === 'n');
+    check('Form variants', cafe?.forms[0] === 'cafés');
+    check('Sense relations', cafe?.senses[0]?.relations[0]?.relType === 'derivation');
+    check('Attributes in any order', rock?.senses[0]?.synset === 'oewn-00000001-n' && rock.lemmas[0].writtenForm === "rock 'n' roll");
+    check('Synset tag spanning lines', music?.ili === 'i1' && music.lexfile === 'noun.communication');
+    check('Synset members', music?.members[0] === "oewn-rock_'n'_roll-n");
+    check('Multi-line definition', music?.definitions[0] === 'a genre of popular music originating in the 1950s & <later>');
+    check('Example entities', music?.examples[0] === '"rock \'n\' roll" is here to stay');
+    check('Synset relations', music?.relations[0]?.relType === 'hypernym' && restaurant?.relations[0]?.relType === 'hyponym');
+    check('CDATA definition', restaurant?.definitions[0] === 'a small <restaurant>');
+    check('Synset lemmas', getSynsetLemmas(lexicon).get('oewn-00000002-n')?.has('café'));
+  }
+
+  const failed = checks.filter(c => !c.passed).length;
+
+  console.log('\n=== SUMMARY ===');
+  console.log(`Checks passed: ${checks.length - failed}/${checks.length}`);
+
+  if (failed > 0) {
+    console.log('\n❌ TESTS FAILED: Parser output is incorrect');
+    process.exit(1);
+  }
+
+  console.log('\n✓ All parser tests passed!');
+  process.exit(0);
+}
+
+main().catch((error) => {
+  console.error('Error:', error.message);
+  process.exit(1);
+});